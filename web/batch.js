@@ -0,0 +1,453 @@
+// @ts-check
+
+/**
+ * Batch helpers - Parameter sweeps (XY grids) and tracked queueing
+ */
+
+// @ts-ignore
+import { api } from "../../scripts/api.js";
+import { isWidgetHidden } from "./widget.js";
+import { MAX_BATCH_COUNT } from "./constants.js";
+import { t } from "./i18n.js";
+
+/** @import {ComfyUIApp, ComfyUIGraphNode, ComfyUIGraphWidget} from "./types" */
+
+/**
+ * @typedef {Object} SweepTarget
+ * @property {string} key - Unique key in the form `nodeId:widgetName`
+ * @property {ComfyUIGraphNode} node
+ * @property {ComfyUIGraphWidget} widget
+ * @property {'number' | 'combo' | 'text'} kind
+ * @property {string} label - Display label ("Node Title › widget")
+ */
+
+/**
+ * @typedef {Object} SweepAxis
+ * @property {SweepTarget} target
+ * @property {Array<string | number>} values
+ */
+
+/**
+ * @typedef {Object} SweepRun
+ * @property {number} x - Index into the X axis values
+ * @property {number} y - Index into the Y axis values (0 when there is no Y axis)
+ * @property {string | null} promptId - Server prompt ID, once queued
+ * @property {'failed' | 'unknown'} [outcome] - Set when the run's outputs can't show up: it was refused,
+ *   or it was queued without a captured prompt ID
+ */
+
+/**
+ * @typedef {Object} SweepGrid
+ * @property {Array<{label: string, values: Array<string | number>}>} axes - X axis first, optional Y axis second
+ * @property {SweepRun[]} runs
+ */
+
+/** Widget types that can be swept, mapped to their sweep kind */
+const SWEEP_KINDS = /** @type {Object.<string, 'number' | 'combo' | 'text'>} */ ({
+    number: 'number',
+    float: 'number',
+    int: 'number',
+    slider: 'number',
+    seed: 'number',
+    combo: 'combo',
+    string: 'text',
+    text: 'text',
+    customtext: 'text',
+    multiline: 'text'
+});
+
+/**
+ * Find all widgets in the form that can be swept
+ * @param {ComfyUIGraphNode[]} nodes - Nodes rendered in the form
+ * @returns {SweepTarget[]}
+ */
+export function getSweepTargets(nodes) {
+    /** @type {SweepTarget[]} */
+    const targets = [];
+
+    for (const node of nodes) {
+        if (!Array.isArray(node.widgets)) continue;
+
+        for (const widget of node.widgets) {
+            if (widget.hidden || widget.type === 'converted-widget') continue;
+            if (isWidgetHidden(node.id, widget.name)) continue;
+
+            const kind = SWEEP_KINDS[widget.type?.toLowerCase?.() || ''];
+            if (!kind) continue;
+
+            targets.push({
+                key: `${node.id}:${widget.name}`,
+                node,
+                widget,
+                kind,
+                label: `${node.title || node.type} › ${widget.name}`
+            });
+        }
+    }
+
+    return targets;
+}
+
+/**
+ * Get the allowed values of a combo widget
+ * @param {ComfyUIGraphWidget} widget
+ * @returns {string[]}
+ */
+function getComboValues(widget) {
+    const values = widget.options?.values;
+    return typeof values === 'function' ? values() : (values || []);
+}
+
+/**
+ * Count the decimal places of a number (used to round range steps)
+ * @param {number} value
+ * @returns {number}
+ */
+function decimalPlaces(value) {
+    const str = String(value);
+    const dot = str.indexOf('.');
+    return dot === -1 ? 0 : str.length - dot - 1;
+}
+
+/**
+ * Expand a numeric range into its values (inclusive of stop)
+ * @param {number} start
+ * @param {number} stop
+ * @param {number} step
+ * @returns {number[]}
+ */
+export function expandRange(start, stop, step) {
+    if ([start, stop, step].some(n => !Number.isFinite(n))) {
+        throw new Error(t('batch.error.rangeNumbers'));
+    }
+    if (step === 0) {
+        throw new Error(t('batch.error.rangeStep'));
+    }
+
+    // Walk in the direction of stop regardless of the step's sign
+    const direction = stop >= start ? 1 : -1;
+    const delta = Math.abs(step) * direction;
+    const precision = Math.max(decimalPlaces(start), decimalPlaces(step));
+
+    /** @type {number[]} */
+    const values = [];
+    for (let i = 0; ; i++) {
+        const value = Number((start + delta * i).toFixed(precision));
+        if (direction > 0 ? value > stop : value < stop) break;
+        values.push(value);
+        if (values.length > MAX_BATCH_COUNT) {
+            throw new Error(t('batch.error.rangeSize', { max: MAX_BATCH_COUNT }));
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a list of values for a sweep target
+ * Text targets take one value per line; others also accept commas.
+ * @param {string} text
+ * @param {SweepTarget} target
+ * @returns {Array<string | number>}
+ */
+export function parseValueList(text, target) {
+    const separator = target.kind === 'text' ? /\n/ : /[\n,]/;
+    const items = text.split(separator).map(s => s.trim()).filter(s => s.length > 0);
+
+    if (target.kind === 'number') {
+        return items.map(item => {
+            const value = Number(item);
+            if (!Number.isFinite(value)) {
+                throw new Error(t('batch.error.notNumber', { value: item }));
+            }
+            return value;
+        });
+    }
+
+    if (target.kind === 'combo') {
+        const allowed = getComboValues(target.widget);
+        for (const item of items) {
+            if (!allowed.includes(item)) {
+                throw new Error(t('batch.error.notOption', { value: item, name: target.widget.name }));
+            }
+        }
+    }
+
+    return items;
+}
+
+/**
+ * Build the runs of a sweep (Cartesian product of the axes, X varying fastest)
+ * @param {SweepAxis[]} axes - One or two axes
+ * @returns {SweepRun[]}
+ */
+export function buildSweepRuns(axes) {
+    const [xAxis, yAxis] = axes;
+    const yCount = yAxis ? yAxis.values.length : 1;
+
+    /** @type {SweepRun[]} */
+    const runs = [];
+    for (let y = 0; y < yCount; y++) {
+        for (let x = 0; x < xAxis.values.length; x++) {
+            runs.push({ x, y, promptId: null });
+        }
+    }
+
+    return runs;
+}
+
+/**
+ * Queue the current workflow and return the server's prompt ID
+ * Goes through app.queuePrompt so the normal graph-to-prompt conversion
+ * runs, while listening in on api.queuePrompt for the response.
+ * @param {ComfyUIApp} app
+ * @param {number} number - 0 for normal, -1 for front of queue
+ * @returns {Promise<string | null>} null if the run was queued but its ID could not be captured
+ * @throws {Error} If ComfyUI refused to queue the workflow
+ */
+export async function queuePromptTracked(app, number) {
+    const original = api.queuePrompt;
+    /** @type {string | null} */
+    let promptId = null;
+
+    api.queuePrompt = async (/** @type {any[]} */ ...args) => {
+        const result = await original.apply(api, args);
+        promptId = result?.prompt_id ?? promptId;
+        return result;
+    };
+
+    /** @type {unknown} */
+    let queued;
+    try {
+        queued = await app.queuePrompt(number);
+    } finally {
+        api.queuePrompt = original;
+    }
+
+    // app.queuePrompt reports its own errors and returns false instead of throwing
+    if (queued === false) {
+        throw new Error('ComfyUI refused to queue the workflow');
+    }
+    return promptId;
+}
+
+/**
+ * Runs queued without a captured prompt ID end as 'unknown' - their outcome can't be told apart
+ * @typedef {'pending' | 'running' | 'done' | 'failed' | 'cancelled' | 'unknown'} BatchRunStatus
+ */
+
+/**
+ * @typedef {Object} BatchRun
+ * @property {string} label - Short description of the run (seed, axis values, ...)
+ * @property {boolean} queued - Whether the run reached the server queue
+ * @property {string | null} promptId - Server prompt ID (null if not queued or not captured)
+ * @property {BatchRunStatus} status
+ */
+
+/**
+ * Tracks the runs of a batch through the server queue
+ */
+export class BatchTracker {
+    /** @type {BatchRun[]} */
+    #runs = [];
+    
+    /** @type {Function | null} */
+    #onChange = null;
+    
+    /** @type {Map<string, Function>} */
+    #eventListeners = new Map();
+
+    constructor() {
+        this.#setupEventListeners();
+    }
+
+    /**
+     * Cleanup event listeners
+     */
+    destroy() {
+        for (const [eventName, listener] of this.#eventListeners) {
+            api.removeEventListener(eventName, listener);
+        }
+        this.#eventListeners.clear();
+        this.#runs = [];
+    }
+
+    /**
+     * Set callback for when run states change
+     * @param {Function} callback
+     */
+    onChange(callback) {
+        this.#onChange = callback;
+    }
+
+    /**
+     * All runs of the current batch
+     * @returns {BatchRun[]}
+     */
+    get runs() {
+        return this.#runs;
+    }
+
+    /**
+     * Whether any run is still waiting or executing
+     * @returns {boolean}
+     */
+    get active() {
+        return this.#runs.some(r => r.status === 'pending' || r.status === 'running');
+    }
+
+    /**
+     * Whether any run can still be cancelled (not queued yet, or queued with a known prompt ID)
+     * @returns {boolean}
+     */
+    get cancellable() {
+        return this.#runs.some(r => r.status === 'pending' && (!r.queued || r.promptId !== null));
+    }
+
+    /**
+     * Start tracking a new batch
+     * @param {string[]} labels - One label per run
+     */
+    start(labels) {
+        this.#runs = labels.map(label => ({ label, queued: false, promptId: null, status: /** @type {BatchRunStatus} */ ('pending') }));
+        this.#notify();
+    }
+
+    /**
+     * Stop tracking the current batch
+     */
+    clear() {
+        this.#runs = [];
+        this.#notify();
+    }
+
+    /**
+     * Whether a run should still be queued (false once the batch was cancelled)
+     * @param {number} index
+     * @returns {boolean}
+     */
+    shouldQueue(index) {
+        return this.#runs[index]?.status === 'pending';
+    }
+
+    /**
+     * Record that a run was queued
+     * @param {number} index
+     * @param {string | null} promptId - null if the ID could not be captured
+     */
+    setQueued(index, promptId) {
+        const run = this.#runs[index];
+        if (!run) return;
+        
+        run.queued = true;
+        run.promptId = promptId;
+        this.#notify();
+    }
+
+    /**
+     * Record that a run could not be queued
+     * @param {number} index
+     */
+    setFailed(index) {
+        const run = this.#runs[index];
+        if (!run) return;
+        
+        run.status = 'failed';
+        this.#notify();
+    }
+
+    /**
+     * Remove the batch's not-yet-started runs from the server queue
+     * Runs queued without a captured prompt ID can't be found in the queue, so they keep running.
+     * @returns {Promise<number>} Number of runs that could not be cancelled
+     */
+    async cancelRemaining() {
+        const pending = this.#runs.filter(r => r.status === 'pending');
+        const cancellable = pending.filter(r => !r.queued || r.promptId !== null);
+        const queuedIds = cancellable.map(r => r.promptId).filter(id => id !== null);
+        
+        if (queuedIds.length > 0) {
+            const response = await api.fetchApi('/queue', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ delete: queuedIds })
+            });
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+        }
+        
+        // Runs not queued yet are skipped by the batch loop
+        for (const run of cancellable) {
+            run.status = 'cancelled';
+        }
+        this.#notify();
+        return pending.length - cancellable.length;
+    }
+
+    /**
+     * Add an API event listener and store it for cleanup
+     * @param {string} eventName
+     * @param {(detail: any) => void} handler
+     */
+    #addApiListener(eventName, handler) {
+        const listener = (/** @type {CustomEvent} */ event) => handler(event.detail);
+        api.addEventListener(eventName, listener);
+        this.#eventListeners.set(eventName, listener);
+    }
+
+    /**
+     * Setup API event listeners
+     */
+    #setupEventListeners() {
+        this.#addApiListener('execution_start', (detail) => this.#setStatus(detail?.prompt_id, 'running'));
+        this.#addApiListener('execution_success', (detail) => this.#setStatus(detail?.prompt_id, 'done'));
+        this.#addApiListener('execution_error', (detail) => this.#setStatus(detail?.prompt_id, 'failed'));
+        this.#addApiListener('execution_interrupted', (detail) => this.#setStatus(detail?.prompt_id, 'cancelled'));
+        
+        // Older servers don't send execution_success - `executing` with no node marks the end
+        this.#addApiListener('executing', (detail) => {
+            if (detail !== null && detail?.node !== null) return;
+            const running = this.#runs.find(r => r.status === 'running');
+            if (running) this.#setStatus(running.promptId, 'done');
+        });
+        
+        // An empty queue means every queued run has finished - runs without a captured ID
+        // may also have failed, so their outcome stays unknown
+        this.#addApiListener('status', (detail) => {
+            if (detail?.exec_info?.queue_remaining !== 0) return;
+            
+            let changed = false;
+            for (const run of this.#runs) {
+                if (run.queued && (run.status === 'pending' || run.status === 'running')) {
+                    run.status = run.promptId !== null ? 'done' : 'unknown';
+                    changed = true;
+                }
+            }
+            if (changed) this.#notify();
+        });
+    }
+
+    /**
+     * Update the status of the run with the given prompt ID
+     * @param {string | undefined | null} promptId
+     * @param {BatchRunStatus} status
+     */
+    #setStatus(promptId, status) {
+        const run = promptId ? this.#runs.find(r => r.promptId === promptId) : undefined;
+        if (!run || run.status === status) return;
+        
+        // Don't let a late end-of-execution signal override an error
+        if (run.status === 'failed' || run.status === 'cancelled') return;
+        
+        run.status = status;
+        this.#notify();
+    }
+
+    /**
+     * Notify the change listener
+     */
+    #notify() {
+        this.#onChange?.();
+    }
+}
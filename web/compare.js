@@ -0,0 +1,228 @@
+// @ts-check
+
+/**
+ * A/B Compare Viewer - Split slider, side by side and onion skin views
+ * of two images, with zoom and pan kept in sync between them
+ */
+
+import { t } from './i18n.js';
+import { STORAGE_KEYS } from './constants.js';
+
+/**
+ * @typedef {Object} CompareImage
+ * @property {string} url
+ * @property {string} label
+ */
+
+/** @typedef {'split' | 'side' | 'onion'} CompareMode */
+
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 10;
+
+/**
+ * Show the compare viewer
+ * @param {CompareImage} a
+ * @param {CompareImage} b
+ */
+export function showCompareViewer(a, b) {
+    /** @type {CompareMode} */
+    let mode = /** @type {CompareMode} */ (localStorage.getItem(STORAGE_KEYS.compareMode) || 'split');
+    let split = 50;
+    let opacity = 50;
+    const view = { scale: 1, x: 0, y: 0 };
+
+    const overlay = document.createElement('div');
+    overlay.classList.add('comfy-mobile-form-fullscreen-overlay', 'comfy-mobile-form-compare-overlay');
+    overlay.innerHTML = `
+        <div class="comfy-mobile-form-compare-toolbar">
+            <div class="comfy-mobile-form-compare-modes" role="group" aria-label="${t('compare.mode')}">
+                <button data-mode="split">${t('compare.split')}</button>
+                <button data-mode="side">${t('compare.side')}</button>
+                <button data-mode="onion">${t('compare.onion')}</button>
+            </div>
+            <input type="range" class="comfy-mobile-form-compare-opacity" min="0" max="100" value="${opacity}" aria-label="${t('compare.opacity')}">
+            <button class="comfy-mobile-form-compare-swap" title="${t('compare.swap')}">⇄</button>
+            <button class="comfy-mobile-form-compare-reset" title="${t('compare.reset')}">1:1</button>
+        </div>
+        <div class="comfy-mobile-form-compare-stage">
+            <div class="comfy-mobile-form-compare-pane" data-pane="a">
+                <img draggable="false" alt="">
+                <span class="comfy-mobile-form-compare-label"></span>
+            </div>
+            <div class="comfy-mobile-form-compare-pane" data-pane="b">
+                <img draggable="false" alt="">
+                <span class="comfy-mobile-form-compare-label"></span>
+            </div>
+            <div class="comfy-mobile-form-compare-divider" role="slider" aria-label="${t('compare.splitPosition')}" aria-valuemin="0" aria-valuemax="100" tabindex="0">
+                <span class="comfy-mobile-form-compare-handle"></span>
+            </div>
+        </div>
+        <button class="comfy-mobile-form-fullscreen-close" aria-label="${t('compare.close')}">✕</button>
+    `;
+
+    const stage = /** @type {HTMLDivElement} */ (overlay.querySelector('.comfy-mobile-form-compare-stage'));
+    const paneA = /** @type {HTMLDivElement} */ (overlay.querySelector('[data-pane="a"]'));
+    const paneB = /** @type {HTMLDivElement} */ (overlay.querySelector('[data-pane="b"]'));
+    const images = /** @type {HTMLImageElement[]} */ ([...overlay.querySelectorAll('.comfy-mobile-form-compare-pane img')]);
+    const divider = /** @type {HTMLDivElement} */ (overlay.querySelector('.comfy-mobile-form-compare-divider'));
+    const opacityInput = /** @type {HTMLInputElement} */ (overlay.querySelector('.comfy-mobile-form-compare-opacity'));
+
+    const setImages = () => {
+        for (const [pane, image] of /** @type {Array<[HTMLDivElement, CompareImage]>} */ ([[paneA, a], [paneB, b]])) {
+            const img = /** @type {HTMLImageElement} */ (pane.querySelector('img'));
+            img.src = image.url;
+            img.alt = image.label;
+            /** @type {HTMLElement} */ (pane.querySelector('.comfy-mobile-form-compare-label')).textContent = `${pane === paneA ? 'A' : 'B'} · ${image.label}`;
+        }
+    };
+
+    const applyTransform = () => {
+        const transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+        images.forEach(img => img.style.transform = transform);
+    };
+
+    const applyMode = () => {
+        stage.dataset.mode = mode;
+        overlay.querySelectorAll('.comfy-mobile-form-compare-modes button').forEach(btn => {
+            btn.classList.toggle('active', btn.getAttribute('data-mode') === mode);
+        });
+        opacityInput.hidden = mode !== 'onion';
+        divider.hidden = mode !== 'split';
+
+        paneB.style.clipPath = mode === 'split' ? `inset(0 0 0 ${split}%)` : '';
+        paneB.style.opacity = mode === 'onion' ? String(opacity / 100) : '';
+        divider.style.left = `${split}%`;
+        divider.setAttribute('aria-valuenow', String(Math.round(split)));
+    };
+
+    /**
+     * Zoom around a point given in stage-relative pixels
+     * @param {number} factor
+     * @param {number} px
+     * @param {number} py
+     */
+    const zoomAt = (factor, px, py) => {
+        const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, view.scale * factor));
+        const applied = scale / view.scale;
+        // Keep the point under the cursor fixed (transforms are relative to the pane center)
+        const pane = mode === 'side' ? paneA : stage;
+        const cx = px - pane.clientWidth / 2;
+        const cy = py - pane.clientHeight / 2;
+        view.x = cx - (cx - view.x) * applied;
+        view.y = cy - (cy - view.y) * applied;
+        view.scale = scale;
+        applyTransform();
+    };
+
+    const resetView = () => {
+        view.scale = 1;
+        view.x = 0;
+        view.y = 0;
+        applyTransform();
+    };
+
+    /**
+     * Get a pointer position relative to the pane it is over
+     * @param {PointerEvent | WheelEvent} e
+     * @returns {{x: number, y: number}}
+     */
+    const panePoint = (e) => {
+        const target = mode === 'side' && paneB.contains(/** @type {Node} */ (e.target)) ? paneB : (mode === 'side' ? paneA : stage);
+        const rect = target.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    // Split divider dragging
+    let draggingDivider = false;
+    divider.addEventListener('pointerdown', (e) => {
+        e.stopPropagation();
+        draggingDivider = true;
+        divider.setPointerCapture(e.pointerId);
+    });
+    divider.addEventListener('pointermove', (e) => {
+        if (!draggingDivider) return;
+        const rect = stage.getBoundingClientRect();
+        split = Math.min(100, Math.max(0, ((e.clientX - rect.left) / rect.width) * 100));
+        applyMode();
+    });
+    divider.addEventListener('pointerup', () => draggingDivider = false);
+    divider.addEventListener('pointercancel', () => draggingDivider = false);
+    divider.addEventListener('keydown', (e) => {
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+        e.preventDefault();
+        split = Math.min(100, Math.max(0, split + (e.key === 'ArrowLeft' ? -2 : 2)));
+        applyMode();
+    });
+
+    // Pan with one pointer, pinch-zoom with two
+    /** @type {Map<number, {x: number, y: number}>} */
+    const pointers = new Map();
+    let pinchDistance = 0;
+
+    stage.addEventListener('pointerdown', (e) => {
+        stage.setPointerCapture(e.pointerId);
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (pointers.size === 2) {
+            const [p1, p2] = [...pointers.values()];
+            pinchDistance = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+        }
+    });
+    stage.addEventListener('pointermove', (e) => {
+        const previous = pointers.get(e.pointerId);
+        if (!previous) return;
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (pointers.size === 1) {
+            view.x += e.clientX - previous.x;
+            view.y += e.clientY - previous.y;
+            applyTransform();
+        } else if (pointers.size === 2) {
+            const [p1, p2] = [...pointers.values()];
+            const distance = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+            if (pinchDistance > 0) {
+                const rect = (mode === 'side' ? paneA : stage).getBoundingClientRect();
+                zoomAt(distance / pinchDistance, (p1.x + p2.x) / 2 - rect.left, (p1.y + p2.y) / 2 - rect.top);
+            }
+            pinchDistance = distance;
+        }
+    });
+    const releasePointer = (/** @type {PointerEvent} */ e) => {
+        pointers.delete(e.pointerId);
+        pinchDistance = 0;
+    };
+    stage.addEventListener('pointerup', releasePointer);
+    stage.addEventListener('pointercancel', releasePointer);
+
+    stage.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const point = panePoint(e);
+        zoomAt(Math.exp(-e.deltaY * 0.002), point.x, point.y);
+    }, { passive: false });
+
+    stage.addEventListener('dblclick', resetView);
+
+    // Toolbar
+    overlay.querySelectorAll('.comfy-mobile-form-compare-modes button').forEach(btn => {
+        btn.addEventListener('click', () => {
+            mode = /** @type {CompareMode} */ (btn.getAttribute('data-mode'));
+            localStorage.setItem(STORAGE_KEYS.compareMode, mode);
+            resetView();
+            applyMode();
+        });
+    });
+    opacityInput.addEventListener('input', () => {
+        opacity = parseInt(opacityInput.value, 10);
+        applyMode();
+    });
+    overlay.querySelector('.comfy-mobile-form-compare-swap')?.addEventListener('click', () => {
+        [a, b] = [b, a];
+        setImages();
+    });
+    overlay.querySelector('.comfy-mobile-form-compare-reset')?.addEventListener('click', resetView);
+    overlay.querySelector('.comfy-mobile-form-fullscreen-close')?.addEventListener('click', () => overlay.remove());
+
+    setImages();
+    applyMode();
+    applyTransform();
+    document.body.appendChild(overlay);
+}
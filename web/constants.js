@@ -9,8 +9,14 @@
 // Layout Constants
 // ============================================
 
+/** Columns of the desktop grid, unless a form or section sets its own */
+export const DEFAULT_GRID_COLUMNS = 4;
+
+/** Column counts a form or section can be given */
+export const GRID_COLUMN_OPTIONS = [1, 2, 3, 4, 5, 6, 8, 10, 12];
+
 /** Maximum columns in the grid layout */
-export const MAX_GRID_COLUMNS = 4;
+export const MAX_GRID_COLUMNS = 12;
 
 /** Breakpoint for mobile view (pixels) */
 export const MOBILE_BREAKPOINT = 768;
@@ -65,7 +71,7 @@ export const WIDGET_HEIGHTS = {
 // Widget Widths (column spans)
 // ============================================
 
-export const WIDGET_WIDTHS = ['1', '2', '3', '4'];
+export const WIDGET_WIDTHS = Array.from({ length: MAX_GRID_COLUMNS }, (_, i) => String(i + 1));
 
 // ============================================
 // Colors
@@ -84,7 +90,13 @@ export const STORAGE_KEYS = {
     settings: 'MobileFormSettings',
     outputsView: 'mf-outputs-view',
     sectionCollapsed: 'mf-section-collapsed-',
-    autoShowOnMobile: 'mf-auto-show-mobile'
+    autoShowOnMobile: 'mf-auto-show-mobile',
+    compareMode: 'MobileForm.compareMode',
+    outputRatings: 'MobileForm.outputRatings',
+    outputsRatedOnly: 'MobileForm.outputsRatedOnly',
+    outputsSort: 'MobileForm.outputsSort',
+    zipManifest: 'MobileForm.zipManifest',
+    activeForm: 'MobileForm.activeForm'
 };
 
 // ============================================
@@ -107,6 +119,12 @@ export const MAX_BATCH_COUNT = 100;
 /** Maximum outputs to show in gallery */
 export const MAX_OUTPUTS_DISPLAY = 100;
 
+/** Number of prompts fetched per history page */
+export const HISTORY_PAGE_SIZE = 20;
+
 /** Maximum file size for upload (50MB) */
 export const MAX_UPLOAD_SIZE = 50 * 1024 * 1024;
 
+
+/** Highest star rating an output can be given */
+export const MAX_OUTPUT_RATING = 5;
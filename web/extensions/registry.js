@@ -306,6 +306,7 @@ export function createHandlerFromConfig(config) {
             
             const widgetWrapper = document.createElement('div');
             widgetWrapper.classList.add('comfy-mobile-form-widget-wrapper');
+            widgetWrapper.dataset.widgetName = widget.name;
             
             addTitle(widgetWrapper, widget.name);
             
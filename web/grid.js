@@ -0,0 +1,60 @@
+// @ts-check
+
+/**
+ * Grid Columns - Column counts of the card grids
+ *
+ * A form, and each of its sections, can set its own column count per layout
+ * profile. Grids without one keep the stylesheet's columns (four on desktop, two
+ * on phones and in panel mode). A card spans its width in columns, but never more
+ * than its grid has.
+ */
+
+import { DEFAULT_GRID_COLUMNS } from './constants.js';
+
+/**
+ * Set the column count of a card grid and fit its cards to it
+ * @param {HTMLElement} grid
+ * @param {number} [columns] - Omit for the stylesheet's columns
+ */
+export function setGridColumnCount(grid, columns) {
+    if (columns) {
+        grid.dataset.columns = String(columns);
+        grid.style.gridTemplateColumns = `repeat(${columns}, minmax(0, 1fr))`;
+    } else {
+        delete grid.dataset.columns;
+        grid.style.gridTemplateColumns = '';
+    }
+
+    for (const card of grid.children) {
+        if (card.classList.contains('comfy-mobile-form-widget')) {
+            updateCardSpan(/** @type {HTMLElement} */ (card));
+        }
+    }
+}
+
+/**
+ * Fit a card to the column count of its grid (after its width or row break changed)
+ * @param {HTMLElement} card
+ */
+export function updateCardSpan(card) {
+    const width = Number(card.dataset.width) || 1;
+    const columns = Number(card.parentElement?.dataset.columns);
+    if (!columns) {
+        // The stylesheet spans widths up to its four columns; wider cards (picked in a
+        // wider grid) take the full row
+        card.style.gridColumn = width > DEFAULT_GRID_COLUMNS ? '1 / -1' : '';
+        return;
+    }
+
+    const span = Math.min(width, columns);
+    card.style.gridColumn = card.dataset.break === 'true' ? `1 / span ${span}` : `span ${span}`;
+}
+
+/**
+ * Get the number of columns a card's width is picked from
+ * @param {HTMLElement} card
+ * @returns {number}
+ */
+export function getCardColumns(card) {
+    return Number(card.parentElement?.dataset.columns) || DEFAULT_GRID_COLUMNS;
+}
@@ -0,0 +1,136 @@
+// @ts-check
+
+/**
+ * Layout History - Undo/redo for the layout edits made from the form
+ * (moves, sizes, colors, hidden fields, renames, bypass toggles...)
+ *
+ * Each change records how to undo and redo itself. Changes recorded while
+ * handling one user action (e.g. splitting a widget saves its node and its
+ * new card) become a single step.
+ */
+
+/**
+ * @typedef {Object} HistoryStep
+ * @property {Array<() => void>} undo - Run in reverse order
+ * @property {Array<() => void>} redo
+ */
+
+/** Oldest steps are dropped beyond this */
+const MAX_STEPS = 100;
+
+/** @type {HistoryStep[]} */
+const undoStack = [];
+
+/** @type {HistoryStep[]} */
+const redoStack = [];
+
+/** Step collecting the changes of the action being handled */
+/** @type {HistoryStep | null} */
+let openStep = null;
+
+/** Set while undoing/redoing so the replayed saves aren't recorded again */
+let replaying = false;
+
+/** @type {Set<() => void>} */
+const listeners = new Set();
+
+function notify() {
+    listeners.forEach(listener => listener());
+}
+
+/**
+ * Record a layout change that has just been made
+ * @param {() => void} undo - Restores the state before the change
+ * @param {() => void} redo - Makes the change again
+ */
+export function recordLayoutChange(undo, redo) {
+    if (replaying) return;
+
+    if (!openStep) {
+        const step = /** @type {HistoryStep} */ ({ undo: [], redo: [] });
+        openStep = step;
+        undoStack.push(step);
+        if (undoStack.length > MAX_STEPS) undoStack.shift();
+        redoStack.length = 0;
+        // Close the step once the current action has finished
+        setTimeout(() => {
+            if (openStep === step) openStep = null;
+        }, 0);
+        notify();
+    }
+
+    openStep.undo.push(undo);
+    openStep.redo.push(redo);
+}
+
+/**
+ * Undo the last layout change
+ * @returns {boolean} Whether there was anything to undo
+ */
+export function undoLayoutChange() {
+    const step = undoStack.pop();
+    if (!step) return false;
+
+    openStep = null;
+    replaying = true;
+    try {
+        [...step.undo].reverse().forEach(undo => undo());
+    } finally {
+        replaying = false;
+    }
+    redoStack.push(step);
+    notify();
+    return true;
+}
+
+/**
+ * Redo the last undone layout change
+ * @returns {boolean} Whether there was anything to redo
+ */
+export function redoLayoutChange() {
+    const step = redoStack.pop();
+    if (!step) return false;
+
+    openStep = null;
+    replaying = true;
+    try {
+        step.redo.forEach(redo => redo());
+    } finally {
+        replaying = false;
+    }
+    undoStack.push(step);
+    notify();
+    return true;
+}
+
+/**
+ * @returns {boolean}
+ */
+export function canUndoLayoutChange() {
+    return undoStack.length > 0;
+}
+
+/**
+ * @returns {boolean}
+ */
+export function canRedoLayoutChange() {
+    return redoStack.length > 0;
+}
+
+/**
+ * Forget all steps (e.g. when another workflow is loaded)
+ */
+export function clearLayoutHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    openStep = null;
+    notify();
+}
+
+/**
+ * Register a callback for when the undo/redo availability may have changed
+ * @param {() => void} listener
+ */
+export function onLayoutHistoryChange(listener) {
+    listeners.add(listener);
+}
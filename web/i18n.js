@@ -0,0 +1,129 @@
+// @ts-check
+
+/**
+ * Localization - String tables for the form UI
+ *
+ * Each language is a locale pack in `locales/` holding its UI strings and the
+ * localized names of the form groups. Strings missing from a pack fall back to
+ * English. The language is a per-browser setting that defaults to the browser
+ * locale; it applies on the next page load.
+ */
+
+import en from './locales/en.js';
+import de from './locales/de.js';
+import es from './locales/es.js';
+import fr from './locales/fr.js';
+import zh from './locales/zh.js';
+
+/**
+ * A string, or its plural forms keyed by Intl.PluralRules category (picked with the `count` parameter)
+ * @typedef {string | Partial<Record<Intl.LDMLPluralRule, string>> & {other: string}} LocaleString
+ */
+
+/**
+ * @typedef {Object} LocalePack
+ * @property {string} name - Language name in the language itself
+ * @property {{inputs: string[], outputs: string[]}} groups - Group titles that make a form, the first is shown in hints
+ * @property {Object.<string, LocaleString>} strings
+ */
+
+/** @type {Object.<string, LocalePack>} */
+const PACKS = { en, de, es, fr, zh };
+
+/** localStorage key of the language setting ('auto' or a pack code) */
+const STORAGE_KEY = 'MobileForm.language';
+
+/**
+ * Pick the pack for a language setting
+ * @param {string} setting - 'auto' or a pack code
+ * @returns {string} Pack code
+ */
+function resolveLanguage(setting) {
+    if (setting !== 'auto' && setting in PACKS) return setting;
+
+    for (const locale of navigator.languages || [navigator.language]) {
+        const code = locale.toLowerCase();
+        if (code in PACKS) return code;
+        const base = code.split('-')[0];
+        if (base in PACKS) return base;
+    }
+    return 'en';
+}
+
+/**
+ * Get the language setting
+ * @returns {string} 'auto' or a pack code
+ */
+export function getLanguageSetting() {
+    try {
+        return localStorage.getItem(STORAGE_KEY) || 'auto';
+    } catch (e) {
+        return 'auto';
+    }
+}
+
+/**
+ * Save the language setting (used from the next page load)
+ * @param {string} setting - 'auto' or a pack code
+ */
+export function setLanguageSetting(setting) {
+    try {
+        localStorage.setItem(STORAGE_KEY, setting);
+    } catch (e) {}
+}
+
+/** Language of this page load */
+const language = resolveLanguage(getLanguageSetting());
+const pack = PACKS[language];
+const pluralRules = new Intl.PluralRules(language);
+
+/**
+ * @returns {string} Code of the language in use
+ */
+export function getLanguage() {
+    return language;
+}
+
+/**
+ * @returns {Array<{value: string, label: string}>} Available languages
+ */
+export function getLanguages() {
+    return Object.entries(PACKS).map(([value, { name }]) => ({ value, label: name }));
+}
+
+/**
+ * Get a UI string in the current language
+ * `{name}` placeholders are replaced by the matching parameter; plural strings are picked by `count`.
+ * @param {string} key
+ * @param {Object.<string, string | number>} [params]
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+    let value = pack.strings[key] ?? en.strings[key];
+    if (value === undefined) {
+        console.warn("[MobileForm] Missing UI string:", key);
+        return key;
+    }
+    if (typeof value !== 'string') {
+        value = value[pluralRules.select(Number(params.count ?? 0))] ?? value.other;
+    }
+    return value.replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match);
+}
+
+/**
+ * Get the group title shown in hints, e.g. "Form Inputs"
+ * @param {'inputs' | 'outputs'} kind
+ * @returns {string}
+ */
+export function getGroupTitle(kind) {
+    return pack.groups[kind][0] ?? en.groups[kind][0];
+}
+
+/**
+ * Get the group titles of every language, so a workflow built in one language works in all of them
+ * @param {'inputs' | 'outputs'} kind
+ * @returns {string[]}
+ */
+export function getLocalizedGroupTitles(kind) {
+    return [...new Set(Object.values(PACKS).flatMap(p => p.groups[kind]))];
+}
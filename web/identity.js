@@ -0,0 +1,268 @@
+// @ts-check
+
+/**
+ * Settings Identity - Re-match per-node settings when node IDs change
+ *
+ * Each settings entry records the node it was made for (`identity`: type, title
+ * and widget names). After copy-pasting nodes, merging workflows or re-importing
+ * templates the IDs may no longer line up, so entries are moved to the node that
+ * matches best. Entries matching no node are kept under `_orphaned` so a later
+ * load can still place them.
+ */
+
+/** @import {ComfyUIGraphNode} from "./types" */
+/** @import {AllWidgetSettings, CardOrder, FormPreset, WidgetSettings} from "./widget.js" */
+
+/**
+ * @typedef {Object} NodeIdentity
+ * @property {string} type - Node class type
+ * @property {string} title
+ * @property {string[]} widgets - Widget names
+ */
+
+/**
+ * Settings entry whose node is not in the graph
+ * @typedef {Object} OrphanedSettings
+ * @property {number} id - Node ID the entry was saved under
+ * @property {WidgetSettings} settings
+ */
+
+/**
+ * @typedef {Object} SettingsMatchReport
+ * @property {Array<{from: number, to: number, title: string}>} rematched - Entries moved to another node ID
+ * @property {Array<{id: number, title: string}>} orphaned - Entries that lost their node on this load
+ */
+
+/** Match scores - a node must have the recorded type, and its title or widgets (or ID) too */
+const SCORE_TYPE = 1;
+const SCORE_TITLE = 4;
+const SCORE_SAME_ID = 2;
+const SCORE_WIDGETS = 1;
+
+/** Entries saved before identities were recorded stay with the node holding their ID */
+const SCORE_LEGACY = SCORE_TYPE + SCORE_TITLE + SCORE_SAME_ID + SCORE_WIDGETS;
+
+/**
+ * Describe a node for its settings entry
+ * @param {ComfyUIGraphNode} node
+ * @returns {NodeIdentity}
+ */
+export function getNodeIdentity(node) {
+    return {
+        type: node.type,
+        title: node.title || node.type,
+        widgets: (node.widgets || []).map(w => w.name)
+    };
+}
+
+/**
+ * Score how well a node fits a recorded identity
+ * @param {NodeIdentity} identity
+ * @param {ComfyUIGraphNode} node
+ * @param {boolean} sameId - The node holds the ID the entry was saved under
+ * @returns {number} 0 if the node cannot be the one
+ */
+function scoreMatch(identity, node, sameId) {
+    if (node.type !== identity.type) return 0;
+
+    const current = getNodeIdentity(node);
+    const sameTitle = current.title === identity.title;
+    const sameWidgets = current.widgets.join('\n') === (identity.widgets || []).join('\n');
+    // Another node of the same type alone is no reason to move an entry there
+    if (!sameTitle && !sameWidgets && !sameId) return 0;
+
+    let score = SCORE_TYPE;
+    if (sameTitle) score += SCORE_TITLE;
+    if (sameId) score += SCORE_SAME_ID;
+    if (sameWidgets) score += SCORE_WIDGETS;
+    return score;
+}
+
+/**
+ * Give each entry its best node - the best-scoring pairs are placed first
+ * @template T
+ * @param {Array<{entry: T, node: ComfyUIGraphNode, score: number}>} pairs
+ * @returns {Map<T, ComfyUIGraphNode>}
+ */
+function placeBestPairs(pairs) {
+    pairs.sort((a, b) => b.score - a.score);
+
+    /** @type {Map<T, ComfyUIGraphNode>} */
+    const placed = new Map();
+    /** @type {Set<number>} */
+    const claimed = new Set();
+    for (const { entry, node } of pairs) {
+        if (placed.has(entry) || claimed.has(node.id)) continue;
+        placed.set(entry, node);
+        claimed.add(node.id);
+    }
+    return placed;
+}
+
+/**
+ * Match recorded identities to graph nodes by type and title, ignoring node IDs
+ * (e.g. for a layout exported from another workflow). Nodes with another title never match.
+ * @param {Array<{id: number, identity: NodeIdentity}>} entries
+ * @param {ComfyUIGraphNode[]} nodes
+ * @returns {Map<number, ComfyUIGraphNode>} Entry ID -> matching node
+ */
+export function matchIdentitiesToNodes(entries, nodes) {
+    /** @type {Array<{entry: typeof entries[number], node: ComfyUIGraphNode, score: number}>} */
+    const pairs = [];
+    for (const entry of entries) {
+        for (const node of nodes) {
+            if (getNodeIdentity(node).title !== entry.identity.title) continue;
+            const score = scoreMatch(entry.identity, node, false);
+            if (score > 0) pairs.push({ entry, node, score });
+        }
+    }
+
+    const placed = placeBestPairs(pairs);
+    return new Map([...placed].map(([entry, node]) => [entry.id, node]));
+}
+
+/**
+ * Map a card ID of a widget order to the node's new ID
+ * @param {number | string} cardId - Node ID, or "nodeId:widgetName" for split-out cards
+ * @param {Map<number, number>} idMap
+ * @returns {number | string}
+ */
+function remapCardId(cardId, idMap) {
+    if (typeof cardId === 'number') return idMap.get(cardId) ?? cardId;
+
+    const separator = cardId.indexOf(':');
+    const nodeId = Number(separator === -1 ? cardId : cardId.slice(0, separator));
+    if (!idMap.has(nodeId)) return cardId;
+    return separator === -1 ? String(idMap.get(nodeId)) : `${idMap.get(nodeId)}${cardId.slice(separator)}`;
+}
+
+/**
+ * Map a widget order to the new node IDs (dropping cards that now appear twice)
+ * @param {CardOrder} order
+ * @param {Map<number, number>} idMap
+ * @returns {CardOrder}
+ */
+function remapOrder(order, idMap) {
+    return [...new Set(order.map(cardId => remapCardId(cardId, idMap)))];
+}
+
+/**
+ * Move the settings entries to the nodes they were made for
+ * Node IDs referenced elsewhere (widget order, visibility rules, presets) follow the moved entries.
+ * @param {AllWidgetSettings} allSettings
+ * @param {ComfyUIGraphNode[]} nodes
+ * @returns {{settings: AllWidgetSettings, report: SettingsMatchReport}}
+ */
+export function matchSettingsToNodes(allSettings, nodes) {
+    const nodesById = new Map(nodes.map(node => [node.id, node]));
+
+    // Entries of this load, then the ones orphaned by earlier loads
+    /** @type {Array<{id: number, settings: WidgetSettings, orphan: boolean}>} */
+    const entries = [];
+    for (const [key, value] of Object.entries(allSettings)) {
+        if (/^\d+$/.test(key)) {
+            entries.push({ id: Number(key), settings: /** @type {WidgetSettings} */ (value), orphan: false });
+        }
+    }
+    const previousOrphans = /** @type {OrphanedSettings[]} */ (allSettings._orphaned || []);
+    for (const orphan of previousOrphans) {
+        entries.push({ id: orphan.id, settings: orphan.settings, orphan: true });
+    }
+
+    // Score every entry against every node
+    /** @type {Array<{entry: typeof entries[number], node: ComfyUIGraphNode, score: number}>} */
+    const pairs = [];
+    for (const entry of entries) {
+        const identity = entry.settings.identity;
+        if (!identity) {
+            const node = nodesById.get(entry.id);
+            if (node && !entry.orphan) pairs.push({ entry, node, score: SCORE_LEGACY });
+            continue;
+        }
+        for (const node of nodes) {
+            const score = scoreMatch(identity, node, !entry.orphan && node.id === entry.id);
+            if (score > 0) pairs.push({ entry, node, score });
+        }
+    }
+    const placed = placeBestPairs(pairs);
+
+    /** @type {SettingsMatchReport} */
+    const report = { rematched: [], orphaned: [] };
+    /** @type {AllWidgetSettings} */
+    const settings = {};
+    for (const [key, value] of Object.entries(allSettings)) {
+        if (!/^\d+$/.test(key) && key !== '_orphaned') settings[key] = value;
+    }
+
+    // Old ID -> new ID of the entries that moved within this workflow
+    /** @type {Map<number, number>} */
+    const idMap = new Map();
+    /** @type {OrphanedSettings[]} */
+    const orphans = [];
+
+    for (const entry of entries) {
+        const node = placed.get(entry);
+        const title = entry.settings.identity?.title || `#${entry.id}`;
+        if (!node) {
+            orphans.push({ id: entry.id, settings: entry.settings });
+            if (!entry.orphan) report.orphaned.push({ id: entry.id, title });
+            continue;
+        }
+
+        // Keep the identity current (e.g. after renaming the node on the canvas)
+        settings[node.id] = { ...entry.settings, identity: getNodeIdentity(node) };
+        if (entry.orphan || node.id !== entry.id) {
+            report.rematched.push({ from: entry.id, to: node.id, title });
+        }
+        if (!entry.orphan && node.id !== entry.id) {
+            idMap.set(entry.id, node.id);
+        }
+    }
+
+    if (orphans.length > 0) {
+        settings._orphaned = orphans;
+    }
+    if (idMap.size === 0) {
+        return { settings, report };
+    }
+
+    if (Array.isArray(settings._order)) {
+        settings._order = remapOrder(/** @type {CardOrder} */ (settings._order), idMap);
+    }
+    if (settings._formOrders) {
+        const formOrders = /** @type {Object.<string, CardOrder>} */ (settings._formOrders);
+        settings._formOrders = Object.fromEntries(
+            Object.entries(formOrders).map(([name, order]) => [name, remapOrder(order, idMap)])
+        );
+    }
+    if (settings._profileOrders) {
+        const profileOrders = /** @type {Object.<string, Object.<string, CardOrder>>} */ (settings._profileOrders);
+        settings._profileOrders = Object.fromEntries(Object.entries(profileOrders).map(([profile, formOrders]) => [
+            profile,
+            Object.fromEntries(Object.entries(formOrders).map(([name, order]) => [name, remapOrder(order, idMap)]))
+        ]));
+    }
+    if (Array.isArray(settings._presets)) {
+        settings._presets = /** @type {FormPreset[]} */ (settings._presets).map(preset => ({
+            ...preset,
+            values: Object.fromEntries(
+                Object.entries(preset.values).map(([id, values]) => [String(idMap.get(Number(id)) ?? id), values])
+            )
+        }));
+    }
+    for (const [key, value] of Object.entries(settings)) {
+        if (!/^\d+$/.test(key)) continue;
+        const entry = /** @type {WidgetSettings} */ (value);
+        const rules = entry.visibilityRules;
+        if (!rules) continue;
+        settings[key] = {
+            ...entry,
+            visibilityRules: Object.fromEntries(Object.entries(rules).map(([widgetName, rule]) => [
+                widgetName,
+                idMap.has(rule.nodeId) ? { ...rule, nodeId: /** @type {number} */ (idMap.get(rule.nodeId)) } : rule
+            ]))
+        };
+    }
+
+    return { settings, report };
+}
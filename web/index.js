@@ -5,7 +5,12 @@ import { app } from "../../scripts/app.js";
 // @ts-ignore
 import { api } from "../../scripts/api.js";
 import { MobileFormUI } from "./ui.js";
-import { migrateLocalStorageToWorkflow, getSettingsDebugInfo } from "./widget.js";
+import { migrateLocalStorageToWorkflow, getSettingsDebugInfo, setCurrentGraph, checkWorkflowSettings, rematchWorkflowSettings } from "./widget.js";
+import { clearLayoutHistory } from "./history.js";
+import { THEMES, CUSTOM_THEME_COLORS, getStoredTheme, loadTheme, saveTheme, applyTheme } from "./theme.js";
+import { t, getLanguages, getLanguageSetting, setLanguageSetting } from "./i18n.js";
+
+/** @import {ThemeName, CustomTheme} from "./theme.js" */
 
 // Debug logging - set to true for development
 const DEBUG = false;
@@ -60,7 +65,7 @@ function setSetting(key, value) {
 function createSidebarButton() {
     const button = document.createElement('button');
     button.classList.add(..."comfy-mobile-form-sidebar-toggle p-button p-component p-button-icon-only p-button-text side-bar-button p-button-secondary".split(' '));
-    button.title = 'Toggle Form View';
+    button.title = t('app.toggle');
 
     const button_icon = document.createElement('span');
     button_icon.classList.add("side-bar-button-icon", "mf-icon");
@@ -88,8 +93,8 @@ async function createMenuButton() {
                 ui.toggleVisible();
                 updateButtonState();
             },
-            tooltip: "Toggle Form View",
-            content: "Form",
+            tooltip: t('app.toggle'),
+            content: t('header.form'),
             classList: "comfyui-button comfyui-menu-mobile-collapse"
         });
         
@@ -98,7 +103,7 @@ async function createMenuButton() {
             action: () => {
                 showSettings();
             },
-            tooltip: "Form View Settings",
+            tooltip: t('settings.title'),
             content: "▼"
         });
         
@@ -127,22 +132,51 @@ function updateButtonState() {
  * Show settings dialog
  */
 function showSettings() {
+    const themeSettings = getStoredTheme();
+    const languageSetting = getLanguageSetting();
+    
     // Create simple settings dialog
     const dialog = document.createElement('div');
     dialog.classList.add('comfy-mobile-form-settings-dialog');
     dialog.innerHTML = `
         <div class="comfy-mobile-form-settings-content">
-            <h3>Form View Settings</h3>
+            <h3>${t('settings.title')}</h3>
             <label class="setting-row">
                 <input type="checkbox" id="mf-auto-show" ${getSetting('autoShowOnMobile', true) ? 'checked' : ''}>
-                <span>Auto-show on mobile devices</span>
+                <span>${t('settings.autoShow')}</span>
             </label>
             <label class="setting-row">
                 <input type="checkbox" id="mf-panel-mode" ${getSetting('panelMode', false) ? 'checked' : ''}>
-                <span>Side panel mode (desktop)</span>
+                <span>${t('settings.panelMode')}</span>
+            </label>
+            <label class="setting-row">
+                <input type="checkbox" id="mf-wizard-mode" ${getSetting('wizardMode', false) ? 'checked' : ''}>
+                <span>${t('settings.wizardMode')}</span>
+            </label>
+            <label class="setting-select">
+                <span>${t('settings.language')}</span>
+                <select id="mf-language">
+                    <option value="auto" ${languageSetting === 'auto' ? 'selected' : ''}>${t('settings.languageAuto')}</option>
+                    ${getLanguages().map(l => `<option value="${l.value}" ${l.value === languageSetting ? 'selected' : ''}>${l.label}</option>`).join('')}
+                </select>
+            </label>
+            <div class="setting-hint" hidden>${t('settings.languageReload')}</div>
+            <label class="setting-select">
+                <span>${t('settings.theme')}</span>
+                <select id="mf-theme">
+                    ${THEMES.map(theme => `<option value="${theme.value}" ${theme.value === themeSettings.theme ? 'selected' : ''}>${theme.label}</option>`).join('')}
+                </select>
             </label>
+            <div class="setting-colors" ${themeSettings.theme === 'custom' ? '' : 'hidden'}>
+                ${CUSTOM_THEME_COLORS.map(c => `
+                    <label class="setting-color">
+                        <span>${c.label}</span>
+                        <input type="color" data-color="${c.key}" value="${themeSettings.custom[c.key]}">
+                    </label>
+                `).join('')}
+            </div>
             <div class="settings-actions">
-                <button class="close-settings">Close</button>
+                <button class="close-settings">${t('dialog.closeButton')}</button>
             </div>
         </div>
     `;
@@ -158,6 +192,38 @@ function showSettings() {
         document.querySelector('.comfy-mobile-form')?.classList.toggle('panel-mode', panelMode);
     });
     
+    dialog.querySelector('#mf-wizard-mode')?.addEventListener('change', (e) => {
+        const wizardMode = /** @type {HTMLInputElement} */ (e.target).checked;
+        setSetting('wizardMode', wizardMode);
+        ui.setWizardMode(wizardMode);
+    });
+    
+    // The language applies on the next page load
+    dialog.querySelector('#mf-language')?.addEventListener('change', (e) => {
+        const setting = /** @type {HTMLSelectElement} */ (e.target).value;
+        setLanguageSetting(setting);
+        /** @type {HTMLElement} */ (dialog.querySelector('.setting-hint')).hidden = setting === languageSetting;
+    });
+    
+    // Themes apply live; colour pickers only save once a colour is chosen
+    const customColors = /** @type {HTMLElement} */ (dialog.querySelector('.setting-colors'));
+    dialog.querySelector('#mf-theme')?.addEventListener('change', (e) => {
+        themeSettings.theme = /** @type {ThemeName} */ (/** @type {HTMLSelectElement} */ (e.target).value);
+        customColors.hidden = themeSettings.theme !== 'custom';
+        applyTheme(themeSettings);
+        saveTheme(themeSettings);
+    });
+    
+    customColors.querySelectorAll('input[type="color"]').forEach(input => {
+        const colorInput = /** @type {HTMLInputElement} */ (input);
+        const key = /** @type {keyof CustomTheme} */ (colorInput.dataset.color);
+        colorInput.addEventListener('input', () => {
+            themeSettings.custom[key] = colorInput.value;
+            applyTheme(themeSettings);
+        });
+        colorInput.addEventListener('change', () => saveTheme(themeSettings));
+    });
+    
     dialog.querySelector('.close-settings')?.addEventListener('click', () => {
         dialog.remove();
     });
@@ -190,6 +256,10 @@ app.registerExtension({
         style_elem.rel = "stylesheet";
         style_elem.href = `${BASE_PATH}/style.css`;
         document.head.appendChild(style_elem);
+        
+        // Apply the theme saved in this browser right away, then the one from the user settings
+        applyTheme(getStoredTheme());
+        loadTheme().then(applyTheme);
 
         // Create UI root
         const ui_root_elem = document.createElement('div');
@@ -199,6 +269,9 @@ app.registerExtension({
         if(getSetting('panelMode', false)) {
             ui_root_elem.classList.add('panel-mode');
         }
+        
+        // Apply wizard mode setting
+        ui.setWizardMode(getSetting('wizardMode', false));
 
         const graph_canvas_container = document.querySelector(".graph-canvas-container");
         if(!graph_canvas_container) {
@@ -308,8 +381,8 @@ app.registerExtension({
                 separator.style.width = "100%";
                 
                 const formButton = document.createElement("button");
-                formButton.textContent = "Form View";
-                formButton.title = "Toggle Form View";
+                formButton.textContent = t('app.formView');
+                formButton.title = t('app.toggle');
                 formButton.onclick = () => {
                     ui.toggleVisible();
                     updateCanvasTextareas();
@@ -345,6 +418,25 @@ app.registerExtension({
     },
     
     async afterConfigureGraph(_, app) {
+        // Undo steps belong to the previous workflow
+        clearLayoutHistory();
+        
+        // Unreadable or invalid settings are reported (and backed up) instead of silently dropped
+        setCurrentGraph(app.graph);
+        const problems = checkWorkflowSettings();
+        
+        // Settings whose node IDs changed (pasted nodes, merged workflows) follow their nodes before rendering
+        const report = rematchWorkflowSettings();
+        if (report.rematched.length > 0) {
+            log("Form settings re-matched:", report.rematched);
+        }
+        if (report.orphaned.length > 0) {
+            console.warn("[MobileForm] Form settings lost their nodes:", report.orphaned);
+        }
+        if (problems.length > 0 || report.rematched.length > 0 || report.orphaned.length > 0) {
+            ui?.reportSettings(report, problems);
+        }
+        
         ui?.setGraph(app.graph);
         
         // Log settings state after workflow load
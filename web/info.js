@@ -0,0 +1,270 @@
+// @ts-check
+
+/**
+ * Output Info - Panel describing the prompt an output came from
+ * (queued input values, producing node, run duration and seeds)
+ */
+
+import { fetchHistoryEntry } from './params.js';
+import { escapeHtml } from './widget.js';
+import { t } from './i18n.js';
+
+/** @import {OutputItem} from "./outputs.js" */
+/** @import {PromptGraph} from "./params.js" */
+
+/**
+ * @typedef {Object} PromptNodeInfo
+ * @property {string} id
+ * @property {string} title - Node title when queued (falls back to the class type)
+ * @property {string} classType
+ * @property {Array<[string, any]>} inputs - Widget values (links to other nodes excluded)
+ */
+
+/**
+ * @typedef {Object} PromptInfo
+ * @property {string} promptId
+ * @property {number | null} startedAt - Execution start time (ms)
+ * @property {number | null} duration - Run duration (ms), if the run finished
+ * @property {string | null} status - Server status string ('success', 'error', ...)
+ * @property {Array<{node: string, name: string, value: any}>} seeds
+ * @property {PromptNodeInfo[]} nodes
+ */
+
+/** Input names that hold a seed */
+const SEED_INPUT_NAMES = ['seed', 'noise_seed'];
+
+/**
+ * Find the timestamp of a status message in a history entry
+ * @param {any} entry
+ * @param {string} type
+ * @returns {number | null}
+ */
+function getMessageTime(entry, type) {
+    // Status messages look like ['execution_start', { timestamp, ... }]
+    const message = entry?.status?.messages?.find((/** @type {any[]} */ m) => m[0] === type);
+    return message?.[1]?.timestamp ?? null;
+}
+
+/**
+ * Read the node titles saved with the queued workflow
+ * @param {any} extraData - Queue item extra_data
+ * @returns {Map<string, string>}
+ */
+function getQueuedTitles(extraData) {
+    /** @type {Map<string, string>} */
+    const titles = new Map();
+    for (const node of extraData?.extra_pnginfo?.workflow?.nodes || []) {
+        if (node?.title) titles.set(String(node.id), node.title);
+    }
+    return titles;
+}
+
+/**
+ * Load everything the info panel shows about a prompt
+ * @param {string} promptId
+ * @returns {Promise<PromptInfo>}
+ */
+export async function fetchPromptInfo(promptId) {
+    const entry = await fetchHistoryEntry(promptId);
+    /** @type {PromptGraph} */
+    const prompt = entry.prompt?.[2] || {};
+    const titles = getQueuedTitles(entry.prompt?.[3]);
+
+    /** @type {PromptNodeInfo[]} */
+    const nodes = [];
+    /** @type {PromptInfo['seeds']} */
+    const seeds = [];
+
+    // Prompt node IDs are numeric strings (or "a:b" inside group nodes) - keep graph order
+    const ids = Object.keys(prompt).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    for (const id of ids) {
+        const node = prompt[id];
+        const title = titles.get(id) || node.class_type;
+        const inputs = /** @type {Array<[string, any]>} */ (
+            Object.entries(node.inputs || {}).filter(([, value]) => !Array.isArray(value))
+        );
+        if (inputs.length === 0) continue;
+
+        nodes.push({ id, title, classType: node.class_type, inputs });
+        for (const [name, value] of inputs) {
+            if (SEED_INPUT_NAMES.includes(name) && typeof value === 'number') {
+                seeds.push({ node: title, name, value });
+            }
+        }
+    }
+
+    const startedAt = getMessageTime(entry, 'execution_start');
+    const endedAt = getMessageTime(entry, 'execution_success') ?? getMessageTime(entry, 'execution_error');
+
+    return {
+        promptId,
+        startedAt,
+        duration: startedAt !== null && endedAt !== null ? endedAt - startedAt : null,
+        status: entry.status?.status_str ?? null,
+        seeds,
+        nodes
+    };
+}
+
+/**
+ * Format a duration for display
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const seconds = ms / 1000;
+    if (seconds < 60) return t('time.seconds', { value: seconds.toFixed(1) });
+    return t('time.minutes', { minutes: Math.floor(seconds / 60), seconds: Math.round(seconds % 60) });
+}
+
+/**
+ * Format an input value for display
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Get the summary lines shown above the parameters
+ * @param {OutputItem} output
+ * @param {PromptInfo | null} info
+ * @returns {Array<[string, string]>}
+ */
+function getSummary(output, info) {
+    /** @type {Array<[string, string]>} */
+    const rows = [
+        [t('info.file'), output.subfolder ? `${output.subfolder}/${output.filename}` : output.filename],
+        [t('info.node'), `${output.nodeTitle} #${output.nodeId}`]
+    ];
+    if (!info) return rows;
+
+    rows.push([t('info.prompt'), info.promptId]);
+    if (info.startedAt !== null) rows.push([t('info.started'), new Date(info.startedAt).toLocaleString()]);
+    if (info.duration !== null) rows.push([t('info.duration'), formatDuration(info.duration)]);
+    if (info.status) rows.push([t('info.status'), info.status]);
+    if (info.seeds.length > 0) {
+        rows.push([t('info.seed'), info.seeds.map(s => info.seeds.length > 1 ? `${s.value} (${s.node})` : String(s.value)).join(', ')]);
+    }
+    return rows;
+}
+
+/**
+ * Format output and prompt info as plain text (for copying)
+ * @param {OutputItem} output
+ * @param {PromptInfo | null} info
+ * @returns {string}
+ */
+export function formatPromptInfoText(output, info) {
+    const lines = getSummary(output, info).map(([label, value]) => `${label}: ${value}`);
+
+    for (const node of info?.nodes || []) {
+        lines.push('', `[${node.title} #${node.id}]${node.title !== node.classType ? ` (${node.classType})` : ''}`);
+        for (const [name, value] of node.inputs) {
+            lines.push(`${name}: ${formatValue(value)}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Show the info panel for an output
+ * @param {OutputItem} output
+ */
+export function showOutputInfo(output) {
+    const overlay = document.createElement('div');
+    overlay.classList.add('comfy-mobile-form-dialog-overlay');
+
+    const dialog = document.createElement('div');
+    dialog.classList.add('comfy-mobile-form-dialog', 'comfy-mobile-form-info-dialog');
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-label', t('outputs.info'));
+    dialog.innerHTML = `
+        <div class="comfy-mobile-form-dialog-header">
+            <h3>${t('outputs.info')}</h3>
+            <button class="comfy-mobile-form-dialog-close" aria-label="${t('dialog.close')}">✕</button>
+        </div>
+        <div class="comfy-mobile-form-dialog-body">
+            <div class="comfy-mobile-form-dialog-hint">${t('history.loading')}</div>
+        </div>
+        <div class="comfy-mobile-form-dialog-footer">
+            <button class="comfy-mobile-form-dialog-btn secondary" data-action="close">${t('dialog.closeButton')}</button>
+            <button class="comfy-mobile-form-dialog-btn primary" data-action="copy" disabled>${t('info.copy')}</button>
+        </div>
+    `;
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    const body = /** @type {HTMLDivElement} */ (dialog.querySelector('.comfy-mobile-form-dialog-body'));
+    const copyBtn = /** @type {HTMLButtonElement} */ (dialog.querySelector('[data-action="copy"]'));
+
+    const close = () => overlay.remove();
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    dialog.querySelector('.comfy-mobile-form-dialog-close')?.addEventListener('click', close);
+    dialog.querySelector('[data-action="close"]')?.addEventListener('click', close);
+
+    /** @type {PromptInfo | null} */
+    let info = null;
+
+    /**
+     * @param {string | null} notice - Shown when the prompt details are unavailable
+     */
+    const render = (notice) => {
+        const summary = getSummary(output, info).map(([label, value]) => `
+            <dt>${escapeHtml(label)}</dt>
+            <dd>${escapeHtml(value)}</dd>
+        `).join('');
+
+        const nodes = (info?.nodes || []).map(node => `
+            <div class="comfy-mobile-form-info-node">
+                <div class="comfy-mobile-form-info-node-title">
+                    ${escapeHtml(node.title)} <span>#${escapeHtml(node.id)}${node.title !== node.classType ? ` · ${escapeHtml(node.classType)}` : ''}</span>
+                </div>
+                <dl class="comfy-mobile-form-info-list">
+                    ${node.inputs.map(([name, value]) => `
+                        <dt>${escapeHtml(name)}</dt>
+                        <dd>${escapeHtml(formatValue(value))}</dd>
+                    `).join('')}
+                </dl>
+            </div>
+        `).join('');
+
+        body.innerHTML = `
+            <dl class="comfy-mobile-form-info-list comfy-mobile-form-info-summary">${summary}</dl>
+            ${notice ? `<div class="comfy-mobile-form-dialog-hint">${escapeHtml(notice)}</div>` : ''}
+            ${nodes ? `<div class="comfy-mobile-form-info-section-title">${t('info.parameters')}</div>${nodes}` : ''}
+        `;
+        copyBtn.disabled = false;
+    };
+
+    copyBtn.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(formatPromptInfoText(output, info));
+            copyBtn.textContent = t('info.copied');
+        } catch (e) {
+            console.error('[MobileForm] Failed to copy parameters:', e);
+            copyBtn.textContent = t('info.copyFailed');
+        }
+        setTimeout(() => copyBtn.textContent = t('info.copy'), 2000);
+    });
+
+    if (!output.promptId) {
+        render(t('info.unknownPrompt'));
+        return;
+    }
+
+    fetchPromptInfo(output.promptId)
+        .then(result => {
+            info = result;
+            render(null);
+        })
+        .catch(e => {
+            console.warn('[MobileForm] Could not load output info:', e);
+            render(t('info.unavailable', { message: e.message }));
+        });
+}
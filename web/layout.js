@@ -0,0 +1,302 @@
+// @ts-check
+
+/**
+ * Layout Files - Export the form layout as a JSON file and import it into another workflow
+ *
+ * A layout file holds the per-node settings (size, color, tooltips, hidden and
+ * split widgets, rules...), the widget order and grid columns of each form and
+ * the collapsed sections. On import, nodes are matched by type and title, and a
+ * preview shows which entries will and won't map before anything is applied.
+ */
+
+import { escapeHtml, getLayoutSettings, saveWidgetSettings, saveWidgetOrder, saveGridColumns, LAYOUT_PROFILES } from './widget.js';
+import { matchIdentitiesToNodes } from './identity.js';
+import { t } from './i18n.js';
+
+/** @import {ComfyUIGraph, ComfyUIGraphNode} from "./types" */
+/** @import {CardOrder, GridColumns, LayoutProfile, WidgetSettings} from "./widget.js" */
+/** @import {VisibilityRule} from "./visibility.js" */
+
+/** Marks a JSON file as a form layout */
+const LAYOUT_FORMAT = 'comfyui-forms-layout';
+const LAYOUT_VERSION = 1;
+
+/**
+ * @typedef {Object} LayoutFile
+ * @property {string} format
+ * @property {number} version
+ * @property {string} exported - ISO timestamp
+ * @property {Object.<string, WidgetSettings>} nodes - Settings keyed by node ID, each with its node identity
+ * @property {CardOrder} [order] - Widget order of the unnamed form
+ * @property {Object.<string, CardOrder>} [formOrders] - Widget order of named forms
+ * @property {Object.<string, Object.<string, CardOrder>>} [profileOrders] - Widget orders of the other layout
+ *     profiles, keyed by profile, then form name ('' for the unnamed form)
+ * @property {Object.<string, Object.<string, GridColumns>>} [gridColumns] - Column counts, keyed by profile, then form name
+ * @property {string[]} [collapsedSections] - Collapse keys of the collapsed sections
+ */
+
+/**
+ * @typedef {Object} LayoutImportEntry
+ * @property {number} id - Node ID in the exported workflow
+ * @property {string} title
+ * @property {string} type
+ * @property {ComfyUIGraphNode | null} node - Matching node in this workflow
+ */
+
+/**
+ * @typedef {Object} LayoutDialogOptions
+ * @property {ComfyUIGraph} graph
+ * @property {string} formName - Current form ('' for the unnamed form), used for the file name
+ * @property {string[]} collapsedSections - Collapse keys of the sections collapsed right now
+ * @property {(collapsedSections: string[]) => void} onImport - Called after a layout was imported
+ */
+
+/**
+ * Build a layout file from the current workflow
+ * @param {string[]} collapsedSections
+ * @returns {LayoutFile}
+ */
+export function createLayoutFile(collapsedSections) {
+    const { nodes, order, formOrders, profileOrders, gridColumns } = getLayoutSettings();
+    return {
+        format: LAYOUT_FORMAT,
+        version: LAYOUT_VERSION,
+        exported: new Date().toISOString(),
+        nodes,
+        ...(order ? { order } : {}),
+        formOrders,
+        profileOrders,
+        gridColumns,
+        collapsedSections
+    };
+}
+
+/**
+ * Read a layout file
+ * @param {string} text - File contents
+ * @returns {LayoutFile}
+ * @throws {Error} If the file is not a layout this version can read
+ */
+export function parseLayoutFile(text) {
+    let layout;
+    try {
+        layout = JSON.parse(text);
+    } catch (e) {
+        throw new Error(t('layout.error.json'));
+    }
+
+    if (layout?.format !== LAYOUT_FORMAT || typeof layout.nodes !== 'object' || layout.nodes === null) {
+        throw new Error(t('layout.error.format'));
+    }
+    if (typeof layout.version !== 'number' || layout.version > LAYOUT_VERSION) {
+        throw new Error(t('layout.error.version'));
+    }
+    return layout;
+}
+
+/**
+ * Match the nodes of a layout file to the nodes of a graph
+ * @param {LayoutFile} layout
+ * @param {ComfyUIGraph} graph
+ * @returns {LayoutImportEntry[]}
+ */
+export function planLayoutImport(layout, graph) {
+    const entries = Object.entries(layout.nodes)
+        .filter(([id, settings]) => /^\d+$/.test(id) && settings?.identity)
+        .map(([id, settings]) => ({ id: Number(id), identity: /** @type {NonNullable<WidgetSettings['identity']>} */ (settings.identity) }));
+    const matches = matchIdentitiesToNodes(entries, graph._nodes);
+
+    return entries.map(({ id, identity }) => ({
+        id,
+        title: identity.title,
+        type: identity.type,
+        node: matches.get(id) || null
+    }));
+}
+
+/**
+ * Map a widget order to this workflow's node IDs, dropping cards of unmatched nodes
+ * @param {CardOrder} order
+ * @param {Map<number, number>} idMap - Exported node ID -> node ID in this workflow
+ * @returns {CardOrder}
+ */
+function mapOrder(order, idMap) {
+    /** @type {CardOrder} */
+    const mapped = [];
+    for (const cardId of order) {
+        const [nodeId, ...widgetName] = String(cardId).split(':');
+        const newId = idMap.get(Number(nodeId));
+        if (newId === undefined) continue;
+        mapped.push(widgetName.length > 0 ? `${newId}:${widgetName.join(':')}` : newId);
+    }
+    return mapped;
+}
+
+/**
+ * Apply the matched part of a layout file to the workflow (one undo step)
+ * @param {LayoutFile} layout
+ * @param {LayoutImportEntry[]} entries
+ */
+export function applyLayoutImport(layout, entries) {
+    /** @type {Map<number, number>} */
+    const idMap = new Map();
+    for (const entry of entries) {
+        if (entry.node) idMap.set(entry.id, entry.node.id);
+    }
+
+    for (const [fromId, toId] of idMap) {
+        const settings = { ...layout.nodes[fromId] };
+        // Rules follow their controlling node, or are dropped if it has no match here
+        if (settings.visibilityRules) {
+            /** @type {Object.<string, VisibilityRule>} */
+            const rules = {};
+            for (const [widgetName, rule] of Object.entries(settings.visibilityRules)) {
+                const ruleNodeId = idMap.get(rule.nodeId);
+                if (ruleNodeId !== undefined) rules[widgetName] = { ...rule, nodeId: ruleNodeId };
+            }
+            if (Object.keys(rules).length > 0) {
+                settings.visibilityRules = rules;
+            } else {
+                delete settings.visibilityRules;
+            }
+        }
+        saveWidgetSettings(toId, settings, 'desktop');
+    }
+
+    if (Array.isArray(layout.order)) {
+        saveWidgetOrder(mapOrder(layout.order, idMap), '', 'desktop');
+    }
+    for (const [formName, order] of Object.entries(layout.formOrders || {})) {
+        if (Array.isArray(order)) saveWidgetOrder(mapOrder(order, idMap), formName, 'desktop');
+    }
+    for (const [profile, formOrders] of Object.entries(layout.profileOrders || {})) {
+        if (!LAYOUT_PROFILES.includes(/** @type {LayoutProfile} */ (profile))) continue;
+        for (const [formName, order] of Object.entries(formOrders || {})) {
+            if (Array.isArray(order)) saveWidgetOrder(mapOrder(order, idMap), formName, /** @type {LayoutProfile} */ (profile));
+        }
+    }
+    for (const [profile, forms] of Object.entries(layout.gridColumns || {})) {
+        if (!LAYOUT_PROFILES.includes(/** @type {LayoutProfile} */ (profile))) continue;
+        for (const [formName, columns] of Object.entries(forms || {})) {
+            saveGridColumns(columns, formName, /** @type {LayoutProfile} */ (profile));
+        }
+    }
+}
+
+/**
+ * Download the layout of the current workflow as a JSON file
+ * @param {string} formName
+ * @param {string[]} collapsedSections
+ */
+function downloadLayoutFile(formName, collapsedSections) {
+    const json = JSON.stringify(createLayoutFile(collapsedSections), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${(formName || 'form').replace(/[^\w-]+/g, '-').toLowerCase()}-layout.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+/**
+ * Show the export/import dialog for form layouts
+ * @param {LayoutDialogOptions} options
+ */
+export function showLayoutDialog({ graph, formName, collapsedSections, onImport }) {
+    const overlay = document.createElement('div');
+    overlay.classList.add('comfy-mobile-form-dialog-overlay');
+
+    const dialog = document.createElement('div');
+    dialog.classList.add('comfy-mobile-form-dialog', 'comfy-mobile-form-layout-dialog');
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-label', t('layout.label'));
+    dialog.innerHTML = `
+        <div class="comfy-mobile-form-dialog-header">
+            <h3>${t('header.layout')}</h3>
+            <button class="comfy-mobile-form-dialog-close" aria-label="${t('dialog.close')}">✕</button>
+        </div>
+        <div class="comfy-mobile-form-dialog-body">
+            <div class="comfy-mobile-form-dialog-hint">
+                ${t('layout.hint')}
+            </div>
+            <div class="comfy-mobile-form-layout-preview"></div>
+        </div>
+        <div class="comfy-mobile-form-dialog-footer">
+            <button class="comfy-mobile-form-dialog-btn secondary" data-action="export">⬇ ${t('layout.export')}</button>
+            <button class="comfy-mobile-form-dialog-btn secondary" data-action="choose">⬆ ${t('layout.choose')}</button>
+            <button class="comfy-mobile-form-dialog-btn primary" data-action="import" hidden>${t('layout.import')}</button>
+        </div>
+        <input type="file" accept=".json,application/json" hidden>
+    `;
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    const preview = /** @type {HTMLDivElement} */ (dialog.querySelector('.comfy-mobile-form-layout-preview'));
+    const fileInput = /** @type {HTMLInputElement} */ (dialog.querySelector('input[type="file"]'));
+    const importBtn = /** @type {HTMLButtonElement} */ (dialog.querySelector('[data-action="import"]'));
+
+    /** @type {{layout: LayoutFile, entries: LayoutImportEntry[]} | null} */
+    let pending = null;
+
+    const close = () => overlay.remove();
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    dialog.querySelector('.comfy-mobile-form-dialog-close')?.addEventListener('click', close);
+
+    dialog.querySelector('[data-action="export"]')?.addEventListener('click', () => {
+        downloadLayoutFile(formName, collapsedSections);
+        close();
+    });
+
+    dialog.querySelector('[data-action="choose"]')?.addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files?.[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        try {
+            const layout = parseLayoutFile(await file.text());
+            const entries = planLayoutImport(layout, graph);
+            pending = { layout, entries };
+            renderPreview(file.name, entries);
+        } catch (e) {
+            pending = null;
+            importBtn.hidden = true;
+            preview.innerHTML = `<div class="comfy-mobile-form-layout-error">${escapeHtml(/** @type {Error} */ (e).message)}</div>`;
+        }
+    });
+
+    /**
+     * @param {string} fileName
+     * @param {LayoutImportEntry[]} entries
+     */
+    const renderPreview = (fileName, entries) => {
+        const matched = entries.filter(entry => entry.node);
+        const rows = entries.map(entry => `
+            <dt>${escapeHtml(entry.title)}${entry.title !== entry.type ? ` <span>${escapeHtml(entry.type)}</span>` : ''}</dt>
+            <dd class="${entry.node ? '' : 'unmatched'}">${entry.node
+                ? `→ ${escapeHtml(entry.node.title || entry.node.type)} #${entry.node.id}`
+                : t('layout.unmatched')}</dd>
+        `).join('');
+
+        preview.innerHTML = `
+            <div class="comfy-mobile-form-info-section-title">${escapeHtml(fileName)}</div>
+            <div class="comfy-mobile-form-dialog-hint">
+                ${t('layout.summary', { matched: matched.length, count: entries.length })}
+            </div>
+            ${rows ? `<dl class="comfy-mobile-form-info-list">${rows}</dl>` : ''}
+        `;
+        importBtn.hidden = false;
+        importBtn.disabled = matched.length === 0;
+    };
+
+    importBtn.addEventListener('click', () => {
+        if (!pending) return;
+        applyLayoutImport(pending.layout, pending.entries);
+        close();
+        onImport(pending.layout.collapsedSections || []);
+    });
+}
@@ -0,0 +1,460 @@
+// @ts-check
+
+/**
+ * German locale pack
+ *
+ * Keys missing here fall back to the English pack (en.js).
+ */
+
+/** @import {LocalePack} from "../i18n.js" */
+
+/** @type {LocalePack} */
+export default {
+    name: 'Deutsch',
+    groups: {
+        inputs: ['Formulareingaben', 'Formular Eingaben'],
+        outputs: ['Formularausgaben', 'Formular Ausgaben']
+    },
+    strings: {
+        'app.toggle': 'Formularansicht ein-/ausblenden',
+        'app.formView': 'Formularansicht',
+
+        'settings.backupKept': 'Eine Kopie der beschädigten Einstellungen wurde in der Eigenschaft „settingsBackup“ des Form-Settings-Nodes aufbewahrt.',
+        'settings.reportLabel': 'Bericht zu den Formulareinstellungen',
+        'settings.reportTitle': 'Formulareinstellungen',
+        'settings.problems': 'Probleme',
+        'settings.idsChanged': 'Einige Node-IDs in diesem Workflow passen nicht zu den gespeicherten Formulareinstellungen.',
+        'settings.rematched': 'Dem passenden Node zugeordnet',
+        'settings.orphaned': 'Kein passender Node',
+        'settings.orphanedHint': 'Bleibt im Workflow erhalten, falls der Node zurückkommt.',
+        'settings.title': 'Einstellungen der Formularansicht',
+        'settings.autoShow': 'Auf Mobilgeräten automatisch anzeigen',
+        'settings.panelMode': 'Seitenleistenmodus (Desktop)',
+        'settings.wizardMode': 'Schritt-für-Schritt-Assistent (ein Abschnitt pro Schritt)',
+        'settings.language': 'Sprache',
+        'settings.languageAuto': 'Browsersprache',
+        'settings.languageReload': 'Lade die Seite neu, um die Sprache zu wechseln.',
+        'settings.theme': 'Design',
+
+        'theme.dark': 'Dunkel',
+        'theme.light': 'Hell',
+        'theme.highContrast': 'Hoher Kontrast',
+        'theme.comfy': 'ComfyUI-Farbpalette übernehmen',
+        'theme.custom': 'Eigenes',
+        'theme.color.background': 'Hintergrund',
+        'theme.color.surface': 'Fläche',
+        'theme.color.text': 'Text',
+        'theme.color.textSecondary': 'Nebentext',
+        'theme.color.accent': 'Akzent',
+        'theme.color.border': 'Rahmen',
+
+        'tab.inputs': 'Eingaben',
+        'tab.outputs': 'Ausgaben',
+        'tab.queue': 'Warteschlange',
+
+        'header.switchForm': 'Formular wechseln',
+        'header.form': 'Formular',
+        'header.undo': 'Layoutänderung rückgängig machen',
+        'header.redo': 'Layoutänderung wiederholen',
+        'header.presets': 'Vorlagen',
+        'header.layoutTitle': 'Layout exportieren / importieren',
+        'header.layout': 'Layout',
+        'header.editTitle': 'Layout bearbeiten',
+        'header.edit': 'Bearbeiten',
+        'header.done': 'Fertig',
+        'header.close': 'Formularansicht schließen',
+        'header.defaultForm': 'Standard',
+
+        'search.placeholder': 'Widgets suchen...',
+        'search.label': 'Widgets suchen',
+        'search.clear': 'Suche löschen',
+        'search.noResults': 'Keine passenden Widgets',
+        'search.noMatch': 'Keine Widgets passen zu „{query}“',
+
+        'status.showBatchRuns': 'Stapelläufe anzeigen',
+        'status.currentNode': 'Aktueller Node',
+        'status.eta': 'Geschätzte Restzeit',
+        'status.ready': 'Bereit',
+        'status.node': 'Node {id}',
+        'status.starting': 'Workflow wird gestartet...',
+        'status.cached': { one: 'Zwischengespeichert: {count} Node', other: 'Zwischengespeichert: {count} Nodes' },
+        'status.unknownError': 'Unbekannter Fehler',
+        'status.error': 'Fehler: {message}',
+        'status.complete': 'Fertig in {time}',
+        'status.processing': 'Verarbeitung',
+        'status.nodeCount': 'Node {current}/{total}',
+        'status.timeLeft': 'noch ~{time}',
+
+        'time.milliseconds': '{value} ms',
+        'time.seconds': '{value} s',
+        'time.minutes': '{minutes} min {seconds} s',
+
+        'actions.queueTitle': 'Prompt einreihen',
+        'actions.queue': 'Einreihen',
+        'actions.batchTitle': 'Stapel einreihen',
+        'actions.batch': 'Stapel',
+        'actions.cancelTitle': 'Aktuellen Lauf abbrechen',
+        'actions.cancel': 'Abbrechen',
+        'actions.error.queue': 'Prompt konnte nicht eingereiht werden: {message}',
+
+        'dialog.close': 'Dialog schließen',
+        'dialog.cancel': 'Abbrechen',
+        'dialog.ok': 'OK',
+        'dialog.save': 'Speichern',
+        'dialog.confirm': 'Bestätigen',
+        'dialog.closeButton': 'Schließen',
+
+        'rename.group': 'Gruppe umbenennen',
+        'rename.field': 'Feld umbenennen',
+        'rename.node': 'Node umbenennen',
+        'rename.name': 'Name',
+        'rename.placeholder': 'Neuen Namen eingeben...',
+        'rename.rename': 'Umbenennen',
+        'rename.preset': 'Vorlage umbenennen',
+
+        'section.other': 'Sonstiges',
+        'section.renameHint': 'Doppelklick zum Umbenennen',
+
+        'empty.noGroup': 'Keine Formulargruppe gefunden',
+        'empty.noGroup.description': 'Erstelle eine Gruppe im Workflow, um festzulegen, welche Nodes im Formular erscheinen.',
+        'empty.noGroup.addGroup': 'Rechtsklick auf die Arbeitsfläche → Add Group',
+        'empty.noGroup.name': 'Nenne sie {title}',
+        'empty.noGroup.placeNodes': 'Lege deine Eingabe-Nodes hinein',
+        'empty.noGroup.namedForms': 'Für mehrere Formulare benenne sie z. B. {title}',
+        'empty.noGroup.exampleForm': 'Hochskalieren',
+        'empty.emptyGroup': 'Leere Formulargruppe',
+        'empty.emptyGroup.description': 'Füge der Gruppe „{title}“ Nodes hinzu, um Formulareingaben zu erstellen.',
+        'empty.emptyGroup.primitives': 'Primitive (Zahlen, Text usw.)',
+        'empty.emptyGroup.loaders': 'Load Image / Load Video Nodes',
+        'empty.emptyGroup.processing': 'KSampler und andere Verarbeitungs-Nodes',
+
+        'batch.title': 'Stapel einreihen',
+        'batch.repeat': 'Wiederholen',
+        'batch.sweep': 'Parameter-Sweep',
+        'batch.runCount': 'Anzahl der Läufe',
+        'batch.axisX': 'X-Achse',
+        'batch.axisY': 'Y-Achse (optional)',
+        'batch.incrementSeed': 'Seed bei jedem Lauf erhöhen',
+        'batch.info': 'Jeder Lauf wird einzeln eingereiht. Ist das Erhöhen des Seeds aktiviert, werden Seed-Widgets bei jedem Lauf um 1 erhöht. Ein Sweep reiht jede Kombination der X- und Y-Werte ein und zeigt die Ergebnisse als Raster im Tab „Ausgaben“.',
+        'batch.queue': 'Stapel einreihen',
+        'batch.error.noValues': '{axis} hat keine Werte',
+        'batch.error.sameWidget': 'X- und Y-Achse müssen verschiedene Widgets verwenden',
+        'batch.runs': { one: '{count} Lauf', other: '{count} Läufe' },
+        'batch.maximum': 'höchstens {count}',
+        'batch.listText': 'Ein Wert pro Zeile',
+        'batch.listValues': 'Durch Kommas getrennt oder einer pro Zeile',
+        'batch.none': 'Keine',
+        'batch.range': 'Bereich',
+        'batch.list': 'Liste',
+        'batch.start': 'Start',
+        'batch.stop': 'Ende',
+        'batch.step': 'Schritt',
+        'batch.seedRun': 'Seed {seed}',
+        'batch.run': 'Lauf {number}',
+        'batch.status.running': 'Lauf {number} von {total}',
+        'batch.status.done': 'Stapel: {done}/{total} fertig',
+        'batch.status.doneFailed': 'Stapel: {done}/{total} fertig, {failed} fehlgeschlagen',
+        'batch.runsTitle': 'Stapelläufe',
+        'batch.dismiss': 'Ausblenden',
+        'batch.cancelRemaining': 'Restliche abbrechen',
+        'batch.run.pending': 'Wartend',
+        'batch.run.running': 'Läuft',
+        'batch.run.done': 'Fertig',
+        'batch.run.failed': 'Fehlgeschlagen',
+        'batch.run.cancelled': 'Abgebrochen',
+        'batch.run.unknown': 'Unbekannt',
+        'batch.error.cancel': 'Die restlichen Läufe konnten nicht abgebrochen werden: {message}',
+        'batch.error.notCancellable': { one: '{count} Lauf wurde ohne ID eingereiht und kann nicht abgebrochen werden', other: '{count} Läufe wurden ohne ID eingereiht und können nicht abgebrochen werden' },
+        'batch.error.rangeNumbers': 'Start, Ende und Schritt des Bereichs müssen Zahlen sein',
+        'batch.error.rangeStep': 'Der Schritt des Bereichs darf nicht 0 sein',
+        'batch.error.rangeSize': 'Der Bereich ergibt mehr als {max} Werte',
+        'batch.error.notNumber': '„{value}“ ist keine Zahl',
+        'batch.error.notOption': '„{value}“ ist keine Option von {name}',
+
+        'sweep.dismiss': 'Sweep-Raster ausblenden',
+        'sweep.queued': 'Eingereiht',
+        'sweep.pending': 'Wartend',
+        'sweep.failed': 'Fehlgeschlagen',
+        'sweep.unknown': 'Ausgaben unbekannt',
+
+        'restore.restored': { one: '{count} Wert wiederhergestellt', other: '{count} Werte wiederhergestellt' },
+        'restore.nothing': 'Keine passenden Formularwerte zum Wiederherstellen',
+        'restore.error': 'Parameter konnten nicht wiederhergestellt werden: {message}',
+
+        'validation.needsAttention': { one: '{count} Feld muss geprüft werden', other: '{count} Felder müssen geprüft werden' },
+        'validation.title': 'Validierung',
+        'validation.noFields': 'Dieser Node hat keine Felder, die geprüft werden können.',
+        'validation.field': 'Feld',
+        'validation.required': 'Pflichtfeld',
+        'validation.upload': 'Muss hochgeladen werden',
+        'validation.min': 'Min.',
+        'validation.minimum': 'Minimum',
+        'validation.max': 'Max.',
+        'validation.maximum': 'Maximum',
+        'validation.patternPlaceholder': 'Regex, z. B. {example}',
+        'validation.pattern': 'Muster',
+        'validation.messagePlaceholder': 'Eigene Fehlermeldung (optional)',
+        'validation.message': 'Fehlermeldung',
+        'validation.hint': 'Das Einreihen ist gesperrt, solange ein Feld seine Prüfungen nicht besteht. Leere optionale Felder werden nicht geprüft.',
+        'validation.error.required': '{name} ist ein Pflichtfeld',
+        'validation.error.upload': 'Lade eine Datei für {name} hoch',
+        'validation.error.pattern': '{name} hat nicht das erwartete Format',
+        'validation.error.number': '{name} muss eine Zahl sein',
+        'validation.error.min': '{name} muss mindestens {min} sein',
+        'validation.error.max': '{name} darf höchstens {max} sein',
+
+        'rule.title': 'Sichtbarkeitsregel',
+        'rule.noSources': 'Das Formular hat keine anderen Widgets, auf denen eine Regel aufbauen kann.',
+        'rule.noTargets': 'Diese Karte hat keine Felder, die eine Regel ausblenden kann.',
+        'rule.target': 'Gilt für',
+        'rule.widgetShould': 'Verhalten dieses Widgets',
+        'rule.showWhen': 'Nur anzeigen, wenn',
+        'rule.hideWhen': 'Ausblenden, wenn',
+        'rule.field': 'Feld',
+        'rule.hint': 'Ausgeblendete Widgets behalten ihre Werte und werden weiterhin mit dem Prompt gesendet. Im Bearbeitungsmodus (E) kannst du ausgeblendete Widgets sehen und bearbeiten.',
+        'rule.remove': 'Regel entfernen',
+        'rule.value': 'Wert',
+        'rule.operator.equals': 'gleich',
+        'rule.operator.notEquals': 'ungleich',
+        'rule.operator.on': 'eingeschaltet ist',
+        'rule.operator.off': 'ausgeschaltet ist',
+        'rule.describe': '{action} {field} {operator}{value}',
+
+        'tooltip.show': 'Tooltip anzeigen',
+        'tooltip.title': 'Tooltip bearbeiten',
+        'tooltip.label': 'Eigener Tooltip/Hinweis für dieses Widget:',
+        'tooltip.default': 'Leer lassen, um den Standard zu verwenden: „{tooltip}“',
+        'tooltip.reset': 'Auf Standard zurücksetzen',
+
+        'menu.bypass': 'Node überspringen',
+        'menu.bypassHint': 'Diesen Node bei der Ausführung überspringen. Der Node wird ausgegraut und seine Eingaben deaktiviert.',
+        'menu.newRow': 'Neue Zeile davor',
+        'menu.newRowHint': 'Dieses Widget in einer neuen Zeile beginnen, auch wenn in der vorherigen Zeile noch Platz ist.',
+        'menu.width': 'Breite',
+        'menu.width.columns': { one: '{count} Spalte', other: '{count} Spalten' },
+        'menu.width.full': 'Ganze Zeile',
+        'menu.width.hint': 'Das Widget nimmt {count}/{columns} der Zeilenbreite ein',
+        'menu.width.fullHint': 'Das Widget nimmt die ganze Zeile ein',
+        'menu.height': 'Höhe',
+        'menu.height.auto': 'Automatisch',
+        'menu.height.autoHint': 'Die Höhe passt sich automatisch dem Inhalt an',
+        'menu.height.compact': 'Kompakt',
+        'menu.height.compactHint': 'Feste kompakte Höhe (~80px)',
+        'menu.height.medium': 'Mittel',
+        'menu.height.mediumHint': 'Feste mittlere Höhe (~150px)',
+        'menu.height.tall': 'Hoch',
+        'menu.height.tallHint': 'Feste große Höhe (~250px) – ideal für Textfelder und Bildvorschauen',
+        'menu.color': 'Farbe',
+        'menu.rename': 'Umbenennen',
+        'menu.renameHint': 'Dieses Widget / diesen Node umbenennen',
+        'menu.tooltip': 'Tooltip bearbeiten',
+        'menu.tooltipCustom': 'Tooltip bearbeiten (eigener)',
+        'menu.tooltipHint': 'Einen eigenen Hinweis / eine eigene Beschreibung für dieses Widget festlegen',
+        'menu.editRule': 'Sichtbarkeitsregel bearbeiten',
+        'menu.addRule': 'Sichtbarkeitsregel hinzufügen',
+        'menu.ruleHint': 'Dieses Widget abhängig vom Wert eines anderen Widgets anzeigen oder ausblenden',
+        'menu.validation': 'Validierung',
+        'menu.validationHint': 'Felder als Pflichtfelder markieren oder ihre Werte vor dem Einreihen einschränken',
+        'menu.move': 'Verschieben',
+        'menu.move.top': 'Ganz nach oben',
+        'menu.move.up': 'Nach oben',
+        'menu.move.down': 'Nach unten',
+        'menu.move.bottom': 'Ganz nach unten',
+        'menu.merge': 'In die Node-Karte zurückführen',
+        'menu.mergeHint': '„{widget}“ wieder in der Karte {node} anzeigen',
+        'menu.split': 'In eigene Karte auslagern',
+        'menu.split.merge': '„{widget}“ wieder in dieser Karte anzeigen',
+        'menu.split.split': '„{widget}“ eine eigene Karte mit eigener Größe, Farbe und Position geben',
+        'menu.fields': 'Felder ein-/ausblenden',
+        'menu.fields.show': 'Das Feld „{widget}“ anzeigen',
+        'menu.fields.hide': 'Das Feld „{widget}“ ausblenden',
+        'menu.editDot': 'Widget-Einstellungen bearbeiten',
+
+        'resize.width': 'Ziehen, um die Breite zu ändern',
+        'resize.height': 'Ziehen, um die Höhe zu ändern',
+
+        'profile.label': 'Layout-Profil',
+        'profile.editing': 'Layout für',
+        'profile.desktop': 'Desktop',
+        'profile.mobile': 'Mobil',
+        'profile.copy': 'Von {profile} übernehmen',
+        'profile.copyHint': 'Dieses Layout durch das Layout „{profile}“ ersetzen',
+        'profile.copyTitle': 'Layout übernehmen',
+        'profile.copyMessage': 'Das Layout „{to}“ (Größen, Zeilenumbrüche, ausgeblendete Felder und Widget-Reihenfolge) durch das Layout „{from}“ ersetzen?',
+        'profile.copyConfirm': 'Übernehmen',
+        'profile.copied': 'Layout „{from}“ nach „{to}“ übernommen',
+
+        'columns.label': 'Spalten',
+        'columns.auto': 'Automatisch',
+        'columns.formHint': 'Spalten des Formularrasters in diesem Layout',
+        'columns.sectionHint': 'Spalten dieses Abschnitts in diesem Layout',
+
+        'widget.preview': 'Vorschau',
+        'widget.search': 'Suchen...',
+        'widget.promptPlaceholder': 'Prompt eingeben...',
+        'widget.button': 'Schaltfläche',
+        'widget.randomSeed': 'Zufälliger Seed',
+        'widget.lastSeed': 'Letzter Seed',
+        'widget.currentImage': 'Aktuelles Bild',
+        'widget.noImage': 'Kein Bild ausgewählt',
+        'widget.chooseFile': 'Datei wählen',
+        'widget.camera': 'Kamera',
+        'widget.uploading': 'Wird hochgeladen...',
+        'widget.uploadedImage': 'Hochgeladenes Bild',
+        'widget.uploadFailed': 'Hochladen fehlgeschlagen',
+        'widget.noVideo': 'Kein Video ausgewählt',
+        'widget.chooseVideo': 'Video wählen',
+
+        'viewer.close': 'Schließen',
+
+        'outputs.running': 'Workflow läuft...',
+        'outputs.completeNone': 'Fertig – keine Ausgaben erzeugt',
+        'outputs.completeCount': { one: 'Fertig – {count} Ausgabe', other: 'Fertig – {count} Ausgaben' },
+        'outputs.executing': 'Wird ausgeführt: {name}...',
+        'outputs.progress': 'Fortschritt: {percent}%',
+        'outputs.title': 'Erzeugte Ausgaben',
+        'outputs.gridView': 'Rasteransicht',
+        'outputs.listView': 'Listenansicht',
+        'outputs.showAll': 'Alle Ausgaben anzeigen',
+        'outputs.showRated': 'Nur bewertete Ausgaben anzeigen',
+        'outputs.sortNewest': 'Nach Datum sortieren',
+        'outputs.sortRating': 'Nach Bewertung sortieren',
+        'outputs.doneSelecting': 'Auswahl beenden',
+        'outputs.select': 'Ausgaben zum Herunterladen auswählen',
+        'outputs.backToCurrent': 'Zurück zu den aktuellen Ausgaben',
+        'outputs.browseHistory': 'Verlauf durchsuchen',
+        'outputs.clearTitle': 'Alle Ausgaben löschen',
+        'outputs.clear': 'Löschen',
+        'outputs.manifestTitle': 'manifest.json mit Node-Titeln und Prompt-Parametern hinzufügen',
+        'outputs.manifest': 'Manifest',
+        'outputs.selectAll': 'Alle auswählen',
+        'outputs.selectNone': 'Keine auswählen',
+        'outputs.clearConfirm.title': 'Alle Ausgaben löschen',
+        'outputs.clearConfirm.message': { one: 'Möchtest du {count} Ausgabe wirklich löschen? Dies kann nicht rückgängig gemacht werden.', other: 'Möchtest du wirklich alle {count} Ausgaben löschen? Dies kann nicht rückgängig gemacht werden.' },
+        'outputs.clearConfirm.confirm': 'Alle löschen',
+        'outputs.clearConfirm.cancel': 'Behalten',
+        'outputs.empty': 'Noch keine Ausgaben',
+        'outputs.empty.description': 'Erzeugte Bilder, Videos und andere Ausgaben erscheinen hier, nachdem der Workflow gelaufen ist.',
+        'outputs.empty.configure': 'Workflow-Eingaben festlegen',
+        'outputs.empty.queue': 'Zum Starten „Prompt einreihen“ klicken',
+        'outputs.empty.results': 'Die Ergebnisse erscheinen hier automatisch',
+        'outputs.noRated': 'Keine bewerteten Ausgaben',
+        'outputs.noRated.description': 'Bewerte Ausgaben mit den Sternen darunter oder schalte den Bewertungsfilter aus, um alles zu sehen.',
+        'outputs.settings': 'Ausgabeeinstellungen',
+        'outputs.rate': { one: 'Mit {count} Stern bewerten', other: 'Mit {count} Sternen bewerten' },
+        'outputs.copy': 'In die Zwischenablage kopieren',
+        'outputs.restore': 'Parameter wiederherstellen',
+        'outputs.compare': 'Vergleichen',
+        'outputs.info': 'Ausgabeinfo',
+        'outputs.showInfo': 'Ausgabeinfo anzeigen',
+        'outputs.fullscreen': 'Im Vollbild anzeigen',
+        'outputs.download': 'Herunterladen',
+        'outputs.selected': '{count} ausgewählt',
+        'outputs.preparing': 'Wird vorbereitet…',
+        'outputs.downloadSelected': 'Auswahl herunterladen',
+        'outputs.downloadAll': 'Alle herunterladen',
+        'outputs.downloading': 'Lade {index}/{total} herunter…',
+        'outputs.error.noneDownloaded': 'Keine der Ausgaben konnte heruntergeladen werden',
+        'outputs.downloaded': { one: '{count} Datei heruntergeladen', other: '{count} Dateien heruntergeladen' },
+        'outputs.downloadedFailed': { one: '{count} Datei heruntergeladen ({failed} fehlgeschlagen)', other: '{count} Dateien heruntergeladen ({failed} fehlgeschlagen)' },
+        'outputs.error.download': 'Herunterladen fehlgeschlagen',
+        'outputs.error.downloadAlert': 'Ausgaben konnten nicht heruntergeladen werden: {message}',
+        'outputs.compareSelect': 'Wähle ein zweites Bild zum Vergleichen',
+
+        'history.loading': 'Wird geladen…',
+        'history.noOlder': 'Keine älteren Ausgaben',
+        'history.empty': 'Keine Ausgaben im Verlauf',
+        'history.unknownTime': 'Unbekannte Zeit',
+        'history.group': { one: '{time} · {count} Ausgabe', other: '{time} · {count} Ausgaben' },
+
+        'presets.title': 'Vorlagen',
+        'presets.saveAs': 'Aktuelle Werte speichern als',
+        'presets.namePlaceholder': 'Name der Vorlage...',
+        'presets.empty': 'Noch keine Vorlagen. Speichere die aktuellen Formularwerte, um eine zu erstellen.',
+        'presets.apply': 'Vorlage anwenden',
+        'presets.overwriteHint': 'Mit den aktuellen Werten überschreiben',
+        'presets.delete': 'Löschen',
+        'presets.overwrite.title': 'Vorlage überschreiben',
+        'presets.overwrite.message': 'Die in „{name}“ gespeicherten Werte durch die aktuellen Formularwerte ersetzen?',
+        'presets.overwrite': 'Überschreiben',
+        'presets.exists': 'Eine Vorlage namens „{name}“ existiert bereits.',
+        'presets.delete.title': 'Vorlage löschen',
+        'presets.delete.message': 'Die Vorlage „{name}“ löschen? Dies kann nicht rückgängig gemacht werden.',
+        'presets.replace.message': 'Eine Vorlage namens „{name}“ existiert bereits. Durch die aktuellen Formularwerte ersetzen?',
+
+        'queue.error.update': 'Warteschlange konnte nicht aktualisiert werden: {message}',
+        'queue.clearConfirm.title': 'Warteschlange leeren',
+        'queue.clearConfirm.message': { one: '{count} wartenden Eintrag aus der Warteschlange entfernen? Der laufende Eintrag ist nicht betroffen.', other: 'Alle {count} wartenden Einträge aus der Warteschlange entfernen? Der laufende Eintrag ist nicht betroffen.' },
+        'queue.count': '{running} laufend · {pending} wartend',
+        'queue.refresh': 'Warteschlange aktualisieren',
+        'queue.clearPending': 'Wartende Einträge entfernen',
+        'queue.empty': 'Warteschlange ist leer',
+        'queue.empty.description': 'Eingereihte Prompts erscheinen hier, während sie warten und laufen.',
+        'queue.item.running': '#{number} · Läuft',
+        'queue.item.meta': { one: '{count} Node · {id}', other: '{count} Nodes · {id}' },
+        'queue.item.metaOwn': { one: '{count} Node · {id} · dieses Gerät', other: '{count} Nodes · {id} · dieses Gerät' },
+        'queue.interrupt': 'Unterbrechen',
+        'queue.interruptLabel': 'Laufenden Eintrag unterbrechen',
+        'queue.remove': 'Aus der Warteschlange entfernen',
+
+        'info.file': 'Datei',
+        'info.node': 'Node',
+        'info.prompt': 'Prompt',
+        'info.started': 'Gestartet',
+        'info.duration': 'Dauer',
+        'info.status': 'Status',
+        'info.seed': 'Seed',
+        'info.copy': 'Als Text kopieren',
+        'info.parameters': 'Parameter',
+        'info.copied': 'Kopiert!',
+        'info.copyFailed': 'Kopieren fehlgeschlagen',
+        'info.unknownPrompt': 'Der Prompt, der diese Ausgabe erzeugt hat, ist nicht bekannt.',
+        'info.unavailable': 'Prompt-Details nicht verfügbar: {message}',
+
+        'layout.error.json': 'Die Datei ist kein gültiges JSON.',
+        'layout.error.format': 'Die Datei ist kein Formularlayout.',
+        'layout.error.version': 'Das Layout wurde von einer neueren Version von ComfyUI Forms exportiert.',
+        'layout.label': 'Formularlayout',
+        'layout.hint': 'Speichere das Formularlayout (Reihenfolge, Größen, Farben, Tooltips, ausgeblendete Felder und eingeklappte Abschnitte) in einer Datei oder lade ein Layout, das aus einem anderen Workflow exportiert wurde. Nodes werden über Typ und Titel zugeordnet.',
+        'layout.export': 'Exportieren',
+        'layout.choose': 'Importieren…',
+        'layout.import': 'Importieren',
+        'layout.unmatched': 'Kein passender Node – übersprungen',
+        'layout.summary': { one: '{matched} von {count} Node erhält sein Layout. Andere Nodes behalten ihre aktuellen Einstellungen.', other: '{matched} von {count} Nodes erhalten ihr Layout. Andere Nodes behalten ihre aktuellen Einstellungen.' },
+
+        'wizard.on': 'An',
+        'wizard.off': 'Aus',
+        'wizard.review': 'Überprüfen',
+        'wizard.step': 'Schritt {step} von {total} · {title}',
+        'wizard.back': 'Zurück',
+        'wizard.next': 'Weiter',
+        'wizard.bypassed': 'Übersprungen',
+        'wizard.edit': 'Bearbeiten',
+        'wizard.noValues': 'Keine Werte in diesem Schritt',
+
+        'compare.mode': 'Vergleichsmodus',
+        'compare.split': 'Geteilt',
+        'compare.side': 'Nebeneinander',
+        'compare.onion': 'Überblendung',
+        'compare.opacity': 'Deckkraft von B',
+        'compare.swap': 'A und B tauschen',
+        'compare.reset': 'Zoom zurücksetzen',
+        'compare.splitPosition': 'Position der Teilung',
+        'compare.close': 'Vergleichsansicht schließen',
+
+        'params.error.notInHistory': 'Dieser Prompt ist nicht mehr im Serververlauf',
+
+        'schema.nodeDropped': 'Node #{id}: Die Einstellungen sind kein Objekt und wurden verworfen',
+        'schema.fieldDropped': 'Node #{id}: Ungültiges „{field}“ wurde verworfen',
+        'schema.orderDropped': 'Die Widget-Reihenfolge ist ungültig und wurde verworfen',
+        'schema.formOrderDropped': 'Die Widget-Reihenfolge des Formulars „{name}“ ist ungültig und wurde verworfen',
+        'schema.formOrdersDropped': 'Die Widget-Reihenfolgen der Formulare sind ungültig und wurden verworfen',
+        'schema.profileOrdersDropped': 'Die Widget-Reihenfolgen der Layout-Profile sind ungültig und wurden verworfen',
+        'schema.gridColumnsDropped': 'Die Spaltenzahlen sind ungültig und wurden verworfen',
+        'schema.presetsDropped': { one: '{count} ungültige Vorlage wurde verworfen', other: '{count} ungültige Vorlagen wurden verworfen' },
+        'schema.presetsInvalid': 'Die Vorlagen sind ungültig und wurden verworfen',
+        'schema.corrupt': 'Die gespeicherten Formulareinstellungen konnten nicht gelesen werden (das JSON ist beschädigt)',
+        'schema.unknownVersion': 'Unbekannte Einstellungsversion „{version}“, als Version 1 gelesen',
+        'schema.newerVersion': 'Die Formulareinstellungen wurden von einer neueren Version von ComfyUI Forms gespeichert (Version {version}); manche greifen eventuell nicht'
+    }
+};
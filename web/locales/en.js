@@ -0,0 +1,462 @@
+// @ts-check
+
+/**
+ * English locale pack - the reference for all other packs
+ *
+ * Every UI string has a key here; other packs fall back to these strings
+ * for keys they do not have. Plural strings are keyed by Intl.PluralRules
+ * category and picked with the `count` parameter.
+ */
+
+/** @import {LocalePack} from "../i18n.js" */
+
+/** @type {LocalePack} */
+export default {
+    name: 'English',
+    groups: {
+        inputs: ['Form Inputs'],
+        outputs: ['Form Outputs']
+    },
+    strings: {
+        'app.toggle': 'Toggle Form View',
+        'app.formView': 'Form View',
+
+        'settings.backupKept': 'A copy of the damaged settings was kept in the "settingsBackup" property of the Form Settings node.',
+        'settings.reportLabel': 'Form settings report',
+        'settings.reportTitle': 'Form Settings',
+        'settings.problems': 'Problems',
+        'settings.idsChanged': "Some node IDs in this workflow don't match the saved form settings.",
+        'settings.rematched': 'Moved to the matching node',
+        'settings.orphaned': 'No matching node',
+        'settings.orphanedHint': 'Kept in the workflow in case the node comes back.',
+        'settings.title': 'Form View Settings',
+        'settings.autoShow': 'Auto-show on mobile devices',
+        'settings.panelMode': 'Side panel mode (desktop)',
+        'settings.wizardMode': 'Step-by-step wizard (one section per step)',
+        'settings.language': 'Language',
+        'settings.languageAuto': 'Browser language',
+        'settings.languageReload': 'Reload the page to switch the language.',
+        'settings.theme': 'Theme',
+
+        'theme.dark': 'Dark',
+        'theme.light': 'Light',
+        'theme.highContrast': 'High contrast',
+        'theme.comfy': 'Follow ComfyUI palette',
+        'theme.custom': 'Custom',
+        'theme.color.background': 'Background',
+        'theme.color.surface': 'Surface',
+        'theme.color.text': 'Text',
+        'theme.color.textSecondary': 'Secondary text',
+        'theme.color.accent': 'Accent',
+        'theme.color.border': 'Border',
+
+        'tab.inputs': 'Inputs',
+        'tab.outputs': 'Outputs',
+        'tab.queue': 'Queue',
+
+        'header.switchForm': 'Switch Form',
+        'header.form': 'Form',
+        'header.undo': 'Undo Layout Change',
+        'header.redo': 'Redo Layout Change',
+        'header.presets': 'Presets',
+        'header.layoutTitle': 'Export / Import Layout',
+        'header.layout': 'Layout',
+        'header.editTitle': 'Edit Layout',
+        'header.edit': 'Edit',
+        'header.done': 'Done',
+        'header.close': 'Close Form View',
+        'header.defaultForm': 'Default',
+
+        'search.placeholder': 'Search widgets...',
+        'search.label': 'Search widgets',
+        'search.clear': 'Clear search',
+        'search.noResults': 'No matching widgets',
+        'search.noMatch': 'No widgets match "{query}"',
+
+        'status.showBatchRuns': 'Show batch runs',
+        'status.currentNode': 'Current node',
+        'status.eta': 'Estimated time remaining',
+        'status.ready': 'Ready',
+        'status.node': 'Node {id}',
+        'status.starting': 'Starting workflow...',
+        'status.cached': { one: 'Cached: {count} node', other: 'Cached: {count} nodes' },
+        'status.unknownError': 'Unknown error',
+        'status.error': 'Error: {message}',
+        'status.complete': 'Complete in {time}',
+        'status.processing': 'Processing',
+        'status.nodeCount': 'Node {current}/{total}',
+        'status.timeLeft': '~{time} left',
+
+        'time.milliseconds': '{value}ms',
+        'time.seconds': '{value}s',
+        'time.minutes': '{minutes}m {seconds}s',
+
+        'actions.queueTitle': 'Queue Prompt',
+        'actions.queue': 'Queue',
+        'actions.batchTitle': 'Batch Queue',
+        'actions.batch': 'Batch',
+        'actions.cancelTitle': 'Cancel Current',
+        'actions.cancel': 'Cancel',
+        'actions.error.queue': 'Failed to queue prompt: {message}',
+
+        'dialog.close': 'Close dialog',
+        'dialog.cancel': 'Cancel',
+        'dialog.ok': 'OK',
+        'dialog.save': 'Save',
+        'dialog.confirm': 'Confirm',
+        'dialog.closeButton': 'Close',
+
+        'rename.group': 'Rename Group',
+        'rename.field': 'Rename Field',
+        'rename.node': 'Rename Node',
+        'rename.name': 'Name',
+        'rename.placeholder': 'Enter new name...',
+        'rename.rename': 'Rename',
+        'rename.preset': 'Rename Preset',
+
+        'section.other': 'Other',
+        'section.renameHint': 'Double-click to rename',
+
+        'empty.noGroup': 'No Form Group Found',
+        'empty.noGroup.description': 'Create a group in your workflow to define which nodes appear in the form.',
+        'empty.noGroup.addGroup': 'Right-click on canvas → Add Group',
+        'empty.noGroup.name': 'Name it {title}',
+        'empty.noGroup.placeNodes': 'Place your input nodes inside',
+        'empty.noGroup.namedForms': 'For several forms, name them like {title}',
+        'empty.noGroup.exampleForm': 'Upscale',
+        'empty.emptyGroup': 'Empty Form Group',
+        'empty.emptyGroup.description': 'Add nodes to your "{title}" group to create form inputs.',
+        'empty.emptyGroup.primitives': 'Primitives (numbers, text, etc.)',
+        'empty.emptyGroup.loaders': 'Load Image / Load Video nodes',
+        'empty.emptyGroup.processing': 'KSampler and other processing nodes',
+
+        'batch.title': 'Batch Queue',
+        'batch.repeat': 'Repeat',
+        'batch.sweep': 'Parameter sweep',
+        'batch.runCount': 'Number of runs',
+        'batch.axisX': 'X axis',
+        'batch.axisY': 'Y axis (optional)',
+        'batch.incrementSeed': 'Increment seed for each run',
+        'batch.info': 'Each run will be queued separately. If seed increment is enabled, seed widgets will be incremented by 1 for each run. A sweep queues every combination of the X and Y values and lays the results out as a grid in the Outputs tab.',
+        'batch.queue': 'Queue Batch',
+        'batch.error.noValues': '{axis} has no values',
+        'batch.error.sameWidget': 'X and Y axes must use different widgets',
+        'batch.runs': { one: '{count} run', other: '{count} runs' },
+        'batch.maximum': 'maximum is {count}',
+        'batch.listText': 'One value per line',
+        'batch.listValues': 'Comma-separated or one per line',
+        'batch.none': 'None',
+        'batch.range': 'Range',
+        'batch.list': 'List',
+        'batch.start': 'Start',
+        'batch.stop': 'Stop',
+        'batch.step': 'Step',
+        'batch.seedRun': 'Seed {seed}',
+        'batch.run': 'Run {number}',
+        'batch.status.running': 'Run {number} of {total}',
+        'batch.status.done': 'Batch: {done}/{total} done',
+        'batch.status.doneFailed': 'Batch: {done}/{total} done, {failed} failed',
+        'batch.runsTitle': 'Batch Runs',
+        'batch.dismiss': 'Dismiss',
+        'batch.cancelRemaining': 'Cancel Remaining',
+        'batch.run.pending': 'Pending',
+        'batch.run.running': 'Running',
+        'batch.run.done': 'Done',
+        'batch.run.failed': 'Failed',
+        'batch.run.cancelled': 'Cancelled',
+        'batch.run.unknown': 'Unknown',
+        'batch.error.cancel': 'Failed to cancel remaining runs: {message}',
+        'batch.error.notCancellable': { one: "{count} run was queued without an ID and can't be cancelled", other: "{count} runs were queued without an ID and can't be cancelled" },
+        'batch.error.rangeNumbers': 'Range start, stop and step must be numbers',
+        'batch.error.rangeStep': 'Range step cannot be 0',
+        'batch.error.rangeSize': 'Range produces more than {max} values',
+        'batch.error.notNumber': '"{value}" is not a number',
+        'batch.error.notOption': '"{value}" is not an option of {name}',
+
+        'sweep.dismiss': 'Dismiss sweep grid',
+        'sweep.queued': 'Queued',
+        'sweep.pending': 'Pending',
+        'sweep.failed': 'Failed',
+        'sweep.unknown': 'Outputs unknown',
+
+        'restore.restored': { one: 'Restored {count} value', other: 'Restored {count} values' },
+        'restore.nothing': 'No matching form values to restore',
+        'restore.error': 'Failed to restore parameters: {message}',
+
+        'validation.needsAttention': { one: '{count} field needs attention', other: '{count} fields need attention' },
+        'validation.title': 'Validation',
+        'validation.noFields': 'This node has no fields to validate.',
+        'validation.field': 'Field',
+        'validation.required': 'Required',
+        'validation.upload': 'Must be uploaded',
+        'validation.min': 'Min',
+        'validation.minimum': 'Minimum',
+        'validation.max': 'Max',
+        'validation.maximum': 'Maximum',
+        'validation.patternPlaceholder': 'Regex, e.g. {example}',
+        'validation.pattern': 'Pattern',
+        'validation.messagePlaceholder': 'Custom error message (optional)',
+        'validation.message': 'Error message',
+        'validation.hint': 'Queueing is blocked while a field fails its checks. Empty optional fields are not checked.',
+        'validation.error.required': '{name} is required',
+        'validation.error.upload': 'Upload a file for {name}',
+        'validation.error.pattern': '{name} does not match the expected format',
+        'validation.error.number': '{name} must be a number',
+        'validation.error.min': '{name} must be at least {min}',
+        'validation.error.max': '{name} must be at most {max}',
+
+        'rule.title': 'Visibility Rule',
+        'rule.noSources': 'There are no other widgets in the form to base a rule on.',
+        'rule.noTargets': 'This card has no fields a rule can hide.',
+        'rule.target': 'Applies to',
+        'rule.widgetShould': 'This widget should',
+        'rule.showWhen': 'Show only when',
+        'rule.hideWhen': 'Hide when',
+        'rule.field': 'Field',
+        'rule.hint': 'Hidden widgets keep their values and are still sent with the prompt. Enter edit mode (E) to see and edit hidden widgets.',
+        'rule.remove': 'Remove Rule',
+        'rule.value': 'Value',
+        'rule.operator.equals': 'equals',
+        'rule.operator.notEquals': 'does not equal',
+        'rule.operator.on': 'is on',
+        'rule.operator.off': 'is off',
+        'rule.describe': '{action} {field} {operator}{value}',
+
+        'tooltip.show': 'Show tooltip',
+        'tooltip.title': 'Edit Tooltip',
+        'tooltip.label': 'Custom tooltip/hint for this widget:',
+        'tooltip.default': 'Leave empty to use the default: "{tooltip}"',
+        'tooltip.reset': 'Reset to Default',
+
+        'menu.bypass': 'Bypass Node',
+        'menu.bypassHint': 'Skip this node during execution. The node will be greyed out and its inputs disabled.',
+        'menu.newRow': 'New Row Before',
+        'menu.newRowHint': "Force this widget to start on a new row, even if there's room in the previous row.",
+        'menu.width': 'Width',
+        'menu.width.columns': { one: '{count} Column', other: '{count} Columns' },
+        'menu.width.full': 'Full Row',
+        'menu.width.hint': 'Widget takes up {count}/{columns} of the row width',
+        'menu.width.fullHint': 'Widget takes up the entire row',
+        'menu.height': 'Height',
+        'menu.height.auto': 'Auto',
+        'menu.height.autoHint': 'Height adjusts to content automatically',
+        'menu.height.compact': 'Compact',
+        'menu.height.compactHint': 'Fixed compact height (~80px)',
+        'menu.height.medium': 'Medium',
+        'menu.height.mediumHint': 'Fixed medium height (~150px)',
+        'menu.height.tall': 'Tall',
+        'menu.height.tallHint': 'Fixed tall height (~250px) - ideal for text areas and image previews',
+        'menu.color': 'Color',
+        'menu.rename': 'Rename',
+        'menu.renameHint': 'Rename this widget/node',
+        'menu.tooltip': 'Edit Tooltip',
+        'menu.tooltipCustom': 'Edit Tooltip (custom)',
+        'menu.tooltipHint': 'Set a custom hint/description for this widget',
+        'menu.editRule': 'Edit Visibility Rule',
+        'menu.addRule': 'Add Visibility Rule',
+        'menu.ruleHint': "Show or hide this widget depending on another widget's value",
+        'menu.validation': 'Validation',
+        'menu.validationHint': 'Mark fields as required or constrain their values before queueing',
+        'menu.move': 'Move',
+        'menu.move.top': 'Move to Top',
+        'menu.move.up': 'Move Up',
+        'menu.move.down': 'Move Down',
+        'menu.move.bottom': 'Move to Bottom',
+        'menu.merge': 'Merge Into Node Card',
+        'menu.mergeHint': 'Show "{widget}" in the {node} card again',
+        'menu.split': 'Split Into Own Card',
+        'menu.split.merge': 'Show "{widget}" in this card again',
+        'menu.split.split': 'Give "{widget}" a card of its own with its own size, color and position',
+        'menu.fields': 'Show/Hide Fields',
+        'menu.fields.show': 'Show the "{widget}" field',
+        'menu.fields.hide': 'Hide the "{widget}" field',
+        'menu.editDot': 'Edit widget settings',
+
+        'resize.width': 'Drag to change the width',
+        'resize.height': 'Drag to change the height',
+
+        'profile.label': 'Layout profile',
+        'profile.editing': 'Layout for',
+        'profile.desktop': 'Desktop',
+        'profile.mobile': 'Mobile',
+        'profile.copy': 'Copy from {profile}',
+        'profile.copyHint': 'Replace this layout with the {profile} layout',
+        'profile.copyTitle': 'Copy Layout',
+        'profile.copyMessage': 'Replace the {to} layout (sizes, row breaks, hidden fields and widget order) with the {from} layout?',
+        'profile.copyConfirm': 'Copy',
+        'profile.copied': 'Copied the {from} layout to {to}',
+
+        'columns.label': 'Columns',
+        'columns.auto': 'Auto',
+        'columns.formHint': 'Columns of the form grid in this layout',
+        'columns.sectionHint': 'Columns of this section in this layout',
+
+        'widget.preview': 'Preview',
+        'widget.search': 'Search...',
+        'widget.promptPlaceholder': 'Enter prompt...',
+        'widget.button': 'Button',
+        'widget.randomSeed': 'Random seed',
+        'widget.lastSeed': 'Last seed',
+        'widget.currentImage': 'Current image',
+        'widget.noImage': 'No image selected',
+        'widget.chooseFile': 'Choose File',
+        'widget.camera': 'Camera',
+        'widget.uploading': 'Uploading...',
+        'widget.uploadedImage': 'Uploaded image',
+        'widget.uploadFailed': 'Upload failed',
+        'widget.noVideo': 'No video selected',
+        'widget.chooseVideo': 'Choose Video',
+
+        'viewer.close': 'Close',
+
+        'outputs.running': 'Running workflow...',
+        'outputs.completeNone': 'Complete - No outputs generated',
+        'outputs.completeCount': { one: 'Complete - {count} output', other: 'Complete - {count} outputs' },
+        'outputs.executing': 'Executing: {name}...',
+        'outputs.progress': 'Progress: {percent}%',
+        'outputs.title': 'Generated Outputs',
+        'outputs.gridView': 'Grid View',
+        'outputs.listView': 'List View',
+        'outputs.showAll': 'Show all outputs',
+        'outputs.showRated': 'Show rated outputs only',
+        'outputs.sortNewest': 'Sort by newest',
+        'outputs.sortRating': 'Sort by rating',
+        'outputs.doneSelecting': 'Done selecting',
+        'outputs.select': 'Select outputs to download',
+        'outputs.backToCurrent': 'Back to current outputs',
+        'outputs.browseHistory': 'Browse history',
+        'outputs.clearTitle': 'Clear all outputs',
+        'outputs.clear': 'Clear',
+        'outputs.manifestTitle': 'Add manifest.json with node titles and prompt parameters',
+        'outputs.manifest': 'Manifest',
+        'outputs.selectAll': 'Select All',
+        'outputs.selectNone': 'Select None',
+        'outputs.clearConfirm.title': 'Clear All Outputs',
+        'outputs.clearConfirm.message': { one: 'Are you sure you want to clear {count} output? This action cannot be undone.', other: 'Are you sure you want to clear all {count} outputs? This action cannot be undone.' },
+        'outputs.clearConfirm.confirm': 'Clear All',
+        'outputs.clearConfirm.cancel': 'Keep',
+        'outputs.empty': 'No Outputs Yet',
+        'outputs.empty.description': 'Generated images, videos, and other outputs will appear here after running your workflow.',
+        'outputs.empty.configure': 'Configure your workflow inputs',
+        'outputs.empty.queue': 'Click "Queue Prompt" to run',
+        'outputs.empty.results': 'Results will show here automatically',
+        'outputs.noRated': 'No Rated Outputs',
+        'outputs.noRated.description': 'Rate outputs with the stars below them, or turn off the rated-only filter to see everything.',
+        'outputs.settings': 'Output Settings',
+        'outputs.rate': { one: 'Rate {count} star', other: 'Rate {count} stars' },
+        'outputs.copy': 'Copy to Clipboard',
+        'outputs.restore': 'Restore Parameters',
+        'outputs.compare': 'Compare',
+        'outputs.info': 'Output Info',
+        'outputs.showInfo': 'Show output info',
+        'outputs.fullscreen': 'View Fullscreen',
+        'outputs.download': 'Download',
+        'outputs.selected': '{count} selected',
+        'outputs.preparing': 'Preparing…',
+        'outputs.downloadSelected': 'Download Selected',
+        'outputs.downloadAll': 'Download All',
+        'outputs.downloading': 'Downloading {index}/{total}…',
+        'outputs.error.noneDownloaded': 'None of the outputs could be downloaded',
+        'outputs.downloaded': { one: 'Downloaded {count} file', other: 'Downloaded {count} files' },
+        'outputs.downloadedFailed': { one: 'Downloaded {count} file ({failed} failed)', other: 'Downloaded {count} files ({failed} failed)' },
+        'outputs.error.download': 'Download failed',
+        'outputs.error.downloadAlert': 'Failed to download outputs: {message}',
+        'outputs.compareSelect': 'Select a second image to compare',
+
+        'history.loading': 'Loading…',
+        'history.noOlder': 'No older outputs',
+        'history.empty': 'No outputs in history',
+        'history.unknownTime': 'Unknown time',
+        'history.group': { one: '{time} · {count} output', other: '{time} · {count} outputs' },
+
+        'presets.title': 'Presets',
+        'presets.saveAs': 'Save current values as',
+        'presets.namePlaceholder': 'Preset name...',
+        'presets.empty': 'No presets yet. Save the current form values to create one.',
+        'presets.apply': 'Apply preset',
+        'presets.overwriteHint': 'Overwrite with current values',
+        'presets.delete': 'Delete',
+        'presets.overwrite.title': 'Overwrite Preset',
+        'presets.overwrite.message': 'Replace the values stored in "{name}" with the current form values?',
+        'presets.overwrite': 'Overwrite',
+        'presets.exists': 'A preset named "{name}" already exists.',
+        'presets.delete.title': 'Delete Preset',
+        'presets.delete.message': 'Delete the preset "{name}"? This action cannot be undone.',
+        'presets.replace.message': 'A preset named "{name}" already exists. Replace it with the current form values?',
+
+        'queue.error.update': 'Failed to update queue: {message}',
+        'queue.clearConfirm.title': 'Clear Queue',
+        'queue.clearConfirm.message': { one: 'Remove {count} pending item from the queue? The running item is not affected.', other: 'Remove all {count} pending items from the queue? The running item is not affected.' },
+        'queue.count': '{running} running · {pending} pending',
+        'queue.refresh': 'Refresh queue',
+        'queue.clearPending': 'Clear pending items',
+        'queue.empty': 'Queue Is Empty',
+        'queue.empty.description': 'Queued prompts will appear here while they wait and run.',
+        'queue.item.running': '#{number} · Running',
+        'queue.item.meta': { one: '{count} node · {id}', other: '{count} nodes · {id}' },
+        'queue.item.metaOwn': { one: '{count} node · {id} · this device', other: '{count} nodes · {id} · this device' },
+        'queue.interrupt': 'Interrupt',
+        'queue.interruptLabel': 'Interrupt running item',
+        'queue.remove': 'Remove from queue',
+
+        'info.file': 'File',
+        'info.node': 'Node',
+        'info.prompt': 'Prompt',
+        'info.started': 'Started',
+        'info.duration': 'Duration',
+        'info.status': 'Status',
+        'info.seed': 'Seed',
+        'info.copy': 'Copy as Text',
+        'info.parameters': 'Parameters',
+        'info.copied': 'Copied!',
+        'info.copyFailed': 'Copy failed',
+        'info.unknownPrompt': 'The prompt that produced this output is not known.',
+        'info.unavailable': 'Prompt details unavailable: {message}',
+
+        'layout.error.json': 'The file is not valid JSON.',
+        'layout.error.format': 'The file is not a form layout.',
+        'layout.error.version': 'The layout was exported by a newer version of ComfyUI Forms.',
+        'layout.label': 'Form layout',
+        'layout.hint': 'Save the form layout (order, sizes, colors, tooltips, hidden fields and collapsed sections) to a file, or load a layout exported from another workflow. Nodes are matched by type and title.',
+        'layout.export': 'Export',
+        'layout.choose': 'Import…',
+        'layout.import': 'Import',
+        'layout.unmatched': 'No matching node - skipped',
+        'layout.summary': { one: '{matched} of {count} node will get its layout. Other nodes keep their current settings.', other: '{matched} of {count} nodes will get their layout. Other nodes keep their current settings.' },
+
+        'wizard.on': 'On',
+        'wizard.off': 'Off',
+        'wizard.review': 'Review',
+        'wizard.step': 'Step {step} of {total} · {title}',
+        'wizard.back': 'Back',
+        'wizard.next': 'Next',
+        'wizard.bypassed': 'Bypassed',
+        'wizard.edit': 'Edit',
+        'wizard.noValues': 'No values in this step',
+
+        'compare.mode': 'Compare mode',
+        'compare.split': 'Split',
+        'compare.side': 'Side by side',
+        'compare.onion': 'Onion skin',
+        'compare.opacity': 'B opacity',
+        'compare.swap': 'Swap A and B',
+        'compare.reset': 'Reset zoom',
+        'compare.splitPosition': 'Split position',
+        'compare.close': 'Close compare view',
+
+        'params.error.notInHistory': 'This prompt is no longer in the server history',
+
+        'schema.nodeDropped': 'Node #{id}: settings are not an object and were dropped',
+        'schema.fieldDropped': 'Node #{id}: invalid "{field}" was dropped',
+        'schema.orderDropped': 'The widget order is invalid and was dropped',
+        'schema.formOrderDropped': 'The widget order of form "{name}" is invalid and was dropped',
+        'schema.formOrdersDropped': 'The form widget orders are invalid and were dropped',
+        'schema.profileOrdersDropped': 'The widget orders of the layout profiles are invalid and were dropped',
+        'schema.gridColumnsDropped': 'The column counts are invalid and were dropped',
+        'schema.presetsDropped': { one: '{count} invalid preset was dropped', other: '{count} invalid presets were dropped' },
+        'schema.presetsInvalid': 'The presets are invalid and were dropped',
+        'schema.corrupt': 'The saved form settings could not be read (the JSON is damaged)',
+        'schema.unknownVersion': 'Unknown settings version "{version}", read as version 1',
+        'schema.newerVersion': 'The form settings were saved by a newer version of ComfyUI Forms (version {version}); some may not apply'
+    }
+};
@@ -0,0 +1,460 @@
+// @ts-check
+
+/**
+ * Spanish locale pack
+ *
+ * Keys missing here fall back to the English pack (en.js).
+ */
+
+/** @import {LocalePack} from "../i18n.js" */
+
+/** @type {LocalePack} */
+export default {
+    name: 'Español',
+    groups: {
+        inputs: ['Entradas del formulario', 'Entradas de formulario'],
+        outputs: ['Salidas del formulario', 'Salidas de formulario']
+    },
+    strings: {
+        'app.toggle': 'Mostrar/ocultar la vista de formulario',
+        'app.formView': 'Vista de formulario',
+
+        'settings.backupKept': 'Se guardó una copia de los ajustes dañados en la propiedad «settingsBackup» del nodo Form Settings.',
+        'settings.reportLabel': 'Informe de los ajustes del formulario',
+        'settings.reportTitle': 'Ajustes del formulario',
+        'settings.problems': 'Problemas',
+        'settings.idsChanged': 'Algunos ID de nodo de este flujo de trabajo no coinciden con los ajustes guardados del formulario.',
+        'settings.rematched': 'Movido al nodo correspondiente',
+        'settings.orphaned': 'Ningún nodo correspondiente',
+        'settings.orphanedHint': 'Se conserva en el flujo de trabajo por si el nodo vuelve.',
+        'settings.title': 'Ajustes de la vista de formulario',
+        'settings.autoShow': 'Mostrar automáticamente en dispositivos móviles',
+        'settings.panelMode': 'Modo de panel lateral (escritorio)',
+        'settings.wizardMode': 'Asistente paso a paso (una sección por paso)',
+        'settings.language': 'Idioma',
+        'settings.languageAuto': 'Idioma del navegador',
+        'settings.languageReload': 'Recarga la página para cambiar el idioma.',
+        'settings.theme': 'Tema',
+
+        'theme.dark': 'Oscuro',
+        'theme.light': 'Claro',
+        'theme.highContrast': 'Alto contraste',
+        'theme.comfy': 'Seguir la paleta de ComfyUI',
+        'theme.custom': 'Personalizado',
+        'theme.color.background': 'Fondo',
+        'theme.color.surface': 'Superficie',
+        'theme.color.text': 'Texto',
+        'theme.color.textSecondary': 'Texto secundario',
+        'theme.color.accent': 'Acento',
+        'theme.color.border': 'Borde',
+
+        'tab.inputs': 'Entradas',
+        'tab.outputs': 'Salidas',
+        'tab.queue': 'Cola',
+
+        'header.switchForm': 'Cambiar de formulario',
+        'header.form': 'Formulario',
+        'header.undo': 'Deshacer cambio de diseño',
+        'header.redo': 'Rehacer cambio de diseño',
+        'header.presets': 'Ajustes guardados',
+        'header.layoutTitle': 'Exportar / importar diseño',
+        'header.layout': 'Diseño',
+        'header.editTitle': 'Editar diseño',
+        'header.edit': 'Editar',
+        'header.done': 'Listo',
+        'header.close': 'Cerrar la vista de formulario',
+        'header.defaultForm': 'Predeterminado',
+
+        'search.placeholder': 'Buscar widgets...',
+        'search.label': 'Buscar widgets',
+        'search.clear': 'Borrar búsqueda',
+        'search.noResults': 'Ningún widget coincide',
+        'search.noMatch': 'Ningún widget coincide con «{query}»',
+
+        'status.showBatchRuns': 'Mostrar ejecuciones del lote',
+        'status.currentNode': 'Nodo actual',
+        'status.eta': 'Tiempo restante estimado',
+        'status.ready': 'Listo',
+        'status.node': 'Nodo {id}',
+        'status.starting': 'Iniciando el flujo de trabajo...',
+        'status.cached': { one: 'En caché: {count} nodo', other: 'En caché: {count} nodos' },
+        'status.unknownError': 'Error desconocido',
+        'status.error': 'Error: {message}',
+        'status.complete': 'Completado en {time}',
+        'status.processing': 'Procesando',
+        'status.nodeCount': 'Nodo {current}/{total}',
+        'status.timeLeft': 'quedan ~{time}',
+
+        'time.milliseconds': '{value} ms',
+        'time.seconds': '{value} s',
+        'time.minutes': '{minutes} min {seconds} s',
+
+        'actions.queueTitle': 'Poner prompt en cola',
+        'actions.queue': 'Encolar',
+        'actions.batchTitle': 'Poner lote en cola',
+        'actions.batch': 'Lote',
+        'actions.cancelTitle': 'Cancelar ejecución actual',
+        'actions.cancel': 'Cancelar',
+        'actions.error.queue': 'No se pudo poner el prompt en cola: {message}',
+
+        'dialog.close': 'Cerrar diálogo',
+        'dialog.cancel': 'Cancelar',
+        'dialog.ok': 'Aceptar',
+        'dialog.save': 'Guardar',
+        'dialog.confirm': 'Confirmar',
+        'dialog.closeButton': 'Cerrar',
+
+        'rename.group': 'Cambiar nombre del grupo',
+        'rename.field': 'Cambiar nombre del campo',
+        'rename.node': 'Cambiar nombre del nodo',
+        'rename.name': 'Nombre',
+        'rename.placeholder': 'Introduce un nombre nuevo...',
+        'rename.rename': 'Cambiar nombre',
+        'rename.preset': 'Cambiar nombre del ajuste',
+
+        'section.other': 'Otros',
+        'section.renameHint': 'Doble clic para cambiar el nombre',
+
+        'empty.noGroup': 'No se encontró ningún grupo de formulario',
+        'empty.noGroup.description': 'Crea un grupo en tu flujo de trabajo para definir qué nodos aparecen en el formulario.',
+        'empty.noGroup.addGroup': 'Clic derecho en el lienzo → Add Group',
+        'empty.noGroup.name': 'Llámalo {title}',
+        'empty.noGroup.placeNodes': 'Coloca dentro tus nodos de entrada',
+        'empty.noGroup.namedForms': 'Para varios formularios, nómbralos como {title}',
+        'empty.noGroup.exampleForm': 'Escalado',
+        'empty.emptyGroup': 'Grupo de formulario vacío',
+        'empty.emptyGroup.description': 'Añade nodos a tu grupo «{title}» para crear entradas del formulario.',
+        'empty.emptyGroup.primitives': 'Primitivas (números, texto, etc.)',
+        'empty.emptyGroup.loaders': 'Nodos Load Image / Load Video',
+        'empty.emptyGroup.processing': 'KSampler y otros nodos de procesamiento',
+
+        'batch.title': 'Poner lote en cola',
+        'batch.repeat': 'Repetir',
+        'batch.sweep': 'Barrido de parámetros',
+        'batch.runCount': 'Número de ejecuciones',
+        'batch.axisX': 'Eje X',
+        'batch.axisY': 'Eje Y (opcional)',
+        'batch.incrementSeed': 'Incrementar la semilla en cada ejecución',
+        'batch.info': 'Cada ejecución se pone en cola por separado. Si el incremento de semilla está activado, los widgets de semilla aumentan en 1 en cada ejecución. Un barrido pone en cola cada combinación de los valores X e Y y muestra los resultados como una cuadrícula en la pestaña Salidas.',
+        'batch.queue': 'Poner lote en cola',
+        'batch.error.noValues': '{axis} no tiene valores',
+        'batch.error.sameWidget': 'Los ejes X e Y deben usar widgets distintos',
+        'batch.runs': { one: '{count} ejecución', other: '{count} ejecuciones' },
+        'batch.maximum': 'el máximo es {count}',
+        'batch.listText': 'Un valor por línea',
+        'batch.listValues': 'Separados por comas o uno por línea',
+        'batch.none': 'Ninguno',
+        'batch.range': 'Rango',
+        'batch.list': 'Lista',
+        'batch.start': 'Inicio',
+        'batch.stop': 'Fin',
+        'batch.step': 'Paso',
+        'batch.seedRun': 'Semilla {seed}',
+        'batch.run': 'Ejecución {number}',
+        'batch.status.running': 'Ejecución {number} de {total}',
+        'batch.status.done': 'Lote: {done}/{total} terminadas',
+        'batch.status.doneFailed': 'Lote: {done}/{total} terminadas, {failed} fallidas',
+        'batch.runsTitle': 'Ejecuciones del lote',
+        'batch.dismiss': 'Descartar',
+        'batch.cancelRemaining': 'Cancelar las restantes',
+        'batch.run.pending': 'Pendiente',
+        'batch.run.running': 'En ejecución',
+        'batch.run.done': 'Terminada',
+        'batch.run.failed': 'Fallida',
+        'batch.run.cancelled': 'Cancelada',
+        'batch.run.unknown': 'Desconocido',
+        'batch.error.cancel': 'No se pudieron cancelar las ejecuciones restantes: {message}',
+        'batch.error.notCancellable': { one: '{count} ejecución se encoló sin ID y no se puede cancelar', other: '{count} ejecuciones se encolaron sin ID y no se pueden cancelar' },
+        'batch.error.rangeNumbers': 'El inicio, el fin y el paso del rango deben ser números',
+        'batch.error.rangeStep': 'El paso del rango no puede ser 0',
+        'batch.error.rangeSize': 'El rango genera más de {max} valores',
+        'batch.error.notNumber': '«{value}» no es un número',
+        'batch.error.notOption': '«{value}» no es una opción de {name}',
+
+        'sweep.dismiss': 'Descartar la cuadrícula del barrido',
+        'sweep.queued': 'En cola',
+        'sweep.pending': 'Pendiente',
+        'sweep.failed': 'Fallida',
+        'sweep.unknown': 'Salidas desconocidas',
+
+        'restore.restored': { one: '{count} valor restaurado', other: '{count} valores restaurados' },
+        'restore.nothing': 'No hay valores del formulario que restaurar',
+        'restore.error': 'No se pudieron restaurar los parámetros: {message}',
+
+        'validation.needsAttention': { one: '{count} campo requiere atención', other: '{count} campos requieren atención' },
+        'validation.title': 'Validación',
+        'validation.noFields': 'Este nodo no tiene campos que validar.',
+        'validation.field': 'Campo',
+        'validation.required': 'Obligatorio',
+        'validation.upload': 'Debe subirse',
+        'validation.min': 'Mín.',
+        'validation.minimum': 'Mínimo',
+        'validation.max': 'Máx.',
+        'validation.maximum': 'Máximo',
+        'validation.patternPlaceholder': 'Expresión regular, p. ej. {example}',
+        'validation.pattern': 'Patrón',
+        'validation.messagePlaceholder': 'Mensaje de error personalizado (opcional)',
+        'validation.message': 'Mensaje de error',
+        'validation.hint': 'No se puede poner en cola mientras un campo no supere sus comprobaciones. Los campos opcionales vacíos no se comprueban.',
+        'validation.error.required': '{name} es obligatorio',
+        'validation.error.upload': 'Sube un archivo para {name}',
+        'validation.error.pattern': '{name} no tiene el formato esperado',
+        'validation.error.number': '{name} debe ser un número',
+        'validation.error.min': '{name} debe ser como mínimo {min}',
+        'validation.error.max': '{name} debe ser como máximo {max}',
+
+        'rule.title': 'Regla de visibilidad',
+        'rule.noSources': 'No hay otros widgets en el formulario en los que basar una regla.',
+        'rule.noTargets': 'Esta tarjeta no tiene campos que una regla pueda ocultar.',
+        'rule.target': 'Se aplica a',
+        'rule.widgetShould': 'Este widget debe',
+        'rule.showWhen': 'Mostrarse solo cuando',
+        'rule.hideWhen': 'Ocultarse cuando',
+        'rule.field': 'Campo',
+        'rule.hint': 'Los widgets ocultos conservan sus valores y se siguen enviando con el prompt. Entra en el modo de edición (E) para ver y editar los widgets ocultos.',
+        'rule.remove': 'Quitar regla',
+        'rule.value': 'Valor',
+        'rule.operator.equals': 'es igual a',
+        'rule.operator.notEquals': 'no es igual a',
+        'rule.operator.on': 'está activado',
+        'rule.operator.off': 'está desactivado',
+        'rule.describe': '{action} {field} {operator}{value}',
+
+        'tooltip.show': 'Mostrar descripción',
+        'tooltip.title': 'Editar descripción',
+        'tooltip.label': 'Descripción/ayuda personalizada para este widget:',
+        'tooltip.default': 'Déjalo vacío para usar la predeterminada: «{tooltip}»',
+        'tooltip.reset': 'Restablecer predeterminada',
+
+        'menu.bypass': 'Omitir nodo',
+        'menu.bypassHint': 'Omite este nodo durante la ejecución. El nodo se mostrará en gris y sus entradas quedarán desactivadas.',
+        'menu.newRow': 'Nueva fila antes',
+        'menu.newRowHint': 'Hace que este widget empiece en una fila nueva, aunque quede espacio en la fila anterior.',
+        'menu.width': 'Ancho',
+        'menu.width.columns': { one: '{count} columna', other: '{count} columnas' },
+        'menu.width.full': 'Fila completa',
+        'menu.width.hint': 'El widget ocupa {count}/{columns} del ancho de la fila',
+        'menu.width.fullHint': 'El widget ocupa toda la fila',
+        'menu.height': 'Altura',
+        'menu.height.auto': 'Automática',
+        'menu.height.autoHint': 'La altura se ajusta automáticamente al contenido',
+        'menu.height.compact': 'Compacta',
+        'menu.height.compactHint': 'Altura compacta fija (~80px)',
+        'menu.height.medium': 'Media',
+        'menu.height.mediumHint': 'Altura media fija (~150px)',
+        'menu.height.tall': 'Alta',
+        'menu.height.tallHint': 'Altura grande fija (~250px): ideal para áreas de texto y vistas previas de imágenes',
+        'menu.color': 'Color',
+        'menu.rename': 'Cambiar nombre',
+        'menu.renameHint': 'Cambiar el nombre de este widget/nodo',
+        'menu.tooltip': 'Editar descripción',
+        'menu.tooltipCustom': 'Editar descripción (personalizada)',
+        'menu.tooltipHint': 'Define una ayuda/descripción personalizada para este widget',
+        'menu.editRule': 'Editar regla de visibilidad',
+        'menu.addRule': 'Añadir regla de visibilidad',
+        'menu.ruleHint': 'Muestra u oculta este widget según el valor de otro widget',
+        'menu.validation': 'Validación',
+        'menu.validationHint': 'Marca campos como obligatorios o limita sus valores antes de poner en cola',
+        'menu.move': 'Mover',
+        'menu.move.top': 'Mover al principio',
+        'menu.move.up': 'Subir',
+        'menu.move.down': 'Bajar',
+        'menu.move.bottom': 'Mover al final',
+        'menu.merge': 'Volver a la tarjeta del nodo',
+        'menu.mergeHint': 'Mostrar «{widget}» de nuevo en la tarjeta {node}',
+        'menu.split': 'Separar en su propia tarjeta',
+        'menu.split.merge': 'Mostrar «{widget}» de nuevo en esta tarjeta',
+        'menu.split.split': 'Dar a «{widget}» su propia tarjeta, con su propio tamaño, color y posición',
+        'menu.fields': 'Mostrar/ocultar campos',
+        'menu.fields.show': 'Mostrar el campo «{widget}»',
+        'menu.fields.hide': 'Ocultar el campo «{widget}»',
+        'menu.editDot': 'Editar ajustes del widget',
+
+        'resize.width': 'Arrastra para cambiar el ancho',
+        'resize.height': 'Arrastra para cambiar la altura',
+
+        'profile.label': 'Perfil de diseño',
+        'profile.editing': 'Diseño para',
+        'profile.desktop': 'Escritorio',
+        'profile.mobile': 'Móvil',
+        'profile.copy': 'Copiar de {profile}',
+        'profile.copyHint': 'Reemplazar este diseño por el diseño de {profile}',
+        'profile.copyTitle': 'Copiar diseño',
+        'profile.copyMessage': '¿Reemplazar el diseño de {to} (tamaños, saltos de fila, campos ocultos y orden de widgets) por el diseño de {from}?',
+        'profile.copyConfirm': 'Copiar',
+        'profile.copied': 'Diseño de {from} copiado a {to}',
+
+        'columns.label': 'Columnas',
+        'columns.auto': 'Automático',
+        'columns.formHint': 'Columnas de la cuadrícula del formulario en este diseño',
+        'columns.sectionHint': 'Columnas de esta sección en este diseño',
+
+        'widget.preview': 'Vista previa',
+        'widget.search': 'Buscar...',
+        'widget.promptPlaceholder': 'Escribe el prompt...',
+        'widget.button': 'Botón',
+        'widget.randomSeed': 'Semilla aleatoria',
+        'widget.lastSeed': 'Última semilla',
+        'widget.currentImage': 'Imagen actual',
+        'widget.noImage': 'Ninguna imagen seleccionada',
+        'widget.chooseFile': 'Elegir archivo',
+        'widget.camera': 'Cámara',
+        'widget.uploading': 'Subiendo...',
+        'widget.uploadedImage': 'Imagen subida',
+        'widget.uploadFailed': 'Error al subir',
+        'widget.noVideo': 'Ningún vídeo seleccionado',
+        'widget.chooseVideo': 'Elegir vídeo',
+
+        'viewer.close': 'Cerrar',
+
+        'outputs.running': 'Ejecutando el flujo de trabajo...',
+        'outputs.completeNone': 'Completado: no se generaron salidas',
+        'outputs.completeCount': { one: 'Completado: {count} salida', other: 'Completado: {count} salidas' },
+        'outputs.executing': 'Ejecutando: {name}...',
+        'outputs.progress': 'Progreso: {percent}%',
+        'outputs.title': 'Salidas generadas',
+        'outputs.gridView': 'Vista de cuadrícula',
+        'outputs.listView': 'Vista de lista',
+        'outputs.showAll': 'Mostrar todas las salidas',
+        'outputs.showRated': 'Mostrar solo salidas valoradas',
+        'outputs.sortNewest': 'Ordenar por más recientes',
+        'outputs.sortRating': 'Ordenar por valoración',
+        'outputs.doneSelecting': 'Terminar la selección',
+        'outputs.select': 'Seleccionar salidas para descargar',
+        'outputs.backToCurrent': 'Volver a las salidas actuales',
+        'outputs.browseHistory': 'Explorar el historial',
+        'outputs.clearTitle': 'Borrar todas las salidas',
+        'outputs.clear': 'Borrar',
+        'outputs.manifestTitle': 'Añadir manifest.json con los títulos de los nodos y los parámetros del prompt',
+        'outputs.manifest': 'Manifiesto',
+        'outputs.selectAll': 'Seleccionar todo',
+        'outputs.selectNone': 'No seleccionar nada',
+        'outputs.clearConfirm.title': 'Borrar todas las salidas',
+        'outputs.clearConfirm.message': { one: '¿Seguro que quieres borrar {count} salida? Esta acción no se puede deshacer.', other: '¿Seguro que quieres borrar las {count} salidas? Esta acción no se puede deshacer.' },
+        'outputs.clearConfirm.confirm': 'Borrar todo',
+        'outputs.clearConfirm.cancel': 'Conservar',
+        'outputs.empty': 'Aún no hay salidas',
+        'outputs.empty.description': 'Las imágenes, vídeos y otras salidas generadas aparecerán aquí después de ejecutar tu flujo de trabajo.',
+        'outputs.empty.configure': 'Configura las entradas del flujo de trabajo',
+        'outputs.empty.queue': 'Pulsa «Poner prompt en cola» para ejecutarlo',
+        'outputs.empty.results': 'Los resultados aparecerán aquí automáticamente',
+        'outputs.noRated': 'No hay salidas valoradas',
+        'outputs.noRated.description': 'Valora las salidas con las estrellas que hay debajo o desactiva el filtro de valoradas para verlo todo.',
+        'outputs.settings': 'Ajustes de salida',
+        'outputs.rate': { one: 'Valorar con {count} estrella', other: 'Valorar con {count} estrellas' },
+        'outputs.copy': 'Copiar al portapapeles',
+        'outputs.restore': 'Restaurar parámetros',
+        'outputs.compare': 'Comparar',
+        'outputs.info': 'Información de la salida',
+        'outputs.showInfo': 'Mostrar información de la salida',
+        'outputs.fullscreen': 'Ver a pantalla completa',
+        'outputs.download': 'Descargar',
+        'outputs.selected': { one: '{count} seleccionada', other: '{count} seleccionadas' },
+        'outputs.preparing': 'Preparando…',
+        'outputs.downloadSelected': 'Descargar selección',
+        'outputs.downloadAll': 'Descargar todo',
+        'outputs.downloading': 'Descargando {index}/{total}…',
+        'outputs.error.noneDownloaded': 'No se pudo descargar ninguna de las salidas',
+        'outputs.downloaded': { one: '{count} archivo descargado', other: '{count} archivos descargados' },
+        'outputs.downloadedFailed': { one: '{count} archivo descargado ({failed} con errores)', other: '{count} archivos descargados ({failed} con errores)' },
+        'outputs.error.download': 'Error en la descarga',
+        'outputs.error.downloadAlert': 'No se pudieron descargar las salidas: {message}',
+        'outputs.compareSelect': 'Selecciona una segunda imagen para comparar',
+
+        'history.loading': 'Cargando…',
+        'history.noOlder': 'No hay salidas más antiguas',
+        'history.empty': 'No hay salidas en el historial',
+        'history.unknownTime': 'Hora desconocida',
+        'history.group': { one: '{time} · {count} salida', other: '{time} · {count} salidas' },
+
+        'presets.title': 'Ajustes guardados',
+        'presets.saveAs': 'Guardar los valores actuales como',
+        'presets.namePlaceholder': 'Nombre del ajuste...',
+        'presets.empty': 'Aún no hay ajustes guardados. Guarda los valores actuales del formulario para crear uno.',
+        'presets.apply': 'Aplicar ajuste',
+        'presets.overwriteHint': 'Sobrescribir con los valores actuales',
+        'presets.delete': 'Eliminar',
+        'presets.overwrite.title': 'Sobrescribir ajuste',
+        'presets.overwrite.message': '¿Reemplazar los valores guardados en «{name}» por los valores actuales del formulario?',
+        'presets.overwrite': 'Sobrescribir',
+        'presets.exists': 'Ya existe un ajuste llamado «{name}».',
+        'presets.delete.title': 'Eliminar ajuste',
+        'presets.delete.message': '¿Eliminar el ajuste «{name}»? Esta acción no se puede deshacer.',
+        'presets.replace.message': 'Ya existe un ajuste llamado «{name}». ¿Reemplazarlo por los valores actuales del formulario?',
+
+        'queue.error.update': 'No se pudo actualizar la cola: {message}',
+        'queue.clearConfirm.title': 'Vaciar la cola',
+        'queue.clearConfirm.message': { one: '¿Quitar {count} elemento pendiente de la cola? El elemento en ejecución no se ve afectado.', other: '¿Quitar los {count} elementos pendientes de la cola? El elemento en ejecución no se ve afectado.' },
+        'queue.count': '{running} en ejecución · {pending} pendientes',
+        'queue.refresh': 'Actualizar la cola',
+        'queue.clearPending': 'Quitar los elementos pendientes',
+        'queue.empty': 'La cola está vacía',
+        'queue.empty.description': 'Los prompts en cola aparecerán aquí mientras esperan y se ejecutan.',
+        'queue.item.running': '#{number} · En ejecución',
+        'queue.item.meta': { one: '{count} nodo · {id}', other: '{count} nodos · {id}' },
+        'queue.item.metaOwn': { one: '{count} nodo · {id} · este dispositivo', other: '{count} nodos · {id} · este dispositivo' },
+        'queue.interrupt': 'Interrumpir',
+        'queue.interruptLabel': 'Interrumpir el elemento en ejecución',
+        'queue.remove': 'Quitar de la cola',
+
+        'info.file': 'Archivo',
+        'info.node': 'Nodo',
+        'info.prompt': 'Prompt',
+        'info.started': 'Inicio',
+        'info.duration': 'Duración',
+        'info.status': 'Estado',
+        'info.seed': 'Semilla',
+        'info.copy': 'Copiar como texto',
+        'info.parameters': 'Parámetros',
+        'info.copied': '¡Copiado!',
+        'info.copyFailed': 'Error al copiar',
+        'info.unknownPrompt': 'No se conoce el prompt que generó esta salida.',
+        'info.unavailable': 'Detalles del prompt no disponibles: {message}',
+
+        'layout.error.json': 'El archivo no es un JSON válido.',
+        'layout.error.format': 'El archivo no es un diseño de formulario.',
+        'layout.error.version': 'El diseño se exportó con una versión más reciente de ComfyUI Forms.',
+        'layout.label': 'Diseño del formulario',
+        'layout.hint': 'Guarda el diseño del formulario (orden, tamaños, colores, descripciones, campos ocultos y secciones contraídas) en un archivo, o carga un diseño exportado desde otro flujo de trabajo. Los nodos se emparejan por tipo y título.',
+        'layout.export': 'Exportar',
+        'layout.choose': 'Importar…',
+        'layout.import': 'Importar',
+        'layout.unmatched': 'Ningún nodo correspondiente: se omite',
+        'layout.summary': { one: '{matched} de {count} nodo recibirá su diseño. Los demás nodos conservan sus ajustes actuales.', other: '{matched} de {count} nodos recibirán su diseño. Los demás nodos conservan sus ajustes actuales.' },
+
+        'wizard.on': 'Activado',
+        'wizard.off': 'Desactivado',
+        'wizard.review': 'Revisar',
+        'wizard.step': 'Paso {step} de {total} · {title}',
+        'wizard.back': 'Atrás',
+        'wizard.next': 'Siguiente',
+        'wizard.bypassed': 'Omitido',
+        'wizard.edit': 'Editar',
+        'wizard.noValues': 'No hay valores en este paso',
+
+        'compare.mode': 'Modo de comparación',
+        'compare.split': 'Dividido',
+        'compare.side': 'Lado a lado',
+        'compare.onion': 'Superposición',
+        'compare.opacity': 'Opacidad de B',
+        'compare.swap': 'Intercambiar A y B',
+        'compare.reset': 'Restablecer zoom',
+        'compare.splitPosition': 'Posición de la división',
+        'compare.close': 'Cerrar la vista de comparación',
+
+        'params.error.notInHistory': 'Este prompt ya no está en el historial del servidor',
+
+        'schema.nodeDropped': 'Nodo #{id}: los ajustes no son un objeto y se descartaron',
+        'schema.fieldDropped': 'Nodo #{id}: se descartó «{field}» no válido',
+        'schema.orderDropped': 'El orden de los widgets no es válido y se descartó',
+        'schema.formOrderDropped': 'El orden de los widgets del formulario «{name}» no es válido y se descartó',
+        'schema.formOrdersDropped': 'Los órdenes de widgets de los formularios no son válidos y se descartaron',
+        'schema.profileOrdersDropped': 'Los órdenes de widgets de los perfiles de diseño no son válidos y se descartaron',
+        'schema.gridColumnsDropped': 'Los números de columnas no son válidos y se descartaron',
+        'schema.presetsDropped': { one: 'Se descartó {count} ajuste guardado no válido', other: 'Se descartaron {count} ajustes guardados no válidos' },
+        'schema.presetsInvalid': 'Los ajustes guardados no son válidos y se descartaron',
+        'schema.corrupt': 'No se pudieron leer los ajustes guardados del formulario (el JSON está dañado)',
+        'schema.unknownVersion': 'Versión de ajustes desconocida «{version}», leída como versión 1',
+        'schema.newerVersion': 'Los ajustes del formulario se guardaron con una versión más reciente de ComfyUI Forms (versión {version}); puede que algunos no se apliquen'
+    }
+};
@@ -0,0 +1,460 @@
+// @ts-check
+
+/**
+ * French locale pack
+ *
+ * Keys missing here fall back to the English pack (en.js).
+ */
+
+/** @import {LocalePack} from "../i18n.js" */
+
+/** @type {LocalePack} */
+export default {
+    name: 'Français',
+    groups: {
+        inputs: ['Entrées du formulaire', 'Entrees du formulaire'],
+        outputs: ['Sorties du formulaire']
+    },
+    strings: {
+        'app.toggle': 'Afficher/masquer la vue formulaire',
+        'app.formView': 'Vue formulaire',
+
+        'settings.backupKept': 'Une copie des paramètres endommagés a été conservée dans la propriété « settingsBackup » du nœud Form Settings.',
+        'settings.reportLabel': 'Rapport sur les paramètres du formulaire',
+        'settings.reportTitle': 'Paramètres du formulaire',
+        'settings.problems': 'Problèmes',
+        'settings.idsChanged': 'Certains identifiants de nœud de ce workflow ne correspondent pas aux paramètres enregistrés du formulaire.',
+        'settings.rematched': 'Déplacé vers le nœud correspondant',
+        'settings.orphaned': 'Aucun nœud correspondant',
+        'settings.orphanedHint': 'Conservé dans le workflow au cas où le nœud reviendrait.',
+        'settings.title': 'Paramètres de la vue formulaire',
+        'settings.autoShow': 'Afficher automatiquement sur mobile',
+        'settings.panelMode': 'Mode panneau latéral (ordinateur)',
+        'settings.wizardMode': 'Assistant pas à pas (une section par étape)',
+        'settings.language': 'Langue',
+        'settings.languageAuto': 'Langue du navigateur',
+        'settings.languageReload': 'Rechargez la page pour changer de langue.',
+        'settings.theme': 'Thème',
+
+        'theme.dark': 'Sombre',
+        'theme.light': 'Clair',
+        'theme.highContrast': 'Contraste élevé',
+        'theme.comfy': 'Suivre la palette ComfyUI',
+        'theme.custom': 'Personnalisé',
+        'theme.color.background': 'Arrière-plan',
+        'theme.color.surface': 'Surface',
+        'theme.color.text': 'Texte',
+        'theme.color.textSecondary': 'Texte secondaire',
+        'theme.color.accent': 'Accent',
+        'theme.color.border': 'Bordure',
+
+        'tab.inputs': 'Entrées',
+        'tab.outputs': 'Sorties',
+        'tab.queue': "File d'attente",
+
+        'header.switchForm': 'Changer de formulaire',
+        'header.form': 'Formulaire',
+        'header.undo': 'Annuler la modification de mise en page',
+        'header.redo': 'Rétablir la modification de mise en page',
+        'header.presets': 'Préréglages',
+        'header.layoutTitle': 'Exporter / importer la mise en page',
+        'header.layout': 'Mise en page',
+        'header.editTitle': 'Modifier la mise en page',
+        'header.edit': 'Modifier',
+        'header.done': 'Terminé',
+        'header.close': 'Fermer la vue formulaire',
+        'header.defaultForm': 'Par défaut',
+
+        'search.placeholder': 'Rechercher des widgets...',
+        'search.label': 'Rechercher des widgets',
+        'search.clear': 'Effacer la recherche',
+        'search.noResults': 'Aucun widget correspondant',
+        'search.noMatch': 'Aucun widget ne correspond à « {query} »',
+
+        'status.showBatchRuns': 'Afficher les exécutions du lot',
+        'status.currentNode': 'Nœud en cours',
+        'status.eta': 'Temps restant estimé',
+        'status.ready': 'Prêt',
+        'status.node': 'Nœud {id}',
+        'status.starting': 'Démarrage du workflow...',
+        'status.cached': { one: 'En cache : {count} nœud', other: 'En cache : {count} nœuds' },
+        'status.unknownError': 'Erreur inconnue',
+        'status.error': 'Erreur : {message}',
+        'status.complete': 'Terminé en {time}',
+        'status.processing': 'Traitement',
+        'status.nodeCount': 'Nœud {current}/{total}',
+        'status.timeLeft': 'encore ~{time}',
+
+        'time.milliseconds': '{value} ms',
+        'time.seconds': '{value} s',
+        'time.minutes': '{minutes} min {seconds} s',
+
+        'actions.queueTitle': 'Mettre le prompt en file',
+        'actions.queue': 'Lancer',
+        'actions.batchTitle': 'Mettre un lot en file',
+        'actions.batch': 'Lot',
+        'actions.cancelTitle': "Annuler l'exécution en cours",
+        'actions.cancel': 'Annuler',
+        'actions.error.queue': 'Impossible de mettre le prompt en file : {message}',
+
+        'dialog.close': 'Fermer la boîte de dialogue',
+        'dialog.cancel': 'Annuler',
+        'dialog.ok': 'OK',
+        'dialog.save': 'Enregistrer',
+        'dialog.confirm': 'Confirmer',
+        'dialog.closeButton': 'Fermer',
+
+        'rename.group': 'Renommer le groupe',
+        'rename.field': 'Renommer le champ',
+        'rename.node': 'Renommer le nœud',
+        'rename.name': 'Nom',
+        'rename.placeholder': 'Saisissez un nouveau nom...',
+        'rename.rename': 'Renommer',
+        'rename.preset': 'Renommer le préréglage',
+
+        'section.other': 'Autres',
+        'section.renameHint': 'Double-cliquez pour renommer',
+
+        'empty.noGroup': 'Aucun groupe de formulaire trouvé',
+        'empty.noGroup.description': 'Créez un groupe dans votre workflow pour définir les nœuds affichés dans le formulaire.',
+        'empty.noGroup.addGroup': 'Clic droit sur le canevas → Add Group',
+        'empty.noGroup.name': 'Nommez-le {title}',
+        'empty.noGroup.placeNodes': "Placez-y vos nœuds d'entrée",
+        'empty.noGroup.namedForms': 'Pour plusieurs formulaires, nommez-les par exemple {title}',
+        'empty.noGroup.exampleForm': 'Agrandissement',
+        'empty.emptyGroup': 'Groupe de formulaire vide',
+        'empty.emptyGroup.description': 'Ajoutez des nœuds à votre groupe « {title} » pour créer les entrées du formulaire.',
+        'empty.emptyGroup.primitives': 'Primitives (nombres, texte, etc.)',
+        'empty.emptyGroup.loaders': 'Nœuds Load Image / Load Video',
+        'empty.emptyGroup.processing': 'KSampler et autres nœuds de traitement',
+
+        'batch.title': 'Mettre un lot en file',
+        'batch.repeat': 'Répéter',
+        'batch.sweep': 'Balayage de paramètres',
+        'batch.runCount': "Nombre d'exécutions",
+        'batch.axisX': 'Axe X',
+        'batch.axisY': 'Axe Y (facultatif)',
+        'batch.incrementSeed': 'Incrémenter la graine à chaque exécution',
+        'batch.info': "Chaque exécution est mise en file séparément. Si l'incrément de graine est activé, les widgets de graine augmentent de 1 à chaque exécution. Un balayage met en file chaque combinaison des valeurs X et Y et affiche les résultats sous forme de grille dans l'onglet Sorties.",
+        'batch.queue': 'Mettre le lot en file',
+        'batch.error.noValues': "{axis} n'a aucune valeur",
+        'batch.error.sameWidget': 'Les axes X et Y doivent utiliser des widgets différents',
+        'batch.runs': { one: '{count} exécution', other: '{count} exécutions' },
+        'batch.maximum': 'le maximum est {count}',
+        'batch.listText': 'Une valeur par ligne',
+        'batch.listValues': 'Séparées par des virgules ou une par ligne',
+        'batch.none': 'Aucun',
+        'batch.range': 'Plage',
+        'batch.list': 'Liste',
+        'batch.start': 'Début',
+        'batch.stop': 'Fin',
+        'batch.step': 'Pas',
+        'batch.seedRun': 'Graine {seed}',
+        'batch.run': 'Exécution {number}',
+        'batch.status.running': 'Exécution {number} sur {total}',
+        'batch.status.done': 'Lot : {done}/{total} terminées',
+        'batch.status.doneFailed': 'Lot : {done}/{total} terminées, {failed} en échec',
+        'batch.runsTitle': 'Exécutions du lot',
+        'batch.dismiss': 'Masquer',
+        'batch.cancelRemaining': 'Annuler les restantes',
+        'batch.run.pending': 'En attente',
+        'batch.run.running': 'En cours',
+        'batch.run.done': 'Terminée',
+        'batch.run.failed': 'Échec',
+        'batch.run.cancelled': 'Annulée',
+        'batch.run.unknown': 'Inconnu',
+        'batch.error.cancel': "Impossible d'annuler les exécutions restantes : {message}",
+        'batch.error.notCancellable': { one: '{count} exécution a été mise en file sans ID et ne peut pas être annulée', other: '{count} exécutions ont été mises en file sans ID et ne peuvent pas être annulées' },
+        'batch.error.rangeNumbers': 'Le début, la fin et le pas de la plage doivent être des nombres',
+        'batch.error.rangeStep': 'Le pas de la plage ne peut pas être 0',
+        'batch.error.rangeSize': 'La plage produit plus de {max} valeurs',
+        'batch.error.notNumber': "« {value} » n'est pas un nombre",
+        'batch.error.notOption': "« {value} » n'est pas une option de {name}",
+
+        'sweep.dismiss': 'Masquer la grille du balayage',
+        'sweep.queued': 'En file',
+        'sweep.pending': 'En attente',
+        'sweep.failed': 'Échec',
+        'sweep.unknown': 'Sorties inconnues',
+
+        'restore.restored': { one: '{count} valeur restaurée', other: '{count} valeurs restaurées' },
+        'restore.nothing': 'Aucune valeur de formulaire correspondante à restaurer',
+        'restore.error': 'Impossible de restaurer les paramètres : {message}',
+
+        'validation.needsAttention': { one: '{count} champ à vérifier', other: '{count} champs à vérifier' },
+        'validation.title': 'Validation',
+        'validation.noFields': "Ce nœud n'a aucun champ à valider.",
+        'validation.field': 'Champ',
+        'validation.required': 'Obligatoire',
+        'validation.upload': 'Doit être importé',
+        'validation.min': 'Min.',
+        'validation.minimum': 'Minimum',
+        'validation.max': 'Max.',
+        'validation.maximum': 'Maximum',
+        'validation.patternPlaceholder': 'Expression régulière, p. ex. {example}',
+        'validation.pattern': 'Motif',
+        'validation.messagePlaceholder': "Message d'erreur personnalisé (facultatif)",
+        'validation.message': "Message d'erreur",
+        'validation.hint': "La mise en file est bloquée tant qu'un champ échoue à ses vérifications. Les champs facultatifs vides ne sont pas vérifiés.",
+        'validation.error.required': '{name} est obligatoire',
+        'validation.error.upload': 'Importez un fichier pour {name}',
+        'validation.error.pattern': "{name} n'a pas le format attendu",
+        'validation.error.number': '{name} doit être un nombre',
+        'validation.error.min': '{name} doit être au moins {min}',
+        'validation.error.max': '{name} doit être au plus {max}',
+
+        'rule.title': 'Règle de visibilité',
+        'rule.noSources': 'Le formulaire ne contient aucun autre widget sur lequel baser une règle.',
+        'rule.noTargets': "Cette carte n'a aucun champ qu'une règle puisse masquer.",
+        'rule.target': "S'applique à",
+        'rule.widgetShould': 'Ce widget doit',
+        'rule.showWhen': "S'afficher uniquement si",
+        'rule.hideWhen': 'Se masquer si',
+        'rule.field': 'Champ',
+        'rule.hint': 'Les widgets masqués conservent leurs valeurs et sont toujours envoyés avec le prompt. Passez en mode édition (E) pour voir et modifier les widgets masqués.',
+        'rule.remove': 'Supprimer la règle',
+        'rule.value': 'Valeur',
+        'rule.operator.equals': 'est égal à',
+        'rule.operator.notEquals': "n'est pas égal à",
+        'rule.operator.on': 'est activé',
+        'rule.operator.off': 'est désactivé',
+        'rule.describe': '{action} {field} {operator}{value}',
+
+        'tooltip.show': "Afficher l'info-bulle",
+        'tooltip.title': "Modifier l'info-bulle",
+        'tooltip.label': 'Info-bulle / aide personnalisée pour ce widget :',
+        'tooltip.default': 'Laissez vide pour utiliser celle par défaut : « {tooltip} »',
+        'tooltip.reset': 'Rétablir la valeur par défaut',
+
+        'menu.bypass': 'Ignorer le nœud',
+        'menu.bypassHint': "Ignore ce nœud pendant l'exécution. Le nœud est grisé et ses entrées sont désactivées.",
+        'menu.newRow': 'Nouvelle ligne avant',
+        'menu.newRowHint': "Force ce widget à commencer une nouvelle ligne, même s'il reste de la place sur la ligne précédente.",
+        'menu.width': 'Largeur',
+        'menu.width.columns': { one: '{count} colonne', other: '{count} colonnes' },
+        'menu.width.full': 'Ligne entière',
+        'menu.width.hint': 'Le widget occupe {count}/{columns} de la largeur de la ligne',
+        'menu.width.fullHint': 'Le widget occupe toute la ligne',
+        'menu.height': 'Hauteur',
+        'menu.height.auto': 'Automatique',
+        'menu.height.autoHint': "La hauteur s'adapte automatiquement au contenu",
+        'menu.height.compact': 'Compacte',
+        'menu.height.compactHint': 'Hauteur compacte fixe (~80px)',
+        'menu.height.medium': 'Moyenne',
+        'menu.height.mediumHint': 'Hauteur moyenne fixe (~150px)',
+        'menu.height.tall': 'Grande',
+        'menu.height.tallHint': "Grande hauteur fixe (~250px) – idéale pour les zones de texte et les aperçus d'image",
+        'menu.color': 'Couleur',
+        'menu.rename': 'Renommer',
+        'menu.renameHint': 'Renommer ce widget/nœud',
+        'menu.tooltip': "Modifier l'info-bulle",
+        'menu.tooltipCustom': "Modifier l'info-bulle (personnalisée)",
+        'menu.tooltipHint': 'Définir une aide/description personnalisée pour ce widget',
+        'menu.editRule': 'Modifier la règle de visibilité',
+        'menu.addRule': 'Ajouter une règle de visibilité',
+        'menu.ruleHint': "Afficher ou masquer ce widget selon la valeur d'un autre widget",
+        'menu.validation': 'Validation',
+        'menu.validationHint': 'Rendre des champs obligatoires ou limiter leurs valeurs avant la mise en file',
+        'menu.move': 'Déplacer',
+        'menu.move.top': 'Tout en haut',
+        'menu.move.up': 'Monter',
+        'menu.move.down': 'Descendre',
+        'menu.move.bottom': 'Tout en bas',
+        'menu.merge': 'Réintégrer dans la carte du nœud',
+        'menu.mergeHint': 'Afficher de nouveau « {widget} » dans la carte {node}',
+        'menu.split': 'Séparer dans sa propre carte',
+        'menu.split.merge': 'Afficher de nouveau « {widget} » dans cette carte',
+        'menu.split.split': 'Donner à « {widget} » sa propre carte, avec sa propre taille, couleur et position',
+        'menu.fields': 'Afficher/masquer des champs',
+        'menu.fields.show': 'Afficher le champ « {widget} »',
+        'menu.fields.hide': 'Masquer le champ « {widget} »',
+        'menu.editDot': 'Modifier les paramètres du widget',
+
+        'resize.width': 'Faire glisser pour changer la largeur',
+        'resize.height': 'Faire glisser pour changer la hauteur',
+
+        'profile.label': 'Profil de disposition',
+        'profile.editing': 'Disposition pour',
+        'profile.desktop': 'Ordinateur',
+        'profile.mobile': 'Mobile',
+        'profile.copy': 'Copier depuis {profile}',
+        'profile.copyHint': 'Remplacer cette disposition par la disposition {profile}',
+        'profile.copyTitle': 'Copier la disposition',
+        'profile.copyMessage': 'Remplacer la disposition {to} (tailles, retours à la ligne, champs masqués et ordre des widgets) par la disposition {from} ?',
+        'profile.copyConfirm': 'Copier',
+        'profile.copied': 'Disposition {from} copiée vers {to}',
+
+        'columns.label': 'Colonnes',
+        'columns.auto': 'Automatique',
+        'columns.formHint': 'Colonnes de la grille du formulaire dans cette disposition',
+        'columns.sectionHint': 'Colonnes de cette section dans cette disposition',
+
+        'widget.preview': 'Aperçu',
+        'widget.search': 'Rechercher...',
+        'widget.promptPlaceholder': 'Saisissez le prompt...',
+        'widget.button': 'Bouton',
+        'widget.randomSeed': 'Graine aléatoire',
+        'widget.lastSeed': 'Dernière graine',
+        'widget.currentImage': 'Image actuelle',
+        'widget.noImage': 'Aucune image sélectionnée',
+        'widget.chooseFile': 'Choisir un fichier',
+        'widget.camera': 'Appareil photo',
+        'widget.uploading': 'Envoi en cours...',
+        'widget.uploadedImage': 'Image envoyée',
+        'widget.uploadFailed': "Échec de l'envoi",
+        'widget.noVideo': 'Aucune vidéo sélectionnée',
+        'widget.chooseVideo': 'Choisir une vidéo',
+
+        'viewer.close': 'Fermer',
+
+        'outputs.running': 'Exécution du workflow...',
+        'outputs.completeNone': 'Terminé – aucune sortie générée',
+        'outputs.completeCount': { one: 'Terminé – {count} sortie', other: 'Terminé – {count} sorties' },
+        'outputs.executing': 'Exécution : {name}...',
+        'outputs.progress': 'Progression : {percent} %',
+        'outputs.title': 'Sorties générées',
+        'outputs.gridView': 'Vue en grille',
+        'outputs.listView': 'Vue en liste',
+        'outputs.showAll': 'Afficher toutes les sorties',
+        'outputs.showRated': 'Afficher uniquement les sorties notées',
+        'outputs.sortNewest': 'Trier par date',
+        'outputs.sortRating': 'Trier par note',
+        'outputs.doneSelecting': 'Terminer la sélection',
+        'outputs.select': 'Sélectionner des sorties à télécharger',
+        'outputs.backToCurrent': 'Revenir aux sorties actuelles',
+        'outputs.browseHistory': "Parcourir l'historique",
+        'outputs.clearTitle': 'Effacer toutes les sorties',
+        'outputs.clear': 'Effacer',
+        'outputs.manifestTitle': 'Ajouter un manifest.json avec les titres des nœuds et les paramètres du prompt',
+        'outputs.manifest': 'Manifeste',
+        'outputs.selectAll': 'Tout sélectionner',
+        'outputs.selectNone': 'Tout désélectionner',
+        'outputs.clearConfirm.title': 'Effacer toutes les sorties',
+        'outputs.clearConfirm.message': { one: 'Voulez-vous vraiment effacer {count} sortie ? Cette action est irréversible.', other: 'Voulez-vous vraiment effacer les {count} sorties ? Cette action est irréversible.' },
+        'outputs.clearConfirm.confirm': 'Tout effacer',
+        'outputs.clearConfirm.cancel': 'Conserver',
+        'outputs.empty': 'Aucune sortie pour le moment',
+        'outputs.empty.description': "Les images, vidéos et autres sorties générées s'afficheront ici après l'exécution de votre workflow.",
+        'outputs.empty.configure': 'Configurez les entrées du workflow',
+        'outputs.empty.queue': 'Cliquez sur « Mettre le prompt en file » pour lancer',
+        'outputs.empty.results': "Les résultats s'afficheront ici automatiquement",
+        'outputs.noRated': 'Aucune sortie notée',
+        'outputs.noRated.description': 'Notez les sorties avec les étoiles situées en dessous, ou désactivez le filtre des sorties notées pour tout voir.',
+        'outputs.settings': 'Paramètres de sortie',
+        'outputs.rate': { one: 'Noter {count} étoile', other: 'Noter {count} étoiles' },
+        'outputs.copy': 'Copier dans le presse-papiers',
+        'outputs.restore': 'Restaurer les paramètres',
+        'outputs.compare': 'Comparer',
+        'outputs.info': 'Infos sur la sortie',
+        'outputs.showInfo': 'Afficher les infos sur la sortie',
+        'outputs.fullscreen': 'Afficher en plein écran',
+        'outputs.download': 'Télécharger',
+        'outputs.selected': { one: '{count} sélectionnée', other: '{count} sélectionnées' },
+        'outputs.preparing': 'Préparation…',
+        'outputs.downloadSelected': 'Télécharger la sélection',
+        'outputs.downloadAll': 'Tout télécharger',
+        'outputs.downloading': 'Téléchargement {index}/{total}…',
+        'outputs.error.noneDownloaded': "Aucune des sorties n'a pu être téléchargée",
+        'outputs.downloaded': { one: '{count} fichier téléchargé', other: '{count} fichiers téléchargés' },
+        'outputs.downloadedFailed': { one: '{count} fichier téléchargé ({failed} en échec)', other: '{count} fichiers téléchargés ({failed} en échec)' },
+        'outputs.error.download': 'Échec du téléchargement',
+        'outputs.error.downloadAlert': 'Impossible de télécharger les sorties : {message}',
+        'outputs.compareSelect': 'Sélectionnez une seconde image à comparer',
+
+        'history.loading': 'Chargement…',
+        'history.noOlder': 'Aucune sortie plus ancienne',
+        'history.empty': "Aucune sortie dans l'historique",
+        'history.unknownTime': 'Heure inconnue',
+        'history.group': { one: '{time} · {count} sortie', other: '{time} · {count} sorties' },
+
+        'presets.title': 'Préréglages',
+        'presets.saveAs': 'Enregistrer les valeurs actuelles sous',
+        'presets.namePlaceholder': 'Nom du préréglage...',
+        'presets.empty': 'Aucun préréglage pour le moment. Enregistrez les valeurs actuelles du formulaire pour en créer un.',
+        'presets.apply': 'Appliquer le préréglage',
+        'presets.overwriteHint': 'Remplacer par les valeurs actuelles',
+        'presets.delete': 'Supprimer',
+        'presets.overwrite.title': 'Remplacer le préréglage',
+        'presets.overwrite.message': 'Remplacer les valeurs enregistrées dans « {name} » par les valeurs actuelles du formulaire ?',
+        'presets.overwrite': 'Remplacer',
+        'presets.exists': 'Un préréglage nommé « {name} » existe déjà.',
+        'presets.delete.title': 'Supprimer le préréglage',
+        'presets.delete.message': 'Supprimer le préréglage « {name} » ? Cette action est irréversible.',
+        'presets.replace.message': 'Un préréglage nommé « {name} » existe déjà. Le remplacer par les valeurs actuelles du formulaire ?',
+
+        'queue.error.update': "Impossible de mettre à jour la file d'attente : {message}",
+        'queue.clearConfirm.title': "Vider la file d'attente",
+        'queue.clearConfirm.message': { one: "Retirer {count} élément en attente de la file ? L'élément en cours n'est pas concerné.", other: "Retirer les {count} éléments en attente de la file ? L'élément en cours n'est pas concerné." },
+        'queue.count': '{running} en cours · {pending} en attente',
+        'queue.refresh': "Actualiser la file d'attente",
+        'queue.clearPending': 'Retirer les éléments en attente',
+        'queue.empty': "La file d'attente est vide",
+        'queue.empty.description': "Les prompts en file s'affichent ici pendant leur attente et leur exécution.",
+        'queue.item.running': '#{number} · En cours',
+        'queue.item.meta': { one: '{count} nœud · {id}', other: '{count} nœuds · {id}' },
+        'queue.item.metaOwn': { one: '{count} nœud · {id} · cet appareil', other: '{count} nœuds · {id} · cet appareil' },
+        'queue.interrupt': 'Interrompre',
+        'queue.interruptLabel': "Interrompre l'élément en cours",
+        'queue.remove': 'Retirer de la file',
+
+        'info.file': 'Fichier',
+        'info.node': 'Nœud',
+        'info.prompt': 'Prompt',
+        'info.started': 'Début',
+        'info.duration': 'Durée',
+        'info.status': 'État',
+        'info.seed': 'Graine',
+        'info.copy': 'Copier en texte',
+        'info.parameters': 'Paramètres',
+        'info.copied': 'Copié !',
+        'info.copyFailed': 'Échec de la copie',
+        'info.unknownPrompt': "Le prompt qui a produit cette sortie n'est pas connu.",
+        'info.unavailable': 'Détails du prompt indisponibles : {message}',
+
+        'layout.error.json': "Le fichier n'est pas un JSON valide.",
+        'layout.error.format': "Le fichier n'est pas une mise en page de formulaire.",
+        'layout.error.version': 'La mise en page a été exportée par une version plus récente de ComfyUI Forms.',
+        'layout.label': 'Mise en page du formulaire',
+        'layout.hint': 'Enregistrez la mise en page du formulaire (ordre, tailles, couleurs, info-bulles, champs masqués et sections repliées) dans un fichier, ou chargez une mise en page exportée depuis un autre workflow. Les nœuds sont associés par type et par titre.',
+        'layout.export': 'Exporter',
+        'layout.choose': 'Importer…',
+        'layout.import': 'Importer',
+        'layout.unmatched': 'Aucun nœud correspondant – ignoré',
+        'layout.summary': { one: '{matched} nœud sur {count} recevra sa mise en page. Les autres nœuds gardent leurs paramètres actuels.', other: '{matched} nœuds sur {count} recevront leur mise en page. Les autres nœuds gardent leurs paramètres actuels.' },
+
+        'wizard.on': 'Activé',
+        'wizard.off': 'Désactivé',
+        'wizard.review': 'Vérification',
+        'wizard.step': 'Étape {step} sur {total} · {title}',
+        'wizard.back': 'Retour',
+        'wizard.next': 'Suivant',
+        'wizard.bypassed': 'Ignoré',
+        'wizard.edit': 'Modifier',
+        'wizard.noValues': 'Aucune valeur dans cette étape',
+
+        'compare.mode': 'Mode de comparaison',
+        'compare.split': 'Partagé',
+        'compare.side': 'Côte à côte',
+        'compare.onion': 'Superposition',
+        'compare.opacity': 'Opacité de B',
+        'compare.swap': 'Échanger A et B',
+        'compare.reset': 'Réinitialiser le zoom',
+        'compare.splitPosition': 'Position du séparateur',
+        'compare.close': 'Fermer la vue de comparaison',
+
+        'params.error.notInHistory': "Ce prompt n'est plus dans l'historique du serveur",
+
+        'schema.nodeDropped': 'Nœud #{id} : les paramètres ne sont pas un objet et ont été supprimés',
+        'schema.fieldDropped': 'Nœud #{id} : « {field} » non valide a été supprimé',
+        'schema.orderDropped': "L'ordre des widgets n'est pas valide et a été supprimé",
+        'schema.formOrderDropped': "L'ordre des widgets du formulaire « {name} » n'est pas valide et a été supprimé",
+        'schema.formOrdersDropped': 'Les ordres des widgets des formulaires ne sont pas valides et ont été supprimés',
+        'schema.profileOrdersDropped': 'Les ordres des widgets des profils de disposition ne sont pas valides et ont été ignorés',
+        'schema.gridColumnsDropped': 'Les nombres de colonnes ne sont pas valides et ont été ignorés',
+        'schema.presetsDropped': { one: '{count} préréglage non valide a été supprimé', other: '{count} préréglages non valides ont été supprimés' },
+        'schema.presetsInvalid': 'Les préréglages ne sont pas valides et ont été supprimés',
+        'schema.corrupt': "Les paramètres enregistrés du formulaire n'ont pas pu être lus (le JSON est endommagé)",
+        'schema.unknownVersion': 'Version de paramètres inconnue « {version} », lue comme version 1',
+        'schema.newerVersion': "Les paramètres du formulaire ont été enregistrés par une version plus récente de ComfyUI Forms (version {version}) ; certains peuvent ne pas s'appliquer"
+    }
+};
@@ -0,0 +1,461 @@
+// @ts-check
+
+/**
+ * Simplified Chinese locale pack
+ *
+ * Keys missing here fall back to the English pack (en.js).
+ * Chinese has no plural forms, so plural strings are plain strings here.
+ */
+
+/** @import {LocalePack} from "../i18n.js" */
+
+/** @type {LocalePack} */
+export default {
+    name: '简体中文',
+    groups: {
+        inputs: ['表单输入'],
+        outputs: ['表单输出']
+    },
+    strings: {
+        'app.toggle': '切换表单视图',
+        'app.formView': '表单视图',
+
+        'settings.backupKept': '损坏设置的副本已保存在 Form Settings 节点的“settingsBackup”属性中。',
+        'settings.reportLabel': '表单设置报告',
+        'settings.reportTitle': '表单设置',
+        'settings.problems': '问题',
+        'settings.idsChanged': '此工作流中的部分节点 ID 与已保存的表单设置不一致。',
+        'settings.rematched': '已移至匹配的节点',
+        'settings.orphaned': '没有匹配的节点',
+        'settings.orphanedHint': '已保留在工作流中，以备该节点恢复。',
+        'settings.title': '表单视图设置',
+        'settings.autoShow': '在移动设备上自动显示',
+        'settings.panelMode': '侧边面板模式（桌面端）',
+        'settings.wizardMode': '分步向导（每步一个分区）',
+        'settings.language': '语言',
+        'settings.languageAuto': '浏览器语言',
+        'settings.languageReload': '重新加载页面以切换语言。',
+        'settings.theme': '主题',
+
+        'theme.dark': '深色',
+        'theme.light': '浅色',
+        'theme.highContrast': '高对比度',
+        'theme.comfy': '跟随 ComfyUI 配色',
+        'theme.custom': '自定义',
+        'theme.color.background': '背景',
+        'theme.color.surface': '表面',
+        'theme.color.text': '文本',
+        'theme.color.textSecondary': '次要文本',
+        'theme.color.accent': '强调色',
+        'theme.color.border': '边框',
+
+        'tab.inputs': '输入',
+        'tab.outputs': '输出',
+        'tab.queue': '队列',
+
+        'header.switchForm': '切换表单',
+        'header.form': '表单',
+        'header.undo': '撤销布局更改',
+        'header.redo': '重做布局更改',
+        'header.presets': '预设',
+        'header.layoutTitle': '导出 / 导入布局',
+        'header.layout': '布局',
+        'header.editTitle': '编辑布局',
+        'header.edit': '编辑',
+        'header.done': '完成',
+        'header.close': '关闭表单视图',
+        'header.defaultForm': '默认',
+
+        'search.placeholder': '搜索控件...',
+        'search.label': '搜索控件',
+        'search.clear': '清除搜索',
+        'search.noResults': '没有匹配的控件',
+        'search.noMatch': '没有控件匹配“{query}”',
+
+        'status.showBatchRuns': '显示批量运行',
+        'status.currentNode': '当前节点',
+        'status.eta': '预计剩余时间',
+        'status.ready': '就绪',
+        'status.node': '节点 {id}',
+        'status.starting': '正在启动工作流...',
+        'status.cached': '已缓存：{count} 个节点',
+        'status.unknownError': '未知错误',
+        'status.error': '错误：{message}',
+        'status.complete': '完成，用时 {time}',
+        'status.processing': '处理中',
+        'status.nodeCount': '节点 {current}/{total}',
+        'status.timeLeft': '剩余约 {time}',
+
+        'time.milliseconds': '{value} 毫秒',
+        'time.seconds': '{value} 秒',
+        'time.minutes': '{minutes} 分 {seconds} 秒',
+
+        'actions.queueTitle': '提交提示词',
+        'actions.queue': '运行',
+        'actions.batchTitle': '批量提交',
+        'actions.batch': '批量',
+        'actions.cancelTitle': '取消当前运行',
+        'actions.cancel': '取消',
+        'actions.error.queue': '提交提示词失败：{message}',
+
+        'dialog.close': '关闭对话框',
+        'dialog.cancel': '取消',
+        'dialog.ok': '确定',
+        'dialog.save': '保存',
+        'dialog.confirm': '确认',
+        'dialog.closeButton': '关闭',
+
+        'rename.group': '重命名组',
+        'rename.field': '重命名字段',
+        'rename.node': '重命名节点',
+        'rename.name': '名称',
+        'rename.placeholder': '输入新名称...',
+        'rename.rename': '重命名',
+        'rename.preset': '重命名预设',
+
+        'section.other': '其他',
+        'section.renameHint': '双击重命名',
+
+        'empty.noGroup': '未找到表单组',
+        'empty.noGroup.description': '在工作流中创建一个组，用来指定哪些节点显示在表单中。',
+        'empty.noGroup.addGroup': '在画布上右键 → Add Group',
+        'empty.noGroup.name': '将其命名为 {title}',
+        'empty.noGroup.placeNodes': '把输入节点放进组内',
+        'empty.noGroup.namedForms': '如需多个表单，可命名为 {title}',
+        'empty.noGroup.exampleForm': '放大',
+        'empty.emptyGroup': '表单组为空',
+        'empty.emptyGroup.description': '向“{title}”组添加节点以创建表单输入。',
+        'empty.emptyGroup.primitives': '基础节点（数字、文本等）',
+        'empty.emptyGroup.loaders': 'Load Image / Load Video 节点',
+        'empty.emptyGroup.processing': 'KSampler 及其他处理节点',
+
+        'batch.title': '批量提交',
+        'batch.repeat': '重复',
+        'batch.sweep': '参数扫描',
+        'batch.runCount': '运行次数',
+        'batch.axisX': 'X 轴',
+        'batch.axisY': 'Y 轴（可选）',
+        'batch.incrementSeed': '每次运行递增种子',
+        'batch.info': '每次运行都会单独加入队列。启用种子递增后，种子控件在每次运行时加 1。参数扫描会为 X 和 Y 值的每种组合加入一次运行，并在“输出”标签页中以网格显示结果。',
+        'batch.queue': '批量提交',
+        'batch.error.noValues': '{axis} 没有任何值',
+        'batch.error.sameWidget': 'X 轴和 Y 轴必须使用不同的控件',
+        'batch.runs': '{count} 次运行',
+        'batch.maximum': '最多 {count} 次',
+        'batch.listText': '每行一个值',
+        'batch.listValues': '用逗号分隔或每行一个',
+        'batch.none': '无',
+        'batch.range': '范围',
+        'batch.list': '列表',
+        'batch.start': '起始',
+        'batch.stop': '结束',
+        'batch.step': '步长',
+        'batch.seedRun': '种子 {seed}',
+        'batch.run': '第 {number} 次运行',
+        'batch.status.running': '第 {number} 次运行，共 {total} 次',
+        'batch.status.done': '批量：已完成 {done}/{total}',
+        'batch.status.doneFailed': '批量：已完成 {done}/{total}，{failed} 次失败',
+        'batch.runsTitle': '批量运行',
+        'batch.dismiss': '关闭',
+        'batch.cancelRemaining': '取消剩余运行',
+        'batch.run.pending': '等待中',
+        'batch.run.running': '运行中',
+        'batch.run.done': '已完成',
+        'batch.run.failed': '失败',
+        'batch.run.cancelled': '已取消',
+        'batch.run.unknown': '未知',
+        'batch.error.cancel': '无法取消剩余运行：{message}',
+        'batch.error.notCancellable': '{count} 次运行在加入队列时未获取到 ID，无法取消',
+        'batch.error.rangeNumbers': '范围的起始、结束和步长必须是数字',
+        'batch.error.rangeStep': '范围的步长不能为 0',
+        'batch.error.rangeSize': '范围产生的值超过 {max} 个',
+        'batch.error.notNumber': '“{value}” 不是数字',
+        'batch.error.notOption': '“{value}” 不是 {name} 的选项',
+
+        'sweep.dismiss': '关闭扫描网格',
+        'sweep.queued': '已排队',
+        'sweep.pending': '等待中',
+        'sweep.failed': '失败',
+        'sweep.unknown': '输出未知',
+
+        'restore.restored': '已恢复 {count} 个值',
+        'restore.nothing': '没有可恢复的匹配表单值',
+        'restore.error': '恢复参数失败：{message}',
+
+        'validation.needsAttention': '{count} 个字段需要检查',
+        'validation.title': '校验',
+        'validation.noFields': '此节点没有可校验的字段。',
+        'validation.field': '字段',
+        'validation.required': '必填',
+        'validation.upload': '必须上传',
+        'validation.min': '最小',
+        'validation.minimum': '最小值',
+        'validation.max': '最大',
+        'validation.maximum': '最大值',
+        'validation.patternPlaceholder': '正则表达式，例如 {example}',
+        'validation.pattern': '格式',
+        'validation.messagePlaceholder': '自定义错误信息（可选）',
+        'validation.message': '错误信息',
+        'validation.hint': '有字段未通过校验时无法提交。空的可选字段不会被校验。',
+        'validation.error.required': '{name} 为必填项',
+        'validation.error.upload': '请为 {name} 上传文件',
+        'validation.error.pattern': '{name} 的格式不正确',
+        'validation.error.number': '{name} 必须是数字',
+        'validation.error.min': '{name} 不能小于 {min}',
+        'validation.error.max': '{name} 不能大于 {max}',
+
+        'rule.title': '可见性规则',
+        'rule.noSources': '表单中没有其他可作为规则依据的控件。',
+        'rule.noTargets': '此卡片没有可由规则隐藏的字段。',
+        'rule.target': '应用于',
+        'rule.widgetShould': '此控件应当',
+        'rule.showWhen': '仅在以下情况显示',
+        'rule.hideWhen': '在以下情况隐藏',
+        'rule.field': '字段',
+        'rule.hint': '隐藏的控件会保留其值，并仍随提示词一起发送。进入编辑模式（E）可查看和编辑隐藏的控件。',
+        'rule.remove': '移除规则',
+        'rule.value': '值',
+        'rule.operator.equals': '等于',
+        'rule.operator.notEquals': '不等于',
+        'rule.operator.on': '为开',
+        'rule.operator.off': '为关',
+        'rule.describe': '{action}：{field} {operator}{value}',
+
+        'tooltip.show': '显示提示',
+        'tooltip.title': '编辑提示',
+        'tooltip.label': '此控件的自定义提示/说明：',
+        'tooltip.default': '留空则使用默认提示：“{tooltip}”',
+        'tooltip.reset': '恢复默认',
+
+        'menu.bypass': '绕过节点',
+        'menu.bypassHint': '执行时跳过此节点。节点会变灰，其输入将被禁用。',
+        'menu.newRow': '在此之前换行',
+        'menu.newRowHint': '强制此控件从新的一行开始，即使上一行仍有空间。',
+        'menu.width': '宽度',
+        'menu.width.columns': '{count} 列',
+        'menu.width.full': '整行',
+        'menu.width.hint': '控件占行宽的 {count}/{columns}',
+        'menu.width.fullHint': '控件占满整行',
+        'menu.height': '高度',
+        'menu.height.auto': '自动',
+        'menu.height.autoHint': '高度随内容自动调整',
+        'menu.height.compact': '紧凑',
+        'menu.height.compactHint': '固定紧凑高度（约 80px）',
+        'menu.height.medium': '中等',
+        'menu.height.mediumHint': '固定中等高度（约 150px）',
+        'menu.height.tall': '较高',
+        'menu.height.tallHint': '固定较大高度（约 250px），适合文本框和图像预览',
+        'menu.color': '颜色',
+        'menu.rename': '重命名',
+        'menu.renameHint': '重命名此控件/节点',
+        'menu.tooltip': '编辑提示',
+        'menu.tooltipCustom': '编辑提示（自定义）',
+        'menu.tooltipHint': '为此控件设置自定义提示/说明',
+        'menu.editRule': '编辑可见性规则',
+        'menu.addRule': '添加可见性规则',
+        'menu.ruleHint': '根据另一个控件的值显示或隐藏此控件',
+        'menu.validation': '校验',
+        'menu.validationHint': '在提交前将字段设为必填或限制其取值',
+        'menu.move': '移动',
+        'menu.move.top': '移到顶部',
+        'menu.move.up': '上移',
+        'menu.move.down': '下移',
+        'menu.move.bottom': '移到底部',
+        'menu.merge': '合并回节点卡片',
+        'menu.mergeHint': '在 {node} 卡片中重新显示“{widget}”',
+        'menu.split': '拆分为独立卡片',
+        'menu.split.merge': '在此卡片中重新显示“{widget}”',
+        'menu.split.split': '为“{widget}”单独创建卡片，拥有独立的尺寸、颜色和位置',
+        'menu.fields': '显示/隐藏字段',
+        'menu.fields.show': '显示“{widget}”字段',
+        'menu.fields.hide': '隐藏“{widget}”字段',
+        'menu.editDot': '编辑控件设置',
+
+        'resize.width': '拖动以调整宽度',
+        'resize.height': '拖动以调整高度',
+
+        'profile.label': '布局配置',
+        'profile.editing': '布局：',
+        'profile.desktop': '桌面',
+        'profile.mobile': '移动端',
+        'profile.copy': '从{profile}复制',
+        'profile.copyHint': '用{profile}布局替换此布局',
+        'profile.copyTitle': '复制布局',
+        'profile.copyMessage': '用{from}布局替换{to}布局（尺寸、换行、隐藏字段和控件顺序）？',
+        'profile.copyConfirm': '复制',
+        'profile.copied': '已将{from}布局复制到{to}',
+
+        'columns.label': '列数',
+        'columns.auto': '自动',
+        'columns.formHint': '此布局中表单网格的列数',
+        'columns.sectionHint': '此布局中此分区的列数',
+
+        'widget.preview': '预览',
+        'widget.search': '搜索...',
+        'widget.promptPlaceholder': '输入提示词...',
+        'widget.button': '按钮',
+        'widget.randomSeed': '随机种子',
+        'widget.lastSeed': '上次的种子',
+        'widget.currentImage': '当前图像',
+        'widget.noImage': '未选择图像',
+        'widget.chooseFile': '选择文件',
+        'widget.camera': '相机',
+        'widget.uploading': '上传中...',
+        'widget.uploadedImage': '已上传的图像',
+        'widget.uploadFailed': '上传失败',
+        'widget.noVideo': '未选择视频',
+        'widget.chooseVideo': '选择视频',
+
+        'viewer.close': '关闭',
+
+        'outputs.running': '正在运行工作流...',
+        'outputs.completeNone': '完成 - 未生成输出',
+        'outputs.completeCount': '完成 - {count} 个输出',
+        'outputs.executing': '正在执行：{name}...',
+        'outputs.progress': '进度：{percent}%',
+        'outputs.title': '生成的输出',
+        'outputs.gridView': '网格视图',
+        'outputs.listView': '列表视图',
+        'outputs.showAll': '显示所有输出',
+        'outputs.showRated': '仅显示已评分的输出',
+        'outputs.sortNewest': '按时间排序',
+        'outputs.sortRating': '按评分排序',
+        'outputs.doneSelecting': '完成选择',
+        'outputs.select': '选择要下载的输出',
+        'outputs.backToCurrent': '返回当前输出',
+        'outputs.browseHistory': '浏览历史记录',
+        'outputs.clearTitle': '清除所有输出',
+        'outputs.clear': '清除',
+        'outputs.manifestTitle': '添加包含节点标题和提示词参数的 manifest.json',
+        'outputs.manifest': '清单',
+        'outputs.selectAll': '全选',
+        'outputs.selectNone': '取消全选',
+        'outputs.clearConfirm.title': '清除所有输出',
+        'outputs.clearConfirm.message': '确定要清除全部 {count} 个输出吗？此操作无法撤销。',
+        'outputs.clearConfirm.confirm': '全部清除',
+        'outputs.clearConfirm.cancel': '保留',
+        'outputs.empty': '暂无输出',
+        'outputs.empty.description': '运行工作流后，生成的图像、视频和其他输出将显示在这里。',
+        'outputs.empty.configure': '配置工作流输入',
+        'outputs.empty.queue': '点击“提交提示词”开始运行',
+        'outputs.empty.results': '结果会自动显示在这里',
+        'outputs.noRated': '没有已评分的输出',
+        'outputs.noRated.description': '用输出下方的星标为其评分，或关闭“仅显示已评分”筛选以查看全部。',
+        'outputs.settings': '输出设置',
+        'outputs.rate': '评为 {count} 星',
+        'outputs.copy': '复制到剪贴板',
+        'outputs.restore': '恢复参数',
+        'outputs.compare': '对比',
+        'outputs.info': '输出信息',
+        'outputs.showInfo': '显示输出信息',
+        'outputs.fullscreen': '全屏查看',
+        'outputs.download': '下载',
+        'outputs.selected': '已选择 {count} 个',
+        'outputs.preparing': '准备中…',
+        'outputs.downloadSelected': '下载所选',
+        'outputs.downloadAll': '全部下载',
+        'outputs.downloading': '正在下载 {index}/{total}…',
+        'outputs.error.noneDownloaded': '所有输出均下载失败',
+        'outputs.downloaded': '已下载 {count} 个文件',
+        'outputs.downloadedFailed': '已下载 {count} 个文件（{failed} 个失败）',
+        'outputs.error.download': '下载失败',
+        'outputs.error.downloadAlert': '下载输出失败：{message}',
+        'outputs.compareSelect': '请选择第二张图像进行对比',
+
+        'history.loading': '加载中…',
+        'history.noOlder': '没有更早的输出',
+        'history.empty': '历史记录中没有输出',
+        'history.unknownTime': '时间未知',
+        'history.group': '{time} · {count} 个输出',
+
+        'presets.title': '预设',
+        'presets.saveAs': '将当前值保存为',
+        'presets.namePlaceholder': '预设名称...',
+        'presets.empty': '暂无预设。保存当前表单值即可创建一个。',
+        'presets.apply': '应用预设',
+        'presets.overwriteHint': '用当前值覆盖',
+        'presets.delete': '删除',
+        'presets.overwrite.title': '覆盖预设',
+        'presets.overwrite.message': '用当前表单值替换“{name}”中保存的值吗？',
+        'presets.overwrite': '覆盖',
+        'presets.exists': '名为“{name}”的预设已存在。',
+        'presets.delete.title': '删除预设',
+        'presets.delete.message': '删除预设“{name}”吗？此操作无法撤销。',
+        'presets.replace.message': '名为“{name}”的预设已存在。要用当前表单值替换它吗？',
+
+        'queue.error.update': '更新队列失败：{message}',
+        'queue.clearConfirm.title': '清空队列',
+        'queue.clearConfirm.message': '从队列中移除全部 {count} 个等待项吗？正在运行的项不受影响。',
+        'queue.count': '{running} 个运行中 · {pending} 个等待中',
+        'queue.refresh': '刷新队列',
+        'queue.clearPending': '清除等待项',
+        'queue.empty': '队列为空',
+        'queue.empty.description': '已提交的提示词在等待和运行时会显示在这里。',
+        'queue.item.running': '#{number} · 运行中',
+        'queue.item.meta': '{count} 个节点 · {id}',
+        'queue.item.metaOwn': '{count} 个节点 · {id} · 本设备',
+        'queue.interrupt': '中断',
+        'queue.interruptLabel': '中断正在运行的项',
+        'queue.remove': '从队列中移除',
+
+        'info.file': '文件',
+        'info.node': '节点',
+        'info.prompt': '提示词',
+        'info.started': '开始时间',
+        'info.duration': '耗时',
+        'info.status': '状态',
+        'info.seed': '种子',
+        'info.copy': '复制为文本',
+        'info.parameters': '参数',
+        'info.copied': '已复制！',
+        'info.copyFailed': '复制失败',
+        'info.unknownPrompt': '无法得知生成此输出的提示词。',
+        'info.unavailable': '无法获取提示词详情：{message}',
+
+        'layout.error.json': '该文件不是有效的 JSON。',
+        'layout.error.format': '该文件不是表单布局。',
+        'layout.error.version': '该布局由更新版本的 ComfyUI Forms 导出。',
+        'layout.label': '表单布局',
+        'layout.hint': '将表单布局（顺序、尺寸、颜色、提示、隐藏字段和折叠的分区）保存到文件，或加载从其他工作流导出的布局。节点按类型和标题匹配。',
+        'layout.export': '导出',
+        'layout.choose': '导入…',
+        'layout.import': '导入',
+        'layout.unmatched': '没有匹配的节点 - 已跳过',
+        'layout.summary': '{count} 个节点中有 {matched} 个将应用布局。其他节点保留当前设置。',
+
+        'wizard.on': '开',
+        'wizard.off': '关',
+        'wizard.review': '检查',
+        'wizard.step': '第 {step} 步，共 {total} 步 · {title}',
+        'wizard.back': '上一步',
+        'wizard.next': '下一步',
+        'wizard.bypassed': '已绕过',
+        'wizard.edit': '编辑',
+        'wizard.noValues': '此步骤没有值',
+
+        'compare.mode': '对比模式',
+        'compare.split': '分割',
+        'compare.side': '并排',
+        'compare.onion': '叠加',
+        'compare.opacity': 'B 的不透明度',
+        'compare.swap': '交换 A 和 B',
+        'compare.reset': '重置缩放',
+        'compare.splitPosition': '分割位置',
+        'compare.close': '关闭对比视图',
+
+        'params.error.notInHistory': '此提示词已不在服务器历史记录中',
+
+        'schema.nodeDropped': '节点 #{id}：设置不是对象，已丢弃',
+        'schema.fieldDropped': '节点 #{id}：无效的“{field}”已丢弃',
+        'schema.orderDropped': '控件顺序无效，已丢弃',
+        'schema.formOrderDropped': '表单“{name}”的控件顺序无效，已丢弃',
+        'schema.formOrdersDropped': '表单控件顺序无效，已丢弃',
+        'schema.profileOrdersDropped': '布局配置的控件顺序无效，已丢弃',
+        'schema.gridColumnsDropped': '列数无效，已丢弃',
+        'schema.presetsDropped': '已丢弃 {count} 个无效预设',
+        'schema.presetsInvalid': '预设无效，已丢弃',
+        'schema.corrupt': '无法读取已保存的表单设置（JSON 已损坏）',
+        'schema.unknownVersion': '未知的设置版本“{version}”，按版本 1 读取',
+        'schema.newerVersion': '表单设置由更新版本的 ComfyUI Forms 保存（版本 {version}），部分设置可能不会生效'
+    }
+};
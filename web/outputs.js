@@ -4,8 +4,16 @@
 import { api } from "../../scripts/api.js";
 import { ExtensionRegistry, createAudioPlayer, getViewUrl } from './extensions/index.js';
 import { createWidgetFromNode, showConfirmDialog } from './widget.js';
+import { HISTORY_PAGE_SIZE, MAX_OUTPUT_RATING, STORAGE_KEYS } from './constants.js';
+import { showCompareViewer } from './compare.js';
+import { getOutputRating, setOutputRating } from './ratings.js';
+import { fetchPromptGraph } from './params.js';
+import { createZip } from './zip.js';
+import { showOutputInfo } from './info.js';
+import { t } from './i18n.js';
 
 /** @import {ComfyUIGraphNode} from "./types" */
+/** @import {SweepGrid} from "./batch.js" */
 
 /**
  * Get all supported output node types from registry + defaults
@@ -50,8 +58,125 @@ export const OUTPUT_NODE_TYPES = [
  * @property {string} format
  * @property {number} nodeId
  * @property {string} nodeTitle
+ * @property {string} [promptId] - ID of the prompt that produced the output
  */
 
+/**
+ * Outputs of one prompt in the history browser
+ * @typedef {Object} HistoryGroup
+ * @property {string} promptId
+ * @property {number | null} timestamp - Execution start time (ms), if the server reported it
+ * @property {OutputItem[]} outputs
+ */
+
+/** File extensions that are always treated as video (webp excluded - can be static) */
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov', 'avi', 'mkv'];
+
+/**
+ * Get a stable key identifying an output file
+ * @param {OutputItem} output
+ * @returns {string}
+ */
+export function getOutputKey(output) {
+    return `${output.filename}|${output.subfolder}|${output.format}`;
+}
+
+/**
+ * Get a display title for an output node
+ * @param {any} app - ComfyUI app
+ * @param {number} nodeId
+ * @returns {string}
+ */
+function getNodeTitle(app, nodeId) {
+    const node = app?.graph?.getNodeById(nodeId);
+    return node?.title || node?.type || t('status.node', { id: nodeId });
+}
+
+/**
+ * Extract output items from a node's output payload
+ * Shared by live `executed` events and /history entries.
+ * @param {any} output - Node output (images, gifs, video(s), audio, animated)
+ * @param {number} nodeId
+ * @param {string} nodeTitle
+ * @param {string} [promptId] - ID of the prompt that produced the output
+ * @returns {OutputItem[]}
+ */
+export function parseNodeOutput(output, nodeId, nodeTitle, promptId) {
+    /** @type {OutputItem[]} */
+    const items = [];
+    
+    /**
+     * @param {OutputItem['type']} type
+     * @param {string} filename
+     * @param {string} subfolder
+     * @param {string} format
+     */
+    const add = (type, filename, subfolder, format) => {
+        items.push({ type, filename, subfolder, format, nodeId, nodeTitle, promptId });
+    };
+    
+    // Some nodes use `animated: [true]` as a flag on the images array
+    const hasAnimatedFlag = Array.isArray(output.animated) && 
+        output.animated.some((/** @type {any} */ a) => a === true);
+    
+    // Images - check extension to determine if it's actually a video/gif
+    if (Array.isArray(output.images)) {
+        for (const img of output.images) {
+            const ext = String(img.filename).toLowerCase().split('.').pop() || '';
+            
+            /** @type {'image' | 'video' | 'gif'} */
+            let outputType = 'image';
+            if (VIDEO_EXTENSIONS.includes(ext)) {
+                outputType = 'video';
+            } else if (ext === 'gif') {
+                outputType = 'gif';
+            } else if ((ext === 'webp' || ext === 'png') && hasAnimatedFlag) {
+                // Animated webp/apng treated as video
+                outputType = 'video';
+            }
+            
+            add(outputType, img.filename, img.subfolder || '', img.type || 'output');
+        }
+    }
+    
+    // Gifs
+    if (Array.isArray(output.gifs)) {
+        for (const gif of output.gifs) {
+            add('gif', gif.filename, gif.subfolder || '', gif.format || 'output');
+        }
+    }
+    
+    // Single video object, and videos array (SaveVideo format)
+    const videos = [
+        ...(output.video ? [output.video] : []),
+        ...(Array.isArray(output.videos) ? output.videos : [])
+    ];
+    for (const video of videos) {
+        add('video', video.filename || video, video.subfolder || '', video.type || video.format || 'output');
+    }
+    
+    // Audio
+    if (Array.isArray(output.audio)) {
+        for (const audio of output.audio) {
+            add('audio', audio.filename, audio.subfolder || '', audio.type || 'output');
+        }
+    }
+    
+    // Animated array - ONLY object-based items (actual file references);
+    // boolean flags were handled with the images above
+    if (Array.isArray(output.animated)) {
+        for (const anim of output.animated) {
+            if (typeof anim !== 'object' || !anim?.filename) continue;
+            
+            const ext = String(anim.filename).toLowerCase().split('.').pop() || '';
+            const type = VIDEO_EXTENSIONS.includes(ext) ? 'video' : (ext === 'gif' ? 'gif' : 'image');
+            add(type, anim.filename, anim.subfolder || '', anim.type || 'output');
+        }
+    }
+    
+    return items;
+}
+
 /**
  * Class to manage output displays
  */
@@ -71,6 +196,21 @@ export class OutputsManager {
     /** @type {Function|null} */
     #onUpdate = null;
     
+    /** @type {((output: OutputItem) => void) | null} */
+    #onRestore = null;
+    
+    /** @type {OutputItem | null} */
+    #compareSelection = null;
+    
+    /** @type {boolean} */
+    #selectMode = false;
+    
+    /** Outputs picked for download, keyed by output key @type {Map<string, OutputItem>} */
+    #selection = new Map();
+    
+    /** @type {boolean} */
+    #downloading = false;
+    
     /** @type {Set<number>} */
     #trackedNodeIds = new Set();
     
@@ -82,6 +222,31 @@ export class OutputsManager {
 
     /** @type {Map<string, Function>} */
     #eventListeners = new Map();
+    
+    /** @type {SweepGrid | null} */
+    #sweep = null;
+    
+    /** @type {Map<string, OutputItem[]>} */
+    #sweepOutputs = new Map();
+    
+    /** @type {boolean} */
+    #historyMode = false;
+    
+    /** History browser state - `end` is the exclusive history offset of the next (older) page */
+    #history = {
+        /** @type {HistoryGroup[]} */
+        groups: [],
+        /** @type {number | null} */
+        end: null,
+        loading: false,
+        done: false
+    };
+    
+    /** @type {HTMLDivElement | null} */
+    #historyElem = null;
+    
+    /** @type {IntersectionObserver | null} */
+    #historyObserver = null;
 
     /**
      * @param {HTMLDivElement} container 
@@ -102,6 +267,7 @@ export class OutputsManager {
             api.removeEventListener(eventName, listener);
         }
         this.#eventListeners.clear();
+        this.#historyObserver?.disconnect();
         this.#outputs = [];
         this.#nodeOutputs.clear();
         this.#container.innerHTML = '';
@@ -125,7 +291,7 @@ export class OutputsManager {
     #loadCachedOutputs(nodes) {
         for (const node of nodes) {
             const nodeId = node.id;
-            const nodeTitle = node.title || node.type || `Node ${nodeId}`;
+            const nodeTitle = node.title || node.type || t('status.node', { id: nodeId });
             
             // Check node.images (standard output format)
             if (node.images && Array.isArray(node.images) && node.images.length > 0) {
@@ -179,9 +345,17 @@ export class OutputsManager {
      * @param {number[]} nodeIds 
      */
     setTrackedNodes(nodeIds) {
+        const changed = nodeIds.length !== this.#trackedNodeIds.size || nodeIds.some(id => !this.#trackedNodeIds.has(id));
         this.#trackedNodeIds = new Set(nodeIds);
+        // Selected outputs may belong to another form
+        if (changed) this.#selection.clear();
         // Try to load recent outputs from history
         this.#loadFromHistory();
+        // The gallery and history browser filter by tracked nodes - reload them
+        if (this.#historyMode) {
+            this.#resetHistory();
+        }
+        this.render();
     }
     
     /**
@@ -197,162 +371,27 @@ export class OutputsManager {
             if (promptIds.length === 0) return;
             
             // Get the most recent prompt's outputs
-            const latestPrompt = history[promptIds[0]];
+            const promptId = promptIds[0];
+            const latestPrompt = history[promptId];
             const outputs = latestPrompt?.outputs;
             if (!outputs) return;
             
+            // @ts-ignore
+            const { app } = await import("../../scripts/app.js");
             
             for (const [nodeIdStr, nodeOutput] of Object.entries(outputs)) {
                 const nodeId = parseInt(nodeIdStr, 10);
                 
-                // Debug: log the output structure
-                
                 // Check if this node should be tracked
                 if (!this.#shouldTrackNode(nodeId)) continue;
                 
-                // Get node title from graph if available
-                let nodeTitle = `Node ${nodeId}`;
-                try {
-                    // @ts-ignore
-                    const { app } = await import("../../scripts/app.js");
-                    const node = app.graph?.getNodeById(nodeId);
-                    if (node) {
-                        nodeTitle = node.title || node.type || nodeTitle;
-                    }
-                } catch(e) {}
-                
-                // Process images - check extension to determine if it's actually a video/gif
-                // Also check animated flag to treat as video
-                const hasAnimatedFlag = nodeOutput.animated && Array.isArray(nodeOutput.animated) && 
-                    nodeOutput.animated.some(a => a === true);
-                    
-                if (nodeOutput.images && Array.isArray(nodeOutput.images)) {
-                    for (const img of nodeOutput.images) {
-                        const exists = this.#outputs.some(o => 
-                            o.filename === img.filename && o.nodeId === nodeId
-                        );
-                        if (!exists) {
-                            const filename = img.filename;
-                            const ext = String(filename).toLowerCase().split('.').pop();
-                            // Video extensions (webp excluded - can be static)
-                            const isVideo = ['mp4', 'webm', 'mov', 'avi', 'mkv'].includes(ext || '');
-                            const isGif = ext === 'gif';
-                            const isWebp = ext === 'webp';
-                            
-                            // Determine type based on extension and animated flag
-                            /** @type {'image' | 'video' | 'gif'} */
-                            let outputType = 'image';
-                            if (isVideo) {
-                                outputType = 'video';
-                            } else if (isGif) {
-                                outputType = 'gif';
-                            } else if ((isWebp || ext === 'png') && hasAnimatedFlag) {
-                                // Animated webp/apng treated as video
-                                outputType = 'video';
-                            }
-                            
-                            this.#outputs.push({
-                                type: outputType,
-                                filename: img.filename,
-                                subfolder: img.subfolder || '',
-                                format: img.type || 'output',
-                                nodeId: nodeId,
-                                nodeTitle: nodeTitle
-                            });
-                        }
-                    }
-                }
-                
-                // Process gifs
-                if (nodeOutput.gifs && Array.isArray(nodeOutput.gifs)) {
-                    for (const gif of nodeOutput.gifs) {
-                        const exists = this.#outputs.some(o => 
-                            o.filename === gif.filename && o.nodeId === nodeId
-                        );
-                        if (!exists) {
-                            this.#outputs.push({
-                                type: 'gif',
-                                filename: gif.filename,
-                                subfolder: gif.subfolder || '',
-                                format: gif.format || 'output',
-                                nodeId: nodeId,
-                                nodeTitle: nodeTitle
-                            });
-                        }
-                    }
-                }
-                
-                // Process video (single object)
-                if (nodeOutput.video) {
-                    const video = nodeOutput.video;
-                    const filename = video.filename || video;
+                const nodeTitle = getNodeTitle(app, nodeId);
+                for (const item of parseNodeOutput(nodeOutput, nodeId, nodeTitle, promptId)) {
                     const exists = this.#outputs.some(o => 
-                        o.filename === filename && o.nodeId === nodeId
+                        o.filename === item.filename && o.nodeId === nodeId
                     );
                     if (!exists) {
-                        this.#outputs.push({
-                            type: 'video',
-                            filename: filename,
-                            subfolder: video.subfolder || '',
-                            format: video.type || video.format || 'output',
-                            nodeId: nodeId,
-                            nodeTitle: nodeTitle
-                        });
-                    }
-                }
-                
-                // Process videos array (SaveVideo format)
-                if (nodeOutput.videos && Array.isArray(nodeOutput.videos)) {
-                    for (const video of nodeOutput.videos) {
-                        const filename = video.filename || video;
-                        const exists = this.#outputs.some(o => 
-                            o.filename === filename && o.nodeId === nodeId
-                        );
-                        if (!exists) {
-                            this.#outputs.push({
-                                type: 'video',
-                                filename: filename,
-                                subfolder: video.subfolder || '',
-                                format: video.type || video.format || 'output',
-                                nodeId: nodeId,
-                                nodeTitle: nodeTitle
-                            });
-                        }
-                    }
-                }
-                
-                // Process animated array (if it's boolean flags, check images for actual animated content)
-                // Some nodes use `animated: [true]` as a flag, others use `animated: [{filename, subfolder, type}]`
-                // Note: When animated is a boolean flag, the images array is already processed above
-                // with the hasAnimatedFlag check, so we only need to handle object-based animated items here
-                if (nodeOutput.animated && Array.isArray(nodeOutput.animated)) {
-                    for (const anim of nodeOutput.animated) {
-                        // Skip boolean flags - they're handled in the images processing above
-                        if (typeof anim === 'boolean') {
-                            break;
-                        } else if (typeof anim === 'object' && anim.filename) {
-                            // It's an actual animated file object
-                            const filename = anim.filename;
-                            const exists = this.#outputs.some(o => 
-                                o.filename === filename && o.nodeId === nodeId
-                            );
-                            if (!exists) {
-                                const ext = String(filename).toLowerCase().split('.').pop();
-                                const isVideo = ['mp4', 'webm', 'mov', 'avi', 'mkv'].includes(ext || '');
-                                const isGif = ext === 'gif';
-                                
-                                /** @type {OutputItem} */
-                                const outputItem = {
-                                    type: /** @type {'video' | 'image' | 'gif'} */ (isVideo ? 'video' : (isGif ? 'gif' : 'image')),
-                                    filename: filename,
-                                    subfolder: anim.subfolder || '',
-                                    format: anim.type || 'output',
-                                    nodeId: nodeId,
-                                    nodeTitle: nodeTitle
-                                };
-                                this.#outputs.push(outputItem);
-                            }
-                        }
+                        this.#outputs.push(item);
                     }
                 }
             }
@@ -380,6 +419,15 @@ export class OutputsManager {
         return this.#trackedNodeIds.has(numericId);
     }
     
+    /**
+     * Outputs of the tracked nodes
+     * Outputs of other forms are kept, so switching back to a form restores its gallery.
+     * @returns {OutputItem[]}
+     */
+    #getFormOutputs() {
+        return this.#outputs.filter(o => this.#shouldTrackNode(o.nodeId));
+    }
+    
     /**
      * Set callback for when outputs update
      * @param {Function} callback 
@@ -388,6 +436,16 @@ export class OutputsManager {
         this.#onUpdate = callback;
     }
     
+    /**
+     * Set callback for the "Restore parameters" output action
+     * The action is only shown once a callback is set.
+     * @param {(output: OutputItem) => void} callback 
+     */
+    onRestore(callback) {
+        this.#onRestore = callback;
+        this.render();
+    }
+    
     /**
      * Add an API event listener and store it for cleanup
      * @param {string} eventName 
@@ -412,16 +470,16 @@ export class OutputsManager {
         });
         
         this.#addApiListener('executed', (event) => {
-            const { node, output } = event.detail;
+            const { node, output, prompt_id } = event.detail;
             if(output) {
-                this.#handleNodeOutput(node, output);
+                this.#handleNodeOutput(node, output, prompt_id);
             }
         });
         
         this.#addApiListener('execution_start', () => {
             this.#isExecuting = true;
             this.clearOutputs();
-            this.setStatus('Running workflow...');
+            this.setStatus(t('outputs.running'));
         });
         
         this.#addApiListener('execution_cached', (event) => {
@@ -436,17 +494,18 @@ export class OutputsManager {
         
         this.#addApiListener('execution_error', (event) => {
             this.#isExecuting = false;
-            this.setStatus('Error: ' + (event.detail?.exception_message || 'Unknown error'));
+            this.setStatus(t('status.error', { message: event.detail?.exception_message || t('status.unknownError') }));
         });
         
         this.#addApiListener('status', (event) => {
             const status = event.detail;
             if(status?.exec_info?.queue_remaining === 0 && this.#isExecuting) {
                 this.#isExecuting = false;
-                if(this.#outputs.length === 0) {
-                    this.setStatus('Complete - No outputs generated');
+                const count = this.#getFormOutputs().length;
+                if(count === 0) {
+                    this.setStatus(t('outputs.completeNone'));
                 } else {
-                    this.setStatus(`Complete - ${this.#outputs.length} output(s)`);
+                    this.setStatus(t('outputs.completeCount', { count }));
                 }
             }
         });
@@ -482,7 +541,7 @@ export class OutputsManager {
                         subfolder: img.subfolder || '',
                         format: 'image',
                         nodeId: nodeId,
-                        nodeTitle: node.title || node.type || `Node ${nodeId}`
+                        nodeTitle: node.title || node.type || t('status.node', { id: nodeId })
                     });
                 }
             }
@@ -495,136 +554,17 @@ export class OutputsManager {
      * Handle output from a node execution
      * @param {number} nodeId 
      * @param {any} output 
+     * @param {string} [promptId] - ID of the prompt that produced the output
      */
-    #handleNodeOutput(nodeId, output) {
+    #handleNodeOutput(nodeId, output, promptId) {
         // Check if this node should be tracked
         if (!this.#shouldTrackNode(nodeId)) return;
         
         // @ts-ignore
         import("../../scripts/app.js").then(({ app }) => {
-            const node = app.graph.getNodeById(nodeId);
-            const nodeTitle = node?.title || node?.type || `Node ${nodeId}`;
-            
-            // Handle images - check extension to determine if it's actually a video/gif
-            // Also check animated flag to treat as video
-            const hasAnimatedFlag = output.animated && Array.isArray(output.animated) && 
-                output.animated.some((/** @type {any} */ a) => a === true);
-                
-            if(output.images && Array.isArray(output.images)) {
-                for(const img of output.images) {
-                    const filename = img.filename;
-                    const ext = String(filename).toLowerCase().split('.').pop();
-                    // Video extensions (webp excluded - can be static)
-                    const isVideo = ['mp4', 'webm', 'mov', 'avi', 'mkv'].includes(ext || '');
-                    const isGif = ext === 'gif';
-                    const isWebp = ext === 'webp';
-                    
-                    // Determine type based on extension and animated flag
-                    /** @type {'image' | 'video' | 'gif'} */
-                    let outputType = 'image';
-                    if (isVideo) {
-                        outputType = 'video';
-                    } else if (isGif) {
-                        // GIFs are treated as gifs (animated images)
-                        outputType = 'gif';
-                    } else if ((isWebp || ext === 'png') && hasAnimatedFlag) {
-                        // Animated webp/apng treated as video when animated flag is set
-                        outputType = 'video';
-                    }
-                    
-                    this.#addOutput({
-                        type: outputType,
-                        filename: img.filename,
-                        subfolder: img.subfolder || '',
-                        format: img.type || 'output',
-                        nodeId: nodeId,
-                        nodeTitle: nodeTitle
-                    });
-                }
-            }
-            
-            // Handle gifs
-            if(output.gifs && Array.isArray(output.gifs)) {
-                for(const gif of output.gifs) {
-                    this.#addOutput({
-                        type: 'gif',
-                        filename: gif.filename,
-                        subfolder: gif.subfolder || '',
-                        format: gif.format || 'output',
-                        nodeId: nodeId,
-                        nodeTitle: nodeTitle
-                    });
-                }
-            }
-            
-            // Handle videos (single video object)
-            if(output.video) {
-                const video = output.video;
-                this.#addOutput({
-                    type: 'video',
-                    filename: video.filename || video,
-                    subfolder: video.subfolder || '',
-                    format: video.format || 'video',
-                    nodeId: nodeId,
-                    nodeTitle: nodeTitle
-                });
-            }
-            
-            // Handle videos array
-            if(output.videos && Array.isArray(output.videos)) {
-                for(const video of output.videos) {
-                    this.#addOutput({
-                        type: 'video',
-                        filename: video.filename || video,
-                        subfolder: video.subfolder || '',
-                        format: video.format || 'video',
-                        nodeId: nodeId,
-                        nodeTitle: nodeTitle
-                    });
-                }
-            }
-            
-            // Handle audio
-            if(output.audio && Array.isArray(output.audio)) {
-                for(const audio of output.audio) {
-                    this.#addOutput({
-                        type: 'audio',
-                        filename: audio.filename,
-                        subfolder: audio.subfolder || '',
-                        format: audio.type || 'output',
-                        nodeId: nodeId,
-                        nodeTitle: nodeTitle
-                    });
-                }
-            }
-            
-            // Handle animated array - ONLY for object-based animated items
-            // Boolean flags in animated array are already handled by hasAnimatedFlag check in images processing
-            // This prevents duplicate processing when animated: [true] + images array both exist
-            if(output.animated && Array.isArray(output.animated)) {
-                for(const anim of output.animated) {
-                    // Skip boolean flags - images were already processed with hasAnimatedFlag
-                    if (typeof anim === 'boolean') {
-                        continue;
-                    }
-                    
-                    // Handle object-based animated items (actual file references)
-                    if (typeof anim === 'object' && anim.filename) {
-                        const filename = anim.filename;
-                        const ext = String(filename).toLowerCase().split('.').pop();
-                        const isVideo = ['mp4', 'webm', 'mov', 'avi', 'mkv'].includes(ext || '');
-                        const isGif = ext === 'gif';
-                        
-                        this.#addOutput({
-                            type: /** @type {'video' | 'image' | 'gif'} */ (isVideo ? 'video' : (isGif ? 'gif' : 'image')),
-                            filename: filename,
-                            subfolder: anim.subfolder || '',
-                            format: anim.type || 'output',
-                            nodeId: nodeId,
-                            nodeTitle: nodeTitle
-                        });
-                    }
-                }
+            const nodeTitle = getNodeTitle(app, nodeId);
+            for (const item of parseNodeOutput(output, nodeId, nodeTitle, promptId)) {
+                this.#addOutput(item);
             }
         });
     }
@@ -652,17 +592,72 @@ export class OutputsManager {
         }
         this.#nodeOutputs.get(item.nodeId)?.push(item);
         
+        // Keep sweep outputs separately - they must outlive the per-run clear
+        // (runs may not know their prompt ID yet when a cached run finishes first)
+        if (item.promptId && this.#sweep) {
+            if (!this.#sweepOutputs.has(item.promptId)) {
+                this.#sweepOutputs.set(item.promptId, []);
+            }
+            this.#sweepOutputs.get(item.promptId)?.push(item);
+        }
+        
         this.render();
         this.#onUpdate?.();
         return true;
     }
     
     /**
-     * Clear all outputs
+     * Start collecting outputs of a parameter sweep into a labelled grid
+     * @param {SweepGrid} sweep
+     */
+    setSweep(sweep) {
+        this.#sweep = sweep;
+        this.#sweepOutputs.clear();
+        this.render();
+    }
+    
+    /**
+     * Record the prompt ID of a queued sweep run
+     * @param {number} index - Index into the sweep's runs
+     * @param {string | null} promptId - null if it could not be captured (its outputs can't be placed)
+     */
+    setSweepRunPrompt(index, promptId) {
+        const run = this.#sweep?.runs[index];
+        if (!run) return;
+        run.promptId = promptId;
+        if (promptId === null) run.outcome = 'unknown';
+        this.render();
+    }
+    
+    /**
+     * Record that a sweep run could not be queued
+     * @param {number} index - Index into the sweep's runs
+     */
+    setSweepRunFailed(index) {
+        const run = this.#sweep?.runs[index];
+        if (!run) return;
+        run.outcome = 'failed';
+        this.render();
+    }
+    
+    /**
+     * Dismiss the sweep grid
+     */
+    clearSweep() {
+        this.#sweep = null;
+        this.#sweepOutputs.clear();
+        this.render();
+    }
+    
+    /**
+     * Clear all outputs of the tracked nodes
      */
     clearOutputs() {
-        this.#outputs = [];
-        this.#nodeOutputs.clear();
+        this.#outputs = this.#outputs.filter(o => !this.#shouldTrackNode(o.nodeId));
+        for (const nodeId of [...this.#nodeOutputs.keys()]) {
+            if (this.#shouldTrackNode(nodeId)) this.#nodeOutputs.delete(nodeId);
+        }
+        this.#selection.clear();
         this.render();
     }
     
@@ -685,8 +680,8 @@ export class OutputsManager {
         // @ts-ignore
         import("../../scripts/app.js").then(({ app }) => {
             const node = app.graph.getNodeById(nodeId);
-            const name = node?.title || node?.type || `Node ${nodeId}`;
-            this.setStatus(`Executing: ${name}...`);
+            const name = node?.title || node?.type || t('status.node', { id: nodeId });
+            this.setStatus(t('outputs.executing', { name }));
         });
     }
     
@@ -700,7 +695,7 @@ export class OutputsManager {
         if(progressEl instanceof HTMLElement) {
             progressEl.style.width = `${percent}%`;
         }
-        this.setStatus(`Progress: ${percent}%`);
+        this.setStatus(t('outputs.progress', { percent }));
     }
     
     /**
@@ -708,15 +703,16 @@ export class OutputsManager {
      */
     render() {
         const currentView = localStorage.getItem('mf-outputs-view') || 'grid';
+        const { favoritesOnly, sortByRating } = this.#getArrangement();
         
         this.#container.innerHTML = `
             <div class="comfy-mobile-form-outputs-widgets"></div>
             <div class="comfy-mobile-form-outputs-header">
-                <h3>Generated Outputs</h3>
-                <span class="comfy-mobile-form-outputs-status">Ready</span>
+                <h3>${t('outputs.title')}</h3>
+                <span class="comfy-mobile-form-outputs-status">${t('status.ready')}</span>
                 <div class="comfy-mobile-form-outputs-actions">
                     <div class="comfy-mobile-form-view-toggle" data-view="${currentView}">
-                        <button class="comfy-mobile-form-view-btn ${currentView === 'grid' ? 'active' : ''}" data-view="grid" title="Grid View">
+                        <button class="comfy-mobile-form-view-btn ${currentView === 'grid' ? 'active' : ''}" data-view="grid" title="${t('outputs.gridView')}">
                             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <rect x="3" y="3" width="7" height="7"/>
                                 <rect x="14" y="3" width="7" height="7"/>
@@ -724,7 +720,7 @@ export class OutputsManager {
                                 <rect x="3" y="14" width="7" height="7"/>
                             </svg>
                         </button>
-                        <button class="comfy-mobile-form-view-btn ${currentView === 'list' ? 'active' : ''}" data-view="list" title="List View">
+                        <button class="comfy-mobile-form-view-btn ${currentView === 'list' ? 'active' : ''}" data-view="list" title="${t('outputs.listView')}">
                             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <line x1="8" y1="6" x2="21" y2="6"/>
                                 <line x1="8" y1="12" x2="21" y2="12"/>
@@ -735,18 +731,50 @@ export class OutputsManager {
                             </svg>
                         </button>
                     </div>
-                    <button class="comfy-mobile-form-outputs-clear" title="Clear all outputs">
+                    <button class="comfy-mobile-form-outputs-favorites-btn ${favoritesOnly ? 'active' : ''}" title="${favoritesOnly ? t('outputs.showAll') : t('outputs.showRated')}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>
+                        </svg>
+                    </button>
+                    <button class="comfy-mobile-form-outputs-sort-btn ${sortByRating ? 'active' : ''}" title="${sortByRating ? t('outputs.sortNewest') : t('outputs.sortRating')}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M3 6h18M6 12h12M10 18h4"/>
+                        </svg>
+                    </button>
+                    <button class="comfy-mobile-form-outputs-select-btn ${this.#selectMode ? 'active' : ''}" title="${this.#selectMode ? t('outputs.doneSelecting') : t('outputs.select')}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <rect x="3" y="3" width="18" height="18" rx="2"/>
+                            <polyline points="8 12 11 15 16 9"/>
+                        </svg>
+                    </button>
+                    <button class="comfy-mobile-form-outputs-history-btn ${this.#historyMode ? 'active' : ''}" title="${this.#historyMode ? t('outputs.backToCurrent') : t('outputs.browseHistory')}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="12" cy="12" r="9"/>
+                            <path d="M12 7v5l3 3"/>
+                        </svg>
+                    </button>
+                    <button class="comfy-mobile-form-outputs-clear" title="${t('outputs.clearTitle')}">
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M3 6h18M8 6V4a2 2 0 012-2h4a2 2 0 012 2v2m3 0v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6h14z"/>
                             <path d="M10 11v6M14 11v6"/>
                         </svg>
-                        <span>Clear</span>
+                        <span>${t('outputs.clear')}</span>
                     </button>
                 </div>
             </div>
+            <div class="comfy-mobile-form-outputs-selection" ${this.#selectMode ? '' : 'hidden'}>
+                <span class="comfy-mobile-form-outputs-selection-count"></span>
+                <label class="comfy-mobile-form-outputs-selection-manifest" title="${t('outputs.manifestTitle')}">
+                    <input type="checkbox" ${localStorage.getItem(STORAGE_KEYS.zipManifest) !== 'false' ? 'checked' : ''}>
+                    <span>${t('outputs.manifest')}</span>
+                </label>
+                <button data-action="select-all">${t('outputs.selectAll')}</button>
+                <button data-action="download" class="primary"></button>
+            </div>
             <div class="comfy-mobile-form-outputs-progress-bar">
                 <div class="comfy-mobile-form-outputs-progress"></div>
             </div>
+            <div class="comfy-mobile-form-sweep"></div>
             <div class="comfy-mobile-form-outputs-gallery ${currentView === 'list' ? 'list-view' : ''}"></div>
         `;
         
@@ -759,22 +787,58 @@ export class OutputsManager {
             });
         });
         
+        // Rating filter and sort toggles
+        this.#container.querySelector('.comfy-mobile-form-outputs-favorites-btn')?.addEventListener('click', () => {
+            localStorage.setItem(STORAGE_KEYS.outputsRatedOnly, String(!favoritesOnly));
+            this.#refreshGallery();
+        });
+        this.#container.querySelector('.comfy-mobile-form-outputs-sort-btn')?.addEventListener('click', () => {
+            localStorage.setItem(STORAGE_KEYS.outputsSort, sortByRating ? 'newest' : 'rating');
+            this.#refreshGallery();
+        });
+        
+        // Multi-select mode for ZIP downloads
+        this.#container.querySelector('.comfy-mobile-form-outputs-select-btn')?.addEventListener('click', () => {
+            this.#selectMode = !this.#selectMode;
+            if (!this.#selectMode) this.#selection.clear();
+            this.#refreshGallery();
+        });
+        const selectionBar = this.#container.querySelector('.comfy-mobile-form-outputs-selection');
+        selectionBar?.querySelector('input')?.addEventListener('change', (e) => {
+            localStorage.setItem(STORAGE_KEYS.zipManifest, String(/** @type {HTMLInputElement} */ (e.target).checked));
+        });
+        selectionBar?.querySelector('[data-action="select-all"]')?.addEventListener('click', () => this.#toggleSelectAll());
+        selectionBar?.querySelector('[data-action="download"]')?.addEventListener('click', () => this.#downloadSelection());
+        this.#container.classList.toggle('select-mode', this.#selectMode);
+        this.#refreshSelectionState();
+        
+        // History browser toggle
+        this.#container.querySelector('.comfy-mobile-form-outputs-history-btn')?.addEventListener('click', () => {
+            this.#setHistoryMode(!this.#historyMode);
+        });
+        
         // Add clear button handler with confirmation
         const clearBtn = this.#container.querySelector('.comfy-mobile-form-outputs-clear');
         clearBtn?.addEventListener('click', async () => {
             // Only show confirmation if there are outputs to clear
-            if (this.#outputs.length === 0) return;
+            const count = this.#getFormOutputs().length;
+            if (count === 0) {
+                if (this.#sweep) this.clearSweep();
+                return;
+            }
             
             const confirmed = await showConfirmDialog({
-                title: 'Clear All Outputs',
-                message: `Are you sure you want to clear all ${this.#outputs.length} output${this.#outputs.length === 1 ? '' : 's'}? This action cannot be undone.`,
-                confirmText: 'Clear All',
-                cancelText: 'Keep',
+                title: t('outputs.clearConfirm.title'),
+                message: t('outputs.clearConfirm.message', { count }),
+                confirmText: t('outputs.clearConfirm.confirm'),
+                cancelText: t('outputs.clearConfirm.cancel'),
                 type: 'danger',
                 icon: '🗑️'
             });
             
             if (confirmed) {
+                this.#sweep = null;
+                this.#sweepOutputs.clear();
                 this.clearOutputs();
                 this.render();
             }
@@ -784,33 +848,362 @@ export class OutputsManager {
         this.#widgetsContainer = /** @type {HTMLDivElement} */ (this.#container.querySelector('.comfy-mobile-form-outputs-widgets'));
         this.#renderOutputWidgets();
         
+        // Render the sweep grid (if a sweep is active)
+        this.#renderSweepGrid();
+        
         const gallery = this.#container.querySelector('.comfy-mobile-form-outputs-gallery');
         if(!gallery) return;
         
-        if(this.#outputs.length === 0) {
+        // The history browser replaces the gallery (and keeps its state across renders)
+        if(this.#historyMode) {
+            gallery.replaceWith(this.#getHistoryElement());
+            return;
+        }
+        
+        const outputs = this.#getFormOutputs();
+        if(outputs.length === 0) {
             gallery.innerHTML = `
                 <div class="comfy-mobile-form-empty-state">
                     <div class="comfy-mobile-form-empty-state-icon">🖼️</div>
-                    <div class="comfy-mobile-form-empty-state-title">No Outputs Yet</div>
+                    <div class="comfy-mobile-form-empty-state-title">${t('outputs.empty')}</div>
                     <div class="comfy-mobile-form-empty-state-description">
-                        Generated images, videos, and other outputs will appear here after running your workflow.
+                        ${t('outputs.empty.description')}
                     </div>
                     <div class="comfy-mobile-form-empty-state-hint">
-                        <div class="comfy-mobile-form-empty-state-hint-item">Configure your workflow inputs</div>
-                        <div class="comfy-mobile-form-empty-state-hint-item">Click "Queue Prompt" to run</div>
-                        <div class="comfy-mobile-form-empty-state-hint-item">Results will show here automatically</div>
+                        <div class="comfy-mobile-form-empty-state-hint-item">${t('outputs.empty.configure')}</div>
+                        <div class="comfy-mobile-form-empty-state-hint-item">${t('outputs.empty.queue')}</div>
+                        <div class="comfy-mobile-form-empty-state-hint-item">${t('outputs.empty.results')}</div>
                     </div>
                 </div>
             `;
             return;
         }
         
-        for(const output of this.#outputs) {
+        const visible = this.#arrangeOutputs(outputs);
+        if(visible.length === 0) {
+            gallery.innerHTML = `
+                <div class="comfy-mobile-form-empty-state">
+                    <div class="comfy-mobile-form-empty-state-icon">⭐</div>
+                    <div class="comfy-mobile-form-empty-state-title">${t('outputs.noRated')}</div>
+                    <div class="comfy-mobile-form-empty-state-description">
+                        ${t('outputs.noRated.description')}
+                    </div>
+                </div>
+            `;
+            return;
+        }
+        
+        for(const output of visible) {
             const item = this.#createOutputElement(output);
             gallery.appendChild(item);
         }
     }
     
+    /**
+     * Get the gallery filter and sort settings
+     * @returns {{favoritesOnly: boolean, sortByRating: boolean}}
+     */
+    #getArrangement() {
+        return {
+            favoritesOnly: localStorage.getItem(STORAGE_KEYS.outputsRatedOnly) === 'true',
+            sortByRating: localStorage.getItem(STORAGE_KEYS.outputsSort) === 'rating'
+        };
+    }
+    
+    /**
+     * Apply the gallery filter and sort to a list of outputs
+     * @param {OutputItem[]} outputs 
+     * @returns {OutputItem[]}
+     */
+    #arrangeOutputs(outputs) {
+        const { favoritesOnly, sortByRating } = this.#getArrangement();
+        const result = favoritesOnly
+            ? outputs.filter(o => getOutputRating(getOutputKey(o)) > 0)
+            : [...outputs];
+        if (sortByRating) {
+            // Sort is stable, so equally rated outputs keep their order
+            result.sort((a, b) => getOutputRating(getOutputKey(b)) - getOutputRating(getOutputKey(a)));
+        }
+        return result;
+    }
+    
+    /**
+     * Re-render the gallery after a filter, sort or rating change
+     * The history browser is rebuilt from its loaded pages, so it keeps its place.
+     */
+    #refreshGallery() {
+        this.render();
+        if (!this.#historyMode) return;
+        
+        const groups = this.#historyElem?.querySelector('.comfy-mobile-form-history-groups');
+        if (groups) {
+            groups.innerHTML = '';
+            this.#renderHistoryGroups(this.#history.groups);
+        }
+    }
+    
+    /**
+     * Rate an output - tapping its current rating clears it
+     * @param {OutputItem} output 
+     * @param {number} rating 
+     */
+    #rateOutput(output, rating) {
+        const key = getOutputKey(output);
+        const newRating = getOutputRating(key) === rating ? 0 : rating;
+        setOutputRating(key, newRating);
+        
+        // Filtered or sorted galleries need to be rebuilt; otherwise just update the stars
+        const { favoritesOnly, sortByRating } = this.#getArrangement();
+        if (favoritesOnly || sortByRating) {
+            this.#refreshGallery();
+            return;
+        }
+        this.#container.querySelectorAll('.comfy-mobile-form-output-item').forEach(item => {
+            const elem = /** @type {HTMLElement} */ (item);
+            if (elem.dataset.outputKey !== key) return;
+            elem.querySelectorAll('.comfy-mobile-form-output-star').forEach(star => {
+                const value = Number(/** @type {HTMLElement} */ (star).dataset.rating);
+                star.classList.toggle('filled', value <= newRating);
+            });
+        });
+    }
+    
+    /**
+     * Switch between the current outputs and the history browser
+     * @param {boolean} enabled
+     */
+    #setHistoryMode(enabled) {
+        this.#historyMode = enabled;
+        if (enabled) {
+            // Always start from the newest prompts
+            this.#resetHistory();
+        } else {
+            this.#historyObserver?.disconnect();
+        }
+        this.render();
+    }
+    
+    /**
+     * Drop loaded history pages and start again from the newest prompt
+     */
+    #resetHistory() {
+        this.#history = { groups: [], end: null, loading: false, done: false };
+        this.#historyObserver?.disconnect();
+        this.#historyElem = null;
+    }
+    
+    /**
+     * Get (or create) the persistent history browser element
+     * @returns {HTMLDivElement}
+     */
+    #getHistoryElement() {
+        if (this.#historyElem) return this.#historyElem;
+        
+        const elem = document.createElement('div');
+        elem.classList.add('comfy-mobile-form-history');
+        elem.innerHTML = `
+            <div class="comfy-mobile-form-history-groups"></div>
+            <div class="comfy-mobile-form-history-sentinel"></div>
+        `;
+        this.#historyElem = elem;
+        
+        // Load the next page whenever the end of the list scrolls into view
+        this.#historyObserver?.disconnect();
+        this.#historyObserver = new IntersectionObserver((entries) => {
+            if (entries.some(e => e.isIntersecting)) {
+                this.#loadHistoryPage();
+            }
+        });
+        
+        this.#renderHistoryGroups(this.#history.groups);
+        this.#updateHistorySentinel();
+        this.#observeHistorySentinel();
+        return elem;
+    }
+    
+    /**
+     * (Re)observe the sentinel - observe() always reports the current
+     * intersection, so this loads another page if the sentinel is still visible
+     */
+    #observeHistorySentinel() {
+        const sentinel = this.#historyElem?.querySelector('.comfy-mobile-form-history-sentinel');
+        if (!sentinel || !this.#historyObserver) return;
+        this.#historyObserver.unobserve(sentinel);
+        if (!this.#history.done) {
+            this.#historyObserver.observe(sentinel);
+        }
+    }
+    
+    /**
+     * Update the loading / end-of-history message
+     */
+    #updateHistorySentinel() {
+        const sentinel = this.#historyElem?.querySelector('.comfy-mobile-form-history-sentinel');
+        if (!sentinel) return;
+        
+        if (this.#history.loading) {
+            sentinel.textContent = t('history.loading');
+        } else if (this.#history.done) {
+            sentinel.textContent = this.#history.groups.length > 0 ? t('history.noOlder') : t('history.empty');
+        } else {
+            sentinel.textContent = '';
+        }
+    }
+    
+    /**
+     * Check whether a history entry exists at the given offset
+     * @param {number} offset
+     * @returns {Promise<boolean>}
+     */
+    async #historyEntryExists(offset) {
+        const response = await api.fetchApi(`/history?max_items=1&offset=${offset}`);
+        if (!response.ok) throw new Error(`Server returned ${response.status}`);
+        return Object.keys(await response.json()).length > 0;
+    }
+    
+    /**
+     * Find the number of history entries
+     * /history offsets count from the oldest entry and the server doesn't
+     * report a total, so probe for the end with single-item requests.
+     * @returns {Promise<number>}
+     */
+    async #findHistoryLength() {
+        if (!(await this.#historyEntryExists(0))) return 0;
+        
+        // Grow until past the end, then binary search between the last hit and miss
+        let found = 0;
+        let missing = 1;
+        while (await this.#historyEntryExists(missing)) {
+            found = missing;
+            missing *= 2;
+        }
+        while (missing - found > 1) {
+            const mid = Math.floor((found + missing) / 2);
+            if (await this.#historyEntryExists(mid)) {
+                found = mid;
+            } else {
+                missing = mid;
+            }
+        }
+        return missing;
+    }
+    
+    /**
+     * Load the next (older) page of history
+     */
+    async #loadHistoryPage() {
+        const history = this.#history;
+        if (history.loading || history.done) return;
+        
+        history.loading = true;
+        this.#updateHistorySentinel();
+        
+        try {
+            if (history.end === null) {
+                history.end = await this.#findHistoryLength();
+            }
+            
+            const start = Math.max(0, history.end - HISTORY_PAGE_SIZE);
+            /** @type {HistoryGroup[]} */
+            const groups = [];
+            
+            if (history.end > start) {
+                const response = await api.fetchApi(`/history?max_items=${history.end - start}&offset=${start}`);
+                if (!response.ok) throw new Error(`Server returned ${response.status}`);
+                const page = await response.json();
+                
+                // @ts-ignore
+                const { app } = await import("../../scripts/app.js");
+                
+                // Entries come oldest first - show newest first
+                for (const [promptId, entry] of Object.entries(page).reverse()) {
+                    const group = this.#parseHistoryEntry(app, promptId, entry);
+                    if (group.outputs.length > 0) groups.push(group);
+                }
+            }
+            
+            // Ignore the page if the history was reset while loading
+            if (history !== this.#history) return;
+            
+            history.end = start;
+            history.done = start === 0;
+            history.groups.push(...groups);
+            this.#renderHistoryGroups(groups);
+        } catch(e) {
+            console.warn('[MobileForm Outputs] Could not load history page:', e);
+            history.done = true;
+        } finally {
+            history.loading = false;
+            if (history === this.#history) {
+                this.#updateHistorySentinel();
+                this.#observeHistorySentinel();
+            }
+        }
+    }
+    
+    /**
+     * Convert a /history entry into a group of tracked outputs
+     * @param {any} app - ComfyUI app
+     * @param {string} promptId
+     * @param {any} entry
+     * @returns {HistoryGroup}
+     */
+    #parseHistoryEntry(app, promptId, entry) {
+        /** @type {OutputItem[]} */
+        const outputs = [];
+        for (const [nodeIdStr, nodeOutput] of Object.entries(entry?.outputs || {})) {
+            const nodeId = parseInt(nodeIdStr, 10);
+            if (!this.#shouldTrackNode(nodeId)) continue;
+            outputs.push(...parseNodeOutput(nodeOutput, nodeId, getNodeTitle(app, nodeId), promptId));
+        }
+        
+        // Status messages look like ['execution_start', { timestamp, ... }]
+        const startMessage = entry?.status?.messages?.find((/** @type {any[]} */ m) => m[0] === 'execution_start');
+        
+        return {
+            promptId,
+            timestamp: startMessage?.[1]?.timestamp ?? null,
+            outputs
+        };
+    }
+    
+    /**
+     * Append history groups to the browser
+     * @param {HistoryGroup[]} groups
+     */
+    #renderHistoryGroups(groups) {
+        const container = this.#historyElem?.querySelector('.comfy-mobile-form-history-groups');
+        if (!container) return;
+        
+        const listView = (localStorage.getItem('mf-outputs-view') || 'grid') === 'list';
+        
+        for (const group of groups) {
+            const outputs = this.#arrangeOutputs(group.outputs);
+            if (outputs.length === 0) continue;
+            
+            const groupElem = document.createElement('div');
+            groupElem.classList.add('comfy-mobile-form-history-group');
+            groupElem.dataset.promptId = group.promptId;
+            
+            const header = document.createElement('div');
+            header.classList.add('comfy-mobile-form-history-group-header');
+            const time = group.timestamp ? new Date(group.timestamp).toLocaleString() : t('history.unknownTime');
+            header.textContent = t('history.group', { time, count: group.outputs.length });
+            header.title = group.promptId;
+            groupElem.appendChild(header);
+            
+            const gallery = document.createElement('div');
+            gallery.classList.add('comfy-mobile-form-outputs-gallery');
+            gallery.classList.toggle('list-view', listView);
+            for (const output of outputs) {
+                gallery.appendChild(this.#createOutputElement(output));
+            }
+            groupElem.appendChild(gallery);
+            
+            container.appendChild(groupElem);
+        }
+    }
+    
     /**
      * Render output nodes as widgets
      */
@@ -823,7 +1216,7 @@ export class OutputsManager {
         // Add a header for the output nodes section
         const header = document.createElement('div');
         header.classList.add('comfy-mobile-form-outputs-widgets-header');
-        header.innerHTML = '<h3>Output Settings</h3>';
+        header.innerHTML = `<h3>${t('outputs.settings')}</h3>`;
         this.#widgetsContainer.appendChild(header);
         
         // Create a grid container for the widgets
@@ -840,6 +1233,92 @@ export class OutputsManager {
         this.#widgetsContainer.appendChild(grid);
     }
     
+    /**
+     * Render the sweep outputs as a grid labelled with the axis values
+     */
+    #renderSweepGrid() {
+        const container = this.#container.querySelector('.comfy-mobile-form-sweep');
+        if (!(container instanceof HTMLElement)) return;
+        
+        container.innerHTML = '';
+        if (!this.#sweep) return;
+        
+        const [xAxis, yAxis] = this.#sweep.axes;
+        const runs = this.#sweep.runs;
+        const doneCount = runs.filter(r => r.promptId && this.#sweepOutputs.has(r.promptId)).length;
+        
+        // Header with axis names, progress and dismiss button
+        const header = document.createElement('div');
+        header.classList.add('comfy-mobile-form-sweep-header');
+        
+        const title = document.createElement('h3');
+        title.textContent = yAxis ? `${xAxis.label} × ${yAxis.label}` : xAxis.label;
+        header.appendChild(title);
+        
+        const progress = document.createElement('span');
+        progress.classList.add('comfy-mobile-form-sweep-progress');
+        progress.textContent = `${doneCount}/${runs.length}`;
+        header.appendChild(progress);
+        
+        const closeBtn = document.createElement('button');
+        closeBtn.classList.add('comfy-mobile-form-sweep-close');
+        closeBtn.title = t('sweep.dismiss');
+        closeBtn.textContent = '✕';
+        closeBtn.addEventListener('click', () => this.clearSweep());
+        header.appendChild(closeBtn);
+        
+        container.appendChild(header);
+        
+        // Grid - first row holds X values, first column holds Y values
+        const grid = document.createElement('div');
+        grid.classList.add('comfy-mobile-form-sweep-grid');
+        grid.style.gridTemplateColumns = `${yAxis ? 'auto ' : ''}repeat(${xAxis.values.length}, minmax(120px, 1fr))`;
+        
+        /**
+         * @param {string} text
+         * @param {string} className
+         */
+        const addLabel = (text, className) => {
+            const cell = document.createElement('div');
+            cell.classList.add('comfy-mobile-form-sweep-label', className);
+            cell.textContent = text;
+            cell.title = text;
+            grid.appendChild(cell);
+        };
+        
+        if (yAxis) addLabel('', 'corner');
+        for (const value of xAxis.values) {
+            addLabel(String(value), 'col');
+        }
+        
+        const rowCount = yAxis ? yAxis.values.length : 1;
+        for (let y = 0; y < rowCount; y++) {
+            if (yAxis) addLabel(String(yAxis.values[y]), 'row');
+            
+            for (let x = 0; x < xAxis.values.length; x++) {
+                const run = runs.find(r => r.x === x && r.y === y);
+                const outputs = run?.promptId ? this.#sweepOutputs.get(run.promptId) : undefined;
+                
+                const cell = document.createElement('div');
+                cell.classList.add('comfy-mobile-form-sweep-cell');
+                
+                if (outputs?.length) {
+                    for (const output of outputs) {
+                        cell.appendChild(this.#createOutputElement(output));
+                    }
+                } else {
+                    cell.classList.add('pending');
+                    if (run?.outcome) cell.classList.add(run.outcome);
+                    cell.textContent = run?.outcome ? t(`sweep.${run.outcome}`) : run?.promptId ? t('sweep.queued') : t('sweep.pending');
+                }
+                
+                grid.appendChild(cell);
+            }
+        }
+        
+        container.appendChild(grid);
+    }
+    
     /**
      * Create DOM element for an output item
      * @param {OutputItem} output 
@@ -849,6 +1328,17 @@ export class OutputsManager {
         const item = document.createElement('div');
         item.classList.add('comfy-mobile-form-output-item');
         item.dataset.type = output.type;
+        item.dataset.outputKey = getOutputKey(output);
+        item.classList.toggle('compare-selected', this.#isCompareSelection(output));
+        item.classList.toggle('selected', this.#selection.has(item.dataset.outputKey));
+        
+        // In select mode a tap anywhere on the item toggles it (capture beats the media handlers)
+        item.addEventListener('click', (e) => {
+            if (!this.#selectMode) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.#toggleSelected(output);
+        }, true);
         
         const url = this.#getOutputUrl(output);
         
@@ -891,7 +1381,7 @@ export class OutputsManager {
             item.appendChild(img);
             
             // Fullscreen on tap
-            img.addEventListener('click', () => this.#showFullscreen(url, 'image'));
+            img.addEventListener('click', () => this.#showFullscreen(url, 'image', output));
         } else {
             const img = document.createElement('img');
             img.src = url;
@@ -900,7 +1390,7 @@ export class OutputsManager {
             item.appendChild(img);
             
             // Fullscreen on tap
-            img.addEventListener('click', () => this.#showFullscreen(url, 'image'));
+            img.addEventListener('click', () => this.#showFullscreen(url, 'image', output));
         }
         
         // Label
@@ -909,6 +1399,26 @@ export class OutputsManager {
         label.textContent = output.nodeTitle;
         item.appendChild(label);
         
+        // Star rating
+        const rating = getOutputRating(getOutputKey(output));
+        const stars = document.createElement('div');
+        stars.classList.add('comfy-mobile-form-output-rating');
+        for (let value = 1; value <= MAX_OUTPUT_RATING; value++) {
+            const star = document.createElement('button');
+            star.classList.add('comfy-mobile-form-output-star');
+            star.classList.toggle('filled', value <= rating);
+            star.dataset.rating = String(value);
+            star.textContent = '★';
+            star.title = t('outputs.rate', { count: value });
+            star.setAttribute('aria-label', star.title);
+            star.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.#rateOutput(output, value);
+            });
+            stars.appendChild(star);
+        }
+        item.appendChild(stars);
+        
         // Actions bar
         const actions = document.createElement('div');
         actions.classList.add('comfy-mobile-form-output-actions');
@@ -921,7 +1431,7 @@ export class OutputsManager {
                 <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/>
                 <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>
             </svg>`;
-            copyBtn.title = 'Copy to Clipboard';
+            copyBtn.title = t('outputs.copy');
             copyBtn.addEventListener('click', async (e) => {
                 e.stopPropagation();
                 await this.#copyToClipboard(url, copyBtn);
@@ -929,16 +1439,63 @@ export class OutputsManager {
             actions.appendChild(copyBtn);
         }
         
+        // Restore parameters button (needs the prompt that produced the output)
+        if (output.promptId && this.#onRestore) {
+            const restoreBtn = document.createElement('button');
+            restoreBtn.classList.add('comfy-mobile-form-output-action');
+            restoreBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M3 12a9 9 0 1 0 3-6.7L3 8"/>
+                <path d="M3 3v5h5"/>
+            </svg>`;
+            restoreBtn.title = t('outputs.restore');
+            restoreBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.#onRestore?.(output);
+            });
+            actions.appendChild(restoreBtn);
+        }
+        
+        // Compare button (for images only)
+        if (output.type === 'image' || output.type === 'gif') {
+            const compareBtn = document.createElement('button');
+            compareBtn.classList.add('comfy-mobile-form-output-action');
+            compareBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="3" y="4" width="18" height="16" rx="2"/>
+                <line x1="12" y1="2" x2="12" y2="22"/>
+            </svg>`;
+            compareBtn.title = t('outputs.compare');
+            compareBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.#selectForCompare(output);
+            });
+            actions.appendChild(compareBtn);
+        }
+        
+        // Info button
+        const infoBtn = document.createElement('button');
+        infoBtn.classList.add('comfy-mobile-form-output-action');
+        infoBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <circle cx="12" cy="12" r="10"/>
+            <line x1="12" y1="16" x2="12" y2="12"/>
+            <line x1="12" y1="8" x2="12.01" y2="8"/>
+        </svg>`;
+        infoBtn.title = t('outputs.info');
+        infoBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showOutputInfo(output);
+        });
+        actions.appendChild(infoBtn);
+        
         // Fullscreen button
         const fullscreenBtn = document.createElement('button');
         fullscreenBtn.classList.add('comfy-mobile-form-output-action');
         fullscreenBtn.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <path d="M8 3H5a2 2 0 0 0-2 2v3m18 0V5a2 2 0 0 0-2-2h-3m0 18h3a2 2 0 0 0 2-2v-3M3 16v3a2 2 0 0 0 2 2h3"/>
         </svg>`;
-        fullscreenBtn.title = 'View Fullscreen';
+        fullscreenBtn.title = t('outputs.fullscreen');
         fullscreenBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.#showFullscreen(url, output.type === 'video' ? 'video' : 'image');
+            this.#showFullscreen(url, output.type === 'video' ? 'video' : 'image', output);
         });
         actions.appendChild(fullscreenBtn);
         
@@ -952,7 +1509,7 @@ export class OutputsManager {
             <polyline points="7 10 12 15 17 10"/>
             <line x1="12" y1="15" x2="12" y2="3"/>
         </svg>`;
-        downloadBtn.title = 'Download';
+        downloadBtn.title = t('outputs.download');
         downloadBtn.addEventListener('click', (e) => e.stopPropagation());
         actions.appendChild(downloadBtn);
         
@@ -968,12 +1525,12 @@ export class OutputsManager {
     #setGalleryView(view) {
         localStorage.setItem('mf-outputs-view', view);
         
-        const gallery = this.#container.querySelector('.comfy-mobile-form-outputs-gallery');
+        const galleries = this.#container.querySelectorAll('.comfy-mobile-form-outputs-gallery');
         const toggle = this.#container.querySelector('.comfy-mobile-form-view-toggle');
         
-        if (gallery) {
+        galleries.forEach(gallery => {
             gallery.classList.toggle('list-view', view === 'list');
-        }
+        });
         
         if (toggle) {
             toggle.setAttribute('data-view', view);
@@ -1037,12 +1594,259 @@ export class OutputsManager {
         return `/view?${params.toString()}`;
     }
     
+    /**
+     * Outputs currently shown in the gallery (or the loaded history pages)
+     * @returns {OutputItem[]}
+     */
+    #getVisibleOutputs() {
+        if (this.#historyMode) {
+            return this.#history.groups.flatMap(group => this.#arrangeOutputs(group.outputs));
+        }
+        return this.#arrangeOutputs(this.#getFormOutputs());
+    }
+    
+    /**
+     * Add or remove an output from the download selection
+     * @param {OutputItem} output 
+     */
+    #toggleSelected(output) {
+        const key = getOutputKey(output);
+        if (this.#selection.has(key)) {
+            this.#selection.delete(key);
+        } else {
+            this.#selection.set(key, output);
+        }
+        this.#refreshSelectionState();
+    }
+    
+    /**
+     * Select every visible output, or clear the selection if they all are
+     */
+    #toggleSelectAll() {
+        const visible = this.#getVisibleOutputs();
+        const allSelected = visible.length > 0 && visible.every(o => this.#selection.has(getOutputKey(o)));
+        
+        if (allSelected) {
+            this.#selection.clear();
+        } else {
+            for (const output of visible) {
+                this.#selection.set(getOutputKey(output), output);
+            }
+        }
+        this.#refreshSelectionState();
+    }
+    
+    /**
+     * Update selection highlighting and the selection bar without rebuilding the gallery
+     */
+    #refreshSelectionState() {
+        this.#container.querySelectorAll('.comfy-mobile-form-output-item').forEach(item => {
+            const elem = /** @type {HTMLElement} */ (item);
+            elem.classList.toggle('selected', this.#selection.has(elem.dataset.outputKey || ''));
+        });
+        
+        const bar = this.#container.querySelector('.comfy-mobile-form-outputs-selection');
+        if (!bar) return;
+        
+        const count = this.#selection.size;
+        const visible = this.#getVisibleOutputs();
+        const allSelected = visible.length > 0 && visible.every(o => this.#selection.has(getOutputKey(o)));
+        
+        const countElem = bar.querySelector('.comfy-mobile-form-outputs-selection-count');
+        if (countElem) countElem.textContent = t('outputs.selected', { count });
+        
+        const selectAllBtn = bar.querySelector('[data-action="select-all"]');
+        if (selectAllBtn) selectAllBtn.textContent = allSelected ? t('outputs.selectNone') : t('outputs.selectAll');
+        
+        const downloadBtn = /** @type {HTMLButtonElement | null} */ (bar.querySelector('[data-action="download"]'));
+        if (downloadBtn) {
+            downloadBtn.textContent = this.#downloading ? t('outputs.preparing') : (count > 0 ? t('outputs.downloadSelected') : t('outputs.downloadAll'));
+            downloadBtn.disabled = this.#downloading || (count === 0 && visible.length === 0);
+        }
+    }
+    
+    /**
+     * Get a file name for an output inside the ZIP, unique among `used`
+     * @param {OutputItem} output 
+     * @param {Set<string>} used 
+     * @returns {string}
+     */
+    #getZipEntryName(output, used) {
+        const base = output.format === 'url'
+            ? decodeURIComponent(new URL(output.filename, location.href).pathname.split('/').pop() || 'output')
+            : (output.subfolder ? `${output.subfolder}/${output.filename}` : output.filename);
+        
+        let name = base;
+        const dot = base.lastIndexOf('.');
+        for (let i = 2; used.has(name); i++) {
+            name = dot > base.lastIndexOf('/') ? `${base.slice(0, dot)}-${i}${base.slice(dot)}` : `${base}-${i}`;
+        }
+        used.add(name);
+        return name;
+    }
+    
+    /**
+     * Get the non-linked inputs of each node in a prompt, for the manifest
+     * @param {string} promptId 
+     * @returns {Promise<Object.<string, {class_type: string, inputs: Object.<string, any>}> | null>}
+     */
+    async #getManifestParameters(promptId) {
+        try {
+            const prompt = await fetchPromptGraph(promptId);
+            /** @type {Object.<string, {class_type: string, inputs: Object.<string, any>}>} */
+            const parameters = {};
+            for (const [nodeId, node] of Object.entries(prompt)) {
+                const inputs = Object.fromEntries(
+                    Object.entries(node.inputs || {}).filter(([, value]) => !Array.isArray(value))
+                );
+                parameters[nodeId] = { class_type: node.class_type, inputs };
+            }
+            return parameters;
+        } catch(e) {
+            console.warn('[MobileForm Outputs] Could not load prompt for manifest:', promptId, e);
+            return null;
+        }
+    }
+    
+    /**
+     * Fetch the selected (or all visible) outputs and download them as one ZIP
+     */
+    async #downloadSelection() {
+        if (this.#downloading) return;
+        
+        const outputs = this.#selection.size > 0 ? [...this.#selection.values()] : this.#getVisibleOutputs();
+        if (outputs.length === 0) return;
+        
+        const includeManifest = localStorage.getItem(STORAGE_KEYS.zipManifest) !== 'false';
+        this.#downloading = true;
+        this.#refreshSelectionState();
+        
+        try {
+            /** @type {import('./zip.js').ZipEntry[]} */
+            const entries = [];
+            /** @type {Object.<string, any>[]} */
+            const files = [];
+            /** @type {Map<string, Promise<any>>} */
+            const parameters = new Map();
+            const usedNames = new Set();
+            let failed = 0;
+            
+            for (const [index, output] of outputs.entries()) {
+                this.setStatus(t('outputs.downloading', { index: index + 1, total: outputs.length }));
+                try {
+                    const response = await fetch(this.#getOutputUrl(output));
+                    if (!response.ok) throw new Error(`Server returned ${response.status}`);
+                    const data = new Uint8Array(await response.arrayBuffer());
+                    
+                    const name = this.#getZipEntryName(output, usedNames);
+                    entries.push({ name, data });
+                    
+                    if (includeManifest) {
+                        if (output.promptId && !parameters.has(output.promptId)) {
+                            parameters.set(output.promptId, this.#getManifestParameters(output.promptId));
+                        }
+                        files.push({
+                            file: name,
+                            type: output.type,
+                            nodeId: output.nodeId,
+                            nodeTitle: output.nodeTitle,
+                            promptId: output.promptId ?? null
+                        });
+                    }
+                } catch(e) {
+                    console.warn('[MobileForm Outputs] Could not fetch output for ZIP:', output.filename, e);
+                    failed++;
+                }
+            }
+            
+            if (entries.length === 0) {
+                throw new Error(t('outputs.error.noneDownloaded'));
+            }
+            
+            if (includeManifest) {
+                const prompts = /** @type {Object.<string, any>} */ ({});
+                for (const [promptId, promise] of parameters) {
+                    prompts[promptId] = await promise;
+                }
+                const manifest = { created: new Date().toISOString(), files, prompts };
+                entries.push({
+                    name: usedNames.has('manifest.json') ? '_manifest.json' : 'manifest.json',
+                    data: new TextEncoder().encode(JSON.stringify(manifest, null, 2))
+                });
+            }
+            
+            const url = URL.createObjectURL(createZip(entries));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `comfyui-outputs-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.zip`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 10000);
+            
+            const fileCount = includeManifest ? entries.length - 1 : entries.length;
+            this.setStatus(failed > 0
+                ? t('outputs.downloadedFailed', { count: fileCount, failed })
+                : t('outputs.downloaded', { count: fileCount }));
+        } catch(e) {
+            console.error('[MobileForm Outputs] ZIP download failed:', e);
+            this.setStatus(t('outputs.error.download'));
+            alert(t('outputs.error.downloadAlert', { message: e.message }));
+        } finally {
+            this.#downloading = false;
+            this.#refreshSelectionState();
+        }
+    }
+    
+    /**
+     * Check whether an output is the image picked as compare "A"
+     * @param {OutputItem} output 
+     * @returns {boolean}
+     */
+    #isCompareSelection(output) {
+        return !!this.#compareSelection && getOutputKey(this.#compareSelection) === getOutputKey(output);
+    }
+    
+    /**
+     * Pick an output for comparison - the first pick is A, the second opens the viewer
+     * @param {OutputItem} output 
+     */
+    #selectForCompare(output) {
+        const first = this.#compareSelection;
+        
+        if (!first || this.#isCompareSelection(output)) {
+            // Select A (or deselect it when picked again)
+            this.#compareSelection = first ? null : output;
+            this.setStatus(first ? t('status.ready') : t('outputs.compareSelect'));
+            this.#refreshCompareState();
+            return;
+        }
+        
+        this.#compareSelection = null;
+        this.#refreshCompareState();
+        this.setStatus(t('status.ready'));
+        showCompareViewer(
+            { url: this.#getOutputUrl(first), label: first.nodeTitle },
+            { url: this.#getOutputUrl(output), label: output.nodeTitle }
+        );
+    }
+    
+    /**
+     * Update compare highlighting without rebuilding the gallery (keeps history scroll)
+     */
+    #refreshCompareState() {
+        const selectedKey = this.#compareSelection ? getOutputKey(this.#compareSelection) : null;
+        this.#container.querySelectorAll('.comfy-mobile-form-output-item').forEach(item => {
+            const elem = /** @type {HTMLElement} */ (item);
+            elem.classList.toggle('compare-selected', elem.dataset.outputKey === selectedKey);
+        });
+    }
+    
     /**
      * Show fullscreen preview
      * @param {string} url 
      * @param {'image' | 'video'} type 
+     * @param {OutputItem} [output] - Adds an info button for the output
      */
-    #showFullscreen(url, type) {
+    #showFullscreen(url, type, output) {
         const overlay = document.createElement('div');
         overlay.classList.add('comfy-mobile-form-fullscreen-overlay');
         
@@ -1065,6 +1869,16 @@ export class OutputsManager {
         closeBtn.addEventListener('click', () => overlay.remove());
         overlay.appendChild(closeBtn);
         
+        if(output) {
+            const infoBtn = document.createElement('button');
+            infoBtn.classList.add('comfy-mobile-form-fullscreen-info');
+            infoBtn.textContent = 'ⓘ';
+            infoBtn.title = t('outputs.info');
+            infoBtn.setAttribute('aria-label', t('outputs.showInfo'));
+            infoBtn.addEventListener('click', () => showOutputInfo(output));
+            overlay.appendChild(infoBtn);
+        }
+        
         overlay.addEventListener('click', (e) => {
             if(e.target === overlay) overlay.remove();
         });
@@ -0,0 +1,125 @@
+// @ts-check
+
+/**
+ * Restore Parameters - Read the inputs of a past prompt back into the form
+ */
+
+// @ts-ignore
+import { api } from "../../scripts/api.js";
+import { t } from "./i18n.js";
+
+/** @import {ComfyUIGraph, ComfyUIGraphNode} from "./types" */
+
+/**
+ * API-format prompt: node ID -> { class_type, inputs }
+ * Linked inputs are [sourceNodeId, outputSlot] pairs.
+ * @typedef {Object.<string, {class_type: string, inputs: Object.<string, any>}>} PromptGraph
+ */
+
+/**
+ * Fetch the server history entry of a prompt
+ * @param {string} promptId
+ * @returns {Promise<any>} Entry with `prompt` (the queue item), `outputs` and `status`
+ */
+export async function fetchHistoryEntry(promptId) {
+    const response = await api.fetchApi(`/history/${encodeURIComponent(promptId)}`);
+    if (!response.ok) {
+        throw new Error(`Server returned ${response.status}`);
+    }
+
+    const history = await response.json();
+    const entry = history[promptId];
+    if (!entry) {
+        throw new Error(t('params.error.notInHistory'));
+    }
+    return entry;
+}
+
+/**
+ * Fetch the API-format prompt that was queued for a prompt ID
+ * @param {string} promptId
+ * @returns {Promise<PromptGraph>}
+ */
+export async function fetchPromptGraph(promptId) {
+    const entry = await fetchHistoryEntry(promptId);
+    // History entries store the queue item: [number, prompt_id, prompt, extra_data, outputs_to_execute]
+    const prompt = entry.prompt?.[2];
+    if (!prompt) {
+        throw new Error(t('params.error.notInHistory'));
+    }
+    return prompt;
+}
+
+/**
+ * Get a link from the graph (LiteGraph stores links in an object or a Map)
+ * @param {ComfyUIGraph} graph
+ * @param {number} linkId
+ * @returns {{target_id: number, target_slot: number} | undefined}
+ */
+function getLink(graph, linkId) {
+    // @ts-ignore - links is not part of the minimal graph type
+    const links = graph.links;
+    return links instanceof Map ? links.get(linkId) : links?.[linkId];
+}
+
+/**
+ * Find the value a PrimitiveNode fed into the prompt
+ * Primitive nodes are frontend-only, so look at the input they are linked to.
+ * @param {ComfyUIGraphNode} node
+ * @param {ComfyUIGraph} graph
+ * @param {PromptGraph} prompt
+ * @returns {any}
+ */
+function findPrimitiveValue(node, graph, prompt) {
+    // @ts-ignore - outputs is not part of the minimal node type
+    for (const linkId of node.outputs?.[0]?.links || []) {
+        const link = getLink(graph, linkId);
+        if (!link) continue;
+
+        const target = graph.getNodeById(link.target_id);
+        // @ts-ignore - inputs is not part of the minimal node type
+        const input = target?.inputs?.[link.target_slot];
+        const inputName = input?.widget?.name ?? input?.name;
+        const value = prompt[link.target_id]?.inputs?.[inputName];
+
+        if (value !== undefined && !Array.isArray(value)) return value;
+    }
+    return undefined;
+}
+
+/**
+ * Map the values of a past prompt onto the form's widgets
+ * @param {PromptGraph} prompt
+ * @param {ComfyUIGraphNode[]} nodes - Nodes rendered in the form
+ * @param {ComfyUIGraph} graph
+ * @returns {Object.<string, Object.<string, any>>} Values keyed by node ID, then widget name
+ */
+export function getPromptValues(prompt, nodes, graph) {
+    /** @type {Object.<string, Object.<string, any>>} */
+    const values = {};
+
+    for (const node of nodes) {
+        if (!Array.isArray(node.widgets)) continue;
+
+        if (node.type === 'PrimitiveNode') {
+            const widget = node.widgets[0];
+            const value = findPrimitiveValue(node, graph, prompt);
+            if (widget && value !== undefined) {
+                values[node.id] = { [widget.name]: value };
+            }
+            continue;
+        }
+
+        const inputs = prompt[node.id]?.inputs;
+        if (!inputs) continue;
+
+        for (const widget of node.widgets) {
+            const value = inputs[widget.name];
+            // Skip missing inputs and links to other nodes
+            if (value === undefined || Array.isArray(value)) continue;
+            (values[node.id] ??= {})[widget.name] = value;
+        }
+    }
+
+    return values;
+}
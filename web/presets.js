@@ -0,0 +1,236 @@
+// @ts-check
+
+/**
+ * Form Presets - Named snapshots of every widget value in the form
+ *
+ * Presets are stored in the FormSettings node (`_presets`) so they
+ * travel with the workflow.
+ */
+
+import { getFormPresets, saveFormPresets, isWidgetHidden, showConfirmDialog, showRenameDialog, escapeHtml } from "./widget.js";
+import { t } from "./i18n.js";
+
+/** @import {ComfyUIGraph, ComfyUIGraphNode, ComfyUIGraphWidget} from "./types" */
+/** @import {FormPreset} from "./widget.js" */
+
+/**
+ * Check if a widget value should be captured in a preset
+ * @param {ComfyUIGraphNode} node
+ * @param {ComfyUIGraphWidget} widget
+ * @returns {boolean}
+ */
+function isPresetWidget(node, widget) {
+    if (widget.hidden || widget.type === 'converted-widget' || widget.type === 'button') return false;
+    if (isWidgetHidden(node.id, widget.name)) return false;
+
+    const value = widget.value;
+    return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Capture the current widget values of the given nodes
+ * @param {ComfyUIGraphNode[]} nodes - Nodes rendered in the form
+ * @returns {Object.<string, Object.<string, any>>} Values keyed by node ID, then widget name
+ */
+export function captureFormValues(nodes) {
+    /** @type {Object.<string, Object.<string, any>>} */
+    const values = {};
+
+    for (const node of nodes) {
+        if (!Array.isArray(node.widgets)) continue;
+
+        for (const widget of node.widgets) {
+            if (!isPresetWidget(node, widget)) continue;
+            (values[node.id] ??= {})[widget.name] = widget.value;
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Write preset values back into the graph widgets
+ * @param {Object.<string, Object.<string, any>>} values - Values keyed by node ID, then widget name
+ * @param {ComfyUIGraph} graph
+ * @returns {{applied: number, missing: number}}
+ */
+export function applyFormValues(values, graph) {
+    let applied = 0;
+    let missing = 0;
+
+    for (const [nodeId, widgetValues] of Object.entries(values)) {
+        const node = graph.getNodeById(parseInt(nodeId, 10));
+
+        for (const [widgetName, value] of Object.entries(widgetValues)) {
+            const widget = node?.widgets?.find(w => w.name === widgetName);
+            if (!widget) {
+                missing++;
+                continue;
+            }
+
+            widget.value = value;
+            widget.callback?.(widget.value);
+            applied++;
+        }
+    }
+
+    graph.setDirtyCanvas?.(true, true);
+
+    return { applied, missing };
+}
+
+/**
+ * Show the presets picker dialog
+ * @param {Object} options
+ * @param {ComfyUIGraph} options.graph - Graph to apply presets to
+ * @param {ComfyUIGraphNode[]} options.nodes - Nodes rendered in the form
+ * @param {() => void} options.onApply - Called after a preset was applied (to re-render the form)
+ */
+export function showPresetsDialog({ graph, nodes, onApply }) {
+    const overlay = document.createElement('div');
+    overlay.classList.add('comfy-mobile-form-dialog-overlay');
+
+    const dialog = document.createElement('div');
+    dialog.classList.add('comfy-mobile-form-dialog', 'comfy-mobile-form-presets-dialog');
+    dialog.innerHTML = `
+        <div class="comfy-mobile-form-dialog-header">
+            <h3>${t('presets.title')}</h3>
+            <button class="comfy-mobile-form-dialog-close" aria-label="${t('dialog.close')}">✕</button>
+        </div>
+        <div class="comfy-mobile-form-dialog-body">
+            <div class="comfy-mobile-form-presets-list"></div>
+            <div class="comfy-mobile-form-rename-field">
+                <label>${t('presets.saveAs')}</label>
+                <div class="comfy-mobile-form-presets-new">
+                    <input type="text" class="comfy-mobile-form-rename-input" placeholder="${t('presets.namePlaceholder')}">
+                    <button class="comfy-mobile-form-dialog-btn primary" data-action="save">${t('dialog.save')}</button>
+                </div>
+            </div>
+        </div>
+    `;
+
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+
+    const list = /** @type {HTMLDivElement} */ (dialog.querySelector('.comfy-mobile-form-presets-list'));
+    const nameInput = /** @type {HTMLInputElement} */ (dialog.querySelector('.comfy-mobile-form-rename-input'));
+
+    const close = () => overlay.remove();
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    dialog.querySelector('.comfy-mobile-form-dialog-close')?.addEventListener('click', close);
+
+    const renderList = () => {
+        const presets = getFormPresets();
+        list.innerHTML = '';
+
+        if (presets.length === 0) {
+            list.innerHTML = `<div class="comfy-mobile-form-dialog-hint">${t('presets.empty')}</div>`;
+            return;
+        }
+
+        presets.forEach((preset, index) => {
+            const row = document.createElement('div');
+            row.classList.add('comfy-mobile-form-preset-row');
+            row.innerHTML = `
+                <button class="comfy-mobile-form-preset-name" title="${t('presets.apply')}">${escapeHtml(preset.name)}</button>
+                <button class="comfy-mobile-form-preset-action" data-action="overwrite" title="${t('presets.overwriteHint')}">💾</button>
+                <button class="comfy-mobile-form-preset-action" data-action="rename" title="${t('rename.rename')}">✏️</button>
+                <button class="comfy-mobile-form-preset-action" data-action="delete" title="${t('presets.delete')}">🗑️</button>
+            `;
+
+            row.querySelector('.comfy-mobile-form-preset-name')?.addEventListener('click', () => {
+                applyFormValues(preset.values, graph);
+                close();
+                onApply();
+            });
+
+            row.querySelector('[data-action="overwrite"]')?.addEventListener('click', async () => {
+                const confirmed = await showConfirmDialog({
+                    title: t('presets.overwrite.title'),
+                    message: t('presets.overwrite.message', { name: preset.name }),
+                    confirmText: t('presets.overwrite')
+                });
+                if (!confirmed) return;
+
+                const current = getFormPresets();
+                current[index] = { ...current[index], values: captureFormValues(nodes), updated: Date.now() };
+                saveFormPresets(current);
+                renderList();
+            });
+
+            row.querySelector('[data-action="rename"]')?.addEventListener('click', () => {
+                showRenameDialog(preset.name, t('rename.preset'), (newName) => {
+                    const current = getFormPresets();
+                    if (current.some((p, i) => i !== index && p.name === newName)) {
+                        alert(t('presets.exists', { name: newName }));
+                        return;
+                    }
+                    current[index] = { ...current[index], name: newName };
+                    saveFormPresets(current);
+                    renderList();
+                });
+            });
+
+            row.querySelector('[data-action="delete"]')?.addEventListener('click', async () => {
+                const confirmed = await showConfirmDialog({
+                    title: t('presets.delete.title'),
+                    message: t('presets.delete.message', { name: preset.name }),
+                    confirmText: t('presets.delete'),
+                    type: 'danger',
+                    icon: '🗑️'
+                });
+                if (!confirmed) return;
+
+                const current = getFormPresets();
+                current.splice(index, 1);
+                saveFormPresets(current);
+                renderList();
+            });
+
+            list.appendChild(row);
+        });
+    };
+
+    const saveNew = async () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+            nameInput.focus();
+            return;
+        }
+
+        const presets = getFormPresets();
+        const existingIndex = presets.findIndex(p => p.name === name);
+        /** @type {FormPreset} */
+        const preset = { name, values: captureFormValues(nodes), updated: Date.now() };
+
+        if (existingIndex !== -1) {
+            const confirmed = await showConfirmDialog({
+                title: t('presets.overwrite.title'),
+                message: t('presets.replace.message', { name }),
+                confirmText: t('presets.overwrite')
+            });
+            if (!confirmed) return;
+            presets[existingIndex] = preset;
+        } else {
+            presets.push(preset);
+        }
+
+        saveFormPresets(presets);
+        nameInput.value = '';
+        renderList();
+    };
+
+    dialog.querySelector('[data-action="save"]')?.addEventListener('click', saveNew);
+    nameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            saveNew();
+        }
+    });
+
+    renderList();
+    nameInput.focus();
+}
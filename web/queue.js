@@ -0,0 +1,279 @@
+// @ts-check
+
+// @ts-ignore
+import { api } from "../../scripts/api.js";
+import { showConfirmDialog } from './widget.js';
+import { t } from './i18n.js';
+
+/**
+ * A queue entry as returned by the /queue endpoint:
+ * [number, prompt_id, prompt, extra_data, outputs_to_execute]
+ * @typedef {[number, string, Object.<string, any>, Object.<string, any>, string[]]} QueueEntry
+ */
+
+/**
+ * Class to display and manage the server queue
+ */
+export class QueueManager {
+    /** @type {HTMLDivElement} */
+    #container;
+
+    /** @type {QueueEntry[]} */
+    #running = [];
+
+    /** @type {QueueEntry[]} */
+    #pending = [];
+
+    /** @type {((pendingCount: number) => void) | null} */
+    #onUpdate = null;
+
+    /** @type {Map<string, Function>} */
+    #eventListeners = new Map();
+
+    /** @type {boolean} */
+    #loading = false;
+
+    /** @type {boolean} */
+    #stale = false;
+
+    /**
+     * @param {HTMLDivElement} container
+     */
+    constructor(container) {
+        this.#container = container;
+        this.#container.classList.add('comfy-mobile-form-queue');
+        this.#setupEventListeners();
+        this.render();
+        this.refresh();
+    }
+
+    /**
+     * Cleanup event listeners and resources
+     */
+    destroy() {
+        for (const [eventName, listener] of this.#eventListeners) {
+            api.removeEventListener(eventName, listener);
+        }
+        this.#eventListeners.clear();
+        this.#container.innerHTML = '';
+    }
+
+    /**
+     * Set callback for when the queue changes
+     * @param {(pendingCount: number) => void} callback
+     */
+    onUpdate(callback) {
+        this.#onUpdate = callback;
+    }
+
+    /**
+     * Setup API event listeners
+     */
+    #setupEventListeners() {
+        // The server sends a status event whenever the queue changes
+        const listener = () => this.refresh();
+        api.addEventListener('status', listener);
+        this.#eventListeners.set('status', listener);
+    }
+
+    /**
+     * Reload the queue from the server
+     */
+    async refresh() {
+        // Coalesce refreshes that arrive while a request is in flight
+        if (this.#loading) {
+            this.#stale = true;
+            return;
+        }
+        this.#loading = true;
+
+        try {
+            const response = await api.fetchApi('/queue');
+            if (!response.ok) return;
+
+            const queue = await response.json();
+            this.#running = queue.queue_running || [];
+            // Pending entries come back unordered - sort by queue number
+            this.#pending = (queue.queue_pending || []).sort((/** @type {QueueEntry} */ a, /** @type {QueueEntry} */ b) => a[0] - b[0]);
+
+            this.render();
+            this.#onUpdate?.(this.#pending.length);
+        } catch(e) {
+            console.warn('[MobileForm Queue] Could not load queue:', e);
+        } finally {
+            this.#loading = false;
+            if (this.#stale) {
+                this.#stale = false;
+                this.refresh();
+            }
+        }
+    }
+
+    /**
+     * Send a queue modification to the server
+     * @param {{delete?: string[], clear?: boolean}} body
+     */
+    async #postQueue(body) {
+        try {
+            const response = await api.fetchApi('/queue', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            if (!response.ok) {
+                throw new Error(`Server returned ${response.status}`);
+            }
+        } catch(e) {
+            console.error('[MobileForm Queue] Queue update failed:', e);
+            alert(t('queue.error.update', { message: e.message }));
+        }
+        await this.refresh();
+    }
+
+    /**
+     * Remove a pending item from the queue
+     * @param {string} promptId
+     */
+    async deleteItem(promptId) {
+        await this.#postQueue({ delete: [promptId] });
+    }
+
+    /**
+     * Remove all pending items from the queue
+     */
+    async clearPending() {
+        if (this.#pending.length === 0) return;
+
+        const confirmed = await showConfirmDialog({
+            title: t('queue.clearConfirm.title'),
+            message: t('queue.clearConfirm.message', { count: this.#pending.length }),
+            confirmText: t('queue.clearConfirm.title'),
+            cancelText: t('outputs.clearConfirm.cancel'),
+            type: 'danger',
+            icon: '🗑️'
+        });
+
+        if (confirmed) {
+            await this.#postQueue({ clear: true });
+        }
+    }
+
+    /**
+     * Interrupt the running item
+     */
+    async interrupt() {
+        try {
+            await api.interrupt();
+        } catch(e) {
+            console.error('[MobileForm Queue] Interrupt failed:', e);
+        }
+        await this.refresh();
+    }
+
+    /**
+     * Render the queue display
+     */
+    render() {
+        this.#container.innerHTML = `
+            <div class="comfy-mobile-form-queue-header">
+                <h3>${t('tab.queue')}</h3>
+                <span class="comfy-mobile-form-queue-count">${t('queue.count', { running: this.#running.length, pending: this.#pending.length })}</span>
+                <div class="comfy-mobile-form-queue-actions">
+                    <button class="comfy-mobile-form-queue-refresh" title="${t('queue.refresh')}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M23 4v6h-6M1 20v-6h6"/>
+                            <path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"/>
+                        </svg>
+                    </button>
+                    <button class="comfy-mobile-form-queue-clear" title="${t('queue.clearPending')}" ${this.#pending.length === 0 ? 'disabled' : ''}>
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M3 6h18M8 6V4a2 2 0 012-2h4a2 2 0 012 2v2m3 0v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6h14z"/>
+                            <path d="M10 11v6M14 11v6"/>
+                        </svg>
+                        <span>${t('outputs.clear')}</span>
+                    </button>
+                </div>
+            </div>
+            <div class="comfy-mobile-form-queue-list"></div>
+        `;
+
+        this.#container.querySelector('.comfy-mobile-form-queue-refresh')?.addEventListener('click', () => this.refresh());
+        this.#container.querySelector('.comfy-mobile-form-queue-clear')?.addEventListener('click', () => this.clearPending());
+
+        const list = this.#container.querySelector('.comfy-mobile-form-queue-list');
+        if (!list) return;
+
+        if (this.#running.length === 0 && this.#pending.length === 0) {
+            list.innerHTML = `
+                <div class="comfy-mobile-form-empty-state">
+                    <div class="comfy-mobile-form-empty-state-icon">⏳</div>
+                    <div class="comfy-mobile-form-empty-state-title">${t('queue.empty')}</div>
+                    <div class="comfy-mobile-form-empty-state-description">
+                        ${t('queue.empty.description')}
+                    </div>
+                </div>
+            `;
+            return;
+        }
+
+        for (const entry of this.#running) {
+            list.appendChild(this.#createQueueElement(entry, true));
+        }
+        for (const entry of this.#pending) {
+            list.appendChild(this.#createQueueElement(entry, false));
+        }
+    }
+
+    /**
+     * Create DOM element for a queue entry
+     * @param {QueueEntry} entry
+     * @param {boolean} running
+     * @returns {HTMLElement}
+     */
+    #createQueueElement(entry, running) {
+        const [number, promptId, prompt, extraData] = entry;
+        const nodeCount = Object.keys(prompt || {}).length;
+        const isOwn = extraData?.client_id && extraData.client_id === api.clientId;
+
+        const item = document.createElement('div');
+        item.classList.add('comfy-mobile-form-queue-item');
+        item.classList.toggle('running', running);
+        item.dataset.promptId = promptId;
+
+        const info = document.createElement('div');
+        info.classList.add('comfy-mobile-form-queue-item-info');
+
+        const title = document.createElement('div');
+        title.classList.add('comfy-mobile-form-queue-item-title');
+        title.textContent = running ? t('queue.item.running', { number }) : `#${number}`;
+        info.appendChild(title);
+
+        const meta = document.createElement('div');
+        meta.classList.add('comfy-mobile-form-queue-item-meta');
+        meta.textContent = t(isOwn ? 'queue.item.metaOwn' : 'queue.item.meta', { count: nodeCount, id: String(promptId).slice(0, 8) });
+        meta.title = promptId;
+        info.appendChild(meta);
+
+        item.appendChild(info);
+
+        const actionBtn = document.createElement('button');
+        actionBtn.classList.add('comfy-mobile-form-queue-item-action');
+        if (running) {
+            actionBtn.textContent = '⏹';
+            actionBtn.title = t('queue.interrupt');
+            actionBtn.setAttribute('aria-label', t('queue.interruptLabel'));
+            actionBtn.addEventListener('click', () => this.interrupt());
+        } else {
+            actionBtn.textContent = '✕';
+            actionBtn.title = t('queue.remove');
+            actionBtn.setAttribute('aria-label', t('queue.remove'));
+            actionBtn.addEventListener('click', () => {
+                actionBtn.disabled = true;
+                this.deleteItem(promptId);
+            });
+        }
+        item.appendChild(actionBtn);
+
+        return item;
+    }
+}
@@ -0,0 +1,59 @@
+// @ts-check
+
+/**
+ * Output Ratings - Star ratings for gallery outputs, kept in localStorage
+ * Outputs are files on the server, so ratings are shared by all workflows.
+ */
+
+import { MAX_OUTPUT_RATING, STORAGE_KEYS } from './constants.js';
+
+/** @type {Object.<string, number> | null} */
+let cachedRatings = null;
+
+/**
+ * Load all ratings, keyed by output key
+ * @returns {Object.<string, number>}
+ */
+function loadRatings() {
+    if (cachedRatings) return cachedRatings;
+
+    try {
+        const stored = localStorage.getItem(STORAGE_KEYS.outputRatings);
+        cachedRatings = stored ? JSON.parse(stored) : {};
+    } catch (e) {
+        console.warn('[MobileForm] Failed to load output ratings:', e);
+        cachedRatings = {};
+    }
+    return /** @type {Object.<string, number>} */ (cachedRatings);
+}
+
+/**
+ * Get the rating of an output (0 when unrated)
+ * @param {string} key - Output key (see getOutputKey)
+ * @returns {number}
+ */
+export function getOutputRating(key) {
+    return loadRatings()[key] || 0;
+}
+
+/**
+ * Set the rating of an output (0 removes it)
+ * @param {string} key - Output key (see getOutputKey)
+ * @param {number} rating
+ */
+export function setOutputRating(key, rating) {
+    const ratings = loadRatings();
+    const value = Math.max(0, Math.min(MAX_OUTPUT_RATING, Math.round(rating)));
+
+    if (value === 0) {
+        delete ratings[key];
+    } else {
+        ratings[key] = value;
+    }
+
+    try {
+        localStorage.setItem(STORAGE_KEYS.outputRatings, JSON.stringify(ratings));
+    } catch (e) {
+        console.warn('[MobileForm] Failed to save output ratings:', e);
+    }
+}
@@ -0,0 +1,166 @@
+// @ts-check
+
+/**
+ * Resize Handles - Drag a card's edges in edit mode to change its width and height
+ *
+ * The right edge snaps to the columns of the grid the card sits in, the bottom
+ * edge to the height presets. The card previews the snapped size while dragging;
+ * the new size is saved (as one undo step) when the handle is released.
+ */
+
+import { getCardSettings, saveCardSettings } from './widget.js';
+import { updateCardSpan, getCardColumns } from './grid.js';
+import { WIDGET_HEIGHTS } from './constants.js';
+import { t } from './i18n.js';
+
+/** @typedef {'width' | 'height'} ResizeAxis */
+
+/** Height presets in the order the bottom handle passes them */
+const HEIGHT_PRESETS = /** @type {Array<keyof typeof WIDGET_HEIGHTS>} */ (['compact', 'medium', 'tall']);
+
+/**
+ * Get the column tracks of the grid a card sits in
+ * @param {HTMLElement} widget
+ * @returns {{columns: number, columnWidth: number, gap: number}}
+ */
+function getGridColumns(widget) {
+    const style = getComputedStyle(/** @type {HTMLElement} */ (widget.parentElement));
+    const tracks = style.gridTemplateColumns.split(' ').map(parseFloat).filter(width => !isNaN(width));
+    const columns = Math.max(1, tracks.length);
+    return {
+        columns,
+        columnWidth: tracks.length > 0 ? tracks[0] : widget.getBoundingClientRect().width,
+        gap: parseFloat(style.columnGap) || 0
+    };
+}
+
+/**
+ * Get the label shown on a card while it is resized
+ * @param {string} width
+ * @param {string} height
+ * @param {number} columns - Columns the width is picked from
+ * @returns {string}
+ */
+function getSizeLabel(width, height, columns) {
+    const widthLabel = Number(width) >= columns
+        ? t('menu.width.full')
+        : t('menu.width.columns', { count: Number(width) });
+    return `${widthLabel} · ${t(`menu.height.${height}`)}`;
+}
+
+/**
+ * Start resizing a card from one of its handles
+ * @param {PointerEvent} e
+ * @param {HTMLElement} widget
+ * @param {ResizeAxis} axis
+ */
+function startResize(e, widget, axis) {
+    const nodeId = parseInt(widget.dataset.nodeId || '0', 10);
+    if (!nodeId || e.button !== 0) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    const handle = /** @type {HTMLElement} */ (e.currentTarget);
+    handle.setPointerCapture(e.pointerId);
+
+    const cardWidget = widget.dataset.cardWidget;
+    const settings = getCardSettings(nodeId, cardWidget);
+    const original = { width: widget.dataset.width || '1', height: widget.dataset.height || 'auto' };
+    const rect = widget.getBoundingClientRect();
+    const { columns, columnWidth, gap } = getGridColumns(widget);
+    const startSpan = Math.min(columns, Math.max(1, Math.round((rect.width + gap) / (columnWidth + gap))));
+    const fullWidth = String(getCardColumns(widget));
+
+    // "Auto" snaps at the card's natural height
+    widget.dataset.height = 'auto';
+    const autoHeight = widget.getBoundingClientRect().height;
+    widget.dataset.height = original.height;
+
+    // A native drag of the card would take over the pointer
+    const draggable = widget.getAttribute('draggable');
+    widget.setAttribute('draggable', 'false');
+    widget.classList.add('comfy-mobile-form-resizing');
+
+    const badge = document.createElement('div');
+    badge.classList.add('comfy-mobile-form-resize-badge');
+    badge.textContent = getSizeLabel(original.width, original.height, Number(fullWidth));
+    widget.appendChild(badge);
+
+    /** @param {PointerEvent} move */
+    const onMove = (move) => {
+        if (axis === 'width') {
+            const span = Math.min(columns, Math.max(1, Math.round((move.clientX - rect.left + gap) / (columnWidth + gap))));
+            // Keep the saved width while the card spans what it did (e.g. "3" in a two-column grid);
+            // spanning the whole grid means a full row on every grid
+            widget.dataset.width = span === startSpan ? original.width
+                : span === columns ? fullWidth
+                : String(span);
+            updateCardSpan(widget);
+        } else {
+            const height = move.clientY - rect.top;
+            /** @type {Array<{value: string, px: number}>} */
+            const candidates = [
+                { value: 'auto', px: autoHeight },
+                ...HEIGHT_PRESETS.map(value => ({ value, px: parseFloat(WIDGET_HEIGHTS[value]) }))
+            ];
+            const nearest = candidates.reduce((best, candidate) =>
+                Math.abs(candidate.px - height) < Math.abs(best.px - height) ? candidate : best);
+            widget.dataset.height = nearest.value;
+        }
+        badge.textContent = getSizeLabel(widget.dataset.width || '1', widget.dataset.height || 'auto', Number(fullWidth));
+    };
+
+    /** @param {PointerEvent} end */
+    const onEnd = (end) => {
+        handle.removeEventListener('pointermove', onMove);
+        handle.removeEventListener('pointerup', onEnd);
+        handle.removeEventListener('pointercancel', onEnd);
+        badge.remove();
+        widget.classList.remove('comfy-mobile-form-resizing');
+        if (draggable !== null) widget.setAttribute('draggable', draggable);
+
+        if (end.type === 'pointercancel') {
+            widget.dataset.width = original.width;
+            widget.dataset.height = original.height;
+            updateCardSpan(widget);
+            return;
+        }
+
+        const width = widget.dataset.width || '1';
+        const height = widget.dataset.height || 'auto';
+        if (width !== original.width || height !== original.height) {
+            saveCardSettings(nodeId, cardWidget, { ...settings, width, height });
+        }
+    };
+
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onEnd);
+    handle.addEventListener('pointercancel', onEnd);
+}
+
+/**
+ * Add resize handles to the right and bottom edges of a card
+ * @param {HTMLElement} widget
+ */
+export function addResizeHandles(widget) {
+    if (widget.querySelector(':scope > .comfy-mobile-form-resize-handle')) return;
+
+    for (const axis of /** @type {ResizeAxis[]} */ (['width', 'height'])) {
+        const handle = document.createElement('div');
+        handle.classList.add('comfy-mobile-form-resize-handle');
+        handle.dataset.axis = axis;
+        handle.title = t(`resize.${axis}`);
+        handle.setAttribute('aria-hidden', 'true');
+        handle.addEventListener('pointerdown', (e) => startResize(e, widget, axis));
+        widget.appendChild(handle);
+    }
+}
+
+/**
+ * Remove the resize handles from all cards in a container
+ * @param {HTMLElement} container
+ */
+export function removeResizeHandles(container) {
+    container.querySelectorAll('.comfy-mobile-form-resize-handle').forEach(handle => handle.remove());
+}
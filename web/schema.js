@@ -0,0 +1,282 @@
+// @ts-check
+
+/**
+ * Settings Schema - Versioning, migration and validation of the settings document
+ * stored in the FormSettings node (`settings_json`)
+ *
+ * Documents carry their schema version in `_version`; documents without one are
+ * version 1. On load, older documents are migrated one version at a time and then
+ * validated. Invalid parts are dropped and reported instead of breaking the form.
+ */
+
+import { t } from './i18n.js';
+import { MAX_GRID_COLUMNS } from './constants.js';
+
+/** @import {AllWidgetSettings} from "./widget.js" */
+
+/** Schema version written by this version of the extension */
+export const SETTINGS_VERSION = 2;
+
+/**
+ * @typedef {Object} SettingsLoadResult
+ * @property {AllWidgetSettings} settings - Migrated and validated settings
+ * @property {string[]} problems - What was dropped or could not be read
+ * @property {boolean} corrupt - The document could not be read at all
+ * @property {boolean} migrated - The document was upgraded from an older version
+ */
+
+/** Node settings fields holding a string */
+const STRING_FIELDS = ['width', 'height', 'color', 'break', 'tooltip'];
+
+/** Node settings fields holding a list of widget names */
+const WIDGET_LIST_FIELDS = ['hiddenWidgets', 'splitWidgets'];
+
+/** Node settings fields holding an object keyed by widget name */
+const WIDGET_MAP_FIELDS = ['validation', 'widgetCards', 'profiles', 'visibilityRules'];
+
+/**
+ * Migrations keyed by the version they upgrade from - each returns the document at the next version
+ * @type {Object.<number, (doc: Object.<string, any>) => Object.<string, any>>}
+ */
+const MIGRATIONS = {
+    // 1 -> 2: layout values are strings ("2", "true"), node cards in widget orders are numbers
+    1: (doc) => {
+        /** @param {any} order */
+        const migrateOrder = (order) => Array.isArray(order)
+            ? order.map(cardId => typeof cardId === 'string' && /^\d+$/.test(cardId) ? Number(cardId) : cardId)
+            : order;
+
+        /** @type {Object.<string, any>} */
+        const migrated = {};
+        for (const [key, value] of Object.entries(doc)) {
+            if (/^\d+$/.test(key) && isPlainObject(value)) {
+                const settings = { ...value };
+                for (const field of STRING_FIELDS) {
+                    if (typeof settings[field] === 'number' || typeof settings[field] === 'boolean') {
+                        settings[field] = String(settings[field]);
+                    }
+                }
+                migrated[key] = settings;
+            } else if (key === '_order') {
+                migrated[key] = migrateOrder(value);
+            } else if (key === '_formOrders' && isPlainObject(value)) {
+                migrated[key] = Object.fromEntries(Object.entries(value).map(([name, order]) => [name, migrateOrder(order)]));
+            } else {
+                migrated[key] = value;
+            }
+        }
+        return migrated;
+    }
+};
+
+/**
+ * @param {any} value
+ * @returns {value is Object.<string, any>}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isCardOrder(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'number' || typeof item === 'string');
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isColumnCount(value) {
+    return Number.isInteger(value) && value >= 1 && value <= MAX_GRID_COLUMNS;
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isGridColumns(value) {
+    return isPlainObject(value)
+        && (value.form === undefined || isColumnCount(value.form))
+        && (value.sections === undefined || (isPlainObject(value.sections) && Object.values(value.sections).every(isColumnCount)));
+}
+
+/**
+ * Validate the settings of one node, dropping invalid fields
+ * @param {string} id
+ * @param {any} entry
+ * @param {string[]} problems
+ * @returns {Object.<string, any> | null} null if the entry is unusable
+ */
+function validateNodeSettings(id, entry, problems) {
+    if (!isPlainObject(entry)) {
+        problems.push(t('schema.nodeDropped', { id }));
+        return null;
+    }
+
+    const settings = { ...entry };
+    /** @param {string} field */
+    const drop = (field) => {
+        problems.push(t('schema.fieldDropped', { id, field }));
+        delete settings[field];
+    };
+
+    for (const field of STRING_FIELDS) {
+        if (field in settings && typeof settings[field] !== 'string') drop(field);
+    }
+    for (const field of WIDGET_LIST_FIELDS) {
+        if (field in settings && !isStringArray(settings[field])) drop(field);
+    }
+    for (const field of WIDGET_MAP_FIELDS) {
+        if (field in settings && !isPlainObject(settings[field])) drop(field);
+    }
+
+    if (isPlainObject(settings.visibilityRules)) {
+        for (const [widgetName, rule] of Object.entries(settings.visibilityRules)) {
+            if (!(isPlainObject(rule) && typeof rule.nodeId === 'number' && typeof rule.widget === 'string')) {
+                problems.push(t('schema.fieldDropped', { id, field: `visibilityRules.${widgetName}` }));
+                settings.visibilityRules = { ...settings.visibilityRules };
+                delete settings.visibilityRules[widgetName];
+            }
+        }
+    }
+    const identity = settings.identity;
+    if (identity !== undefined && !(isPlainObject(identity) && typeof identity.type === 'string')) {
+        drop('identity');
+    }
+
+    return settings;
+}
+
+/**
+ * Validate a settings document of the current version
+ * Invalid parts are dropped and described in `problems`. Unknown keys are kept (they may come from a newer version).
+ * @param {Object.<string, any>} doc
+ * @param {string[]} problems
+ * @returns {AllWidgetSettings}
+ */
+export function validateSettings(doc, problems) {
+    /** @type {Object.<string, any>} */
+    const settings = {};
+
+    for (const [key, value] of Object.entries(doc)) {
+        if (/^\d+$/.test(key)) {
+            const entry = validateNodeSettings(key, value, problems);
+            if (entry) settings[key] = entry;
+            continue;
+        }
+
+        switch (key) {
+            case '_order':
+                if (isCardOrder(value)) {
+                    settings[key] = value;
+                } else {
+                    problems.push(t('schema.orderDropped'));
+                }
+                break;
+            case '_formOrders':
+                if (isPlainObject(value)) {
+                    settings[key] = Object.fromEntries(Object.entries(value).filter(([name, order]) => {
+                        if (!isCardOrder(order)) problems.push(t('schema.formOrderDropped', { name }));
+                        return isCardOrder(order);
+                    }));
+                } else {
+                    problems.push(t('schema.formOrdersDropped'));
+                }
+                break;
+            case '_profileOrders':
+                if (isPlainObject(value) && Object.values(value).every(orders => isPlainObject(orders) && Object.values(orders).every(isCardOrder))) {
+                    settings[key] = value;
+                } else {
+                    problems.push(t('schema.profileOrdersDropped'));
+                }
+                break;
+            case '_gridColumns':
+                if (isPlainObject(value) && Object.values(value).every(forms => isPlainObject(forms) && Object.values(forms).every(isGridColumns))) {
+                    settings[key] = value;
+                } else {
+                    problems.push(t('schema.gridColumnsDropped'));
+                }
+                break;
+            case '_presets':
+                if (Array.isArray(value)) {
+                    const presets = value.filter(preset => isPlainObject(preset) && typeof preset.name === 'string' && isPlainObject(preset.values));
+                    if (presets.length < value.length) problems.push(t('schema.presetsDropped', { count: value.length - presets.length }));
+                    settings[key] = presets;
+                } else {
+                    problems.push(t('schema.presetsInvalid'));
+                }
+                break;
+            case '_orphaned':
+                if (Array.isArray(value)) {
+                    settings[key] = value.filter(orphan => isPlainObject(orphan) && typeof orphan.id === 'number' && isPlainObject(orphan.settings));
+                }
+                break;
+            default:
+                settings[key] = value;
+        }
+    }
+
+    return /** @type {AllWidgetSettings} */ (settings);
+}
+
+/**
+ * Read a settings document - parse, migrate to the current version and validate
+ * @param {string} json - Contents of settings_json ('' or '{}' when empty)
+ * @returns {SettingsLoadResult}
+ */
+export function loadSettingsDocument(json) {
+    if (!json || json === '{}') {
+        return { settings: { _version: SETTINGS_VERSION }, problems: [], corrupt: false, migrated: false };
+    }
+
+    /** @type {any} */
+    let doc;
+    try {
+        doc = JSON.parse(json);
+    } catch (e) {
+        doc = undefined;
+    }
+    if (!isPlainObject(doc)) {
+        return {
+            settings: { _version: SETTINGS_VERSION },
+            problems: [t('schema.corrupt')],
+            corrupt: true,
+            migrated: false
+        };
+    }
+
+    /** @type {string[]} */
+    const problems = [];
+    let version = doc._version ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+        problems.push(t('schema.unknownVersion', { version }));
+        version = 1;
+    }
+
+    const migrated = version < SETTINGS_VERSION;
+    while (version < SETTINGS_VERSION) {
+        doc = MIGRATIONS[version](doc);
+        version++;
+    }
+    if (version > SETTINGS_VERSION) {
+        problems.push(t('schema.newerVersion', { version }));
+    }
+
+    return {
+        settings: validateSettings({ ...doc, _version: version }, problems),
+        problems,
+        corrupt: false,
+        migrated
+    };
+}
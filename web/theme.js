@@ -0,0 +1,155 @@
+// @ts-check
+
+/**
+ * Form Themes - Colour themes for the form, its dialogs, menus and the fullscreen viewer
+ *
+ * The theme is a per-user preference: it is kept in the ComfyUI user settings
+ * (so it follows the user across browsers) with a localStorage copy that is
+ * applied right away on start-up. Themes are plain CSS variable sets in
+ * style.css, selected with `data-mf-theme` on the document root.
+ */
+
+// @ts-ignore
+import { api } from "../../scripts/api.js";
+import { t } from "./i18n.js";
+
+/** @typedef {'dark' | 'light' | 'high-contrast' | 'comfy' | 'custom'} ThemeName */
+
+/**
+ * Colours of the custom theme (hex, as edited with colour inputs)
+ * @typedef {Object} CustomTheme
+ * @property {string} background
+ * @property {string} surface - Cards, menus and dialogs
+ * @property {string} text
+ * @property {string} textSecondary
+ * @property {string} accent
+ * @property {string} border
+ */
+
+/**
+ * @typedef {Object} ThemeSettings
+ * @property {ThemeName} theme
+ * @property {CustomTheme} custom
+ */
+
+/** @type {Array<{value: ThemeName, label: string}>} */
+export const THEMES = [
+    { value: 'dark', label: t('theme.dark') },
+    { value: 'light', label: t('theme.light') },
+    { value: 'high-contrast', label: t('theme.highContrast') },
+    { value: 'comfy', label: t('theme.comfy') },
+    { value: 'custom', label: t('theme.custom') }
+];
+
+/** @type {Array<{key: keyof CustomTheme, label: string}>} */
+export const CUSTOM_THEME_COLORS = [
+    { key: 'background', label: t('theme.color.background') },
+    { key: 'surface', label: t('theme.color.surface') },
+    { key: 'text', label: t('theme.color.text') },
+    { key: 'textSecondary', label: t('theme.color.textSecondary') },
+    { key: 'accent', label: t('theme.color.accent') },
+    { key: 'border', label: t('theme.color.border') }
+];
+
+/** @type {CustomTheme} */
+const DEFAULT_CUSTOM_THEME = {
+    background: '#1a1a2e',
+    surface: '#16162a',
+    text: '#e0e0e0',
+    textSecondary: '#999999',
+    accent: '#6366f1',
+    border: '#333344'
+};
+
+/** ComfyUI user setting holding the theme */
+const SETTING_ID = 'MobileForm.Theme';
+
+/** localStorage copy, available before the user settings are fetched */
+const STORAGE_KEY = 'MobileForm.theme';
+
+/** CSS variables the custom theme in style.css is built from */
+/** @type {Record<keyof CustomTheme, string>} */
+const CUSTOM_VARIABLES = {
+    background: '--mf-custom-bg',
+    surface: '--mf-custom-surface',
+    text: '--mf-custom-text',
+    textSecondary: '--mf-custom-text-secondary',
+    accent: '--mf-custom-accent',
+    border: '--mf-custom-border'
+};
+
+/**
+ * Fill in missing or invalid parts of stored theme settings
+ * @param {any} value
+ * @returns {ThemeSettings}
+ */
+function normalizeTheme(value) {
+    const theme = THEMES.some(option => option.value === value?.theme) ? value.theme : 'dark';
+    /** @type {CustomTheme} */
+    const custom = { ...DEFAULT_CUSTOM_THEME };
+    for (const { key } of CUSTOM_THEME_COLORS) {
+        const color = value?.custom?.[key];
+        if (typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)) custom[key] = color;
+    }
+    return { theme, custom };
+}
+
+/**
+ * Get the theme saved in this browser
+ * @returns {ThemeSettings}
+ */
+export function getStoredTheme() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (stored !== null) return normalizeTheme(JSON.parse(stored));
+    } catch (e) {}
+    return normalizeTheme(null);
+}
+
+/**
+ * Get the theme from the user settings, falling back to the one saved in this browser
+ * @returns {Promise<ThemeSettings>}
+ */
+export async function loadTheme() {
+    try {
+        const value = await api.getSetting(SETTING_ID);
+        if (value) {
+            const settings = normalizeTheme(value);
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+            return settings;
+        }
+    } catch (e) {
+        console.warn("[MobileForm] Could not load the theme from the user settings:", e);
+    }
+    return getStoredTheme();
+}
+
+/**
+ * Save the theme to the user settings and this browser
+ * @param {ThemeSettings} settings
+ */
+export function saveTheme(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {}
+    Promise.resolve(api.storeSetting(SETTING_ID, settings)).catch((/** @type {any} */ e) => {
+        console.warn("[MobileForm] Could not save the theme to the user settings:", e);
+    });
+}
+
+/**
+ * Apply a theme to the form and everything it opens (dialogs, menus, viewer)
+ * @param {ThemeSettings} settings
+ */
+export function applyTheme(settings) {
+    const root = document.documentElement;
+    root.dataset.mfTheme = settings.theme;
+
+    for (const { key } of CUSTOM_THEME_COLORS) {
+        if (settings.theme === 'custom') {
+            root.style.setProperty(CUSTOM_VARIABLES[key], settings.custom[key]);
+        } else {
+            root.style.removeProperty(CUSTOM_VARIABLES[key]);
+        }
+    }
+}
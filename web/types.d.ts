@@ -12,6 +12,7 @@ export interface ComfyUIGraph {
     _groups: ComfyUIGraphGroup[];
     _nodes: ComfyUIGraphNode[];
     getNodeById: (id: number) => ComfyUIGraphNode | null;
+    setDirtyCanvas?: (foreground: boolean, background?: boolean) => void;
 }
 
 export interface ComfyUIGraphGroup {
@@ -27,6 +28,7 @@ export interface ComfyUIGraphNode {
     size: Float32Array | [number, number];
     widgets?: ComfyUIGraphWidget[];
     widgets_values?: any[];
+    properties?: Record<string, any>;
     images?: Array<{
         filename: string;
         subfolder?: string;
@@ -81,6 +83,7 @@ export interface ComfyUIApi {
     addEventListener: (event: string, callback: (event: CustomEvent) => void) => void;
     removeEventListener: (event: string, callback: (event: CustomEvent) => void) => void;
     interrupt: () => Promise<void>;
+    queuePrompt: (number: number, data: any) => Promise<{ prompt_id: string; number: number }>;
     fetchApi: (url: string, options?: RequestInit) => Promise<Response>;
 }
 
@@ -1,27 +1,68 @@
 // @ts-check
 
-import { createWidgetFromNode, setCurrentGraph, getWidgetOrder, saveWidgetOrder, showRenameDialog } from "./widget.js";
+import { createWidgetFromNode, createSplitWidgetCard, setCurrentGraph, setCurrentForm, setCurrentProfile, getWidgetOrder, saveWidgetOrder, showRenameDialog, showConfirmDialog, getWidgetSettings, getCardId, getSplitWidgetNames, copyLayoutProfile, getGridColumns, saveGridColumns, showSettingsReport, LAYOUT_PROFILES } from "./widget.js";
 import { OutputsManager, getOutputNodeTypes } from "./outputs.js";
+import { QueueManager } from "./queue.js";
+import { showPresetsDialog, applyFormValues } from "./presets.js";
+import { fetchPromptGraph, getPromptValues } from "./params.js";
+import { getSweepTargets, expandRange, parseValueList, buildSweepRuns, queuePromptTracked, BatchTracker } from "./batch.js";
+import { isRuleVisible } from "./visibility.js";
+import { validateNodes } from "./validation.js";
+import { FormWizard } from "./wizard.js";
+import { showLayoutDialog } from "./layout.js";
+import { addResizeHandles, removeResizeHandles } from "./resize.js";
+import { setGridColumnCount } from "./grid.js";
+import { recordLayoutChange, undoLayoutChange, redoLayoutChange, canUndoLayoutChange, canRedoLayoutChange, onLayoutHistoryChange } from "./history.js";
+import { t, getGroupTitle, getLocalizedGroupTitles } from "./i18n.js";
 import { 
     MOBILE_BREAKPOINT, 
     ROW_THRESHOLD, 
     PROGRESS_RESET_DELAY,
-    MAX_BATCH_COUNT 
+    MAX_BATCH_COUNT,
+    GRID_COLUMN_OPTIONS,
+    STORAGE_KEYS
 } from "./constants.js";
 
-/** @import {ComfyUIApp, ComfyUIGraph, ComfyUIGraphGroup, ComfyUIGraphNode} from "./types" */
+/** @import {ComfyUIApp, ComfyUIGraph, ComfyUIGraphGroup, ComfyUIGraphNode, ComfyUIGraphWidget} from "./types" */
+/** @import {SweepAxis, SweepTarget} from "./batch.js" */
+/** @import {CardOrder, GridColumns, LayoutProfile} from "./widget.js" */
+/** @import {SettingsMatchReport} from "./identity.js" */
 
 // @ts-ignore
 import { api } from "../../scripts/api.js";
 
+/**
+ * Build a group title pattern from regex alternatives and the localized group titles
+ * @param {string[]} alternatives - Regex sources of the English names
+ * @param {string[]} titles - Localized titles, e.g. "Formular Eingaben" (spacing between words is optional)
+ * @returns {RegExp}
+ */
+function createGroupPattern(alternatives, titles) {
+    const localized = titles.map(title => title.trim().split(/\s+/)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('\\s*'));
+    return new RegExp(`^\\s*(?:${[...alternatives, ...localized].join('|')})\\s*(?:[:：]\\s*(.*?))?\\s*$`, 'iu');
+}
+
 /**
  * Group title patterns
- * Official names: "Form Inputs" and "Form Outputs"
+ * Official names: "Form Inputs" and "Form Outputs", or their name in any UI language (see locales/)
  * Legacy support: "Mobile Form", "Mobile UI", "Mobile Inputs", "Mobile Outputs", "Outputs"
+ * A ": Name" suffix (or a full-width "：") defines a named form, e.g. "Form Inputs: Upscale" with "Form Outputs: Upscale"
+ */
+const INPUT_GROUP_PATTERN = createGroupPattern(['form\\s*inputs?', 'mobile\\s*(?:form|ui|inputs?)'], getLocalizedGroupTitles('inputs'));
+const OUTPUT_GROUP_PATTERN = createGroupPattern(['form\\s*outputs?', '(?:mobile\\s*)?outputs?'], getLocalizedGroupTitles('outputs'));
+const FORM_OUTPUT_GROUP_PATTERN = createGroupPattern(['form\\s*outputs?', 'mobile\\s*outputs?'], getLocalizedGroupTitles('outputs'));
+
+/**
+ * A form section - one subgroup of the inputs group
+ * @typedef {Object} FormSection
+ * @property {ComfyUIGraphGroup | null} group - Backing group (null for "Other")
+ * @property {string} title
+ * @property {string} [color]
+ * @property {ComfyUIGraphNode[]} nodes - Nodes directly in the section (not in a nested one)
+ * @property {FormSection[]} children - Sections of the groups nested inside
  */
-const INPUT_GROUP_PATTERN = /^\s*(?:form\s*inputs?|mobile\s*(?:form|ui|inputs?))\s*$/i;
-const OUTPUT_GROUP_PATTERN = /^\s*(?:form\s*outputs?|(?:mobile\s*)?outputs?)\s*$/i;
-const FORM_OUTPUT_GROUP_PATTERN = /^\s*(?:form\s*outputs?|mobile\s*outputs?)\s*$/i;
 
 /**
  * Subgroup colors - assigned automatically to nodes in the same subgroup
@@ -47,6 +88,9 @@ export class MobileFormUI {
     /** @type {HTMLDivElement} */
     #outputsContainer;
     
+    /** @type {HTMLDivElement} */
+    #queueContainer;
+    
     /** @type {HTMLDivElement} */
     #actionsContainer;
     
@@ -55,15 +99,39 @@ export class MobileFormUI {
     
     /** @type {OutputsManager | null} */
     #outputsManager = null;
+    
+    /** @type {QueueManager | null} */
+    #queueManager = null;
+    
+    /** @type {BatchTracker | null} */
+    #batchTracker = null;
+    
+    /** @type {(() => void) | null} */
+    #batchDialogUpdate = null;
+    
+    /** Step-by-step mode for forms with sections (null when off) */
+    /** @type {FormWizard | null} */
+    #wizard = null;
 
     /** @type {boolean} */
     #visible = false;
     get visible() { return this.#visible; }
     
+    /** Settings report of a workflow loaded while the form was closed, shown when it opens */
+    /** @type {{report: SettingsMatchReport, problems: string[]} | null} */
+    #pendingSettingsReport = null;
+    
     /** @type {'mobile' | 'desktop'} */
     #mode = 'mobile';
     
-    /** @type {'inputs' | 'outputs'} */
+    /** Layout being shown - the mode's, or another one previewed in edit mode */
+    /** @type {LayoutProfile} */
+    #profile = 'mobile';
+    
+    /** @type {HTMLDivElement} */
+    #profileBar;
+    
+    /** @type {'inputs' | 'outputs' | 'queue'} */
     #activeTab = 'inputs';
     
     /** @type {boolean} */
@@ -72,8 +140,15 @@ export class MobileFormUI {
     /** @type {HTMLElement | null} */
     #draggedElement = null;
     
-    /** @type {number[]} */
+    /** @type {CardOrder} */
     #currentNodeOrder = [];
+    
+    /** @type {ComfyUIGraphNode[]} */
+    #inputNodes = [];
+    
+    /** Name of the form being shown ('' for the unnamed "Form Inputs" group) */
+    /** @type {string} */
+    #activeForm = localStorage.getItem(STORAGE_KEYS.activeForm) || '';
 
     /** Execution tracking for status bar */
     /** @type {number} */
@@ -101,6 +176,8 @@ export class MobileFormUI {
         // Detect mobile
         this.#mode = this.#detectMode();
         elem.classList.add(`comfy-mobile-form-${this.#mode}`);
+        this.#profile = this.#mode;
+        elem.dataset.profile = this.#profile;
         
         // Build structure
         this.#buildStructure();
@@ -131,7 +208,7 @@ export class MobileFormUI {
                     <svg class="tab-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M12 3v12M3 12l9 9 9-9"/>
                     </svg>
-                    <span class="tab-label">Inputs</span>
+                    <span class="tab-label">${t('tab.inputs')}</span>
                 </button>
                 <button class="comfy-mobile-form-tab" data-tab="outputs">
                     <svg class="tab-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -139,18 +216,57 @@ export class MobileFormUI {
                         <circle cx="8.5" cy="8.5" r="1.5"/>
                         <path d="M21 15l-5-5L5 21"/>
                     </svg>
-                    <span class="tab-label">Outputs</span>
+                    <span class="tab-label">${t('tab.outputs')}</span>
+                </button>
+                <button class="comfy-mobile-form-tab" data-tab="queue">
+                    <svg class="tab-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="8" y1="6" x2="21" y2="6"/>
+                        <line x1="8" y1="12" x2="21" y2="12"/>
+                        <line x1="8" y1="18" x2="21" y2="18"/>
+                        <circle cx="4" cy="6" r="1"/>
+                        <circle cx="4" cy="12" r="1"/>
+                        <circle cx="4" cy="18" r="1"/>
+                    </svg>
+                    <span class="tab-label">${t('tab.queue')}</span>
+                    <span class="comfy-mobile-form-tab-badge" hidden></span>
                 </button>
             </div>
             <div class="comfy-mobile-form-header-actions">
-                <button class="comfy-mobile-form-edit-btn" title="Edit Layout">
+                <select class="comfy-mobile-form-switcher" title="${t('header.switchForm')}" aria-label="${t('header.form')}" hidden></select>
+                <button class="comfy-mobile-form-history-btn" data-history="undo" title="${t('header.undo')} (Ctrl+Z)" aria-label="${t('header.undo')}" disabled>
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M9 14L4 9l5-5"/>
+                        <path d="M4 9h10.5a5.5 5.5 0 0 1 0 11H11"/>
+                    </svg>
+                </button>
+                <button class="comfy-mobile-form-history-btn" data-history="redo" title="${t('header.redo')} (Ctrl+Shift+Z)" aria-label="${t('header.redo')}" disabled>
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M15 14l5-5-5-5"/>
+                        <path d="M20 9H9.5a5.5 5.5 0 0 0 0 11H13"/>
+                    </svg>
+                </button>
+                <button class="comfy-mobile-form-presets-btn" title="${t('header.presets')}">
+                    <svg class="presets-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/>
+                    </svg>
+                    <span class="presets-label">${t('header.presets')}</span>
+                </button>
+                <button class="comfy-mobile-form-layout-btn" title="${t('header.layoutTitle')}">
+                    <svg class="layout-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                        <path d="M7 10l5 5 5-5"/>
+                        <path d="M12 15V3"/>
+                    </svg>
+                    <span class="layout-label">${t('header.layout')}</span>
+                </button>
+                <button class="comfy-mobile-form-edit-btn" title="${t('header.editTitle')}">
                     <svg class="edit-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
                         <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
                     </svg>
-                    <span class="edit-label">Edit</span>
+                    <span class="edit-label">${t('header.edit')}</span>
                 </button>
-                <button class="comfy-mobile-form-close" title="Close Form View">
+                <button class="comfy-mobile-form-close" title="${t('header.close')}">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M18 6L6 18M6 6l12 12"/>
                     </svg>
@@ -161,11 +277,35 @@ export class MobileFormUI {
         // Tab switching
         this.#header.querySelectorAll('.comfy-mobile-form-tab').forEach(tab => {
             tab.addEventListener('click', () => {
-                const tabName = /** @type {'inputs' | 'outputs'} */ (tab.getAttribute('data-tab'));
+                const tabName = /** @type {'inputs' | 'outputs' | 'queue'} */ (tab.getAttribute('data-tab'));
                 this.#switchTab(tabName);
             });
         });
         
+        // Form switcher
+        const formSwitcher = /** @type {HTMLSelectElement} */ (this.#header.querySelector('.comfy-mobile-form-switcher'));
+        formSwitcher.addEventListener('change', () => {
+            this.#switchForm(formSwitcher.value);
+        });
+        
+        // Layout undo/redo
+        this.#header.querySelectorAll('.comfy-mobile-form-history-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.#replayLayoutHistory(/** @type {'undo' | 'redo'} */ (/** @type {HTMLElement} */ (btn).dataset.history));
+            });
+        });
+        onLayoutHistoryChange(() => this.#updateHistoryButtons());
+        
+        // Presets dialog
+        this.#header.querySelector('.comfy-mobile-form-presets-btn')?.addEventListener('click', () => {
+            this.#showPresets();
+        });
+        
+        // Layout export/import (shown in edit mode)
+        this.#header.querySelector('.comfy-mobile-form-layout-btn')?.addEventListener('click', () => {
+            this.#showLayout();
+        });
+        
         // Edit mode toggle
         this.#header.querySelector('.comfy-mobile-form-edit-btn')?.addEventListener('click', () => {
             this.#toggleEditMode();
@@ -181,8 +321,8 @@ export class MobileFormUI {
                     <path d="M21 21l-4.35-4.35"/>
                 </svg>
             </div>
-            <input type="text" class="comfy-mobile-form-search-input" placeholder="Search widgets..." aria-label="Search widgets">
-            <button class="comfy-mobile-form-search-clear" title="Clear search" style="display: none;">
+            <input type="text" class="comfy-mobile-form-search-input" placeholder="${t('search.placeholder')}" aria-label="${t('search.label')}">
+            <button class="comfy-mobile-form-search-clear" title="${t('search.clear')}" style="display: none;">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <path d="M18 6L6 18M6 6l12 12"/>
                 </svg>
@@ -225,16 +365,61 @@ export class MobileFormUI {
         const content = document.createElement('div');
         content.classList.add('comfy-mobile-form-content');
         
+        // Layout profile bar (shown in edit mode) - picks the layout being edited
+        this.#profileBar = document.createElement('div');
+        this.#profileBar.classList.add('comfy-mobile-form-profile-bar');
+        this.#profileBar.innerHTML = `
+            <span class="comfy-mobile-form-profile-label">${t('profile.editing')}</span>
+            <div class="comfy-mobile-form-profile-options" role="radiogroup" aria-label="${t('profile.label')}">
+                ${LAYOUT_PROFILES.map(profile => `
+                    <button class="comfy-mobile-form-profile-option" data-profile="${profile}" role="radio">
+                        ${profile === 'desktop' ? '🖥' : '📱'} ${t(`profile.${profile}`)}
+                    </button>
+                `).join('')}
+            </div>
+            <button class="comfy-mobile-form-profile-copy"></button>
+            <label class="comfy-mobile-form-profile-label" for="mf-form-columns">${t('columns.label')}</label>
+        `;
+        const formColumnsSelect = this.#createColumnsSelect(t('columns.formHint'), (columns) => {
+            this.#changeGridColumns(gridColumns => gridColumns.form = columns);
+        });
+        formColumnsSelect.id = 'mf-form-columns';
+        formColumnsSelect.dataset.scope = 'form';
+        this.#profileBar.appendChild(formColumnsSelect);
+        this.#profileBar.querySelectorAll('.comfy-mobile-form-profile-option').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.#setProfile(/** @type {LayoutProfile} */ (/** @type {HTMLElement} */ (btn).dataset.profile));
+            });
+        });
+        this.#profileBar.querySelector('.comfy-mobile-form-profile-copy')?.addEventListener('click', () => {
+            this.#copyOtherProfile();
+        });
+        content.appendChild(this.#profileBar);
+        this.#updateProfileBar();
+        
         // Inputs container
         this.#inputsContainer = document.createElement('div');
         this.#inputsContainer.classList.add('comfy-mobile-form-inputs');
         content.appendChild(this.#inputsContainer);
         
+        // Re-evaluate visibility rules (and drop stale validation errors) whenever a form value changes
+        for (const eventName of ['input', 'change']) {
+            this.#inputsContainer.addEventListener(eventName, (e) => {
+                this.#clearFieldError(/** @type {HTMLElement} */ (e.target));
+                this.#applyVisibilityRules();
+            });
+        }
+        
         // Outputs container
         this.#outputsContainer = document.createElement('div');
         this.#outputsContainer.classList.add('comfy-mobile-form-outputs-container', 'comfy-mobile-form-hidden');
         content.appendChild(this.#outputsContainer);
         
+        // Queue container
+        this.#queueContainer = document.createElement('div');
+        this.#queueContainer.classList.add('comfy-mobile-form-queue-container', 'comfy-mobile-form-hidden');
+        content.appendChild(this.#queueContainer);
+        
         this.#elem.appendChild(content);
         
         // Status bar (visible on all tabs) - aria-live for screen readers
@@ -245,16 +430,24 @@ export class MobileFormUI {
         this.#statusBar.setAttribute('aria-atomic', 'true');
         this.#statusBar.innerHTML = `
             <div class="comfy-mobile-form-status-info">
-                <span class="comfy-mobile-form-status-node-count" aria-label="Current node"></span>
-                <span class="comfy-mobile-form-status-eta" aria-label="Estimated time remaining"></span>
+                <button class="comfy-mobile-form-status-batch" title="${t('status.showBatchRuns')}" hidden></button>
+                <span class="comfy-mobile-form-status-node-count" aria-label="${t('status.currentNode')}"></span>
+                <span class="comfy-mobile-form-status-eta" aria-label="${t('status.eta')}"></span>
             </div>
             <div class="comfy-mobile-form-status-progress" role="progressbar" aria-valuenow="0" aria-valuemin="0" aria-valuemax="100">
                 <div class="comfy-mobile-form-status-progress-fill"></div>
             </div>
-            <div class="comfy-mobile-form-status-text">Ready</div>
+            <div class="comfy-mobile-form-status-text">${t('status.ready')}</div>
         `;
         this.#elem.appendChild(this.#statusBar);
         
+        // Batch progress (opens the run list)
+        this.#batchTracker = new BatchTracker();
+        this.#batchTracker.onChange(() => this.#updateBatchStatus());
+        this.#statusBar.querySelector('.comfy-mobile-form-status-batch')?.addEventListener('click', () => {
+            this.#showBatchRunsDialog();
+        });
+        
         // Actions bar (Queue button, etc)
         this.#actionsContainer = document.createElement('div');
         this.#actionsContainer.classList.add('comfy-mobile-form-actions');
@@ -267,6 +460,15 @@ export class MobileFormUI {
             // Update tab badge when new outputs arrive
             this.#updateOutputsBadge();
         });
+        this.#outputsManager.onRestore((output) => {
+            if (output.promptId) this.#restoreParameters(output.promptId);
+        });
+        
+        // Initialize queue manager
+        this.#queueManager = new QueueManager(this.#queueContainer);
+        this.#queueManager.onUpdate((pendingCount) => {
+            this.#updateQueueBadge(pendingCount);
+        });
         
         // Setup status event listeners
         this.#setupStatusListeners();
@@ -288,22 +490,22 @@ export class MobileFormUI {
      */
     #buildActionsBar() {
         this.#actionsContainer.innerHTML = `
-            <button class="comfy-mobile-form-queue-btn" title="Queue Prompt (Q)">
+            <button class="comfy-mobile-form-queue-btn" title="${t('actions.queueTitle')} (Q)">
                 <span class="btn-icon">▶</span>
-                <span class="btn-label">Queue</span>
+                <span class="btn-label">${t('actions.queue')}</span>
             </button>
-            <button class="comfy-mobile-form-batch-btn" title="Batch Queue (Shift+Q)">
+            <button class="comfy-mobile-form-batch-btn" title="${t('actions.batchTitle')} (Shift+Q)">
                 <svg viewBox="0 0 24 24" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                     <rect x="3" y="3" width="7" height="7"/>
                     <rect x="14" y="3" width="7" height="7"/>
                     <rect x="14" y="14" width="7" height="7"/>
                     <rect x="3" y="14" width="7" height="7"/>
                 </svg>
-                <span class="btn-label">Batch</span>
+                <span class="btn-label">${t('actions.batch')}</span>
             </button>
-            <button class="comfy-mobile-form-cancel-btn" title="Cancel Current">
+            <button class="comfy-mobile-form-cancel-btn" title="${t('actions.cancelTitle')}">
                 <span class="btn-icon">⏹</span>
-                <span class="btn-label">Cancel</span>
+                <span class="btn-label">${t('actions.cancel')}</span>
             </button>
         `;
         
@@ -327,34 +529,47 @@ export class MobileFormUI {
      * Show batch queue dialog
      */
     #showBatchDialog() {
+        const targets = getSweepTargets(this.#inputNodes);
+        
         const overlay = document.createElement('div');
         overlay.classList.add('comfy-mobile-form-dialog-overlay');
         
         const dialog = document.createElement('div');
-        dialog.classList.add('comfy-mobile-form-dialog');
+        dialog.classList.add('comfy-mobile-form-dialog', 'comfy-mobile-form-batch-dialog');
         dialog.innerHTML = `
             <div class="comfy-mobile-form-dialog-header">
-                <h3>Batch Queue</h3>
-                <button class="comfy-mobile-form-dialog-close" aria-label="Close dialog">✕</button>
+                <h3>${t('batch.title')}</h3>
+                <button class="comfy-mobile-form-dialog-close" aria-label="${t('dialog.close')}">✕</button>
             </div>
             <div class="comfy-mobile-form-dialog-body">
-                <div class="comfy-mobile-form-batch-field">
-                    <label>Number of runs</label>
-                    <input type="number" class="comfy-mobile-form-batch-count" min="1" max="100" value="4">
+                <div class="comfy-mobile-form-batch-modes">
+                    <label><input type="radio" name="mf-batch-mode" value="repeat" checked> ${t('batch.repeat')}</label>
+                    <label><input type="radio" name="mf-batch-mode" value="sweep" ${targets.length === 0 ? 'disabled' : ''}> ${t('batch.sweep')}</label>
+                </div>
+                <div class="comfy-mobile-form-batch-repeat">
+                    <div class="comfy-mobile-form-batch-field">
+                        <label>${t('batch.runCount')}</label>
+                        <input type="number" class="comfy-mobile-form-batch-count" min="1" max="${MAX_BATCH_COUNT}" value="4">
+                    </div>
+                </div>
+                <div class="comfy-mobile-form-batch-sweep" hidden>
+                    ${this.#buildSweepAxisHtml('x', t('batch.axisX'), targets, false)}
+                    ${this.#buildSweepAxisHtml('y', t('batch.axisY'), targets, true)}
+                    <div class="comfy-mobile-form-sweep-summary"></div>
                 </div>
                 <div class="comfy-mobile-form-batch-field">
                     <label>
                         <input type="checkbox" class="comfy-mobile-form-batch-increment" checked>
-                        Increment seed for each run
+                        ${t('batch.incrementSeed')}
                     </label>
                 </div>
                 <div class="comfy-mobile-form-batch-info">
-                    <small>Each run will be queued separately. If seed increment is enabled, seed widgets will be incremented by 1 for each run.</small>
+                    <small>${t('batch.info')}</small>
                 </div>
             </div>
             <div class="comfy-mobile-form-dialog-footer">
-                <button class="comfy-mobile-form-dialog-btn secondary" data-action="cancel">Cancel</button>
-                <button class="comfy-mobile-form-dialog-btn primary" data-action="queue">Queue Batch</button>
+                <button class="comfy-mobile-form-dialog-btn secondary" data-action="cancel">${t('dialog.cancel')}</button>
+                <button class="comfy-mobile-form-dialog-btn primary" data-action="queue">${t('batch.queue')}</button>
             </div>
         `;
         
@@ -363,6 +578,9 @@ export class MobileFormUI {
         
         const countInput = /** @type {HTMLInputElement} */ (dialog.querySelector('.comfy-mobile-form-batch-count'));
         const incrementCheckbox = /** @type {HTMLInputElement} */ (dialog.querySelector('.comfy-mobile-form-batch-increment'));
+        const repeatSection = /** @type {HTMLDivElement} */ (dialog.querySelector('.comfy-mobile-form-batch-repeat'));
+        const sweepSection = /** @type {HTMLDivElement} */ (dialog.querySelector('.comfy-mobile-form-batch-sweep'));
+        const summary = /** @type {HTMLDivElement} */ (dialog.querySelector('.comfy-mobile-form-sweep-summary'));
         
         countInput.focus();
         countInput.select();
@@ -376,9 +594,132 @@ export class MobileFormUI {
         dialog.querySelector('.comfy-mobile-form-dialog-close')?.addEventListener('click', close);
         dialog.querySelector('[data-action="cancel"]')?.addEventListener('click', close);
         
+        const getMode = () => /** @type {HTMLInputElement | null} */ (dialog.querySelector('input[name="mf-batch-mode"]:checked'))?.value || 'repeat';
+        
+        /**
+         * Read the configured axes from the dialog
+         * @returns {SweepAxis[]}
+         */
+        const readAxes = () => {
+            /** @type {SweepAxis[]} */
+            const axes = [];
+            for (const axisElem of sweepSection.querySelectorAll('.comfy-mobile-form-sweep-axis')) {
+                const axis = /** @type {HTMLElement} */ (axisElem);
+                const key = /** @type {HTMLSelectElement} */ (axis.querySelector('.comfy-mobile-form-sweep-target')).value;
+                const target = targets.find(t => t.key === key);
+                if (!target) continue;
+                
+                const field = (/** @type {string} */ name) => /** @type {HTMLInputElement} */ (axis.querySelector(`[data-field="${name}"]`)).value;
+                const source = /** @type {HTMLSelectElement} */ (axis.querySelector('.comfy-mobile-form-sweep-source')).value;
+                const values = source === 'range'
+                    ? expandRange(parseFloat(field('start')), parseFloat(field('stop')), parseFloat(field('step')))
+                    : parseValueList(field('list'), target);
+                
+                if (values.length === 0) {
+                    throw new Error(t('batch.error.noValues', { axis: axis.dataset.label || '' }));
+                }
+                axes.push({ target, values });
+            }
+            
+            if (axes.length === 2 && axes[0].target.key === axes[1].target.key) {
+                throw new Error(t('batch.error.sameWidget'));
+            }
+            return axes;
+        };
+        
+        const updateSummary = () => {
+            summary.classList.remove('error');
+            try {
+                const axes = readAxes();
+                const total = axes.reduce((n, axis) => n * axis.values.length, 1);
+                summary.textContent = `${axes.map(a => a.values.length).join(' × ')} = ${t('batch.runs', { count: total })}`;
+                if (total > MAX_BATCH_COUNT) {
+                    summary.classList.add('error');
+                    summary.textContent += ` (${t('batch.maximum', { count: MAX_BATCH_COUNT })})`;
+                }
+            } catch (e) {
+                summary.classList.add('error');
+                summary.textContent = e.message;
+            }
+        };
+        
+        // Mode switching
+        dialog.querySelectorAll('input[name="mf-batch-mode"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                const sweep = getMode() === 'sweep';
+                repeatSection.hidden = sweep;
+                sweepSection.hidden = !sweep;
+                if (sweep) updateSummary();
+            });
+        });
+        
+        // Axis target/source switching
+        sweepSection.querySelectorAll('.comfy-mobile-form-sweep-axis').forEach(axisElem => {
+            const axis = /** @type {HTMLElement} */ (axisElem);
+            const targetSelect = /** @type {HTMLSelectElement} */ (axis.querySelector('.comfy-mobile-form-sweep-target'));
+            const sourceSelect = /** @type {HTMLSelectElement} */ (axis.querySelector('.comfy-mobile-form-sweep-source'));
+            const rangeOption = /** @type {HTMLOptionElement} */ (sourceSelect.querySelector('option[value="range"]'));
+            const rangeFields = /** @type {HTMLElement} */ (axis.querySelector('.comfy-mobile-form-sweep-range'));
+            const listField = /** @type {HTMLTextAreaElement} */ (axis.querySelector('[data-field="list"]'));
+            
+            const updateSource = () => {
+                rangeFields.hidden = sourceSelect.value !== 'range';
+                listField.hidden = sourceSelect.value !== 'list';
+            };
+            
+            const updateTarget = () => {
+                const target = targets.find(t => t.key === targetSelect.value);
+                axis.classList.toggle('disabled', !target);
+                if (!target) return;
+                
+                // Ranges only make sense for numbers
+                rangeOption.disabled = target.kind !== 'number';
+                sourceSelect.value = target.kind === 'number' ? 'range' : 'list';
+                
+                // Prefill with the widget's current value
+                if (target.kind === 'number') {
+                    /** @type {HTMLInputElement} */ (axis.querySelector('[data-field="start"]')).value = String(target.widget.value);
+                    /** @type {HTMLInputElement} */ (axis.querySelector('[data-field="stop"]')).value = String(target.widget.value);
+                    /** @type {HTMLInputElement} */ (axis.querySelector('[data-field="step"]')).value = String(target.widget.options?.step ?? 1);
+                }
+                listField.value = String(target.widget.value ?? '');
+                listField.placeholder = target.kind === 'text' ? t('batch.listText') : t('batch.listValues');
+                updateSource();
+            };
+            
+            targetSelect.addEventListener('change', () => {
+                updateTarget();
+                updateSummary();
+            });
+            sourceSelect.addEventListener('change', () => {
+                updateSource();
+                updateSummary();
+            });
+            axis.addEventListener('input', updateSummary);
+            
+            updateTarget();
+        });
+        
         dialog.querySelector('[data-action="queue"]')?.addEventListener('click', async () => {
-            const count = parseInt(countInput.value, 10) || 1;
             const increment = incrementCheckbox.checked;
+            
+            if (getMode() === 'sweep') {
+                /** @type {SweepAxis[]} */
+                let axes;
+                try {
+                    axes = readAxes();
+                } catch (e) {
+                    updateSummary();
+                    return;
+                }
+                if (axes.reduce((n, axis) => n * axis.values.length, 1) > MAX_BATCH_COUNT) return;
+                
+                close();
+                await this.#runSweep(axes, increment);
+                return;
+            }
+            
+            const count = Math.min(parseInt(countInput.value, 10) || 1, MAX_BATCH_COUNT);
             close();
             await this.#runBatch(count, increment);
         });
@@ -392,16 +733,50 @@ export class MobileFormUI {
             }
         });
     }
-
+    
     /**
-     * Run batch queue
-     * @param {number} count - Number of runs
-     * @param {boolean} incrementSeed - Whether to increment seed
+     * Build the HTML for one sweep axis in the batch dialog
+     * @param {'x' | 'y'} axis
+     * @param {string} label
+     * @param {SweepTarget[]} targets
+     * @param {boolean} optional - Whether "None" can be selected
+     * @returns {string}
      */
-    async #runBatch(count, incrementSeed) {
-        // Find all seed widgets in the graph
+    #buildSweepAxisHtml(axis, label, targets, optional) {
+        const options = targets.map((t, i) => 
+            `<option value="${this.#escapeHtml(t.key)}" ${!optional && i === 0 ? 'selected' : ''}>${this.#escapeHtml(t.label)}</option>`
+        ).join('');
+        
+        return `
+            <div class="comfy-mobile-form-sweep-axis" data-axis="${axis}" data-label="${label}">
+                <label>${label}</label>
+                <div class="comfy-mobile-form-sweep-row">
+                    <select class="comfy-mobile-form-select comfy-mobile-form-sweep-target">
+                        ${optional ? `<option value="" selected>${t('batch.none')}</option>` : ''}
+                        ${options}
+                    </select>
+                    <select class="comfy-mobile-form-select comfy-mobile-form-sweep-source">
+                        <option value="range">${t('batch.range')}</option>
+                        <option value="list">${t('batch.list')}</option>
+                    </select>
+                </div>
+                <div class="comfy-mobile-form-sweep-row comfy-mobile-form-sweep-range">
+                    <input type="number" step="any" class="comfy-mobile-form-sweep-input" data-field="start" placeholder="${t('batch.start')}" aria-label="${t('batch.start')}">
+                    <input type="number" step="any" class="comfy-mobile-form-sweep-input" data-field="stop" placeholder="${t('batch.stop')}" aria-label="${t('batch.stop')}">
+                    <input type="number" step="any" class="comfy-mobile-form-sweep-input" data-field="step" placeholder="${t('batch.step')}" aria-label="${t('batch.step')}">
+                </div>
+                <textarea class="comfy-mobile-form-sweep-list" data-field="list" rows="3" hidden></textarea>
+            </div>
+        `;
+    }
+    
+    /**
+     * Find all seed widgets in the graph
+     * @returns {ComfyUIGraphWidget[]}
+     */
+    #findSeedWidgets() {
         const seedWidgets = [];
-        if (incrementSeed && this.#app.graph?._nodes) {
+        if (this.#app.graph?._nodes) {
             for (const node of this.#app.graph._nodes) {
                 if (node.widgets) {
                     for (const widget of node.widgets) {
@@ -413,12 +788,33 @@ export class MobileFormUI {
                 }
             }
         }
+        return seedWidgets;
+    }
+
+    /**
+     * Run batch queue
+     * @param {number} count - Number of runs
+     * @param {boolean} incrementSeed - Whether to increment seed
+     */
+    async #runBatch(count, incrementSeed) {
+        if (!this.#validateForm()) return;
+        
+        // Find all seed widgets in the graph
+        const seedWidgets = incrementSeed ? this.#findSeedWidgets() : [];
         
         // Store original seeds
         const originalSeeds = seedWidgets.map(w => w.value);
         
+        const labels = Array.from({ length: count }, (_, i) => 
+            seedWidgets.length > 0 ? t('batch.seedRun', { seed: originalSeeds[0] + i }) : t('batch.run', { number: i + 1 })
+        );
+        this.#batchTracker?.start(labels);
+        
         // Queue each run
         for (let i = 0; i < count; i++) {
+            // Skip runs cancelled while the batch was still being queued
+            if (this.#batchTracker && !this.#batchTracker.shouldQueue(i)) continue;
+            
             // Increment seeds if enabled
             if (incrementSeed) {
                 seedWidgets.forEach((widget, idx) => {
@@ -427,9 +823,11 @@ export class MobileFormUI {
             }
             
             try {
-                await this.#app.queuePrompt(0);
+                const promptId = await queuePromptTracked(this.#app, 0);
+                this.#batchTracker?.setQueued(i, promptId);
             } catch (e) {
                 console.error(`[MobileForm] Batch run ${i + 1} failed:`, e);
+                this.#batchTracker?.setFailed(i);
             }
         }
         
@@ -444,6 +842,187 @@ export class MobileFormUI {
         this.#switchTab('outputs');
     }
     
+    /**
+     * Queue every combination of the sweep axes
+     * @param {SweepAxis[]} axes - X axis and optional Y axis
+     * @param {boolean} incrementSeed - Whether to increment seed
+     */
+    async #runSweep(axes, incrementSeed) {
+        if (!this.#validateForm()) return;
+        
+        const runs = buildSweepRuns(axes);
+        const seedWidgets = incrementSeed ? this.#findSeedWidgets() : [];
+        
+        // Store original values
+        const originalSeeds = seedWidgets.map(w => w.value);
+        const originalValues = axes.map(axis => axis.target.widget.value);
+        
+        this.#outputsManager?.setSweep({
+            axes: axes.map(axis => ({ label: axis.target.label, values: axis.values })),
+            runs
+        });
+        this.#switchTab('outputs');
+        
+        this.#batchTracker?.start(runs.map(run => axes
+            .map((axis, idx) => `${axis.target.widget.name} = ${axis.values[idx === 0 ? run.x : run.y]}`)
+            .join(', ')
+        ));
+        
+        for (const [i, run] of runs.entries()) {
+            // Skip runs cancelled while the sweep was still being queued
+            if (this.#batchTracker && !this.#batchTracker.shouldQueue(i)) continue;
+            
+            // Seeds first so a swept seed widget keeps its axis value
+            seedWidgets.forEach((widget, idx) => {
+                widget.value = originalSeeds[idx] + i;
+            });
+            axes[0].target.widget.value = axes[0].values[run.x];
+            if (axes[1]) {
+                axes[1].target.widget.value = axes[1].values[run.y];
+            }
+            
+            try {
+                const promptId = await queuePromptTracked(this.#app, 0);
+                this.#outputsManager?.setSweepRunPrompt(i, promptId);
+                this.#batchTracker?.setQueued(i, promptId);
+            } catch (e) {
+                console.error(`[MobileForm] Sweep run ${i + 1} failed:`, e);
+                this.#outputsManager?.setSweepRunFailed(i);
+                this.#batchTracker?.setFailed(i);
+            }
+        }
+        
+        // Restore original values
+        seedWidgets.forEach((widget, idx) => {
+            widget.value = originalSeeds[idx];
+        });
+        axes.forEach((axis, idx) => {
+            axis.target.widget.value = originalValues[idx];
+        });
+    }
+    
+    /**
+     * Update the batch progress shown in the status bar
+     */
+    #updateBatchStatus() {
+        const btn = /** @type {HTMLButtonElement | null} */ (this.#statusBar.querySelector('.comfy-mobile-form-status-batch'));
+        const runs = this.#batchTracker?.runs || [];
+        
+        this.#batchDialogUpdate?.();
+        if (!btn) return;
+        
+        btn.hidden = runs.length === 0;
+        if (runs.length === 0) return;
+        
+        const failed = runs.filter(r => r.status === 'failed').length;
+        
+        if (this.#batchTracker?.active) {
+            // The running run, or the next one waiting in the queue
+            const running = runs.findIndex(r => r.status === 'running');
+            const current = running !== -1 ? running : runs.findIndex(r => r.status === 'pending');
+            btn.textContent = t('batch.status.running', { number: current + 1, total: runs.length });
+        } else {
+            const done = runs.filter(r => r.status === 'done').length;
+            btn.textContent = failed
+                ? t('batch.status.doneFailed', { done, total: runs.length, failed })
+                : t('batch.status.done', { done, total: runs.length });
+        }
+        btn.classList.toggle('has-errors', failed > 0);
+    }
+    
+    /**
+     * Show the list of runs in the current batch
+     */
+    #showBatchRunsDialog() {
+        const tracker = this.#batchTracker;
+        if (!tracker) return;
+        
+        const overlay = document.createElement('div');
+        overlay.classList.add('comfy-mobile-form-dialog-overlay');
+        
+        const dialog = document.createElement('div');
+        dialog.classList.add('comfy-mobile-form-dialog', 'comfy-mobile-form-batch-runs-dialog');
+        dialog.innerHTML = `
+            <div class="comfy-mobile-form-dialog-header">
+                <h3>${t('batch.runsTitle')}</h3>
+                <button class="comfy-mobile-form-dialog-close" aria-label="${t('dialog.close')}">✕</button>
+            </div>
+            <div class="comfy-mobile-form-dialog-body">
+                <div class="comfy-mobile-form-batch-runs"></div>
+            </div>
+            <div class="comfy-mobile-form-dialog-footer">
+                <button class="comfy-mobile-form-dialog-btn secondary" data-action="dismiss">${t('batch.dismiss')}</button>
+                <button class="comfy-mobile-form-dialog-btn danger" data-action="cancel-remaining">${t('batch.cancelRemaining')}</button>
+            </div>
+        `;
+        
+        overlay.appendChild(dialog);
+        document.body.appendChild(overlay);
+        
+        const list = /** @type {HTMLDivElement} */ (dialog.querySelector('.comfy-mobile-form-batch-runs'));
+        const cancelBtn = /** @type {HTMLButtonElement} */ (dialog.querySelector('[data-action="cancel-remaining"]'));
+        const dismissBtn = /** @type {HTMLButtonElement} */ (dialog.querySelector('[data-action="dismiss"]'));
+        
+        /** @type {Record<string, string>} */
+        const statusLabels = {
+            pending: t('batch.run.pending'),
+            running: t('batch.run.running'),
+            done: t('batch.run.done'),
+            failed: t('batch.run.failed'),
+            cancelled: t('batch.run.cancelled'),
+            unknown: t('batch.run.unknown')
+        };
+        
+        const render = () => {
+            list.innerHTML = '';
+            tracker.runs.forEach((run, index) => {
+                const row = document.createElement('div');
+                row.classList.add('comfy-mobile-form-batch-run');
+                row.dataset.status = run.status;
+                row.innerHTML = `
+                    <span class="comfy-mobile-form-batch-run-index">${index + 1}</span>
+                    <span class="comfy-mobile-form-batch-run-label">${this.#escapeHtml(run.label)}</span>
+                    <span class="comfy-mobile-form-batch-run-status">${statusLabels[run.status]}</span>
+                `;
+                list.appendChild(row);
+            });
+            
+            cancelBtn.disabled = !tracker.cancellable;
+            dismissBtn.disabled = tracker.active;
+        };
+        
+        const close = () => {
+            this.#batchDialogUpdate = null;
+            overlay.remove();
+        };
+        
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close();
+        });
+        dialog.querySelector('.comfy-mobile-form-dialog-close')?.addEventListener('click', close);
+        
+        // Forget the finished batch
+        dismissBtn.addEventListener('click', () => {
+            tracker.clear();
+            close();
+        });
+        
+        cancelBtn.addEventListener('click', async () => {
+            cancelBtn.disabled = true;
+            try {
+                const kept = await tracker.cancelRemaining();
+                if (kept > 0) alert(t('batch.error.notCancellable', { count: kept }));
+            } catch (e) {
+                console.error('[MobileForm] Cancel remaining failed:', e);
+                alert(t('batch.error.cancel', { message: e.message }));
+                render();
+            }
+        });
+        
+        this.#batchDialogUpdate = render;
+        render();
+    }
+    
     /** @type {string} */
     #currentNodeName = '';
     
@@ -468,7 +1047,7 @@ export class MobileFormUI {
                 
                 // Get node name and store it
                 const node = this.#app.graph?.getNodeById(nodeId);
-                this.#currentNodeName = node?.title || node?.type || `Node ${nodeId}`;
+                this.#currentNodeName = node?.title || node?.type || t('status.node', { id: nodeId });
                 this.#setStatusText(`${this.#currentNodeName}`);
                 
                 // Update node count display
@@ -484,7 +1063,7 @@ export class MobileFormUI {
         
         api.addEventListener('execution_start', () => {
             this.#setStatus('running');
-            this.#setStatusText('Starting workflow...');
+            this.#setStatusText(t('status.starting'));
             this.#setProgress(0);
             this.#currentNodeName = '';
             
@@ -507,15 +1086,15 @@ export class MobileFormUI {
             if(nodes?.length) {
                 // Count cached nodes in the total
                 this.#currentNodeIndex += nodes.length;
-                this.#setStatusText(`Cached: ${nodes.length} nodes`);
+                this.#setStatusText(t('status.cached', { count: nodes.length }));
                 this.#updateNodeCount();
             }
         });
         
         api.addEventListener('execution_error', (event) => {
             this.#setStatus('error');
-            const errorMsg = event.detail?.exception_message || 'Unknown error';
-            this.#setStatusText(`Error: ${errorMsg.substring(0, 50)}${errorMsg.length > 50 ? '...' : ''}`);
+            const errorMsg = event.detail?.exception_message || t('status.unknownError');
+            this.#setStatusText(t('status.error', { message: `${errorMsg.substring(0, 50)}${errorMsg.length > 50 ? '...' : ''}` }));
             this.#setProgress(0);
             this.#setETA('');
             this.#setNodeCount('');
@@ -530,7 +1109,7 @@ export class MobileFormUI {
                 const totalTime = Date.now() - this.#executionStartTime;
                 const formattedTime = this.#formatTime(totalTime);
                 
-                this.#setStatusText(`✓ Complete in ${formattedTime}`);
+                this.#setStatusText(`✓ ${t('status.complete', { time: formattedTime })}`);
                 this.#setProgress(100);
                 this.#setETA('');
                 this.#setNodeCount('');
@@ -538,7 +1117,7 @@ export class MobileFormUI {
                 // Reset progress after a delay
                 setTimeout(() => {
                     this.#setProgress(0);
-                    this.#setStatusText('Ready');
+                    this.#setStatusText(t('status.ready'));
                 }, PROGRESS_RESET_DELAY);
             }
         });
@@ -549,7 +1128,7 @@ export class MobileFormUI {
                 const percent = Math.round((value / max) * 100);
                 this.#setProgress(percent);
                 // Show node name + percentage
-                const nodeName = this.#currentNodeName || 'Processing';
+                const nodeName = this.#currentNodeName || t('status.processing');
                 this.#setStatusText(`${nodeName} — ${percent}%`);
             }
         });
@@ -560,7 +1139,7 @@ export class MobileFormUI {
      */
     #updateNodeCount() {
         if (this.#totalNodes > 0 && this.#currentNodeIndex > 0) {
-            this.#setNodeCount(`Node ${this.#currentNodeIndex}/${this.#totalNodes}`);
+            this.#setNodeCount(t('status.nodeCount', { current: this.#currentNodeIndex, total: this.#totalNodes }));
         } else {
             this.#setNodeCount('');
         }
@@ -581,7 +1160,7 @@ export class MobileFormUI {
         const estimatedRemaining = avgTime * remainingNodes;
         
         if (estimatedRemaining > 1000) {
-            this.#setETA(`~${this.#formatTime(estimatedRemaining)} left`);
+            this.#setETA(t('status.timeLeft', { time: this.#formatTime(estimatedRemaining) }));
         } else {
             this.#setETA('');
         }
@@ -593,11 +1172,11 @@ export class MobileFormUI {
      * @returns {string}
      */
     #formatTime(ms) {
-        if (ms < 1000) return `${ms}ms`;
-        if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+        if (ms < 1000) return t('time.milliseconds', { value: ms });
+        if (ms < 60000) return t('time.seconds', { value: (ms / 1000).toFixed(1) });
         const minutes = Math.floor(ms / 60000);
         const seconds = Math.floor((ms % 60000) / 1000);
-        return `${minutes}m ${seconds}s`;
+        return t('time.minutes', { minutes, seconds });
     }
 
     /**
@@ -652,7 +1231,7 @@ export class MobileFormUI {
      * - Q: Queue prompt
      * - Shift+Q: Queue to front
      * - Escape: Close form / cancel dialogs
-     * - Tab: Switch between Inputs/Outputs (when form is focused)
+     * - Tab: Cycle Inputs/Outputs/Queue tabs (when form is focused)
      * - E: Toggle edit mode
      */
     #setupKeyboardShortcuts() {
@@ -675,6 +1254,13 @@ export class MobileFormUI {
                     return;
                 }
                 
+                // Close fullscreen / compare viewer
+                const fullscreen = document.querySelector('.comfy-mobile-form-fullscreen-overlay');
+                if (fullscreen) {
+                    fullscreen.remove();
+                    return;
+                }
+                
                 // Close context menu
                 const contextMenu = document.querySelector('.comfy-mobile-form-context-menu');
                 if (contextMenu) {
@@ -696,6 +1282,18 @@ export class MobileFormUI {
             // Other shortcuts don't work when typing
             if (isTyping) return;
             
+            // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) - Undo/redo layout changes in edit mode
+            // Only taken from ComfyUI when there is a layout change to replay; otherwise the graph undo runs
+            if (this.#editMode && (e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y' || e.key === 'Y')) {
+                const redo = e.key === 'y' || e.key === 'Y' || e.shiftKey;
+                if (redo ? canRedoLayoutChange() : canUndoLayoutChange()) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.#replayLayoutHistory(redo ? 'redo' : 'undo');
+                    return;
+                }
+            }
+            
             // Q - Queue prompt
             if (e.key === 'q' || e.key === 'Q') {
                 e.preventDefault();
@@ -709,11 +1307,13 @@ export class MobileFormUI {
                 return;
             }
             
-            // Tab - Switch tabs (only when form element is focused)
+            // Tab - Cycle tabs (only when form element is focused)
             if (e.key === 'Tab' && this.#elem.contains(document.activeElement)) {
                 e.preventDefault();
-                const newTab = this.#activeTab === 'inputs' ? 'outputs' : 'inputs';
-                this.#switchTab(newTab);
+                /** @type {Array<'inputs' | 'outputs' | 'queue'>} */
+                const tabs = ['inputs', 'outputs', 'queue'];
+                const step = e.shiftKey ? tabs.length - 1 : 1;
+                this.#switchTab(tabs[(tabs.indexOf(this.#activeTab) + step) % tabs.length]);
                 return;
             }
             
@@ -731,6 +1331,8 @@ export class MobileFormUI {
      * @param {number} number - 0 for normal, -1 for front of queue
      */
     async #queuePrompt(number) {
+        if (!this.#validateForm()) return;
+        
         const queueBtn = this.#actionsContainer.querySelector('.comfy-mobile-form-queue-btn');
         if(queueBtn) {
             queueBtn.classList.add('loading');
@@ -745,7 +1347,7 @@ export class MobileFormUI {
             this.#switchTab('outputs');
         } catch(e) {
             console.error('[MobileForm] Queue error:', e);
-            alert('Failed to queue prompt: ' + e.message);
+            alert(t('actions.error.queue', { message: e.message }));
         } finally {
             if(queueBtn) {
                 queueBtn.classList.remove('loading');
@@ -754,6 +1356,82 @@ export class MobileFormUI {
         }
     }
     
+    /**
+     * Check the form's validation rules, marking failing fields inline
+     * @param {HTMLElement} [scope] - Only check the widgets inside this element (e.g. a wizard step)
+     * @returns {boolean} true if the form can be queued
+     */
+    #validateForm(scope = this.#inputsContainer) {
+        scope.querySelectorAll('.comfy-mobile-form-field-error').forEach(el => el.remove());
+        scope.querySelectorAll('.comfy-mobile-form-invalid').forEach(el => el.classList.remove('comfy-mobile-form-invalid'));
+        
+        // A node may have several cards (widgets split out of its card)
+        /** @type {Map<number, HTMLElement[]>} */
+        const widgetElems = new Map();
+        scope.querySelectorAll('.comfy-mobile-form-widget[data-node-id]').forEach(item => {
+            const elem = /** @type {HTMLElement} */ (item);
+            // Widgets hidden by a visibility rule don't apply to this run
+            if (elem.classList.contains('comfy-mobile-form-rule-hidden')) return;
+            const nodeId = parseInt(elem.dataset.nodeId || '', 10);
+            widgetElems.set(nodeId, [...(widgetElems.get(nodeId) || []), elem]);
+        });
+        
+        // ...and neither do fields hidden by one (in their node's card or as a card of their own)
+        const ruleHidden = new Set([...scope.querySelectorAll('.comfy-mobile-form-widget-wrapper.comfy-mobile-form-rule-hidden, .comfy-mobile-form-rule-hidden > .comfy-mobile-form-widget-wrapper')]
+            .map(item => {
+                const wrapper = /** @type {HTMLElement} */ (item);
+                const card = /** @type {HTMLElement} */ (wrapper.closest('.comfy-mobile-form-widget'));
+                return getCardId(parseInt(card.dataset.nodeId || '', 10), wrapper.dataset.widgetName);
+            }));
+        const errors = validateNodes(this.#inputNodes.filter(node => widgetElems.has(node.id)))
+            .filter(error => !ruleHidden.has(getCardId(error.nodeId, error.widgetName)));
+        if (errors.length === 0) return true;
+        
+        for (const error of errors) {
+            const cards = /** @type {HTMLElement[]} */ (widgetElems.get(error.nodeId));
+            const selector = `.comfy-mobile-form-widget-wrapper[data-widget-name="${CSS.escape(error.widgetName)}"]`;
+            const wrapper = cards.map(card => card.querySelector(selector)).find(Boolean);
+            const target = /** @type {HTMLElement} */ (wrapper || cards[0]);
+            
+            target.classList.add('comfy-mobile-form-invalid');
+            const message = document.createElement('div');
+            message.classList.add('comfy-mobile-form-field-error');
+            message.setAttribute('role', 'alert');
+            message.textContent = error.message;
+            target.appendChild(message);
+        }
+        
+        // Bring the first failing field into view
+        this.#switchTab('inputs');
+        const first = /** @type {HTMLElement | null} */ (scope.querySelector('.comfy-mobile-form-invalid'));
+        if (first) this.#wizard?.showStepOf(first);
+        // Expand the collapsed sections around it (nested sections may be collapsed at any level)
+        for (let section = first?.closest('.comfy-mobile-form-section'); section; section = section.parentElement?.closest('.comfy-mobile-form-section')) {
+            if (section.classList.contains('collapsed')) {
+                /** @type {HTMLElement | null} */ (section.querySelector(':scope > .comfy-mobile-form-section-header'))?.click();
+            }
+        }
+        first?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        /** @type {HTMLElement | null | undefined} */ (first?.querySelector('input, select, textarea'))?.focus({ preventScroll: true });
+        
+        this.#setStatusText(t('validation.needsAttention', { count: errors.length }));
+        return false;
+    }
+    
+    /**
+     * Remove the validation error of the field an edit happened in
+     * @param {HTMLElement} target
+     */
+    #clearFieldError(target) {
+        const invalid = target.closest?.('.comfy-mobile-form-invalid');
+        if (!invalid) return;
+        invalid.classList.remove('comfy-mobile-form-invalid');
+        // Only this field's own message (not those of nested fields)
+        for (const child of [...invalid.children]) {
+            if (child.classList.contains('comfy-mobile-form-field-error')) child.remove();
+        }
+    }
+    
     /**
      * Cancel current execution
      */
@@ -787,6 +1465,9 @@ export class MobileFormUI {
         
         let matchCount = 0;
         
+        // Search results span all wizard steps
+        this.#inputsContainer.classList.toggle('comfy-mobile-form-wizard-searching', !!query);
+        
         widgets.forEach(widget => {
             const title = widget.querySelector('.comfy-mobile-form-widget-title')?.textContent?.toLowerCase() || '';
             const nodeType = widget.getAttribute('data-node-type')?.toLowerCase() || '';
@@ -822,9 +1503,9 @@ export class MobileFormUI {
                 noResultsEl.innerHTML = `
                     <div class="comfy-mobile-form-empty-state">
                         <div class="comfy-mobile-form-empty-state-icon">🔍</div>
-                        <div class="comfy-mobile-form-empty-state-title">No matching widgets</div>
+                        <div class="comfy-mobile-form-empty-state-title">${t('search.noResults')}</div>
                         <div class="comfy-mobile-form-empty-state-description">
-                            No widgets match "<strong>${this.#escapeHtml(query)}</strong>"
+                            ${t('search.noMatch', { query: `<strong>${this.#escapeHtml(query)}</strong>` })}
                         </div>
                     </div>
                 `;
@@ -847,8 +1528,8 @@ export class MobileFormUI {
     }
     
     /**
-     * Switch between input and output tabs
-     * @param {'inputs' | 'outputs'} tab 
+     * Switch between the inputs, outputs and queue tabs
+     * @param {'inputs' | 'outputs' | 'queue'} tab 
      */
     #switchTab(tab) {
         this.#activeTab = tab;
@@ -859,15 +1540,52 @@ export class MobileFormUI {
         });
         
         // Show/hide containers
-        if(tab === 'inputs') {
-            this.#inputsContainer.classList.remove('comfy-mobile-form-hidden');
-            this.#outputsContainer.classList.add('comfy-mobile-form-hidden');
-        } else {
-            this.#inputsContainer.classList.add('comfy-mobile-form-hidden');
-            this.#outputsContainer.classList.remove('comfy-mobile-form-hidden');
+        this.#inputsContainer.classList.toggle('comfy-mobile-form-hidden', tab !== 'inputs');
+        this.#profileBar.classList.toggle('comfy-mobile-form-hidden', tab !== 'inputs');
+        this.#outputsContainer.classList.toggle('comfy-mobile-form-hidden', tab !== 'outputs');
+        this.#queueContainer.classList.toggle('comfy-mobile-form-hidden', tab !== 'queue');
+        
+        // Make sure the queue is current when it's opened
+        if(tab === 'queue') {
+            this.#queueManager?.refresh();
         }
     }
     
+    /**
+     * Show another form of the workflow
+     * @param {string} name - Form name ('' for the unnamed "Form Inputs" group)
+     */
+    #switchForm(name) {
+        if(name === this.#activeForm) return;
+        
+        this.#activeForm = name;
+        localStorage.setItem(STORAGE_KEYS.activeForm, name);
+        this.#wizard?.reset();
+        
+        const graph = this.#app.graph;
+        if(!graph) return;
+        this.setGraph(graph);
+        if(this.#editMode) this.#enableDragDrop();
+    }
+    
+    /**
+     * Fill the form switcher (only shown when the workflow has several forms)
+     * @param {string[]} names - Form names in display order
+     */
+    #updateFormSwitcher(names) {
+        const switcher = /** @type {HTMLSelectElement | null} */ (this.#header.querySelector('.comfy-mobile-form-switcher'));
+        if(!switcher) return;
+        
+        switcher.hidden = names.length < 2;
+        switcher.innerHTML = names.map(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name || t('header.defaultForm');
+            return option.outerHTML;
+        }).join('');
+        switcher.value = this.#activeForm;
+    }
+    
     /**
      * Update the outputs tab badge
      */
@@ -882,7 +1600,86 @@ export class MobileFormUI {
     }
     
     /**
-     * Toggle edit mode for drag/drop reordering
+     * Update the pending count badge on the queue tab
+     * @param {number} pendingCount
+     */
+    #updateQueueBadge(pendingCount) {
+        const badge = /** @type {HTMLElement | null} */ (this.#header.querySelector('.comfy-mobile-form-tab[data-tab="queue"] .comfy-mobile-form-tab-badge'));
+        if(!badge) return;
+        
+        badge.hidden = pendingCount === 0;
+        badge.textContent = String(pendingCount);
+    }
+    
+    /**
+     * Open the presets dialog for the current form inputs
+     */
+    #showPresets() {
+        const graph = this.#app.graph;
+        if(!graph) return;
+
+        showPresetsDialog({
+            graph,
+            nodes: this.#inputNodes,
+            onApply: () => {
+                // Re-render so the form reflects the applied values
+                this.setGraph(graph);
+                if(this.#editMode) this.#enableDragDrop();
+            }
+        });
+    }
+
+    /**
+     * Open the layout export/import dialog
+     */
+    #showLayout() {
+        const graph = this.#app.graph;
+        if(!graph) return;
+        
+        const sections = /** @type {HTMLElement[]} */ ([...this.#inputsContainer.querySelectorAll('.comfy-mobile-form-section')]);
+        showLayoutDialog({
+            graph,
+            formName: this.#activeForm,
+            collapsedSections: sections
+                .filter(section => section.classList.contains('collapsed'))
+                .map(section => section.dataset.collapseKey || ''),
+            onImport: (collapsedSections) => {
+                // Sections of this form take the imported collapse state
+                for(const section of sections) {
+                    const key = section.dataset.collapseKey;
+                    if(key) this.#setSectionCollapsed(key, collapsedSections.includes(key));
+                }
+                this.setGraph(graph);
+                if(this.#editMode) this.#enableDragDrop();
+            }
+        });
+    }
+
+    /**
+     * Write the input values of a past prompt back into the form
+     * @param {string} promptId
+     */
+    async #restoreParameters(promptId) {
+        const graph = this.#app.graph;
+        if(!graph) return;
+        
+        try {
+            const prompt = await fetchPromptGraph(promptId);
+            const { applied } = applyFormValues(getPromptValues(prompt, this.#inputNodes, graph), graph);
+            
+            // Re-render so the form reflects the restored values
+            this.setGraph(graph);
+            if(this.#editMode) this.#enableDragDrop();
+            this.#switchTab('inputs');
+            this.#setStatusText(applied > 0 ? t('restore.restored', { count: applied }) : t('restore.nothing'));
+        } catch(e) {
+            console.error('[MobileForm] Restore parameters failed:', e);
+            alert(t('restore.error', { message: e.message }));
+        }
+    }
+    
+    /**
+     * Toggle edit mode for drag/drop reordering and resizing
      */
     #toggleEditMode() {
         this.#editMode = !this.#editMode;
@@ -893,18 +1690,81 @@ export class MobileFormUI {
             this.#elem.classList.add('comfy-mobile-form-edit-mode');
             editBtn?.classList.add('active');
             const editLabel = editBtn?.querySelector('.edit-label');
-            if(editLabel) editLabel.textContent = 'Done';
+            if(editLabel) editLabel.textContent = t('header.done');
             this.#enableDragDrop();
         } else {
             this.#elem.classList.remove('comfy-mobile-form-edit-mode');
             editBtn?.classList.remove('active');
             const editLabel = editBtn?.querySelector('.edit-label');
-            if(editLabel) editLabel.textContent = 'Edit';
+            if(editLabel) editLabel.textContent = t('header.edit');
             this.#disableDragDrop();
             this.#saveCurrentOrder();
+            
+            // Outside edit mode the layout follows the mode again
+            if(this.#profile !== this.#mode) this.#setProfile(this.#mode);
         }
     }
     
+    /**
+     * Show another layout profile - one that isn't the current mode's is previewed at its width
+     * @param {LayoutProfile} profile
+     */
+    #setProfile(profile) {
+        if(profile === this.#profile) return;
+        
+        this.#profile = profile;
+        this.#elem.dataset.profile = profile;
+        this.#elem.classList.toggle('comfy-mobile-form-profile-preview', profile !== this.#mode);
+        this.#updateProfileBar();
+        
+        const graph = this.#app.graph;
+        if(!graph) return;
+        this.setGraph(graph);
+        if(this.#editMode) this.#enableDragDrop();
+    }
+    
+    /**
+     * Mark the profile being edited and label the copy button with the other one
+     */
+    #updateProfileBar() {
+        this.#profileBar.querySelectorAll('.comfy-mobile-form-profile-option').forEach(item => {
+            const btn = /** @type {HTMLElement} */ (item);
+            const active = btn.dataset.profile === this.#profile;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-checked', String(active));
+        });
+        
+        const other = LAYOUT_PROFILES.find(profile => profile !== this.#profile) || 'desktop';
+        const copyBtn = /** @type {HTMLButtonElement} */ (this.#profileBar.querySelector('.comfy-mobile-form-profile-copy'));
+        copyBtn.textContent = `⧉ ${t('profile.copy', { profile: t(`profile.${other}`) })}`;
+        copyBtn.title = t('profile.copyHint', { profile: t(`profile.${other}`) });
+    }
+    
+    /**
+     * Replace the layout of the profile being edited with the other profile's (after confirming)
+     */
+    async #copyOtherProfile() {
+        const graph = this.#app.graph;
+        const from = LAYOUT_PROFILES.find(profile => profile !== this.#profile);
+        if(!graph || !from) return;
+        
+        const names = { from: t(`profile.${from}`), to: t(`profile.${this.#profile}`) };
+        const confirmed = await showConfirmDialog({
+            title: t('profile.copyTitle'),
+            message: t('profile.copyMessage', names),
+            confirmText: t('profile.copyConfirm'),
+            cancelText: t('dialog.cancel'),
+            type: 'warning',
+            icon: '⧉'
+        });
+        if(!confirmed) return;
+        
+        copyLayoutProfile(from, this.#profile);
+        this.setGraph(graph);
+        if(this.#editMode) this.#enableDragDrop();
+        this.#setStatusText(t('profile.copied', names));
+    }
+    
     /**
      * Enable drag and drop on all widgets
      */
@@ -921,6 +1781,8 @@ export class MobileFormUI {
             widget.addEventListener('dragenter', this.#handleDragEnter.bind(this));
             widget.addEventListener('dragleave', this.#handleDragLeave.bind(this));
             widget.addEventListener('drop', this.#handleDrop.bind(this));
+            
+            addResizeHandles(/** @type {HTMLElement} */ (widget));
         });
     }
     
@@ -934,6 +1796,7 @@ export class MobileFormUI {
             widget.setAttribute('draggable', 'false');
             widget.classList.remove('comfy-mobile-form-draggable', 'comfy-mobile-form-drag-over');
         });
+        removeResizeHandles(this.#inputsContainer);
     }
     
     /**
@@ -1043,8 +1906,9 @@ export class MobileFormUI {
                 target.parentNode?.insertBefore(this.#draggedElement, target.nextSibling);
             }
             
-            // Update the order array
+            // Update the order array and save it right away, so the move can be undone
             this.#updateOrderFromDOM();
+            this.#saveCurrentOrder();
         }
     }
     
@@ -1055,10 +1919,11 @@ export class MobileFormUI {
         const widgets = this.#inputsContainer.querySelectorAll('.comfy-mobile-form-widget');
         this.#currentNodeOrder = [];
         
-        widgets.forEach(widget => {
-            const nodeId = parseInt(/** @type {HTMLElement} */ (widget).dataset.nodeId || '0', 10);
+        widgets.forEach(item => {
+            const widget = /** @type {HTMLElement} */ (item);
+            const nodeId = parseInt(widget.dataset.nodeId || '0', 10);
             if(nodeId) {
-                this.#currentNodeOrder.push(nodeId);
+                this.#currentNodeOrder.push(getCardId(nodeId, widget.dataset.cardWidget));
             }
         });
     }
@@ -1071,6 +1936,29 @@ export class MobileFormUI {
             saveWidgetOrder(this.#currentNodeOrder);
         }
     }
+    
+    /**
+     * Undo or redo the last layout change and re-render the form
+     * @param {'undo' | 'redo'} direction
+     */
+    #replayLayoutHistory(direction) {
+        const replayed = direction === 'undo' ? undoLayoutChange() : redoLayoutChange();
+        if(!replayed || !this.#app.graph) return;
+        
+        this.setGraph(this.#app.graph);
+        if(this.#editMode) this.#enableDragDrop();
+        this.#app.graph.setDirtyCanvas?.(true, true);
+    }
+    
+    /**
+     * Enable the undo/redo buttons when there is something to undo/redo
+     */
+    #updateHistoryButtons() {
+        const undoBtn = /** @type {HTMLButtonElement | null} */ (this.#header.querySelector('[data-history="undo"]'));
+        const redoBtn = /** @type {HTMLButtonElement | null} */ (this.#header.querySelector('[data-history="redo"]'));
+        if(undoBtn) undoBtn.disabled = !canUndoLayoutChange();
+        if(redoBtn) redoBtn.disabled = !canRedoLayoutChange();
+    }
 
     toggleVisible() {
         this.#visible = !this.#visible;
@@ -1079,11 +1967,30 @@ export class MobileFormUI {
 
             // Refresh when showing
             this.setGraph(this.#app.graph);
+            
+            if(this.#pendingSettingsReport) {
+                const { report, problems } = this.#pendingSettingsReport;
+                this.#pendingSettingsReport = null;
+                showSettingsReport(report, problems);
+            }
         } else {
             this.#elem.classList.add("comfy-mobile-form-hidden");
         }
     }
     
+    /**
+     * Show the settings report of a loaded workflow now, or when the form is next opened
+     * @param {SettingsMatchReport} report
+     * @param {string[]} problems
+     */
+    reportSettings(report, problems) {
+        if(this.#visible) {
+            showSettingsReport(report, problems);
+        } else {
+            this.#pendingSettingsReport = { report, problems };
+        }
+    }
+    
     /**
      * Show the form
      */
@@ -1103,13 +2010,20 @@ export class MobileFormUI {
     }
     
     /**
-     * Set the mode (mobile/desktop)
+     * Set the mode (mobile/desktop), which also picks the layout profile
      * @param {'mobile' | 'desktop'} mode 
      */
     setMode(mode) {
         this.#elem.classList.remove(`comfy-mobile-form-${this.#mode}`);
         this.#mode = mode;
         this.#elem.classList.add(`comfy-mobile-form-${this.#mode}`);
+        
+        // The layout follows the mode, except while another profile is being edited
+        if(this.#editMode) {
+            this.#elem.classList.toggle('comfy-mobile-form-profile-preview', this.#profile !== mode);
+        } else {
+            this.#setProfile(mode);
+        }
     }
 
     /**
@@ -1121,50 +2035,70 @@ export class MobileFormUI {
         // Set graph reference for widget settings persistence
         setCurrentGraph(graph);
         
+        // Find the forms - each input group is one form, the first is shown by default
+        const formNames = findFormNames(graph._groups);
+        if(!formNames.includes(this.#activeForm)) {
+            this.#activeForm = formNames[0] ?? '';
+        }
+        setCurrentForm(this.#activeForm);
+        setCurrentProfile(this.#profile);
+        this.#updateFormSwitcher(formNames);
+        
         // Find input groups
-        const inputGroup = graph._groups.find((g) => INPUT_GROUP_PATTERN.test(g.title));
+        const inputGroup = findFormGroup(graph._groups, INPUT_GROUP_PATTERN, this.#activeForm);
         
         // Find output groups - prefer "Mobile Outputs" specifically
-        const formOutputGroup = graph._groups.find((g) => FORM_OUTPUT_GROUP_PATTERN.test(g.title));
-        const outputGroup = graph._groups.find((g) => OUTPUT_GROUP_PATTERN.test(g.title));
+        const formOutputGroup = findFormGroup(graph._groups, FORM_OUTPUT_GROUP_PATTERN, this.#activeForm);
+        const outputGroup = findFormGroup(graph._groups, OUTPUT_GROUP_PATTERN, this.#activeForm);
         
         // Process inputs
         if(inputGroup) {
             const inputNodes = graph._nodes.filter((n) => isGroupContainingNode(inputGroup, n));
+            this.#inputNodes = inputNodes;
             
-            // Find subgroups within the input group
-            const subgroups = findSubgroupsInGroup(inputGroup, graph._groups);
-            
-            // Build section info for each subgroup
-            /** @type {Array<{group: ComfyUIGraphGroup, title: string, color: string, nodes: ComfyUIGraphNode[]}>} */
-            const sections = subgroups.map((subgroup, index) => {
-                const subgroupNodes = inputNodes.filter(n => isGroupContainingNode(subgroup, n));
-                const color = SUBGROUP_COLORS[index % SUBGROUP_COLORS.length];
+            // Build a section for each subgroup, nesting the groups inside subgroups
+            let colorIndex = 0;
+            /**
+             * @param {ComfyUIGraphGroup} group
+             * @param {ComfyUIGraphNode[]} groupNodes - Nodes inside the group
+             * @returns {FormSection}
+             */
+            const buildSection = (group, groupNodes) => {
+                const color = SUBGROUP_COLORS[colorIndex++ % SUBGROUP_COLORS.length];
+                const children = findChildGroups(group, graph._groups)
+                    .map(child => buildSection(child, groupNodes.filter(n => isGroupContainingNode(child, n))));
+                const nestedIds = new Set(children.flatMap(c => getAllSectionNodes(c).map(n => n.id)));
                 return {
-                    group: subgroup,
-                    title: subgroup.title,
+                    group,
+                    title: group.title,
                     color,
-                    nodes: subgroupNodes
+                    nodes: groupNodes.filter(n => !nestedIds.has(n.id)),
+                    children
                 };
-            });
+            };
+            const sections = findChildGroups(inputGroup, graph._groups)
+                .map(subgroup => buildSection(subgroup, inputNodes.filter(n => isGroupContainingNode(subgroup, n))));
             
             // Find nodes not in any subgroup
-            const nodesInSubgroups = new Set(sections.flatMap(s => s.nodes.map(n => n.id)));
+            const nodesInSubgroups = new Set(sections.flatMap(s => getAllSectionNodes(s).map(n => n.id)));
             const ungroupedNodes = inputNodes.filter(n => !nodesInSubgroups.has(n.id));
             
             this.#renderInputs(inputNodes, sections, ungroupedNodes);
+            this.#applyVisibilityRules();
         } else {
+            this.#inputNodes = [];
             this.#inputsContainer.innerHTML = `
                 <div class="comfy-mobile-form-empty-state">
                     <div class="comfy-mobile-form-empty-state-icon">📋</div>
-                    <div class="comfy-mobile-form-empty-state-title">No Form Group Found</div>
+                    <div class="comfy-mobile-form-empty-state-title">${t('empty.noGroup')}</div>
                     <div class="comfy-mobile-form-empty-state-description">
-                        Create a group in your workflow to define which nodes appear in the form.
+                        ${t('empty.noGroup.description')}
                     </div>
                     <div class="comfy-mobile-form-empty-state-hint">
-                        <div class="comfy-mobile-form-empty-state-hint-item">Right-click on canvas → Add Group</div>
-                        <div class="comfy-mobile-form-empty-state-hint-item">Name it <strong style="color: var(--mf-accent)">"Form Inputs"</strong></div>
-                        <div class="comfy-mobile-form-empty-state-hint-item">Place your input nodes inside</div>
+                        <div class="comfy-mobile-form-empty-state-hint-item">${t('empty.noGroup.addGroup')}</div>
+                        <div class="comfy-mobile-form-empty-state-hint-item">${t('empty.noGroup.name', { title: `<strong style="color: var(--mf-accent)">"${getGroupTitle('inputs')}"</strong>` })}</div>
+                        <div class="comfy-mobile-form-empty-state-hint-item">${t('empty.noGroup.placeNodes')}</div>
+                        <div class="comfy-mobile-form-empty-state-hint-item">${t('empty.noGroup.namedForms', { title: `<strong>"${getGroupTitle('inputs')}: ${t('empty.noGroup.exampleForm')}"</strong>` })}</div>
                     </div>
                 </div>
             `;
@@ -1196,7 +2130,7 @@ export class MobileFormUI {
     /**
      * Render input widgets into sections based on subgroups
      * @param {ComfyUIGraphNode[]} allNodes - All nodes in the form
-     * @param {Array<{group: ComfyUIGraphGroup, title: string, color: string, nodes: ComfyUIGraphNode[]}>} sections - Subgroup sections
+     * @param {FormSection[]} sections - Subgroup sections
      * @param {ComfyUIGraphNode[]} ungroupedNodes - Nodes not in any subgroup
      */
     #renderInputs(allNodes, sections = [], ungroupedNodes = []) {
@@ -1206,160 +2140,292 @@ export class MobileFormUI {
             this.#inputsContainer.innerHTML = `
                 <div class="comfy-mobile-form-empty-state">
                     <div class="comfy-mobile-form-empty-state-icon">🔧</div>
-                    <div class="comfy-mobile-form-empty-state-title">Empty Form Group</div>
+                    <div class="comfy-mobile-form-empty-state-title">${t('empty.emptyGroup')}</div>
                     <div class="comfy-mobile-form-empty-state-description">
-                        Add nodes to your "Form Inputs" group to create form inputs.
+                        ${t('empty.emptyGroup.description', { title: getGroupTitle('inputs') })}
                     </div>
                     <div class="comfy-mobile-form-empty-state-hint">
-                        <div class="comfy-mobile-form-empty-state-hint-item">Primitives (numbers, text, etc.)</div>
-                        <div class="comfy-mobile-form-empty-state-hint-item">Load Image / Load Video nodes</div>
-                        <div class="comfy-mobile-form-empty-state-hint-item">KSampler and other processing nodes</div>
+                        <div class="comfy-mobile-form-empty-state-hint-item">${t('empty.emptyGroup.primitives')}</div>
+                        <div class="comfy-mobile-form-empty-state-hint-item">${t('empty.emptyGroup.loaders')}</div>
+                        <div class="comfy-mobile-form-empty-state-hint-item">${t('empty.emptyGroup.processing')}</div>
                     </div>
                 </div>
             `;
             return;
         }
         
-        // Store current order (all nodes)
-        this.#currentNodeOrder = allNodes.map(n => n.id);
-        
         // If we have sections, render them with headers
         if(sections.length > 0) {
-            // Render each section
+            // Render each section (nested sections render inside their parent)
             for(const section of sections) {
-                if(section.nodes.length === 0) continue;
-                
-                // Create section container
-                const sectionElem = document.createElement('div');
-                sectionElem.classList.add('comfy-mobile-form-section');
-                sectionElem.dataset.color = section.color;
-                sectionElem.dataset.sectionId = section.title.toLowerCase().replace(/\s+/g, '-');
-                
-                // Check if section is collapsed (from localStorage)
-                const isCollapsed = this.#getSectionCollapsed(section.title);
-                if (isCollapsed) {
-                    sectionElem.classList.add('collapsed');
-                }
-                
-                // Create section header with collapse toggle
-                const headerElem = document.createElement('div');
-                headerElem.classList.add('comfy-mobile-form-section-header');
-                headerElem.innerHTML = `
-                    <span class="comfy-mobile-form-section-toggle">${isCollapsed ? '▶' : '▼'}</span>
-                    <span class="comfy-mobile-form-section-title" title="Double-click to rename">${section.title}</span>
-                    <span class="comfy-mobile-form-section-count">${section.nodes.length}</span>
-                `;
-                
-                // Add click handler for collapse/expand
-                headerElem.style.cursor = 'pointer';
-                headerElem.addEventListener('click', () => {
-                    const collapsed = sectionElem.classList.toggle('collapsed');
-                    const toggle = headerElem.querySelector('.comfy-mobile-form-section-toggle');
-                    if (toggle) toggle.textContent = collapsed ? '▶' : '▼';
-                    this.#setSectionCollapsed(section.title, collapsed);
-                });
-                
-                // Add double-click to rename section (renames the underlying group)
-                const titleElem = headerElem.querySelector('.comfy-mobile-form-section-title');
-                if (titleElem && section.group) {
-                    titleElem.style.cursor = 'text';
-                    titleElem.addEventListener('dblclick', (e) => {
-                        e.stopPropagation();
-                        showRenameDialog(section.group.title, 'Group', (newTitle) => {
-                            section.group.title = newTitle;
-                            titleElem.textContent = newTitle;
-                            // Update section ID
-                            sectionElem.dataset.sectionId = newTitle.toLowerCase().replace(/\s+/g, '-');
-                            // Trigger graph change
-                            if (this.#app.graph) {
-                                this.#app.graph.setDirtyCanvas?.(true, true);
-                            }
-                        });
-                    });
-                }
-                
-                sectionElem.appendChild(headerElem);
-                
-                // Create section content (grid container)
-                const contentElem = document.createElement('div');
-                contentElem.classList.add('comfy-mobile-form-section-content');
-                
-                // Sort nodes within section by position
-                const sortedNodes = sortNodesByPosition(section.nodes);
-                
-                // Render widgets into section
-                for(const graph_node of sortedNodes) {
-                    const elem = document.createElement('div');
-                    
-                    if(createWidgetFromNode(elem, graph_node)) {
-                        // Mark widget as being in a section and apply section color
-                        elem.dataset.inSection = "true";
-                        elem.dataset.sectionColor = section.color;
-                        elem.dataset.color = section.color;
-                        contentElem.appendChild(elem);
-                    }
-                }
-                
-                sectionElem.appendChild(contentElem);
-                this.#inputsContainer.appendChild(sectionElem);
+                if(getAllSectionNodes(section).length === 0) continue;
+                this.#inputsContainer.appendChild(this.#createSection(section));
             }
             
-            // Render ungrouped nodes at the end (if any)
+            // Render ungrouped nodes at the end (if any) - "Other" can't be renamed (no backing group)
             if(ungroupedNodes.length > 0) {
-                const sectionElem = document.createElement('div');
-                sectionElem.classList.add('comfy-mobile-form-section');
-                sectionElem.dataset.sectionId = 'other';
-                
-                const isCollapsed = this.#getSectionCollapsed('Other');
-                if (isCollapsed) {
-                    sectionElem.classList.add('collapsed');
-                }
-                
-                const headerElem = document.createElement('div');
-                headerElem.classList.add('comfy-mobile-form-section-header');
-                headerElem.innerHTML = `
-                    <span class="comfy-mobile-form-section-toggle">${isCollapsed ? '▶' : '▼'}</span>
-                    <span class="comfy-mobile-form-section-title">Other</span>
-                    <span class="comfy-mobile-form-section-count">${ungroupedNodes.length}</span>
-                `;
-                
-                headerElem.style.cursor = 'pointer';
-                headerElem.addEventListener('click', () => {
-                    const collapsed = sectionElem.classList.toggle('collapsed');
-                    const toggle = headerElem.querySelector('.comfy-mobile-form-section-toggle');
-                    if (toggle) toggle.textContent = collapsed ? '▶' : '▼';
-                    this.#setSectionCollapsed('Other', collapsed);
-                });
-                
-                // "Other" section can't be renamed (no backing group)
-                
-                sectionElem.appendChild(headerElem);
-                
-                const contentElem = document.createElement('div');
-                contentElem.classList.add('comfy-mobile-form-section-content');
-                
-                const sortedUngrouped = sortNodesByPosition(ungroupedNodes);
-                for(const graph_node of sortedUngrouped) {
-                    const elem = document.createElement('div');
-                    
-                    if(createWidgetFromNode(elem, graph_node)) {
-                        contentElem.appendChild(elem);
-                    }
-                }
-                
-                sectionElem.appendChild(contentElem);
-                this.#inputsContainer.appendChild(sectionElem);
+                const otherElem = this.#createSection({ group: null, title: t('section.other'), nodes: ungroupedNodes, children: [] });
+                otherElem.dataset.sectionId = 'other';
+                this.#inputsContainer.appendChild(otherElem);
             }
         } else {
             // No sections - render all nodes in a single flowing grid
-            const sortedNodes = sortNodesByPosition(allNodes);
-            for(const graph_node of sortedNodes) {
-                const elem = document.createElement('div');
-                
-                if(createWidgetFromNode(elem, graph_node)) {
-                    this.#inputsContainer.appendChild(elem);
+            this.#appendCards(this.#inputsContainer, allNodes);
+        }
+        
+        // Store current order (all cards, as rendered)
+        this.#updateOrderFromDOM();
+        this.#applyGridColumns();
+    }
+    
+    /**
+     * Apply the column counts of the current form and layout to its grids
+     * Sections without their own count use the enclosing section's, then the form's.
+     */
+    #applyGridColumns() {
+        const { form, sections = {} } = getGridColumns();
+        const hasSections = !!this.#inputsContainer.querySelector(':scope > .comfy-mobile-form-section');
+        setGridColumnCount(this.#inputsContainer, hasSections ? undefined : form);
+        
+        // Document order - enclosing sections are set before the sections inside them
+        this.#inputsContainer.querySelectorAll('.comfy-mobile-form-section').forEach(item => {
+            const sectionElem = /** @type {HTMLElement} */ (item);
+            const key = sectionElem.dataset.collapseKey || '';
+            const contentElem = /** @type {HTMLElement | null} */ (sectionElem.querySelector(':scope > .comfy-mobile-form-section-content'));
+            if(!contentElem) return;
+            
+            const enclosing = /** @type {HTMLElement | null} */ (sectionElem.parentElement?.closest('.comfy-mobile-form-section-content'));
+            const inherited = Number(enclosing?.dataset.columns) || form;
+            setGridColumnCount(contentElem, sections[key] || inherited);
+            
+            const select = /** @type {HTMLSelectElement | null} */ (sectionElem.querySelector(':scope > .comfy-mobile-form-section-header .comfy-mobile-form-columns-select'));
+            if(select) select.value = String(sections[key] || '');
+        });
+        
+        const formSelect = /** @type {HTMLSelectElement | null} */ (this.#profileBar.querySelector('.comfy-mobile-form-columns-select[data-scope="form"]'));
+        if(formSelect) formSelect.value = String(form || '');
+    }
+    
+    /**
+     * Create a column count picker ("Auto" keeps the enclosing grid's columns)
+     * @param {string} title
+     * @param {(columns: number | undefined) => void} onChange
+     * @returns {HTMLSelectElement}
+     */
+    #createColumnsSelect(title, onChange) {
+        const select = document.createElement('select');
+        select.classList.add('comfy-mobile-form-columns-select');
+        select.title = title;
+        select.setAttribute('aria-label', title);
+        select.innerHTML = `
+            <option value="">${t('columns.auto')}</option>
+            ${GRID_COLUMN_OPTIONS.map(count => `<option value="${count}">${t('menu.width.columns', { count })}</option>`).join('')}
+        `;
+        // Don't collapse the section the picker sits in
+        select.addEventListener('click', (e) => e.stopPropagation());
+        select.addEventListener('change', () => onChange(select.value ? Number(select.value) : undefined));
+        return select;
+    }
+    
+    /**
+     * Change the column counts of the current form and layout (one undo step)
+     * @param {(columns: GridColumns) => void} change - Mutates a copy of the counts
+     */
+    #changeGridColumns(change) {
+        /** @type {GridColumns} */
+        const columns = JSON.parse(JSON.stringify(getGridColumns()));
+        change(columns);
+        
+        if(columns.form === undefined) delete columns.form;
+        if(columns.sections) {
+            for(const [key, count] of Object.entries(columns.sections)) {
+                if(count === undefined) delete columns.sections[key];
+            }
+            if(Object.keys(columns.sections).length === 0) delete columns.sections;
+        }
+        
+        saveGridColumns(Object.keys(columns).length > 0 ? columns : null);
+        this.#applyGridColumns();
+    }
+    
+    /**
+     * Render the cards of some nodes, in saved order then by position
+     * Each node gets a card, plus one per widget split out of it.
+     * @param {HTMLElement} container
+     * @param {ComfyUIGraphNode[]} nodes
+     * @param {string} [sectionColor] - Color of the section the cards are in
+     */
+    #appendCards(container, nodes, sectionColor) {
+        for(const { node, widgetName } of sortCards(nodes, getWidgetOrder())) {
+            const elem = document.createElement('div');
+            if(sectionColor) {
+                // Mark widget as being in a section and apply section color
+                elem.dataset.inSection = "true";
+                elem.dataset.sectionColor = sectionColor;
+                elem.dataset.color = sectionColor;
+            }
+            
+            const created = widgetName
+                ? createSplitWidgetCard(elem, node, widgetName)
+                : createWidgetFromNode(elem, node);
+            if(created) {
+                container.appendChild(elem);
+            }
+        }
+    }
+    
+    /**
+     * Create a collapsible section with its widgets and nested sections
+     * @param {FormSection} section
+     * @param {string[]} [path] - Titles of the enclosing sections
+     * @returns {HTMLDivElement}
+     */
+    #createSection(section, path = []) {
+        const depth = path.length;
+        // Top-level sections keep their title as key, nested ones are keyed by their path
+        // ("Other" keeps its English key so its state survives a language change)
+        const collapseKey = [...path, section.group ? section.title : 'Other'].join(' / ');
+        
+        // Create section container
+        const sectionElem = document.createElement('div');
+        sectionElem.classList.add('comfy-mobile-form-section');
+        if(section.color) sectionElem.dataset.color = section.color;
+        sectionElem.dataset.depth = String(depth);
+        sectionElem.dataset.sectionId = section.title.toLowerCase().replace(/\s+/g, '-');
+        sectionElem.dataset.collapseKey = collapseKey;
+        
+        // Check if section is collapsed (from localStorage)
+        const isCollapsed = this.#getSectionCollapsed(collapseKey);
+        if (isCollapsed) {
+            sectionElem.classList.add('collapsed');
+        }
+        
+        // Create section header with collapse toggle
+        const headerElem = document.createElement('div');
+        headerElem.classList.add('comfy-mobile-form-section-header');
+        headerElem.innerHTML = `
+            <span class="comfy-mobile-form-section-toggle">${isCollapsed ? '▶' : '▼'}</span>
+            <span class="comfy-mobile-form-section-title" title="${t('section.renameHint')}">${section.title}</span>
+            <span class="comfy-mobile-form-section-count">${getAllSectionNodes(section).length}</span>
+        `;
+        
+        // Column count of the section (edit mode)
+        headerElem.appendChild(this.#createColumnsSelect(t('columns.sectionHint'), (columns) => {
+            this.#changeGridColumns(gridColumns => {
+                gridColumns.sections = { ...gridColumns.sections, [collapseKey]: /** @type {number} */ (columns) };
+            });
+        }));
+        
+        // Add click handler for collapse/expand
+        headerElem.style.cursor = 'pointer';
+        headerElem.addEventListener('click', () => {
+            // Wizard steps are always expanded
+            if (this.#wizard && depth === 0) return;
+            const collapsed = sectionElem.classList.toggle('collapsed');
+            const toggle = headerElem.querySelector('.comfy-mobile-form-section-toggle');
+            if (toggle) toggle.textContent = collapsed ? '▶' : '▼';
+            this.#setSectionCollapsed(collapseKey, collapsed);
+        });
+        
+        // Add double-click to rename section (renames the underlying group)
+        const titleElem = /** @type {HTMLElement | null} */ (headerElem.querySelector('.comfy-mobile-form-section-title'));
+        const group = section.group;
+        if (titleElem && group) {
+            titleElem.style.cursor = 'text';
+            titleElem.addEventListener('dblclick', (e) => {
+                e.stopPropagation();
+                showRenameDialog(group.title, t('rename.group'), (newTitle) => {
+                    const previousTitle = group.title;
+                    group.title = newTitle;
+                    titleElem.textContent = newTitle;
+                    // Update section ID
+                    sectionElem.dataset.sectionId = newTitle.toLowerCase().replace(/\s+/g, '-');
+                    // Trigger graph change
+                    if (this.#app.graph) {
+                        this.#app.graph.setDirtyCanvas?.(true, true);
+                    }
+                    // Undo/redo re-render the form, which updates the section
+                    recordLayoutChange(() => group.title = previousTitle, () => group.title = newTitle);
+                });
+            });
+        } else if (titleElem) {
+            titleElem.removeAttribute('title');
+        }
+        
+        sectionElem.appendChild(headerElem);
+        
+        // Create section content (grid container)
+        const contentElem = document.createElement('div');
+        contentElem.classList.add('comfy-mobile-form-section-content');
+        
+        // Render widgets into section
+        this.#appendCards(contentElem, section.nodes, section.color);
+        
+        // Nested sections follow the section's own widgets
+        for(const child of section.children) {
+            if(getAllSectionNodes(child).length === 0) continue;
+            contentElem.appendChild(this.#createSection(child, [...path, section.title]));
+        }
+        
+        sectionElem.appendChild(contentElem);
+        return sectionElem;
+    }
+    
+    /**
+     * Show or hide widgets according to their visibility rules
+     * Cards whose fields are all hidden by rules are hidden, and so are sections whose cards all are.
+     */
+    #applyVisibilityRules() {
+        const graph = this.#app.graph;
+        if (!graph) return;
+        
+        this.#inputsContainer.querySelectorAll('.comfy-mobile-form-widget[data-node-id]').forEach(item => {
+            const elem = /** @type {HTMLElement} */ (item);
+            const rules = getWidgetSettings(parseInt(elem.dataset.nodeId || '', 10)).visibilityRules || {};
+            const fields = /** @type {HTMLElement[]} */ ([...elem.querySelectorAll('.comfy-mobile-form-widget-wrapper[data-widget-name]')]);
+            
+            let hidden;
+            if (elem.dataset.cardWidget) {
+                hidden = !isRuleVisible(rules[elem.dataset.cardWidget], graph);
+            } else if (fields.length > 0) {
+                for (const field of fields) {
+                    field.classList.toggle('comfy-mobile-form-rule-hidden', !isRuleVisible(rules[field.dataset.widgetName || ''], graph));
                 }
+                hidden = fields.every(field => field.classList.contains('comfy-mobile-form-rule-hidden'));
+            } else {
+                // Cards that don't show their fields separately (e.g. primitives) go with any of their rules
+                hidden = Object.values(rules).some(rule => !isRuleVisible(rule, graph));
             }
+            elem.classList.toggle('comfy-mobile-form-rule-hidden', hidden);
+        });
+        
+        this.#inputsContainer.querySelectorAll('.comfy-mobile-form-section').forEach(section => {
+            const hasVisible = section.querySelector('.comfy-mobile-form-widget:not(.comfy-mobile-form-rule-hidden)') !== null;
+            section.classList.toggle('comfy-mobile-form-rule-hidden', !hasVisible);
+        });
+        
+        // Steps come and go with their sections
+        this.#wizard?.update();
+    }
+    
+    /**
+     * Turn the step-by-step wizard on or off
+     * Sections become steps with Back/Next buttons, followed by a review step.
+     * @param {boolean} enabled
+     */
+    setWizardMode(enabled) {
+        if(enabled === !!this.#wizard) return;
+        
+        if(enabled) {
+            this.#wizard = new FormWizard(this.#inputsContainer, {
+                getGraph: () => this.#app.graph,
+                validateStep: (step) => this.#validateForm(step),
+                onQueue: () => this.#queuePrompt(0)
+            });
+            this.#wizard.update();
+        } else {
+            this.#wizard?.destroy();
+            this.#wizard = null;
         }
     }
     
@@ -1448,6 +2514,106 @@ function sortNodesByPosition(nodes) {
     return result;
 }
 
+/**
+ * Get the cards of some nodes, sorted by a saved order (see saveWidgetOrder)
+ * Cards missing from the order - e.g. of nodes added since it was saved - follow in position order.
+ * @param {Array<ComfyUIGraphNode>} nodes
+ * @param {CardOrder} order - Card IDs in display order
+ * @returns {Array<{node: ComfyUIGraphNode, widgetName?: string}>}
+ */
+function sortCards(nodes, order) {
+    /** @type {Array<{node: ComfyUIGraphNode, widgetName?: string}>} */
+    const cards = sortNodesByPosition(nodes).flatMap(node => [
+        { node },
+        ...getSplitWidgetNames(node).map(widgetName => ({ node, widgetName }))
+    ]);
+    if(order.length === 0) return cards;
+    
+    const rank = (/** @type {{node: ComfyUIGraphNode, widgetName?: string}} */ card) => {
+        const index = order.indexOf(getCardId(card.node.id, card.widgetName));
+        if(index !== -1) return index;
+        // A newly split widget follows its node's card
+        const nodeIndex = card.widgetName ? order.indexOf(card.node.id) : -1;
+        return nodeIndex !== -1 ? nodeIndex + 0.5 : order.length;
+    };
+    // Sort is stable, so unordered cards keep their position order
+    return cards.sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Get the form name of a group title ('' for an unnamed form group)
+ * @param {RegExp} pattern - One of the group title patterns
+ * @param {string} title
+ * @returns {string | null} Null if the title doesn't match
+ */
+function getFormName(pattern, title) {
+    const match = pattern.exec(title);
+    return match ? (match[1] || '').trim() : null;
+}
+
+/**
+ * Find the names of all forms (input groups) in the graph
+ * @param {ComfyUIGraphGroup[]} groups
+ * @returns {string[]} Form names in graph order, without duplicates
+ */
+function findFormNames(groups) {
+    /** @type {string[]} */
+    const names = [];
+    for(const group of groups) {
+        const name = getFormName(INPUT_GROUP_PATTERN, group.title);
+        if(name !== null && !names.includes(name)) names.push(name);
+    }
+    return names;
+}
+
+/**
+ * Find the group of a form
+ * Named forms without a group of their own share the unnamed one (e.g. a single "Form Outputs").
+ * @param {ComfyUIGraphGroup[]} groups
+ * @param {RegExp} pattern - One of the group title patterns
+ * @param {string} formName
+ * @returns {ComfyUIGraphGroup | undefined}
+ */
+function findFormGroup(groups, pattern, formName) {
+    return groups.find(g => getFormName(pattern, g.title) === formName)
+        ?? groups.find(g => getFormName(pattern, g.title) === '');
+}
+
+/**
+ * Find the groups directly inside a parent group (not those nested in another subgroup)
+ * @param {ComfyUIGraphGroup} parentGroup
+ * @param {ComfyUIGraphGroup[]} allGroups
+ * @returns {ComfyUIGraphGroup[]} - Child groups sorted by position
+ */
+function findChildGroups(parentGroup, allGroups) {
+    const subgroups = findSubgroupsInGroup(parentGroup, allGroups);
+    // Groups with the same bounds contain each other - keep both as siblings
+    return subgroups.filter(g => !subgroups.some(other =>
+        other !== g && isGroupInsideGroup(g, other) && !isGroupInsideGroup(other, g)
+    ));
+}
+
+/**
+ * Check if a group lies entirely within another group
+ * @param {ComfyUIGraphGroup} group
+ * @param {ComfyUIGraphGroup} parentGroup
+ * @returns {boolean}
+ */
+function isGroupInsideGroup(group, parentGroup) {
+    const [px, py, pw, ph] = parentGroup._bounding;
+    const [gx, gy, gw, gh] = group._bounding;
+    return gx >= px && gy >= py && (gx + gw) <= (px + pw) && (gy + gh) <= (py + ph);
+}
+
+/**
+ * Get the nodes of a section, including those of its nested sections
+ * @param {FormSection} section
+ * @returns {ComfyUIGraphNode[]}
+ */
+function getAllSectionNodes(section) {
+    return [...section.nodes, ...section.children.flatMap(getAllSectionNodes)];
+}
+
 /**
  * Find groups that are contained within a parent group (subgroups)
  * @param {ComfyUIGraphGroup} parentGroup - The parent group
@@ -1455,8 +2621,6 @@ function sortNodesByPosition(nodes) {
  * @returns {ComfyUIGraphGroup[]} - Subgroups sorted by position
  */
 function findSubgroupsInGroup(parentGroup, allGroups) {
-    const [px, py, pw, ph] = parentGroup._bounding;
-    
     const subgroups = allGroups.filter(g => {
         // Skip the parent group itself
         if(g === parentGroup) return false;
@@ -1465,8 +2629,7 @@ function findSubgroupsInGroup(parentGroup, allGroups) {
         if(INPUT_GROUP_PATTERN.test(g.title) || OUTPUT_GROUP_PATTERN.test(g.title)) return false;
         
         // Check if this group is entirely within the parent
-        const [gx, gy, gw, gh] = g._bounding;
-        return gx >= px && gy >= py && (gx + gw) <= (px + pw) && (gy + gh) <= (py + ph);
+        return isGroupInsideGroup(g, parentGroup);
     });
     
     // Sort subgroups by Y position first, then X position
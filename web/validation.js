@@ -0,0 +1,103 @@
+// @ts-check
+
+/**
+ * Form Validation - Required fields and value constraints checked before queueing
+ *
+ * Constraints are stored per node in the widget settings (`validation`),
+ * keyed by widget name. Upload constraints only pass for files uploaded with the
+ * form, so a default or earlier file can't be queued by accident.
+ */
+
+import { getWidgetSettings, isWidgetHidden, isFormUpload } from './widget.js';
+import { t } from './i18n.js';
+
+/** @import {ComfyUIGraphNode, ComfyUIGraphWidget} from "./types" */
+/** @import {WidgetValidation} from "./widget.js" */
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {number} nodeId
+ * @property {string} widgetName
+ * @property {string} message
+ */
+
+/**
+ * Check a widget value against its constraints
+ * @param {ComfyUIGraphWidget} widget
+ * @param {WidgetValidation} rules
+ * @returns {string | null} Error message, or null if the value is valid
+ */
+export function validateWidgetValue(widget, rules) {
+    const value = widget.value;
+    const text = value === null || value === undefined ? '' : String(value).trim();
+
+    if (rules.upload && !isFormUpload(widget)) {
+        return rules.message || t('validation.error.upload', { name: widget.name });
+    }
+    if (rules.required && text === '') {
+        return rules.message || t('validation.error.required', { name: widget.name });
+    }
+    // Optional fields are only checked once they have a value
+    if (text === '') return null;
+
+    if (rules.pattern) {
+        let regex;
+        try {
+            regex = new RegExp(rules.pattern);
+        } catch (e) {
+            console.warn(`[MobileForm] Invalid validation pattern for ${widget.name}:`, rules.pattern);
+            return null;
+        }
+        if (!regex.test(String(value))) {
+            return rules.message || t('validation.error.pattern', { name: widget.name });
+        }
+    }
+
+    if (rules.min !== undefined || rules.max !== undefined) {
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+            return rules.message || t('validation.error.number', { name: widget.name });
+        }
+        if (rules.min !== undefined && number < rules.min) {
+            return rules.message || t('validation.error.min', { name: widget.name, min: rules.min });
+        }
+        if (rules.max !== undefined && number > rules.max) {
+            return rules.message || t('validation.error.max', { name: widget.name, max: rules.max });
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate the widgets of the given nodes
+ * Bypassed nodes and fields hidden with Show/Hide Fields are skipped.
+ * @param {ComfyUIGraphNode[]} nodes - Nodes to check (in display order)
+ * @returns {ValidationError[]}
+ */
+export function validateNodes(nodes) {
+    /** @type {ValidationError[]} */
+    const errors = [];
+
+    for (const node of nodes) {
+        // @ts-ignore - mode exists on LiteGraph nodes
+        if (node.mode === 4) continue;
+
+        const validation = getWidgetSettings(node.id).validation;
+        if (!validation) continue;
+
+        for (const [widgetName, rules] of Object.entries(validation)) {
+            if (isWidgetHidden(node.id, widgetName)) continue;
+
+            const widget = node.widgets?.find(w => w.name === widgetName);
+            if (!widget) continue;
+
+            const message = validateWidgetValue(widget, rules);
+            if (message) {
+                errors.push({ nodeId: node.id, widgetName, message });
+            }
+        }
+    }
+
+    return errors;
+}
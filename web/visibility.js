@@ -0,0 +1,98 @@
+// @ts-check
+
+/**
+ * Visibility Rules - Show or hide a form widget depending on another widget's value
+ * e.g. "show ControlNet strength only when Use ControlNet is on"
+ *
+ * Rules are stored per widget in the node's widget settings (`visibilityRules`, keyed
+ * by widget name). A card is hidden when all of its fields are.
+ */
+
+import { t } from './i18n.js';
+
+/** @import {ComfyUIGraph, ComfyUIGraphNode, ComfyUIGraphWidget} from "./types" */
+
+/**
+ * @typedef {'equals' | 'notEquals' | 'on' | 'off'} VisibilityOperator
+ */
+
+/**
+ * @typedef {Object} VisibilityRule
+ * @property {'show' | 'hide'} action - Show only when the condition holds, or hide when it does
+ * @property {number} nodeId - Node holding the controlling widget
+ * @property {string} widget - Name of the controlling widget
+ * @property {VisibilityOperator} operator
+ * @property {string} [value] - Compared with the widget value as text (equals / notEquals)
+ */
+
+/** Operator labels, as shown in the rule editor */
+export const VISIBILITY_OPERATORS = /** @type {Array<{value: VisibilityOperator, label: string}>} */ ([
+    { value: 'equals', label: t('rule.operator.equals') },
+    { value: 'notEquals', label: t('rule.operator.notEquals') },
+    { value: 'on', label: t('rule.operator.on') },
+    { value: 'off', label: t('rule.operator.off') }
+]);
+
+/**
+ * Find the controlling widget of a rule
+ * @param {VisibilityRule} rule
+ * @param {ComfyUIGraph} graph
+ * @returns {{node: ComfyUIGraphNode, widget: ComfyUIGraphWidget} | null}
+ */
+export function findRuleWidget(rule, graph) {
+    const node = graph.getNodeById(rule.nodeId);
+    const widget = node?.widgets?.find(w => w.name === rule.widget);
+    return node && widget ? { node, widget } : null;
+}
+
+/**
+ * Check whether a rule's condition currently holds
+ * @param {VisibilityRule} rule
+ * @param {any} value - Current value of the controlling widget
+ * @returns {boolean}
+ */
+function conditionHolds(rule, value) {
+    switch (rule.operator) {
+        case 'on':
+            return !!value;
+        case 'off':
+            return !value;
+        case 'notEquals':
+            return String(value) !== String(rule.value ?? '');
+        case 'equals':
+        default:
+            return String(value) === String(rule.value ?? '');
+    }
+}
+
+/**
+ * Check whether a widget with the given rule should be visible
+ * A rule whose controlling widget no longer exists never hides anything.
+ * @param {VisibilityRule | undefined} rule
+ * @param {ComfyUIGraph} graph
+ * @returns {boolean}
+ */
+export function isRuleVisible(rule, graph) {
+    if (!rule) return true;
+
+    const source = findRuleWidget(rule, graph);
+    if (!source) return true;
+
+    const holds = conditionHolds(rule, source.widget.value);
+    return rule.action === 'hide' ? !holds : holds;
+}
+
+/**
+ * Describe a rule in words (for menus and badges)
+ * @param {VisibilityRule} rule
+ * @param {ComfyUIGraph | null} graph
+ * @returns {string}
+ */
+export function describeVisibilityRule(rule, graph) {
+    const node = graph?.getNodeById(rule.nodeId);
+    const field = `${node?.title || node?.type || `#${rule.nodeId}`} › ${rule.widget}`;
+    const operator = VISIBILITY_OPERATORS.find(o => o.value === rule.operator)?.label || rule.operator;
+    const value = rule.operator === 'equals' || rule.operator === 'notEquals' ? ` "${rule.value ?? ''}"` : '';
+    const action = rule.action === 'hide' ? t('rule.hideWhen') : t('rule.showWhen');
+    return t('rule.describe', { action, field, operator, value });
+}
@@ -1,27 +1,113 @@
 // @ts-check
 
 /** @import {ComfyUIGraphNode, ComfyUIGraphWidget} from "./types" */
+/** @import {VisibilityRule, VisibilityOperator} from "./visibility.js" */
+/** @import {NodeIdentity, OrphanedSettings, SettingsMatchReport} from "./identity.js" */
+/** @import {SettingsLoadResult} from "./schema.js" */
 
 // Import extension system
 import { ExtensionRegistry, initializeExtensions } from './extensions/index.js';
+import { VISIBILITY_OPERATORS, describeVisibilityRule } from './visibility.js';
+import { getNodeIdentity, matchSettingsToNodes } from './identity.js';
+import { recordLayoutChange } from './history.js';
+import { SETTINGS_VERSION, loadSettingsDocument } from './schema.js';
+import { t } from './i18n.js';
+import { updateCardSpan, getCardColumns } from './grid.js';
 
 // Initialize extensions when module loads
 initializeExtensions();
 
 /**
  * @typedef {Object} WidgetSettings
- * @property {string} [width] - Column span: "1", "2", "3", "4"
+ * @property {string} [width] - Column span: "1" to "12" (cards are never wider than their grid)
  * @property {string} [height] - "auto", "compact", "medium", "tall"
  * @property {string} [color] - "default", "blue", "green", "purple", "orange", "red"
  * @property {string} [break] - "true" to start a new row before this widget
  * @property {string} [tooltip] - Custom tooltip/hint text for this widget
  * @property {string[]} [hiddenWidgets] - Array of widget names to hide from this node
+ * @property {Object.<string, VisibilityRule>} [visibilityRules] - Show/hide single widgets based on another widget's value,
+ *     keyed by widget name
+ * @property {Object.<string, WidgetValidation>} [validation] - Constraints checked before queueing, keyed by widget name
+ * @property {string[]} [splitWidgets] - Widget names shown in cards of their own instead of the node's card
+ * @property {Object.<string, WidgetCardSettings>} [widgetCards] - Layout of the split-out cards, keyed by widget name
+ * @property {NodeIdentity} [identity] - Node the settings were made for, used to re-match them when node IDs change
+ * @property {Object.<string, ProfileLayout>} [profiles] - Layout of the node in the other layout profiles, keyed by profile
  */
 
 /**
- * @typedef {Object.<string, WidgetSettings | number[]>} AllWidgetSettings
+ * Layout profile - each display mode has a layout of its own. The desktop layout is the node settings
+ * themselves; other profiles override parts of it.
+ * @typedef {'desktop' | 'mobile'} LayoutProfile
  */
 
+/**
+ * Layout of a node in a profile other than desktop - fields that are not set follow the desktop layout
+ * @typedef {Object} ProfileLayout
+ * @property {string} [width]
+ * @property {string} [height]
+ * @property {string} [break]
+ * @property {string[]} [hiddenWidgets]
+ * @property {Object.<string, {width?: string, height?: string, break?: string}>} [widgetCards] - Sizes of the split-out cards
+ */
+
+/**
+ * Layout of a widget split out of its node's card
+ * @typedef {Object} WidgetCardSettings
+ * @property {string} [width] - Column span: "1" to "12" (cards are never wider than their grid)
+ * @property {string} [height] - "auto", "compact", "medium", "tall"
+ * @property {string} [color]
+ * @property {string} [break] - "true" to start a new row before this card
+ * @property {string} [tooltip]
+ * @property {string} [label] - Card title (defaults to the widget name)
+ */
+
+/**
+ * @typedef {Object} WidgetValidation
+ * @property {boolean} [required] - Value must not be empty
+ * @property {boolean} [upload] - Value must be a file uploaded with the form (a default or earlier file doesn't count)
+ * @property {string} [pattern] - Regular expression the value must match
+ * @property {number} [min] - Minimum numeric value
+ * @property {number} [max] - Maximum numeric value
+ * @property {string} [message] - Custom error message
+ */
+
+/**
+ * @typedef {Object} FormPreset
+ * @property {string} name - Display name of the preset
+ * @property {Object.<string, Object.<string, any>>} values - Widget values keyed by node ID, then widget name
+ * @property {number} [updated] - Timestamp of the last save
+ */
+
+/**
+ * Column counts of a form in one layout profile
+ * @typedef {Object} GridColumns
+ * @property {number} [form] - Columns of the form's grid, and of its sections unless they set their own
+ * @property {Object.<string, number>} [sections] - Columns of single sections, keyed by section path ("Model / LoRAs")
+ */
+
+/**
+ * Settings document of a workflow - node settings keyed by node ID, plus `_version` (schema version, see schema.js),
+ * `_order`, `_formOrders`, `_profileOrders`, `_gridColumns`, `_presets` and `_orphaned`
+ * @typedef {Object.<string, WidgetSettings | CardOrder | FormPreset[] | Object.<string, CardOrder> | Object.<string, Object.<string, CardOrder>> | Object.<string, Object.<string, GridColumns>> | OrphanedSettings[] | number>} AllWidgetSettings
+ */
+
+/**
+ * Card IDs in display order - node IDs, and "nodeId:widgetName" for split-out widgets
+ * @typedef {Array<number | string>} CardOrder
+ */
+
+/** Layout profiles, the first is the one stored in the node settings */
+export const LAYOUT_PROFILES = /** @type {LayoutProfile[]} */ (['desktop', 'mobile']);
+
+/** Node settings each layout profile keeps separately */
+const PROFILE_FIELDS = /** @type {const} */ (['width', 'height', 'break', 'hiddenWidgets']);
+
+/** Split-out card settings each layout profile keeps separately */
+const PROFILE_CARD_FIELDS = /** @type {const} */ (['width', 'height', 'break']);
+
+/** Layout of a card without settings */
+const LAYOUT_DEFAULTS = { width: "1", height: "auto", color: "default", break: "false" };
+
 /** @type {HTMLDivElement | null} */
 let activeContextMenu = null;
 
@@ -36,6 +122,28 @@ export function setCurrentGraph(graph) {
     currentGraph = graph;
 }
 
+/** @type {string} */
+let currentFormName = '';
+
+/**
+ * Set the form whose widget order is read and saved
+ * @param {string} name - Form name ('' for the unnamed "Form Inputs" group)
+ */
+export function setCurrentForm(name) {
+    currentFormName = name;
+}
+
+/** @type {LayoutProfile} */
+let currentProfile = 'desktop';
+
+/**
+ * Set the layout profile whose sizes, hidden fields and widget order are read and saved
+ * @param {LayoutProfile} profile
+ */
+export function setCurrentProfile(profile) {
+    currentProfile = profile;
+}
+
 /**
  * Find the FormSettings node in the graph (supports legacy MobileFormSettings)
  * @returns {ComfyUIGraphNode | null}
@@ -46,33 +154,81 @@ function findSettingsNode() {
 }
 
 /**
- * Get all widget settings from the FormSettings node
- * @returns {AllWidgetSettings}
+ * Get the settings JSON stored in the FormSettings node
+ * @param {ComfyUIGraphNode} settingsNode 
+ * @returns {string} '' if nothing is stored
  */
-function getWorkflowSettings() {
+function getSettingsJson(settingsNode) {
+    // Try getting from the widget first (live value)
+    if (settingsNode.widgets) {
+        const widget = settingsNode.widgets.find(w => w.name === 'settings_json');
+        if (widget && widget.value && typeof widget.value === 'string' && widget.value !== '{}') {
+            return widget.value;
+        }
+    }
+    
+    // Fall back to widgets_values (saved value)
+    if (settingsNode.widgets_values && settingsNode.widgets_values[0]) {
+        const json = settingsNode.widgets_values[0];
+        if (typeof json === 'string' && json !== '{}') {
+            return json;
+        }
+    }
+    return '';
+}
+
+/**
+ * Last settings document read, so each version of the JSON is only migrated and validated once
+ * @type {{json: string, result: SettingsLoadResult} | null}
+ */
+let loadedSettings = null;
+
+/**
+ * Read the settings document of the FormSettings node (migrated to the current schema and validated)
+ * @returns {SettingsLoadResult | null} null if the workflow has no FormSettings node
+ */
+function loadWorkflowSettings() {
     const settingsNode = findSettingsNode();
-    if (!settingsNode) return {};
+    if (!settingsNode) return null;
     
-    try {
-        // Try getting from the widget first (live value)
-        if (settingsNode.widgets) {
-            const widget = settingsNode.widgets.find(w => w.name === 'settings_json');
-            if (widget && widget.value && typeof widget.value === 'string' && widget.value !== '{}') {
-                return JSON.parse(widget.value);
-            }
+    const json = getSettingsJson(settingsNode);
+    if (loadedSettings?.json !== json) {
+        const result = loadSettingsDocument(json);
+        if (result.corrupt) {
+            backupCorruptSettings(settingsNode, json);
         }
-        
-        // Fall back to widgets_values (saved value)
-        if (settingsNode.widgets_values && settingsNode.widgets_values[0]) {
-            const json = settingsNode.widgets_values[0];
-            if (typeof json === 'string' && json !== '{}') {
-                return JSON.parse(json);
-            }
+        if (result.problems.length > 0) {
+            console.warn('[MobileForm] Problems in workflow settings:', result.problems);
         }
-    } catch(e) {
-        console.warn('[MobileForm] Failed to parse workflow settings:', e);
+        loadedSettings = { json, result };
     }
-    return {};
+    return loadedSettings.result;
+}
+
+/**
+ * Keep an unreadable settings document in the node properties (and localStorage),
+ * so saving new settings over it doesn't lose it
+ * @param {ComfyUIGraphNode} settingsNode 
+ * @param {string} json 
+ */
+function backupCorruptSettings(settingsNode, json) {
+    settingsNode.properties = settingsNode.properties || {};
+    if (settingsNode.properties.settingsBackup === json) return;
+    
+    settingsNode.properties.settingsBackup = json;
+    try {
+        localStorage.setItem('MobileForm.settingsBackup', json);
+    } catch(e) {}
+}
+
+/**
+ * Get all widget settings from the FormSettings node
+ * @returns {AllWidgetSettings}
+ */
+function getWorkflowSettings() {
+    const result = loadWorkflowSettings();
+    // A copy - callers change the settings before saving them
+    return result ? structuredClone(result.settings) : {};
 }
 
 /**
@@ -84,7 +240,8 @@ function saveWorkflowSettings(allSettings) {
     if (!settingsNode) return;
     
     try {
-        const json = JSON.stringify(allSettings, null, 0); // Compact JSON
+        // Documents without a version are written as the current schema version
+        const json = JSON.stringify({ _version: SETTINGS_VERSION, ...allSettings }, null, 0); // Compact JSON
         
         // Update the widget value (this is what gets serialized)
         if (settingsNode.widgets) {
@@ -113,48 +270,260 @@ function saveWorkflowSettings(allSettings) {
 }
 
 /**
- * Get widget settings - tries workflow node first, then localStorage
+ * Read the stored settings of a node (without defaults) - tries workflow node first, then localStorage
  * @param {number} nodeId 
- * @returns {WidgetSettings}
+ * @returns {WidgetSettings | null}
  */
-export function getWidgetSettings(nodeId) {
-    const defaults = { width: "1", height: "auto", color: "default", break: "false" };
-    
+function readWidgetSettings(nodeId) {
     // Try workflow settings first
     const workflowSettings = getWorkflowSettings();
     if (workflowSettings[nodeId]) {
-        return { ...defaults, ...workflowSettings[nodeId] };
+        return /** @type {WidgetSettings} */ (workflowSettings[nodeId]);
     }
     
-    // Fall back to localStorage
+    // Fall back to localStorage - skip backups made for a different kind of node with this ID
     try {
         const stored = localStorage.getItem(`MobileForm.widgetSettings.${nodeId}`);
-        if (stored) return { ...defaults, ...JSON.parse(stored) };
+        if (stored) {
+            const settings = JSON.parse(stored);
+            const node = currentGraph?.getNodeById?.(nodeId);
+            if (!settings.identity || !node || settings.identity.type === node.type) {
+                return settings;
+            }
+        }
     } catch(e) {}
     
-    return defaults;
+    return null;
 }
 
 /**
- * Save widget settings - saves to workflow node if present, and localStorage
+ * Write the stored settings of a node - saves to workflow node if present, and localStorage
  * @param {number} nodeId 
- * @param {WidgetSettings} settings 
+ * @param {WidgetSettings | null} settings - null removes the node's settings
  */
-export function saveWidgetSettings(nodeId, settings) {
+function writeWidgetSettings(nodeId, settings) {
     // Always save to localStorage as backup
     try {
-        localStorage.setItem(`MobileForm.widgetSettings.${nodeId}`, JSON.stringify(settings));
+        if (settings) {
+            localStorage.setItem(`MobileForm.widgetSettings.${nodeId}`, JSON.stringify(settings));
+        } else {
+            localStorage.removeItem(`MobileForm.widgetSettings.${nodeId}`);
+        }
     } catch(e) {}
     
     // Save to workflow node if present
     const settingsNode = findSettingsNode();
     if (settingsNode) {
         const allSettings = getWorkflowSettings();
-        allSettings[nodeId] = settings;
+        if (settings) {
+            allSettings[nodeId] = settings;
+        } else {
+            delete allSettings[nodeId];
+        }
         saveWorkflowSettings(allSettings);
     }
 }
 
+/**
+ * Get the settings of a node as seen in a layout profile
+ * @param {WidgetSettings} settings - Stored settings
+ * @param {LayoutProfile} profile
+ * @returns {WidgetSettings}
+ */
+function getProfileView(settings, profile) {
+    const layout = settings.profiles?.[profile];
+    if (!layout) return settings;
+    
+    const { widgetCards, ...fields } = layout;
+    /** @type {WidgetSettings} */
+    const view = { ...settings, ...fields };
+    if (widgetCards) {
+        view.widgetCards = { ...settings.widgetCards };
+        for (const [name, card] of Object.entries(widgetCards)) {
+            view.widgetCards[name] = { ...view.widgetCards[name], ...card };
+        }
+    }
+    return view;
+}
+
+/**
+ * Turn settings edited in a layout profile back into stored settings - the layout fields that
+ * were changed go to the profile, everything else to the node settings
+ * @param {WidgetSettings} stored - Stored settings before the change
+ * @param {WidgetSettings} view - Edited settings as seen in the profile
+ * @param {LayoutProfile} profile
+ * @returns {WidgetSettings}
+ */
+function fromProfileView(stored, view, profile) {
+    const before = { ...LAYOUT_DEFAULTS, ...getProfileView(stored, profile) };
+    /** @type {ProfileLayout} */
+    const layout = structuredClone(stored.profiles?.[profile] || {});
+    /** @type {Object.<string, any>} */
+    const settings = { ...view };
+    
+    for (const field of PROFILE_FIELDS) {
+        if (JSON.stringify(view[field]) !== JSON.stringify(before[field])) {
+            /** @type {Object.<string, any>} */ (layout)[field] = view[field];
+        }
+        if (field in stored) {
+            settings[field] = stored[field];
+        } else {
+            delete settings[field];
+        }
+    }
+    
+    if (view.widgetCards) {
+        /** @type {Object.<string, WidgetCardSettings>} */
+        const cards = {};
+        for (const [name, card] of Object.entries(view.widgetCards)) {
+            const beforeCard = { ...LAYOUT_DEFAULTS, ...before.widgetCards?.[name] };
+            const storedCard = stored.widgetCards?.[name] || {};
+            /** @type {Object.<string, any>} */
+            const base = { ...card };
+            for (const field of PROFILE_CARD_FIELDS) {
+                if (card[field] !== undefined && card[field] !== beforeCard[field]) {
+                    layout.widgetCards = { ...layout.widgetCards, [name]: { ...layout.widgetCards?.[name], [field]: card[field] } };
+                }
+                if (field in storedCard) {
+                    base[field] = storedCard[field];
+                } else {
+                    delete base[field];
+                }
+            }
+            cards[name] = base;
+        }
+        settings.widgetCards = cards;
+    }
+    
+    const profiles = { ...stored.profiles };
+    if (Object.keys(layout).length > 0) {
+        profiles[profile] = layout;
+    }
+    if (Object.keys(profiles).length > 0) {
+        settings.profiles = profiles;
+    }
+    return settings;
+}
+
+/**
+ * Get the profile-specific part of a node's settings
+ * @param {WidgetSettings} settings - Settings as seen in a profile
+ * @returns {ProfileLayout}
+ */
+function pickProfileLayout(settings) {
+    /** @type {Object.<string, any>} */
+    const layout = {};
+    for (const field of PROFILE_FIELDS) {
+        if (settings[field] !== undefined) layout[field] = settings[field];
+    }
+    for (const [name, card] of Object.entries(settings.widgetCards || {})) {
+        /** @type {Object.<string, any>} */
+        const cardLayout = {};
+        for (const field of PROFILE_CARD_FIELDS) {
+            if (card[field] !== undefined) cardLayout[field] = card[field];
+        }
+        if (Object.keys(cardLayout).length > 0) {
+            layout.widgetCards = { ...layout.widgetCards, [name]: cardLayout };
+        }
+    }
+    return layout;
+}
+
+/**
+ * Get widget settings as seen in the current layout profile - tries workflow node first, then localStorage
+ * @param {number} nodeId 
+ * @returns {WidgetSettings}
+ */
+export function getWidgetSettings(nodeId) {
+    const stored = readWidgetSettings(nodeId);
+    return { ...LAYOUT_DEFAULTS, ...(stored ? getProfileView(stored, currentProfile) : {}) };
+}
+
+/**
+ * Save widget settings (undoable) - saves to workflow node if present, and localStorage
+ * @param {number} nodeId 
+ * @param {WidgetSettings} settings 
+ * @param {LayoutProfile} [profile] - Profile the settings were edited in ('desktop' for the stored settings
+ *     themselves, e.g. from a layout file). Defaults to the current profile.
+ */
+export function saveWidgetSettings(nodeId, settings, profile = currentProfile) {
+    const stored = readWidgetSettings(nodeId);
+    if (profile !== 'desktop') {
+        settings = fromProfileView(stored || {}, settings, profile);
+    }
+    
+    // Record which node the settings belong to, so they can follow it to a new ID
+    const node = currentGraph?.getNodeById?.(nodeId);
+    if (node) {
+        settings = { ...settings, identity: getNodeIdentity(node) };
+    }
+    
+    // Snapshots as JSON - callers keep mutating their settings objects
+    const previous = JSON.stringify(stored);
+    const next = JSON.stringify(settings);
+    writeWidgetSettings(nodeId, settings);
+    
+    if (next !== previous) {
+        recordLayoutChange(
+            () => writeWidgetSettings(nodeId, JSON.parse(previous)),
+            () => writeWidgetSettings(nodeId, JSON.parse(next))
+        );
+    }
+}
+
+/**
+ * Get the layout settings of a card
+ * @param {number} nodeId 
+ * @param {string} [widgetName] - Widget of a split-out card (omit for the node's own card)
+ * @returns {WidgetSettings | WidgetCardSettings}
+ */
+export function getCardSettings(nodeId, widgetName) {
+    if (!widgetName) return getWidgetSettings(nodeId);
+    
+    return { ...LAYOUT_DEFAULTS, ...getWidgetSettings(nodeId).widgetCards?.[widgetName] };
+}
+
+/**
+ * Save the layout settings of a card
+ * @param {number} nodeId 
+ * @param {string | undefined} widgetName - Widget of a split-out card (undefined for the node's own card)
+ * @param {WidgetSettings | WidgetCardSettings} settings 
+ */
+export function saveCardSettings(nodeId, widgetName, settings) {
+    if (!widgetName) {
+        saveWidgetSettings(nodeId, settings);
+        return;
+    }
+    
+    const nodeSettings = getWidgetSettings(nodeId);
+    nodeSettings.widgetCards = { ...nodeSettings.widgetCards, [widgetName]: settings };
+    saveWidgetSettings(nodeId, nodeSettings);
+}
+
+/**
+ * Get the ID of a card in the widget order
+ * @param {number} nodeId 
+ * @param {string} [widgetName] - Widget of a split-out card
+ * @returns {number | string}
+ */
+export function getCardId(nodeId, widgetName) {
+    return widgetName ? `${nodeId}:${widgetName}` : nodeId;
+}
+
+/**
+ * Get the widgets of a node that are shown in cards of their own
+ * @param {ComfyUIGraphNode} node 
+ * @returns {string[]} Widget names in the node's widget order
+ */
+export function getSplitWidgetNames(node) {
+    const split = getWidgetSettings(node.id).splitWidgets;
+    if (!split?.length || !Array.isArray(node.widgets)) return [];
+    
+    return node.widgets
+        .filter(w => split.includes(w.name) && !w.hidden && w.type !== 'converted-widget' && !isWidgetHidden(node.id, w.name))
+        .map(w => w.name);
+}
+
 /**
  * Check if a specific widget within a node should be hidden
  * @param {number} nodeId 
@@ -167,40 +536,306 @@ export function isWidgetHidden(nodeId, widgetName) {
 }
 
 /**
- * Get the saved widget order
- * @returns {number[]}
+ * Get the localStorage key holding a form's widget order
+ * @param {string} formName - Form name ('' for the unnamed form)
+ * @param {LayoutProfile} profile
+ * @returns {string}
+ */
+function getOrderStorageKey(formName, profile) {
+    const key = profile === 'desktop' ? 'MobileForm.widgetOrder' : `MobileForm.${profile}WidgetOrder`;
+    return formName ? `${key}.${formName}` : key;
+}
+
+/**
+ * Read the stored widget order of a form in a layout profile
+ * @param {string} formName
+ * @param {LayoutProfile} profile
+ * @returns {CardOrder | null} null if the profile has no order of its own
+ */
+function readWidgetOrder(formName, profile) {
+    // Try workflow settings first - named forms keep their order under _formOrders,
+    // the other profiles under _profileOrders
+    const workflowSettings = getWorkflowSettings();
+    const profileOrders = /** @type {Object.<string, Object.<string, CardOrder>> | undefined} */ (workflowSettings._profileOrders);
+    const order = profile !== 'desktop'
+        ? profileOrders?.[profile]?.[formName]
+        : formName
+        ? /** @type {Object.<string, CardOrder> | undefined} */ (workflowSettings._formOrders)?.[formName]
+        : workflowSettings._order;
+    if (order && Array.isArray(order)) {
+        return /** @type {CardOrder} */ (order);
+    }
+    
+    // Fall back to localStorage - a profile of a workflow with settings follows its desktop order instead
+    if (profile !== 'desktop' && findSettingsNode()) return null;
+    try {
+        const stored = localStorage.getItem(getOrderStorageKey(formName, profile));
+        if (stored) return JSON.parse(stored);
+    } catch(e) {}
+    
+    return null;
+}
+
+/**
+ * Write the stored widget order of a form in a layout profile
+ * @param {string} formName
+ * @param {LayoutProfile} profile
+ * @param {CardOrder | null} order - null removes the saved order
+ */
+function writeWidgetOrder(formName, profile, order) {
+    // Always save to localStorage as backup
+    try {
+        if (order) {
+            localStorage.setItem(getOrderStorageKey(formName, profile), JSON.stringify(order));
+        } else {
+            localStorage.removeItem(getOrderStorageKey(formName, profile));
+        }
+    } catch(e) {}
+    
+    // Save to workflow node if present
+    const settingsNode = findSettingsNode();
+    if (settingsNode) {
+        const allSettings = getWorkflowSettings();
+        if (profile !== 'desktop') {
+            const profileOrders = /** @type {Object.<string, Object.<string, CardOrder>>} */ (allSettings._profileOrders || {});
+            const formOrders = { ...profileOrders[profile] };
+            if (order) {
+                formOrders[formName] = order;
+            } else {
+                delete formOrders[formName];
+            }
+            profileOrders[profile] = formOrders;
+            allSettings._profileOrders = profileOrders;
+        } else if (formName) {
+            const formOrders = /** @type {Object.<string, CardOrder>} */ (allSettings._formOrders || {});
+            if (order) {
+                formOrders[formName] = order;
+            } else {
+                delete formOrders[formName];
+            }
+            allSettings._formOrders = formOrders;
+        } else if (order) {
+            allSettings._order = order;
+        } else {
+            delete allSettings._order;
+        }
+        saveWorkflowSettings(allSettings);
+    }
+}
+
+/**
+ * Get the saved widget order of the current form in the current layout profile
+ * @returns {CardOrder}
  */
 export function getWidgetOrder() {
+    return readWidgetOrder(currentFormName, currentProfile) || readWidgetOrder(currentFormName, 'desktop') || [];
+}
+
+/**
+ * Save the widget order of a form (undoable)
+ * @param {CardOrder} order - Card IDs in display order
+ * @param {string} [formName] - Defaults to the current form
+ * @param {LayoutProfile} [profile] - Defaults to the current profile
+ */
+export function saveWidgetOrder(order, formName = currentFormName, profile = currentProfile) {
+    const previous = JSON.stringify(readWidgetOrder(formName, profile));
+    const next = JSON.stringify(order);
+    writeWidgetOrder(formName, profile, order);
+    
+    if (next !== previous) {
+        recordLayoutChange(
+            () => writeWidgetOrder(formName, profile, JSON.parse(previous)),
+            () => writeWidgetOrder(formName, profile, JSON.parse(next))
+        );
+    }
+}
+
+/**
+ * Read the column counts of all forms
+ * @returns {Object.<string, Object.<string, GridColumns>>} Keyed by layout profile, then form name
+ */
+function readAllGridColumns() {
     // Try workflow settings first
     const workflowSettings = getWorkflowSettings();
-    if (workflowSettings._order && Array.isArray(workflowSettings._order)) {
-        return workflowSettings._order;
+    if (workflowSettings._gridColumns) {
+        return /** @type {Object.<string, Object.<string, GridColumns>>} */ (workflowSettings._gridColumns);
     }
     
-    // Fall back to localStorage
+    // Fall back to localStorage - a workflow with settings keeps the stylesheet's columns instead
+    if (findSettingsNode()) return {};
     try {
-        const stored = localStorage.getItem('MobileForm.widgetOrder');
+        const stored = localStorage.getItem('MobileForm.gridColumns');
         if (stored) return JSON.parse(stored);
     } catch(e) {}
     
-    return [];
+    return {};
 }
 
 /**
- * Save the widget order
- * @param {number[]} order - Array of node IDs in display order
+ * Write the column counts of a form in a layout profile
+ * @param {string} formName
+ * @param {LayoutProfile} profile
+ * @param {GridColumns | null} columns - null removes them
  */
-export function saveWidgetOrder(order) {
+function writeGridColumns(formName, profile, columns) {
+    const allColumns = readAllGridColumns();
+    const forms = { ...allColumns[profile] };
+    if (columns) {
+        forms[formName] = columns;
+    } else {
+        delete forms[formName];
+    }
+    allColumns[profile] = forms;
+    
     // Always save to localStorage as backup
     try {
-        localStorage.setItem('MobileForm.widgetOrder', JSON.stringify(order));
+        localStorage.setItem('MobileForm.gridColumns', JSON.stringify(allColumns));
     } catch(e) {}
     
+    // Save to workflow node if present
+    if (findSettingsNode()) {
+        const allSettings = getWorkflowSettings();
+        allSettings._gridColumns = allColumns;
+        saveWorkflowSettings(allSettings);
+    }
+}
+
+/**
+ * Get the column counts of the current form in the current layout profile
+ * @returns {GridColumns}
+ */
+export function getGridColumns() {
+    return readAllGridColumns()[currentProfile]?.[currentFormName] || {};
+}
+
+/**
+ * Save the column counts of a form (undoable)
+ * @param {GridColumns | null} columns - null for the stylesheet's columns
+ * @param {string} [formName] - Defaults to the current form
+ * @param {LayoutProfile} [profile] - Defaults to the current profile
+ */
+export function saveGridColumns(columns, formName = currentFormName, profile = currentProfile) {
+    const previous = JSON.stringify(readAllGridColumns()[profile]?.[formName] ?? null);
+    const next = JSON.stringify(columns);
+    writeGridColumns(formName, profile, columns);
+    
+    if (next !== previous) {
+        recordLayoutChange(
+            () => writeGridColumns(formName, profile, JSON.parse(previous)),
+            () => writeGridColumns(formName, profile, JSON.parse(next))
+        );
+    }
+}
+
+/**
+ * Copy the layout of one profile to another (one undo step) - sizes, row breaks, hidden fields,
+ * widget orders and column counts
+ * @param {LayoutProfile} from
+ * @param {LayoutProfile} to
+ */
+export function copyLayoutProfile(from, to) {
+    for (const node of currentGraph?._nodes || []) {
+        const stored = readWidgetSettings(node.id);
+        if (!stored) continue;
+        
+        const layout = pickProfileLayout(getProfileView(stored, from));
+        /** @type {WidgetSettings} */
+        let settings;
+        if (to === 'desktop') {
+            const { widgetCards, ...fields } = layout;
+            /** @type {Object.<string, any>} */
+            const copied = { ...stored };
+            for (const field of PROFILE_FIELDS) delete copied[field];
+            settings = { ...copied, ...fields };
+            if (widgetCards) {
+                settings.widgetCards = { ...stored.widgetCards };
+                for (const [name, card] of Object.entries(widgetCards)) {
+                    settings.widgetCards[name] = { ...settings.widgetCards[name], ...card };
+                }
+            }
+        } else {
+            settings = { ...stored, profiles: { ...stored.profiles, [to]: layout } };
+        }
+        saveWidgetSettings(node.id, settings, 'desktop');
+    }
+    
+    const workflowSettings = getWorkflowSettings();
+    const profileOrders = /** @type {Object.<string, Object.<string, CardOrder>>} */ (workflowSettings._profileOrders || {});
+    const formNames = new Set(['', ...Object.keys(workflowSettings._formOrders || {}), ...Object.keys(profileOrders[from] || {})]);
+    for (const formName of formNames) {
+        const order = readWidgetOrder(formName, from) || readWidgetOrder(formName, 'desktop');
+        if (order) saveWidgetOrder(order, formName, to);
+    }
+    
+    const allColumns = readAllGridColumns();
+    for (const formName of new Set([...Object.keys(allColumns[from] || {}), ...Object.keys(allColumns[to] || {})])) {
+        saveGridColumns(allColumns[from]?.[formName] ?? null, formName, to);
+    }
+}
+
+/**
+ * Get the layout of the workflow - settings of its nodes (with their identity) and the widget orders
+ * @returns {{nodes: Object.<string, WidgetSettings>, order: CardOrder | null, formOrders: Object.<string, CardOrder>,
+ *     profileOrders: Object.<string, Object.<string, CardOrder>>, gridColumns: Object.<string, Object.<string, GridColumns>>}}
+ */
+export function getLayoutSettings() {
+    /** @type {Object.<string, WidgetSettings>} */
+    const nodes = {};
+    for (const node of currentGraph?._nodes || []) {
+        const settings = readWidgetSettings(node.id);
+        if (settings) {
+            nodes[node.id] = { ...settings, identity: getNodeIdentity(node) };
+        }
+    }
+    
+    const workflowSettings = getWorkflowSettings();
+    const formOrders = /** @type {Object.<string, CardOrder>} */ (workflowSettings._formOrders || {});
+    const profileOrders = /** @type {Object.<string, Object.<string, CardOrder>>} */ (workflowSettings._profileOrders || {});
+    return {
+        nodes,
+        order: readWidgetOrder('', 'desktop'),
+        formOrders: { ...formOrders },
+        profileOrders: { ...profileOrders },
+        gridColumns: readAllGridColumns()
+    };
+}
+
+/**
+ * Get the saved value presets
+ * @returns {FormPreset[]}
+ */
+export function getFormPresets() {
+    // Try workflow settings first
+    const workflowSettings = getWorkflowSettings();
+    if (workflowSettings._presets && Array.isArray(workflowSettings._presets)) {
+        return /** @type {FormPreset[]} */ (workflowSettings._presets);
+    }
+
+    // Fall back to localStorage - presets hold node IDs, so a workflow with settings never borrows another's
+    if (findSettingsNode()) return [];
+    try {
+        const stored = localStorage.getItem('MobileForm.presets');
+        if (stored) return JSON.parse(stored);
+    } catch(e) {}
+
+    return [];
+}
+
+/**
+ * Save the value presets
+ * @param {FormPreset[]} presets - Presets in display order
+ */
+export function saveFormPresets(presets) {
+    // Always save to localStorage as backup
+    try {
+        localStorage.setItem('MobileForm.presets', JSON.stringify(presets));
+    } catch(e) {}
+
     // Save to workflow node if present
     const settingsNode = findSettingsNode();
     if (settingsNode) {
         const allSettings = getWorkflowSettings();
-        allSettings._order = order;
+        allSettings._presets = presets;
         saveWorkflowSettings(allSettings);
     }
 }
@@ -213,13 +848,18 @@ export function migrateLocalStorageToWorkflow() {
     const settingsNode = findSettingsNode();
     if (!settingsNode) return;
     
-    // Check if workflow already has settings
+    // Check if workflow already has settings (or unreadable ones, which must not be replaced)
+    const loaded = loadWorkflowSettings();
+    if (loaded?.corrupt) {
+        return;
+    }
     const existingSettings = getWorkflowSettings();
-    if (Object.keys(existingSettings).length > 1) {
+    if (Object.keys(existingSettings).filter(key => key !== '_version').length > 1) {
         return;
     }
     
     // Collect all localStorage settings
+    /** @type {AllWidgetSettings} */
     const migratedSettings = {};
     
     try {
@@ -249,6 +889,108 @@ export function migrateLocalStorageToWorkflow() {
     }
 }
 
+/**
+ * Move the workflow's settings entries to the nodes they were made for
+ * Called after a workflow is loaded, before the form is rendered.
+ * @returns {SettingsMatchReport}
+ */
+export function rematchWorkflowSettings() {
+    if (!currentGraph?._nodes || !findSettingsNode()) {
+        return { rematched: [], orphaned: [] };
+    }
+    
+    const allSettings = getWorkflowSettings();
+    const { settings, report } = matchSettingsToNodes(allSettings, currentGraph._nodes);
+    
+    // Only save when something changed, so loading alone doesn't mark the workflow modified
+    if (JSON.stringify(settings) !== JSON.stringify(allSettings)) {
+        saveWorkflowSettings(settings);
+    }
+    return report;
+}
+
+/**
+ * Check the settings document of a freshly loaded workflow
+ * Older documents are migrated in memory and written in the current schema on the next save.
+ * @returns {string[]} Problems found (empty when the settings are fine)
+ */
+export function checkWorkflowSettings() {
+    const result = loadWorkflowSettings();
+    if (!result) return [];
+    
+    const problems = [...result.problems];
+    if (result.corrupt) {
+        problems.push(t('settings.backupKept'));
+    }
+    return problems;
+}
+
+/**
+ * Show the problems found in the settings, and which entries were re-matched or orphaned, when the workflow loaded
+ * @param {SettingsMatchReport} report
+ * @param {string[]} [problems] - See checkWorkflowSettings
+ */
+export function showSettingsReport(report, problems = []) {
+    const overlay = document.createElement('div');
+    overlay.classList.add('comfy-mobile-form-dialog-overlay');
+    
+    const rematched = report.rematched.map(entry => `
+        <dt>${escapeHtml(entry.title)}</dt>
+        <dd>#${entry.from} → #${entry.to}</dd>
+    `).join('');
+    const orphaned = report.orphaned.map(entry => `
+        <dt>${escapeHtml(entry.title)}</dt>
+        <dd>#${entry.id}</dd>
+    `).join('');
+    const problemItems = problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('');
+    
+    const dialog = document.createElement('div');
+    dialog.classList.add('comfy-mobile-form-dialog');
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-label', t('settings.reportLabel'));
+    dialog.innerHTML = `
+        <div class="comfy-mobile-form-dialog-header">
+            <h3>🔗 ${t('settings.reportTitle')}</h3>
+            <button class="comfy-mobile-form-dialog-close" aria-label="${t('dialog.close')}">✕</button>
+        </div>
+        <div class="comfy-mobile-form-dialog-body">
+            ${problemItems ? `
+                <div class="comfy-mobile-form-info-section-title">${t('settings.problems')}</div>
+                <ul class="comfy-mobile-form-settings-problems">${problemItems}</ul>
+            ` : ''}
+            ${rematched || orphaned ? `
+                <div class="comfy-mobile-form-dialog-hint">${t('settings.idsChanged')}</div>
+            ` : ''}
+            ${rematched ? `
+                <div class="comfy-mobile-form-info-section-title">${t('settings.rematched')}</div>
+                <dl class="comfy-mobile-form-info-list">${rematched}</dl>
+            ` : ''}
+            ${orphaned ? `
+                <div class="comfy-mobile-form-info-section-title">${t('settings.orphaned')}</div>
+                <div class="comfy-mobile-form-dialog-hint">${t('settings.orphanedHint')}</div>
+                <dl class="comfy-mobile-form-info-list">${orphaned}</dl>
+            ` : ''}
+        </div>
+        <div class="comfy-mobile-form-dialog-footer">
+            <button class="comfy-mobile-form-dialog-btn primary" data-action="close">${t('dialog.ok')}</button>
+        </div>
+    `;
+    
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    
+    const close = () => overlay.remove();
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    dialog.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') close();
+    });
+    dialog.querySelector('.comfy-mobile-form-dialog-close')?.addEventListener('click', close);
+    dialog.querySelector('[data-action="close"]')?.addEventListener('click', close);
+    /** @type {HTMLButtonElement | null} */ (dialog.querySelector('[data-action="close"]'))?.focus();
+}
+
 /**
  * Get debug info about current settings state
  * @returns {{localStorage: number, workflow: number, hasNode: boolean}}
@@ -288,6 +1030,8 @@ function applyWidgetSettings(elem, settings) {
     } else {
         elem.dataset.color = settings.color || "default";
     }
+    
+    updateCardSpan(elem);
 }
 
 /**
@@ -323,7 +1067,7 @@ async function applyWidgetTooltip(elem, nodeId, settings) {
         // Use SVG icon for cleaner look
         const tooltipIcon = document.createElement('div');
         tooltipIcon.classList.add('comfy-mobile-form-tooltip-icon');
-        tooltipIcon.setAttribute('aria-label', 'Show tooltip');
+        tooltipIcon.setAttribute('aria-label', t('tooltip.show'));
         tooltipIcon.setAttribute('role', 'button');
         tooltipIcon.setAttribute('tabindex', '0');
         tooltipContainer.appendChild(tooltipIcon);
@@ -405,8 +1149,8 @@ function moveWidget(widgetElem, nodeId, action) {
     const container = widgetElem.parentElement;
     if (!container) return;
     
-    // Get all widgets in current DOM order
-    const widgets = Array.from(container.querySelectorAll('.comfy-mobile-form-widget'));
+    // Get all widgets in current DOM order (not those of nested sections)
+    const widgets = Array.from(container.querySelectorAll(':scope > .comfy-mobile-form-widget'));
     const currentIndex = widgets.indexOf(widgetElem);
     
     if (currentIndex === -1) return;
@@ -435,24 +1179,18 @@ function moveWidget(widgetElem, nodeId, action) {
     // Move the element in the DOM
     if (newIndex === 0) {
         container.insertBefore(widgetElem, widgets[0]);
-    } else if (newIndex >= widgets.length - 1) {
-        container.appendChild(widgetElem);
     } else if (newIndex < currentIndex) {
         container.insertBefore(widgetElem, widgets[newIndex]);
     } else {
-        // Moving down - insert after the target
-        const targetWidget = widgets[newIndex];
-        if (targetWidget.nextSibling) {
-            container.insertBefore(widgetElem, targetWidget.nextSibling);
-        } else {
-            container.appendChild(widgetElem);
-        }
+        // Moving down - insert after the target (nested sections stay below the widgets)
+        widgets[newIndex].after(widgetElem);
     }
     
-    // Update and save the new order
-    const newOrder = Array.from(container.querySelectorAll('.comfy-mobile-form-widget'))
-        .map(w => parseInt(/** @type {HTMLElement} */(w).dataset.nodeId || '0', 10))
-        .filter(id => id > 0);
+    // Update and save the new order (of the whole form, across sections)
+    const form = widgetElem.closest('.comfy-mobile-form-inputs') || container;
+    const newOrder = /** @type {HTMLElement[]} */ (Array.from(form.querySelectorAll('.comfy-mobile-form-widget')))
+        .filter(w => parseInt(w.dataset.nodeId || '0', 10) > 0)
+        .map(w => getCardId(parseInt(w.dataset.nodeId || '0', 10), w.dataset.cardWidget));
     
     saveWidgetOrder(newOrder);
 }
@@ -481,14 +1219,21 @@ async function toggleNodeBypass(nodeId, widgetElem) {
     if (!node) return false;
     
     // mode = 0 is active, mode = 4 is bypassed
-    const isBypassed = node.mode === 4;
-    node.mode = isBypassed ? 0 : 4;
+    const previousMode = node.mode;
+    const mode = previousMode === 4 ? 0 : 4;
+    node.mode = mode;
+    recordLayoutChange(() => {
+        node.mode = previousMode;
+        app.graph.setDirtyCanvas(true, true);
+    }, () => {
+        node.mode = mode;
+        app.graph.setDirtyCanvas(true, true);
+    });
     
-    // Update widget appearance
-    if (node.mode === 4) {
-        widgetElem.classList.add('bypassed');
-    } else {
-        widgetElem.classList.remove('bypassed');
+    // Update widget appearance (of every card of the node)
+    const cards = widgetElem.closest('.comfy-mobile-form-inputs')?.querySelectorAll(`.comfy-mobile-form-widget[data-node-id="${nodeId}"]`) || [widgetElem];
+    for (const card of cards) {
+        card.classList.toggle('bypassed', node.mode === 4);
     }
     
     // Trigger graph change to update the canvas
@@ -497,6 +1242,22 @@ async function toggleNodeBypass(nodeId, widgetElem) {
     return node.mode === 4;
 }
 
+/**
+ * Rename a node from the form (undoable)
+ * @param {ComfyUIGraphNode} node 
+ * @param {string} title 
+ */
+function renameNode(node, title) {
+    const previousTitle = node.title;
+    const setTitle = (/** @type {string} */ value) => {
+        node.title = value;
+        // Trigger graph change to save
+        currentGraph?.setDirtyCanvas?.(true, true);
+    };
+    setTitle(title);
+    recordLayoutChange(() => setTitle(previousTitle), () => setTitle(title));
+}
+
 /**
  * Check if a node is bypassed
  * @param {number} nodeId 
@@ -552,7 +1313,7 @@ async function getNodeDefaultTooltip(nodeId) {
  * @param {string} text 
  * @returns {string}
  */
-function escapeHtml(text) {
+export function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
@@ -589,22 +1350,22 @@ async function showTooltipEditDialog(nodeId, currentTooltip, onSave) {
     dialog.classList.add('comfy-mobile-form-dialog');
     dialog.innerHTML = `
         <div class="comfy-mobile-form-dialog-header">
-            <h3>Edit Tooltip</h3>
-            <button class="comfy-mobile-form-dialog-close" aria-label="Close dialog">✕</button>
+            <h3>${t('tooltip.title')}</h3>
+            <button class="comfy-mobile-form-dialog-close" aria-label="${t('dialog.close')}">✕</button>
         </div>
         <div class="comfy-mobile-form-dialog-body">
             <label class="comfy-mobile-form-dialog-label">
-                Custom tooltip/hint for this widget:
+                ${t('tooltip.label')}
             </label>
             <textarea class="comfy-mobile-form-dialog-textarea" rows="3" placeholder="${escapedDefault}">${escapedCurrent}</textarea>
             <div class="comfy-mobile-form-dialog-hint">
-                Leave empty to use the default: "${escapedDefault}"
+                ${t('tooltip.default', { tooltip: escapedDefault })}
             </div>
         </div>
         <div class="comfy-mobile-form-dialog-footer">
-            <button class="comfy-mobile-form-dialog-btn secondary" data-action="reset">Reset to Default</button>
-            <button class="comfy-mobile-form-dialog-btn secondary" data-action="cancel">Cancel</button>
-            <button class="comfy-mobile-form-dialog-btn primary" data-action="save">Save</button>
+            <button class="comfy-mobile-form-dialog-btn secondary" data-action="reset">${t('tooltip.reset')}</button>
+            <button class="comfy-mobile-form-dialog-btn secondary" data-action="cancel">${t('dialog.cancel')}</button>
+            <button class="comfy-mobile-form-dialog-btn primary" data-action="save">${t('dialog.save')}</button>
         </div>
     `;
     
@@ -648,13 +1409,447 @@ async function showTooltipEditDialog(nodeId, currentTooltip, onSave) {
     });
 }
 
+/**
+ * Split a widget out of its node's card, or merge it back
+ * A split card starts out with the node card's layout.
+ * @param {number} nodeId 
+ * @param {string} widgetName 
+ * @param {boolean} split 
+ */
+function setWidgetSplit(nodeId, widgetName, split) {
+    const settings = getWidgetSettings(nodeId);
+    const splitWidgets = (settings.splitWidgets || []).filter(name => name !== widgetName);
+    
+    if (split) {
+        splitWidgets.push(widgetName);
+        if (!settings.widgetCards?.[widgetName]) {
+            settings.widgetCards = {
+                ...settings.widgetCards,
+                [widgetName]: { width: settings.width, height: settings.height, color: settings.color, break: "false" }
+            };
+        }
+    }
+    
+    if (splitWidgets.length > 0) {
+        settings.splitWidgets = splitWidgets;
+    } else {
+        delete settings.splitWidgets;
+    }
+    saveWidgetSettings(nodeId, settings);
+    notifyVisibilityChanged(nodeId);
+}
+
+/**
+ * Ask the form to re-render after a widget's visibility settings changed
+ * @param {number} nodeId 
+ */
+function notifyVisibilityChanged(nodeId) {
+    const formContainer = document.querySelector('.comfy-mobile-form');
+    if (formContainer) {
+        formContainer.dispatchEvent(new CustomEvent('mf-widget-visibility-changed', { 
+            bubbles: true, 
+            detail: { nodeId } 
+        }));
+    }
+}
+
+/**
+ * Get the widgets in the form that can control a visibility rule
+ * @returns {Array<{node: ComfyUIGraphNode, widget: ComfyUIGraphWidget}>}
+ */
+function getRuleSourceWidgets() {
+    /** @type {Array<{node: ComfyUIGraphNode, widget: ComfyUIGraphWidget}>} */
+    const sources = [];
+    if (!currentGraph) return sources;
+    
+    // A node with split-out widgets has several cards
+    const nodeIds = new Set([...document.querySelectorAll('.comfy-mobile-form-inputs .comfy-mobile-form-widget[data-node-id]')]
+        .map(elem => parseInt(/** @type {HTMLElement} */ (elem).dataset.nodeId || '', 10)));
+    for (const nodeId of nodeIds) {
+        const node = currentGraph.getNodeById(nodeId);
+        for (const widget of node?.widgets || []) {
+            if (widget.hidden || widget.type === 'converted-widget' || widget.type === 'button') continue;
+            if (widget.name?.startsWith('_')) continue;
+            sources.push({ node, widget });
+        }
+    }
+    return sources;
+}
+
+/**
+ * Get the widgets of a card that can be given a visibility rule
+ * @param {HTMLElement} widgetElem
+ * @param {ComfyUIGraphNode | null} node
+ * @returns {string[]}
+ */
+function getRuleTargets(widgetElem, node) {
+    const cardWidget = widgetElem.dataset.cardWidget;
+    if (cardWidget) return [cardWidget];
+    
+    const fields = [...widgetElem.querySelectorAll('.comfy-mobile-form-widget-wrapper[data-widget-name]')]
+        .map(wrapper => /** @type {HTMLElement} */ (wrapper).dataset.widgetName || '');
+    if (fields.length > 0) return [...new Set(fields)];
+    
+    // Cards that don't render their fields separately (e.g. primitives)
+    const settings = node ? getWidgetSettings(node.id) : {};
+    return (node?.widgets || [])
+        .filter(w => !w.hidden && w.type !== 'converted-widget' && w.type !== 'button' && !w.name?.startsWith('_'))
+        .filter(w => !settings.splitWidgets?.includes(w.name))
+        .map(w => w.name);
+}
+
+/**
+ * Show the visibility rule editor for the widgets of a card
+ * @param {number} nodeId
+ * @param {string[]} targets - Widgets of the card that can be given a rule
+ * @param {(widgetName: string, rule: VisibilityRule | null) => void} onSave - Called with null when the rule is removed
+ */
+function showVisibilityRuleDialog(nodeId, targets, onSave) {
+    const sources = getRuleSourceWidgets();
+    const rules = getWidgetSettings(nodeId).visibilityRules || {};
+    const initialTarget = targets.find(name => rules[name]) || targets[0];
+    // The widget the rule is for is among the sources, but can't control itself
+    const canEdit = targets.length > 0 && sources.length > 1;
+    
+    const overlay = document.createElement('div');
+    overlay.classList.add('comfy-mobile-form-dialog-overlay');
+    
+    const dialog = document.createElement('div');
+    dialog.classList.add('comfy-mobile-form-dialog', 'comfy-mobile-form-rule-dialog');
+    dialog.innerHTML = `
+        <div class="comfy-mobile-form-dialog-header">
+            <h3>${t('rule.title')}</h3>
+            <button class="comfy-mobile-form-dialog-close" aria-label="${t('dialog.close')}">✕</button>
+        </div>
+        <div class="comfy-mobile-form-dialog-body">
+            ${targets.length > 1 ? `
+                <label class="comfy-mobile-form-dialog-label">${t('rule.target')}</label>
+                <select class="comfy-mobile-form-select" data-field="target">
+                    ${targets.map(name => `
+                        <option value="${escapeHtml(name)}">${escapeHtml(name)}${rules[name] ? ' ✓' : ''}</option>
+                    `).join('')}
+                </select>
+            ` : ''}
+            ${!canEdit ? `
+                <div class="comfy-mobile-form-dialog-hint">${targets.length === 0 ? t('rule.noTargets') : t('rule.noSources')}</div>
+            ` : `
+                <label class="comfy-mobile-form-dialog-label">${t('rule.widgetShould')}</label>
+                <select class="comfy-mobile-form-select" data-field="action">
+                    <option value="show">${t('rule.showWhen')}</option>
+                    <option value="hide">${t('rule.hideWhen')}</option>
+                </select>
+                <label class="comfy-mobile-form-dialog-label">${t('rule.field')}</label>
+                <select class="comfy-mobile-form-select" data-field="source">
+                    ${sources.map(({ node, widget }, i) => `
+                        <option value="${i}">${escapeHtml(`${node.title || node.type} › ${widget.name}`)}</option>
+                    `).join('')}
+                </select>
+                <div class="comfy-mobile-form-rule-condition">
+                    <select class="comfy-mobile-form-select" data-field="operator"></select>
+                    <span class="comfy-mobile-form-rule-value"></span>
+                </div>
+                <div class="comfy-mobile-form-dialog-hint">
+                    ${t('rule.hint')}
+                </div>
+            `}
+        </div>
+        <div class="comfy-mobile-form-dialog-footer">
+            <button class="comfy-mobile-form-dialog-btn danger" data-action="remove" hidden>${t('rule.remove')}</button>
+            <button class="comfy-mobile-form-dialog-btn secondary" data-action="cancel">${t('dialog.cancel')}</button>
+            <button class="comfy-mobile-form-dialog-btn primary" data-action="save" ${canEdit ? '' : 'disabled'}>${t('dialog.save')}</button>
+        </div>
+    `;
+    
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    
+    const close = () => overlay.remove();
+    
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    dialog.querySelector('.comfy-mobile-form-dialog-close')?.addEventListener('click', close);
+    dialog.querySelector('[data-action="cancel"]')?.addEventListener('click', close);
+    
+    const targetSelect = /** @type {HTMLSelectElement | null} */ (dialog.querySelector('[data-field="target"]'));
+    const getTarget = () => targetSelect?.value ?? initialTarget;
+    const removeBtn = /** @type {HTMLButtonElement} */ (dialog.querySelector('[data-action="remove"]'));
+    removeBtn.addEventListener('click', () => {
+        onSave(getTarget(), null);
+        close();
+    });
+    
+    if (!canEdit) {
+        removeBtn.hidden = !rules[getTarget()];
+        targetSelect?.addEventListener('change', () => removeBtn.hidden = !rules[getTarget()]);
+        return;
+    }
+    
+    const actionSelect = /** @type {HTMLSelectElement} */ (dialog.querySelector('[data-field="action"]'));
+    const sourceSelect = /** @type {HTMLSelectElement} */ (dialog.querySelector('[data-field="source"]'));
+    const operatorSelect = /** @type {HTMLSelectElement} */ (dialog.querySelector('[data-field="operator"]'));
+    const valueContainer = /** @type {HTMLElement} */ (dialog.querySelector('.comfy-mobile-form-rule-value'));
+    
+    /** @type {HTMLInputElement | HTMLSelectElement | null} */
+    let valueInput = null;
+    
+    /**
+     * Rebuild the operator and value controls for the selected field
+     * @param {VisibilityRule} [rule] - Rule to pre-fill
+     */
+    const updateCondition = (rule) => {
+        const { widget } = sources[parseInt(sourceSelect.value, 10)] || {};
+        if (!widget) return;
+        const isToggle = widget.type === 'toggle' || typeof widget.value === 'boolean';
+        
+        /** @type {VisibilityOperator[]} */
+        const allowed = isToggle ? ['on', 'off'] : ['equals', 'notEquals'];
+        operatorSelect.innerHTML = VISIBILITY_OPERATORS
+            .filter(o => allowed.includes(o.value))
+            .map(o => `<option value="${o.value}">${o.label}</option>`)
+            .join('');
+        if (rule && allowed.includes(rule.operator)) operatorSelect.value = rule.operator;
+        
+        valueContainer.innerHTML = '';
+        valueInput = null;
+        if (isToggle) return;
+        
+        let values = widget.options?.values;
+        if (typeof values === 'function') values = values();
+        
+        if (widget.type === 'combo' && Array.isArray(values)) {
+            const select = document.createElement('select');
+            select.classList.add('comfy-mobile-form-select');
+            select.replaceChildren(...values.map(value => {
+                const option = document.createElement('option');
+                option.value = String(value);
+                option.textContent = String(value);
+                return option;
+            }));
+            valueInput = select;
+        } else {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.classList.add('comfy-mobile-form-rename-input');
+            input.placeholder = t('rule.value');
+            valueInput = input;
+        }
+        valueInput.value = String(rule?.value ?? widget.value ?? '');
+        valueContainer.appendChild(valueInput);
+    };
+    
+    /**
+     * Fill the editor with the rule of the selected widget
+     * A widget can't control its own visibility, so it isn't offered as a field.
+     */
+    const showTarget = () => {
+        const target = getTarget();
+        const currentRule = rules[target];
+        removeBtn.hidden = !currentRule;
+        
+        sourceSelect.querySelectorAll('option').forEach(option => {
+            const { node, widget } = sources[parseInt(option.value, 10)];
+            option.disabled = node.id === nodeId && widget.name === target;
+        });
+        const currentIndex = currentRule
+            ? sources.findIndex(({ node, widget }) => node.id === currentRule.nodeId && widget.name === currentRule.widget)
+            : -1;
+        actionSelect.value = currentRule?.action || 'show';
+        const selected = currentIndex !== -1 ? currentIndex : sources.findIndex((_, i) => !sourceSelect.options[i].disabled);
+        sourceSelect.value = String(selected);
+        updateCondition(currentIndex !== -1 ? currentRule : undefined);
+    };
+    showTarget();
+    
+    targetSelect?.addEventListener('change', showTarget);
+    sourceSelect.addEventListener('change', () => updateCondition());
+    
+    dialog.querySelector('[data-action="save"]')?.addEventListener('click', () => {
+        const source = sources[parseInt(sourceSelect.value, 10)];
+        if (!source) return;
+        const { node, widget } = source;
+        /** @type {VisibilityRule} */
+        const rule = {
+            action: /** @type {'show' | 'hide'} */ (actionSelect.value),
+            nodeId: node.id,
+            widget: widget.name,
+            operator: /** @type {VisibilityOperator} */ (operatorSelect.value)
+        };
+        if (valueInput) rule.value = valueInput.value;
+        
+        onSave(getTarget(), rule);
+        close();
+    });
+}
+
+/** Widget types that are checked as numbers */
+const NUMERIC_WIDGET_TYPES = ['number', 'float', 'int', 'slider', 'seed'];
+
+/**
+ * Show the validation editor for a node's fields
+ * @param {number} nodeId 
+ * @param {(validation: Object.<string, WidgetValidation>) => void} onSave 
+ */
+function showValidationDialog(nodeId, onSave) {
+    const node = currentGraph?.getNodeById(nodeId);
+    /** @type {ComfyUIGraphWidget[]} */
+    const widgets = (node?.widgets || []).filter((/** @type {ComfyUIGraphWidget} */ w) => 
+        !w.hidden && w.type !== 'converted-widget' && w.type !== 'button' && !w.name?.startsWith('_')
+    );
+    
+    // Work on a copy so Cancel discards every change
+    /** @type {Object.<string, WidgetValidation>} */
+    const working = JSON.parse(JSON.stringify(getWidgetSettings(nodeId).validation || {}));
+    
+    const overlay = document.createElement('div');
+    overlay.classList.add('comfy-mobile-form-dialog-overlay');
+    
+    const dialog = document.createElement('div');
+    dialog.classList.add('comfy-mobile-form-dialog', 'comfy-mobile-form-validation-dialog');
+    dialog.innerHTML = `
+        <div class="comfy-mobile-form-dialog-header">
+            <h3>${t('validation.title')}</h3>
+            <button class="comfy-mobile-form-dialog-close" aria-label="${t('dialog.close')}">✕</button>
+        </div>
+        <div class="comfy-mobile-form-dialog-body">
+            ${widgets.length === 0 ? `
+                <div class="comfy-mobile-form-dialog-hint">${t('validation.noFields')}</div>
+            ` : `
+                <label class="comfy-mobile-form-dialog-label">${t('validation.field')}</label>
+                <select class="comfy-mobile-form-select" data-field="widget">
+                    ${widgets.map((w, i) => `<option value="${i}">${escapeHtml(w.name)}</option>`).join('')}
+                </select>
+                <label class="comfy-mobile-form-validation-check">
+                    <input type="checkbox" data-field="required">
+                    <span>${t('validation.required')}</span>
+                </label>
+                <label class="comfy-mobile-form-validation-check" data-row="upload">
+                    <input type="checkbox" data-field="upload">
+                    <span>${t('validation.upload')}</span>
+                </label>
+                <div class="comfy-mobile-form-validation-range">
+                    <input type="number" step="any" class="comfy-mobile-form-rename-input" data-field="min" placeholder="${t('validation.min')}" aria-label="${t('validation.minimum')}">
+                    <input type="number" step="any" class="comfy-mobile-form-rename-input" data-field="max" placeholder="${t('validation.max')}" aria-label="${t('validation.maximum')}">
+                </div>
+                <input type="text" class="comfy-mobile-form-rename-input" data-field="pattern" placeholder="${t('validation.patternPlaceholder', { example: '^\\d+x\\d+$' })}" aria-label="${t('validation.pattern')}">
+                <input type="text" class="comfy-mobile-form-rename-input" data-field="message" placeholder="${t('validation.messagePlaceholder')}" aria-label="${t('validation.message')}">
+                <div class="comfy-mobile-form-dialog-hint">
+                    ${t('validation.hint')}
+                </div>
+            `}
+        </div>
+        <div class="comfy-mobile-form-dialog-footer">
+            <button class="comfy-mobile-form-dialog-btn secondary" data-action="cancel">${t('dialog.cancel')}</button>
+            <button class="comfy-mobile-form-dialog-btn primary" data-action="save" ${widgets.length === 0 ? 'disabled' : ''}>${t('dialog.save')}</button>
+        </div>
+    `;
+    
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    
+    const close = () => overlay.remove();
+    
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    dialog.querySelector('.comfy-mobile-form-dialog-close')?.addEventListener('click', close);
+    dialog.querySelector('[data-action="cancel"]')?.addEventListener('click', close);
+    
+    if (widgets.length === 0) return;
+    
+    const widgetSelect = /** @type {HTMLSelectElement} */ (dialog.querySelector('[data-field="widget"]'));
+    const requiredInput = /** @type {HTMLInputElement} */ (dialog.querySelector('[data-field="required"]'));
+    const uploadInput = /** @type {HTMLInputElement} */ (dialog.querySelector('[data-field="upload"]'));
+    const uploadRow = /** @type {HTMLElement} */ (dialog.querySelector('[data-row="upload"]'));
+    const minInput = /** @type {HTMLInputElement} */ (dialog.querySelector('[data-field="min"]'));
+    const maxInput = /** @type {HTMLInputElement} */ (dialog.querySelector('[data-field="max"]'));
+    const patternInput = /** @type {HTMLInputElement} */ (dialog.querySelector('[data-field="pattern"]'));
+    const messageInput = /** @type {HTMLInputElement} */ (dialog.querySelector('[data-field="message"]'));
+    const rangeRow = /** @type {HTMLElement} */ (dialog.querySelector('.comfy-mobile-form-validation-range'));
+    
+    let current = widgets[0];
+    
+    // Store the inputs for the selected widget in the working copy
+    const storeCurrent = () => {
+        /** @type {WidgetValidation} */
+        const rules = {};
+        if (requiredInput.checked) rules.required = true;
+        if (!uploadRow.hidden && uploadInput.checked) rules.upload = true;
+        if (minInput.value !== '' && Number.isFinite(Number(minInput.value))) rules.min = Number(minInput.value);
+        if (maxInput.value !== '' && Number.isFinite(Number(maxInput.value))) rules.max = Number(maxInput.value);
+        if (patternInput.value.trim()) rules.pattern = patternInput.value.trim();
+        if (messageInput.value.trim()) rules.message = messageInput.value.trim();
+        
+        // A message alone doesn't constrain anything
+        const { message, ...constraints } = rules;
+        if (Object.keys(constraints).length > 0) {
+            working[current.name] = rules;
+        } else {
+            delete working[current.name];
+        }
+    };
+    
+    // Show the working rules of the selected widget
+    const loadCurrent = () => {
+        const rules = working[current.name] || {};
+        const numeric = NUMERIC_WIDGET_TYPES.includes(current.type) || typeof current.value === 'number';
+        
+        requiredInput.checked = !!rules.required;
+        uploadInput.checked = !!rules.upload;
+        uploadRow.hidden = !canRequireUpload(current);
+        minInput.value = rules.min !== undefined ? String(rules.min) : '';
+        maxInput.value = rules.max !== undefined ? String(rules.max) : '';
+        patternInput.value = rules.pattern || '';
+        messageInput.value = rules.message || '';
+        
+        rangeRow.hidden = !numeric;
+        patternInput.hidden = numeric;
+        patternInput.classList.remove('invalid');
+    };
+    
+    // Flag regexes that don't compile
+    patternInput.addEventListener('input', () => {
+        let valid = true;
+        try {
+            new RegExp(patternInput.value);
+        } catch (e) {
+            valid = false;
+        }
+        patternInput.classList.toggle('invalid', !valid);
+    });
+    
+    widgetSelect.addEventListener('change', () => {
+        storeCurrent();
+        current = widgets[parseInt(widgetSelect.value, 10)];
+        loadCurrent();
+    });
+    
+    dialog.querySelector('[data-action="save"]')?.addEventListener('click', () => {
+        if (patternInput.classList.contains('invalid')) {
+            patternInput.focus();
+            return;
+        }
+        storeCurrent();
+        onSave(working);
+        close();
+    });
+    
+    // Start on the first field that already has rules
+    const firstValidated = widgets.findIndex(w => working[w.name]);
+    if (firstValidated > 0) {
+        widgetSelect.value = String(firstValidated);
+        current = widgets[firstValidated];
+    }
+    loadCurrent();
+}
+
 /**
  * Show a confirmation dialog
  * @param {Object} options 
  * @param {string} options.title - Dialog title
  * @param {string} options.message - Confirmation message
- * @param {string} [options.confirmText='Confirm'] - Confirm button text
- * @param {string} [options.cancelText='Cancel'] - Cancel button text
+ * @param {string} [options.confirmText] - Confirm button text (default "Confirm")
+ * @param {string} [options.cancelText] - Cancel button text (default "Cancel")
  * @param {'danger' | 'warning' | 'info'} [options.type='warning'] - Dialog type for styling
  * @param {string} [options.icon] - Optional icon emoji
  * @returns {Promise<boolean>} - Resolves true if confirmed, false if cancelled
@@ -664,8 +1859,8 @@ export function showConfirmDialog(options) {
         const { 
             title, 
             message, 
-            confirmText = 'Confirm', 
-            cancelText = 'Cancel',
+            confirmText = t('dialog.confirm'), 
+            cancelText = t('dialog.cancel'),
             type = 'warning',
             icon = type === 'danger' ? '⚠️' : type === 'warning' ? '❓' : 'ℹ️'
         } = options;
@@ -684,7 +1879,7 @@ export function showConfirmDialog(options) {
         dialog.innerHTML = `
             <div class="comfy-mobile-form-dialog-header">
                 <h3 id="confirm-dialog-title">${icon} ${escapeHtml(title)}</h3>
-                <button class="comfy-mobile-form-dialog-close" aria-label="Close dialog">✕</button>
+                <button class="comfy-mobile-form-dialog-close" aria-label="${t('dialog.close')}">✕</button>
             </div>
             <div class="comfy-mobile-form-dialog-body">
                 <p class="comfy-mobile-form-confirm-message">${escapeHtml(message)}</p>
@@ -762,7 +1957,11 @@ export function showConfirmDialog(options) {
 async function showContextMenu(widgetElem, nodeId, x, y) {
     closeContextMenu();
     
-    const settings = getWidgetSettings(nodeId);
+    // Split-out cards have their own layout; rules and validation stay with the node
+    const cardWidget = widgetElem.dataset.cardWidget;
+    const settings = getCardSettings(nodeId, cardWidget);
+    const nodeSettings = getWidgetSettings(nodeId);
+    const saveLayout = () => saveCardSettings(nodeId, cardWidget, settings);
     const bypassed = await isNodeBypassed(nodeId);
     
     const menu = document.createElement('div');
@@ -775,8 +1974,8 @@ async function showContextMenu(widgetElem, nodeId, x, y) {
     const bypassItem = document.createElement('div');
     bypassItem.classList.add('comfy-mobile-form-context-menu-item');
     if (bypassed) bypassItem.classList.add('active');
-    bypassItem.innerHTML = `<span class="check-icon">${bypassed ? '✓' : ''}</span>Bypass Node`;
-    bypassItem.title = 'Skip this node during execution. The node will be greyed out and its inputs disabled.';
+    bypassItem.innerHTML = `<span class="check-icon">${bypassed ? '✓' : ''}</span>${t('menu.bypass')}`;
+    bypassItem.title = t('menu.bypassHint');
     bypassItem.addEventListener('click', async () => {
         await toggleNodeBypass(nodeId, widgetElem);
         closeContextMenu();
@@ -791,11 +1990,11 @@ async function showContextMenu(widgetElem, nodeId, x, y) {
     const breakItem = document.createElement('div');
     breakItem.classList.add('comfy-mobile-form-context-menu-item');
     if (settings.break === "true") breakItem.classList.add('active');
-    breakItem.innerHTML = `<span class="check-icon">${settings.break === "true" ? '✓' : ''}</span>New Row Before`;
-    breakItem.title = 'Force this widget to start on a new row, even if there\'s room in the previous row.';
+    breakItem.innerHTML = `<span class="check-icon">${settings.break === "true" ? '✓' : ''}</span>${t('menu.newRow')}`;
+    breakItem.title = t('menu.newRowHint');
     breakItem.addEventListener('click', () => {
         settings.break = settings.break === "true" ? "false" : "true";
-        saveWidgetSettings(nodeId, settings);
+        saveLayout();
         applyWidgetSettings(widgetElem, settings);
         closeContextMenu();
     });
@@ -805,25 +2004,25 @@ async function showContextMenu(widgetElem, nodeId, x, y) {
     // Width section
     const widthSection = document.createElement('div');
     widthSection.classList.add('comfy-mobile-form-context-menu-section');
-    widthSection.innerHTML = `<div class="comfy-mobile-form-context-menu-label">Width</div>`;
+    widthSection.innerHTML = `<div class="comfy-mobile-form-context-menu-label">${t('menu.width')}</div>`;
     
+    // One option per column of the card's grid - wider cards fill the row
+    const columns = getCardColumns(widgetElem);
+    const currentWidth = String(Math.min(Number(settings.width) || 1, columns));
     /** @type {{value: string, label: string, tooltip: string}[]} */
-    const widthOptions = [
-        { value: "1", label: "1 Column", tooltip: "Widget takes up 1/4 of the row width" },
-        { value: "2", label: "2 Columns", tooltip: "Widget takes up 2/4 (half) of the row width" },
-        { value: "3", label: "3 Columns", tooltip: "Widget takes up 3/4 of the row width" },
-        { value: "4", label: "Full Row", tooltip: "Widget takes up the entire row" }
-    ];
+    const widthOptions = Array.from({ length: columns }, (_, i) => i + 1).map(count => count === columns
+        ? { value: String(count), label: t('menu.width.full'), tooltip: t('menu.width.fullHint') }
+        : { value: String(count), label: t('menu.width.columns', { count }), tooltip: t('menu.width.hint', { count, columns }) });
     
     for (const opt of widthOptions) {
         const item = document.createElement('div');
         item.classList.add('comfy-mobile-form-context-menu-item');
-        if (settings.width === opt.value) item.classList.add('active');
-        item.innerHTML = `<span class="check-icon">${settings.width === opt.value ? '✓' : ''}</span>${opt.label}`;
+        if (currentWidth === opt.value) item.classList.add('active');
+        item.innerHTML = `<span class="check-icon">${currentWidth === opt.value ? '✓' : ''}</span>${opt.label}`;
         item.title = opt.tooltip;
         item.addEventListener('click', () => {
             settings.width = opt.value;
-            saveWidgetSettings(nodeId, settings);
+            saveLayout();
             applyWidgetSettings(widgetElem, settings);
             closeContextMenu();
         });
@@ -834,14 +2033,14 @@ async function showContextMenu(widgetElem, nodeId, x, y) {
     // Height section
     const heightSection = document.createElement('div');
     heightSection.classList.add('comfy-mobile-form-context-menu-section');
-    heightSection.innerHTML = `<div class="comfy-mobile-form-context-menu-label">Height</div>`;
+    heightSection.innerHTML = `<div class="comfy-mobile-form-context-menu-label">${t('menu.height')}</div>`;
     
     /** @type {{value: string, label: string, tooltip: string}[]} */
     const heightOptions = [
-        { value: "auto", label: "Auto", tooltip: "Height adjusts to content automatically" },
-        { value: "compact", label: "Compact", tooltip: "Fixed compact height (~80px)" },
-        { value: "medium", label: "Medium", tooltip: "Fixed medium height (~150px)" },
-        { value: "tall", label: "Tall", tooltip: "Fixed tall height (~250px) - ideal for text areas and image previews" }
+        { value: "auto", label: t('menu.height.auto'), tooltip: t('menu.height.autoHint') },
+        { value: "compact", label: t('menu.height.compact'), tooltip: t('menu.height.compactHint') },
+        { value: "medium", label: t('menu.height.medium'), tooltip: t('menu.height.mediumHint') },
+        { value: "tall", label: t('menu.height.tall'), tooltip: t('menu.height.tallHint') }
     ];
     
     for (const opt of heightOptions) {
@@ -852,7 +2051,7 @@ async function showContextMenu(widgetElem, nodeId, x, y) {
         item.title = opt.tooltip;
         item.addEventListener('click', () => {
             settings.height = opt.value;
-            saveWidgetSettings(nodeId, settings);
+            saveLayout();
             applyWidgetSettings(widgetElem, settings);
             closeContextMenu();
         });
@@ -864,7 +2063,7 @@ async function showContextMenu(widgetElem, nodeId, x, y) {
     if (widgetElem.dataset.inSection !== "true") {
         const colorSection = document.createElement('div');
         colorSection.classList.add('comfy-mobile-form-context-menu-section');
-        colorSection.innerHTML = `<div class="comfy-mobile-form-context-menu-label">Color</div>`;
+        colorSection.innerHTML = `<div class="comfy-mobile-form-context-menu-label">${t('menu.color')}</div>`;
         
         const colorsContainer = document.createElement('div');
         colorsContainer.classList.add('comfy-mobile-form-context-menu-colors');
@@ -883,7 +2082,7 @@ async function showContextMenu(widgetElem, nodeId, x, y) {
             if (settings.color === color) swatch.classList.add('active');
             swatch.addEventListener('click', () => {
                 settings.color = color;
-                saveWidgetSettings(nodeId, settings);
+                saveLayout();
                 applyWidgetSettings(widgetElem, settings);
                 closeContextMenu();
             });
@@ -899,22 +2098,27 @@ async function showContextMenu(widgetElem, nodeId, x, y) {
     
     const renameItem = document.createElement('div');
     renameItem.classList.add('comfy-mobile-form-context-menu-item');
-    renameItem.innerHTML = `<span class="check-icon">✏️</span>Rename`;
-    renameItem.title = 'Rename this widget/node';
+    renameItem.innerHTML = `<span class="check-icon">✏️</span>${t('menu.rename')}`;
+    renameItem.title = t('menu.renameHint');
     renameItem.addEventListener('click', () => {
         closeContextMenu();
         const node = currentGraph?._nodes?.find(n => n.id === nodeId);
-        if (node) {
-            const currentTitle = node.title || node.type || 'Node';
-            showRenameDialog(currentTitle, 'Node', (newTitle) => {
-                node.title = newTitle;
+        if (cardWidget) {
+            // Split-out cards keep their label in the layout (the node title is shared)
+            const cardSettings = /** @type {WidgetCardSettings} */ (settings);
+            showRenameDialog(cardSettings.label || cardWidget, t('rename.field'), (newTitle) => {
+                cardSettings.label = newTitle === cardWidget ? undefined : newTitle;
+                saveLayout();
+                const label = widgetElem.querySelector('.comfy-mobile-form-label');
+                if (label) label.textContent = newTitle;
+            });
+        } else if (node) {
+            const currentTitle = node.title || node.type;
+            showRenameDialog(currentTitle, t('rename.node'), (newTitle) => {
+                renameNode(node, newTitle);
                 // Update the label in the widget
                 const label = widgetElem.querySelector('.comfy-mobile-form-label');
                 if (label) label.textContent = newTitle;
-                // Trigger graph change to save
-                if (currentGraph) {
-                    currentGraph.setDirtyCanvas?.(true, true);
-                }
             });
         }
     });
@@ -928,36 +2132,90 @@ async function showContextMenu(widgetElem, nodeId, x, y) {
     const tooltipItem = document.createElement('div');
     tooltipItem.classList.add('comfy-mobile-form-context-menu-item');
     const hasCustomTooltip = settings.tooltip && settings.tooltip.length > 0;
-    tooltipItem.innerHTML = `<span class="check-icon">${hasCustomTooltip ? '✓' : '✏️'}</span>Edit Tooltip${hasCustomTooltip ? ' (custom)' : ''}`;
-    tooltipItem.title = 'Set a custom hint/description for this widget';
+    tooltipItem.innerHTML = `<span class="check-icon">${hasCustomTooltip ? '✓' : '✏️'}</span>${hasCustomTooltip ? t('menu.tooltipCustom') : t('menu.tooltip')}`;
+    tooltipItem.title = t('menu.tooltipHint');
     tooltipItem.addEventListener('click', () => {
         closeContextMenu();
         showTooltipEditDialog(nodeId, settings.tooltip || '', (newTooltip) => {
             settings.tooltip = newTooltip;
-            saveWidgetSettings(nodeId, settings);
+            saveLayout();
             applyWidgetTooltip(widgetElem, nodeId, settings);
         });
     });
     tooltipSection.appendChild(tooltipItem);
     menu.appendChild(tooltipSection);
     
+    // Visibility rule section
+    const ruleSection = document.createElement('div');
+    ruleSection.classList.add('comfy-mobile-form-context-menu-section');
+    
+    const ruleItem = document.createElement('div');
+    ruleItem.classList.add('comfy-mobile-form-context-menu-item');
+    const ruleTargets = getRuleTargets(widgetElem, currentGraph?.getNodeById(nodeId) || null);
+    const rules = ruleTargets.flatMap(name => nodeSettings.visibilityRules?.[name] || []);
+    ruleItem.innerHTML = `<span class="check-icon">${rules.length > 0 ? '✓' : '👁'}</span>${rules.length > 0 ? t('menu.editRule') : t('menu.addRule')}${rules.length > 1 ? ` (${rules.length})` : ''}`;
+    ruleItem.title = rules.length > 0 ? rules.map(rule => describeVisibilityRule(rule, currentGraph)).join('\n') : t('menu.ruleHint');
+    ruleItem.addEventListener('click', () => {
+        closeContextMenu();
+        showVisibilityRuleDialog(nodeId, ruleTargets, (widgetName, newRule) => {
+            const currentSettings = getWidgetSettings(nodeId);
+            const visibilityRules = { ...currentSettings.visibilityRules };
+            if (newRule) {
+                visibilityRules[widgetName] = newRule;
+            } else {
+                delete visibilityRules[widgetName];
+            }
+            if (Object.keys(visibilityRules).length > 0) {
+                currentSettings.visibilityRules = visibilityRules;
+            } else {
+                delete currentSettings.visibilityRules;
+            }
+            saveWidgetSettings(nodeId, currentSettings);
+            notifyVisibilityChanged(nodeId);
+        });
+    });
+    ruleSection.appendChild(ruleItem);
+    
+    // Validation
+    const validationItem = document.createElement('div');
+    validationItem.classList.add('comfy-mobile-form-context-menu-item');
+    const validatedCount = Object.keys(nodeSettings.validation || {}).length;
+    validationItem.innerHTML = `<span class="check-icon">${validatedCount > 0 ? '✓' : '⚠️'}</span>${t('menu.validation')}${validatedCount > 0 ? ` (${validatedCount})` : ''}`;
+    validationItem.title = t('menu.validationHint');
+    validationItem.addEventListener('click', () => {
+        closeContextMenu();
+        showValidationDialog(nodeId, (validation) => {
+            const currentSettings = getWidgetSettings(nodeId);
+            if (Object.keys(validation).length > 0) {
+                currentSettings.validation = validation;
+            } else {
+                delete currentSettings.validation;
+            }
+            saveWidgetSettings(nodeId, currentSettings);
+            // Fields that must be uploaded get the form's uploader
+            notifyVisibilityChanged(nodeId);
+        });
+    });
+    ruleSection.appendChild(validationItem);
+    menu.appendChild(ruleSection);
+    
     // Move section
     const moveSection = document.createElement('div');
     moveSection.classList.add('comfy-mobile-form-context-menu-section');
-    moveSection.innerHTML = `<div class="comfy-mobile-form-context-menu-label">Move</div>`;
+    moveSection.innerHTML = `<div class="comfy-mobile-form-context-menu-label">${t('menu.move')}</div>`;
     
     /** @type {{action: 'top' | 'up' | 'down' | 'bottom', label: string, icon: string}[]} */
     const moveOptions = [
-        { action: "top", label: "⇈ Move to Top", icon: "⇈" },
-        { action: "up", label: "↑ Move Up", icon: "↑" },
-        { action: "down", label: "↓ Move Down", icon: "↓" },
-        { action: "bottom", label: "⇊ Move to Bottom", icon: "⇊" }
+        { action: "top", label: t('menu.move.top'), icon: "⇈" },
+        { action: "up", label: t('menu.move.up'), icon: "↑" },
+        { action: "down", label: t('menu.move.down'), icon: "↓" },
+        { action: "bottom", label: t('menu.move.bottom'), icon: "⇊" }
     ];
     
     for (const opt of moveOptions) {
         const item = document.createElement('div');
         item.classList.add('comfy-mobile-form-context-menu-item');
-        item.innerHTML = `<span class="check-icon">${opt.icon}</span>${opt.label.substring(2)}`;
+        item.innerHTML = `<span class="check-icon">${opt.icon}</span>${opt.label}`;
         item.addEventListener('click', () => {
             moveWidget(widgetElem, nodeId, opt.action);
             closeContextMenu();
@@ -966,14 +2224,60 @@ async function showContextMenu(widgetElem, nodeId, x, y) {
     }
     menu.appendChild(moveSection);
     
-    // Advanced section - show/hide individual widgets within this node
     const node = currentGraph?._nodes?.find(n => n.id === nodeId);
-    if (node && Array.isArray(node.widgets) && node.widgets.length > 1) {
+    
+    // Card section - split fields into their own cards, or merge a split card back
+    if (cardWidget) {
+        const cardSection = document.createElement('div');
+        cardSection.classList.add('comfy-mobile-form-context-menu-section');
+        
+        const mergeItem = document.createElement('div');
+        mergeItem.classList.add('comfy-mobile-form-context-menu-item');
+        mergeItem.innerHTML = `<span class="check-icon">⤶</span>${t('menu.merge')}`;
+        mergeItem.title = t('menu.mergeHint', { widget: cardWidget, node: node?.title || node?.type || '' });
+        mergeItem.addEventListener('click', () => {
+            closeContextMenu();
+            setWidgetSplit(nodeId, cardWidget, false);
+        });
+        cardSection.appendChild(mergeItem);
+        menu.appendChild(cardSection);
+    } else if (node && Array.isArray(node.widgets) && node.widgets.length > 1) {
+        const splitSection = document.createElement('div');
+        splitSection.classList.add('comfy-mobile-form-context-menu-section');
+        splitSection.innerHTML = `<div class="comfy-mobile-form-context-menu-label">${t('menu.split')}</div>`;
+        
+        const splitList = document.createElement('div');
+        splitList.classList.add('comfy-mobile-form-context-menu-widget-list');
+        
+        for (const widget of node.widgets) {
+            if (widget.hidden || widget.type === 'converted-widget' || widget.name?.startsWith('_')) continue;
+            if (isWidgetHidden(nodeId, widget.name)) continue;
+            
+            const split = nodeSettings.splitWidgets?.includes(widget.name) || false;
+            const item = document.createElement('div');
+            item.classList.add('comfy-mobile-form-context-menu-item');
+            if (split) item.classList.add('active');
+            item.innerHTML = `<span class="check-icon">${split ? '✓' : ''}</span><span class="widget-name">${escapeHtml(widget.name)}</span>`;
+            item.title = split ? t('menu.split.merge', { widget: widget.name }) : t('menu.split.split', { widget: widget.name });
+            item.addEventListener('click', () => {
+                closeContextMenu();
+                setWidgetSplit(nodeId, widget.name, !split);
+            });
+            splitList.appendChild(item);
+        }
+        
+        splitSection.appendChild(splitList);
+        menu.appendChild(splitSection);
+    }
+    
+    // Advanced section - show/hide individual widgets within this node
+    if (!cardWidget && node && Array.isArray(node.widgets) && node.widgets.length > 1) {
         const advancedSection = document.createElement('div');
         advancedSection.classList.add('comfy-mobile-form-context-menu-section');
-        advancedSection.innerHTML = `<div class="comfy-mobile-form-context-menu-label">Show/Hide Fields</div>`;
+        advancedSection.innerHTML = `<div class="comfy-mobile-form-context-menu-label">${t('menu.fields')}</div>`;
         
-        const hiddenWidgets = settings.hiddenWidgets || [];
+        // The node's own card, so these are its widget settings
+        const hiddenWidgets = /** @type {WidgetSettings} */ (settings).hiddenWidgets || [];
         
         // Create scrollable container for widget toggles
         const widgetList = document.createElement('div');
@@ -988,7 +2292,7 @@ async function showContextMenu(widgetElem, nodeId, x, y) {
             item.classList.add('comfy-mobile-form-context-menu-item');
             if (!initiallyHidden) item.classList.add('active');
             item.innerHTML = `<span class="check-icon">${initiallyHidden ? '' : '✓'}</span><span class="widget-name">${widget.name}</span>`;
-            item.title = `${initiallyHidden ? 'Show' : 'Hide'} the "${widget.name}" field`;
+            item.title = t(initiallyHidden ? 'menu.fields.show' : 'menu.fields.hide', { widget: widget.name });
             item.dataset.widgetName = widget.name;
             
             item.addEventListener('click', (e) => {
@@ -1015,11 +2319,11 @@ async function showContextMenu(widgetElem, nodeId, x, y) {
                 item.classList.toggle('active', !nowHidden);
                 const checkIcon = item.querySelector('.check-icon');
                 if (checkIcon) checkIcon.textContent = nowHidden ? '' : '✓';
-                item.title = `${nowHidden ? 'Show' : 'Hide'} the "${widget.name}" field`;
+                item.title = t(nowHidden ? 'menu.fields.show' : 'menu.fields.hide', { widget: widget.name });
                 
                 // For hiding: directly hide the widget wrapper
                 // For unhiding: need to re-render since element might not exist
-                if (nowHidden) {
+                if (nowHidden && !currentSettings.splitWidgets?.includes(widget.name)) {
                     // Hiding - find and hide the wrapper
                     const widgetWrappers = widgetElem.querySelectorAll('.comfy-mobile-form-widget-wrapper');
                     widgetWrappers.forEach(wrapper => {
@@ -1029,15 +2333,9 @@ async function showContextMenu(widgetElem, nodeId, x, y) {
                         }
                     });
                 } else {
-                    // Unhiding - close menu and trigger re-render since element may not exist
+                    // Unhiding (or hiding a split-out card) - close menu and trigger re-render since element may not exist
                     closeContextMenu();
-                    const formContainer = document.querySelector('.comfy-mobile-form');
-                    if (formContainer) {
-                        formContainer.dispatchEvent(new CustomEvent('mf-widget-visibility-changed', { 
-                            bubbles: true, 
-                            detail: { nodeId } 
-                        }));
-                    }
+                    notifyVisibilityChanged(nodeId);
                 }
             });
             
@@ -1083,7 +2381,7 @@ async function showContextMenu(widgetElem, nodeId, x, y) {
 function addEditDot(elem, nodeId) {
     const dot = document.createElement('div');
     dot.classList.add('comfy-mobile-form-widget-edit-dot');
-    dot.title = 'Edit widget settings';
+    dot.title = t('menu.editDot');
     
     dot.addEventListener('click', (e) => {
         e.stopPropagation();
@@ -1273,7 +2571,7 @@ function addNodeImgsPreview(elem, node) {
         // imgs can be HTMLImageElement instances or objects with src
         const img = document.createElement('img');
         img.src = imgElement.src || imgElement;
-        img.alt = 'Preview';
+        img.alt = t('widget.preview');
         img.loading = 'lazy';
         
         // Click for fullscreen
@@ -1307,6 +2605,7 @@ function showFullscreenImage(src) {
     const closeBtn = document.createElement('button');
     closeBtn.classList.add('comfy-mobile-form-fullscreen-close');
     closeBtn.innerHTML = '✕';
+    closeBtn.setAttribute('aria-label', t('viewer.close'));
     closeBtn.addEventListener('click', () => overlay.remove());
     overlay.appendChild(closeBtn);
     
@@ -1356,7 +2655,8 @@ export function createWidgetFromNode(elem, node) {
                 addLoadedVideoPreview,
                 addNodeImagePreview,
                 addNodeImgsPreview,
-                isWidgetHidden: (widgetName) => isWidgetHidden(node.id, widgetName)
+                // Split-out widgets have cards of their own
+                isWidgetHidden: (widgetName) => isWidgetHidden(node.id, widgetName) || !!settings.splitWidgets?.includes(widgetName)
             });
             
             // Extension handlers are responsible for deciding whether to show
@@ -1416,9 +2716,11 @@ export function createWidgetFromNode(elem, node) {
                 
                 for(const widget of node.widgets) {
                     if(widget.hidden || widget.type === 'converted-widget') continue;
+                    if(settings.splitWidgets?.includes(widget.name)) continue;
                     
                     const widgetWrapper = document.createElement('div');
                     widgetWrapper.classList.add("comfy-mobile-form-widget-wrapper");
+                    widgetWrapper.dataset.widgetName = widget.name;
                     
                     addTitle(widgetWrapper, widget.name);
                     if(addWidget(widgetWrapper, widget, node)) {
@@ -1461,9 +2763,11 @@ export function createWidgetFromNode(elem, node) {
                 
                 for(const widget of node.widgets) {
                     if(widget.hidden || widget.type === 'converted-widget') continue;
+                    if(settings.splitWidgets?.includes(widget.name)) continue;
                     
                     const widgetWrapper = document.createElement('div');
                     widgetWrapper.classList.add("comfy-mobile-form-widget-wrapper");
+                    widgetWrapper.dataset.widgetName = widget.name;
                     
                     addTitle(widgetWrapper, widget.name);
                     if(addWidget(widgetWrapper, widget, node)) {
@@ -1496,9 +2800,11 @@ export function createWidgetFromNode(elem, node) {
                 
                 for(const widget of node.widgets) {
                     if(widget.hidden || widget.type === 'converted-widget') continue;
+                    if(settings.splitWidgets?.includes(widget.name)) continue;
                     
                     const widgetWrapper = document.createElement('div');
                     widgetWrapper.classList.add("comfy-mobile-form-widget-wrapper");
+                    widgetWrapper.dataset.widgetName = widget.name;
                     
                     addTitle(widgetWrapper, widget.name);
                     if(addWidget(widgetWrapper, widget, node)) {
@@ -1532,9 +2838,11 @@ export function createWidgetFromNode(elem, node) {
                     // Skip hidden widgets, converted widgets, and user-hidden widgets
                     if(widget.hidden || widget.type === 'converted-widget') continue;
                     if(isWidgetHidden(node.id, widget.name)) continue;
+                    if(settings.splitWidgets?.includes(widget.name)) continue;
                     
                     const widgetWrapper = document.createElement('div');
                     widgetWrapper.classList.add("comfy-mobile-form-widget-wrapper");
+                    widgetWrapper.dataset.widgetName = widget.name;
                     
                     addTitle(widgetWrapper, widget.name);
                     if(addWidget(widgetWrapper, widget, node)) {
@@ -1575,6 +2883,44 @@ export function createWidgetFromNode(elem, node) {
     return hasContent;
 }
 
+/**
+ * Create the card of a widget split out of its node's card
+ * @param {HTMLDivElement} elem 
+ * @param {ComfyUIGraphNode} node 
+ * @param {string} widgetName 
+ * @returns {boolean}
+ */
+export function createSplitWidgetCard(elem, node, widgetName) {
+    const widget = node.widgets?.find(w => w.name === widgetName);
+    if (!widget) return false;
+    
+    elem.classList.add("comfy-mobile-form-widget", "comfy-mobile-form-split-widget");
+    
+    // Store node ID and widget for ordering and settings
+    elem.dataset.nodeId = String(node.id);
+    elem.dataset.cardWidget = widgetName;
+    
+    // @ts-ignore - mode exists on LiteGraph nodes
+    if (node.mode === 4) {
+        elem.classList.add('bypassed');
+    }
+    
+    const settings = /** @type {WidgetCardSettings} */ (getCardSettings(node.id, widgetName));
+    applyWidgetSettings(elem, settings);
+    addEditDot(elem, node.id);
+    
+    addTitle(elem, settings.label || widgetName);
+    
+    const widgetWrapper = document.createElement('div');
+    widgetWrapper.classList.add("comfy-mobile-form-widget-wrapper");
+    widgetWrapper.dataset.widgetName = widgetName;
+    if (!addWidget(widgetWrapper, widget, node)) return false;
+    elem.appendChild(widgetWrapper);
+    
+    applyWidgetTooltip(elem, node.id, settings);
+    return true;
+}
+
 /**
  * Show inline rename editor for a title element
  * @param {HTMLElement} labelElem - The label element to rename
@@ -1622,10 +2968,10 @@ function showInlineRename(labelElem, currentTitle, onRename) {
 /**
  * Show rename dialog for a node or section
  * @param {string} currentTitle - Current title
- * @param {string} itemType - Type of item being renamed (e.g., "Node", "Section")
+ * @param {string} dialogTitle - Heading naming what is renamed (e.g. "Rename Node")
  * @param {(newTitle: string) => void} onRename - Callback when renamed
  */
-export function showRenameDialog(currentTitle, itemType, onRename) {
+export function showRenameDialog(currentTitle, dialogTitle, onRename) {
     const overlay = document.createElement('div');
     overlay.classList.add('comfy-mobile-form-dialog-overlay');
     
@@ -1633,18 +2979,18 @@ export function showRenameDialog(currentTitle, itemType, onRename) {
     dialog.classList.add('comfy-mobile-form-dialog');
     dialog.innerHTML = `
         <div class="comfy-mobile-form-dialog-header">
-            <h3>Rename ${itemType}</h3>
-            <button class="comfy-mobile-form-dialog-close" aria-label="Close dialog">✕</button>
+            <h3>${escapeHtml(dialogTitle)}</h3>
+            <button class="comfy-mobile-form-dialog-close" aria-label="${t('dialog.close')}">✕</button>
         </div>
         <div class="comfy-mobile-form-dialog-body">
             <div class="comfy-mobile-form-rename-field">
-                <label>Name</label>
-                <input type="text" class="comfy-mobile-form-rename-input" value="${escapeHtml(currentTitle)}" placeholder="Enter new name...">
+                <label>${t('rename.name')}</label>
+                <input type="text" class="comfy-mobile-form-rename-input" value="${escapeHtml(currentTitle)}" placeholder="${t('rename.placeholder')}">
             </div>
         </div>
         <div class="comfy-mobile-form-dialog-footer">
-            <button class="comfy-mobile-form-dialog-btn secondary" data-action="cancel">Cancel</button>
-            <button class="comfy-mobile-form-dialog-btn primary" data-action="rename">Rename</button>
+            <button class="comfy-mobile-form-dialog-btn secondary" data-action="cancel">${t('dialog.cancel')}</button>
+            <button class="comfy-mobile-form-dialog-btn primary" data-action="rename">${t('rename.rename')}</button>
         </div>
     `;
     
@@ -1710,16 +3056,12 @@ export function addTitle(elem, title, node) {
     // Add double-click to rename if node is provided
     if (node) {
         label_elem.style.cursor = 'text';
-        label_elem.title = 'Double-click to rename';
+        label_elem.title = t('section.renameHint');
         
         label_elem.addEventListener('dblclick', (e) => {
             e.stopPropagation();
             showInlineRename(label_elem, node.title || title, (newTitle) => {
-                node.title = newTitle;
-                // Trigger graph change to save
-                if (currentGraph) {
-                    currentGraph.setDirtyCanvas?.(true, true);
-                }
+                renameNode(node, newTitle);
             });
         });
     }
@@ -1736,6 +3078,13 @@ export function addTitle(elem, title, node) {
 export function addWidget(elem, widget, node) {
     const type = widget.type?.toLowerCase?.() || widget.type;
     
+    // Image lists whose file must be uploaded get the form's uploader under the list
+    if (type === 'combo' && node && canRequireUpload(widget) && getWidgetSettings(node.id).validation?.[widget.name]?.upload) {
+        addComboWidget(elem, /** @type {any} */ (widget));
+        addImageUploadWidget(elem, widget, node);
+        return true;
+    }
+    
     // Check extension registry for a registered widget handler first
     const registeredHandler = ExtensionRegistry.getWidgetHandler(type);
     if (registeredHandler) {
@@ -1858,7 +3207,7 @@ export function addComboWidget(elem, widget) {
     if(values.length > 10) {
         const searchInput = document.createElement('input');
         searchInput.type = 'text';
-        searchInput.placeholder = 'Search...';
+        searchInput.placeholder = t('widget.search');
         searchInput.classList.add("comfy-mobile-form-combo-search");
         
         searchInput.addEventListener('input', () => {
@@ -1931,6 +3280,7 @@ export function addNumberWidget(elem, widget) {
         input_elem.value = formatNumber(newVal, options.precision);
         widget.value = parseFloat(input_elem.value);
         widget.callback?.(widget.value);
+        notifyValueChanged(decrementBtn);
     });
     
     incrementBtn.addEventListener('click', () => {
@@ -1939,6 +3289,7 @@ export function addNumberWidget(elem, widget) {
         input_elem.value = formatNumber(newVal, options.precision);
         widget.value = parseFloat(input_elem.value);
         widget.callback?.(widget.value);
+        notifyValueChanged(incrementBtn);
     });
     
     wrapper.appendChild(decrementBtn);
@@ -2020,7 +3371,7 @@ export function addCustomTextWidget(elem, widget) {
     const textarea_elem = document.createElement('textarea');
     textarea_elem.classList.add("comfy-mobile-form-textarea");
     textarea_elem.value = widget.value || '';
-    textarea_elem.placeholder = widget.options?.dynamicPrompts ? 'Enter prompt...' : '';
+    textarea_elem.placeholder = widget.options?.dynamicPrompts ? t('widget.promptPlaceholder') : '';
     
     elem.appendChild(textarea_elem);
 
@@ -2067,7 +3418,7 @@ export function addBooleanWidget(elem, widget) {
 export function addButtonWidget(elem, widget) {
     const button = document.createElement('button');
     button.classList.add("comfy-mobile-form-button");
-    button.textContent = widget.name || 'Button';
+    button.textContent = widget.name || t('widget.button');
     button.type = 'button';
     
     elem.appendChild(button);
@@ -2138,13 +3489,13 @@ export function addSeedWidget(elem, widget) {
     const randomBtn = document.createElement('button');
     randomBtn.classList.add("comfy-mobile-form-seed-random");
     randomBtn.innerHTML = '🎲';
-    randomBtn.title = 'Random seed';
+    randomBtn.title = t('widget.randomSeed');
     randomBtn.type = 'button';
     
     const lastBtn = document.createElement('button');
     lastBtn.classList.add("comfy-mobile-form-seed-last");
     lastBtn.innerHTML = '↩';
-    lastBtn.title = 'Last seed';
+    lastBtn.title = t('widget.lastSeed');
     lastBtn.type = 'button';
     
     let lastSeed = widget.value;
@@ -2155,12 +3506,14 @@ export function addSeedWidget(elem, widget) {
         input.value = `${newSeed}`;
         widget.value = newSeed;
         widget.callback?.(widget.value);
+        notifyValueChanged(randomBtn);
     });
     
     lastBtn.addEventListener('click', () => {
         input.value = `${lastSeed}`;
         widget.value = lastSeed;
         widget.callback?.(widget.value);
+        notifyValueChanged(lastBtn);
     });
     
     input.addEventListener('change', () => {
@@ -2175,6 +3528,56 @@ export function addSeedWidget(elem, widget) {
     elem.appendChild(wrapper);
 }
 
+/** Widget types edited with the form's own uploader */
+const UPLOAD_WIDGET_TYPES = ['image', 'imageupload', 'video', 'videoupload'];
+
+/**
+ * Files uploaded with the form, by the widget they were uploaded for
+ * @type {WeakMap<ComfyUIGraphWidget, string>}
+ */
+const formUploads = new WeakMap();
+
+/**
+ * Check whether a widget holds a file uploaded with the form (rather than a default or earlier file)
+ * @param {ComfyUIGraphWidget} widget
+ * @returns {boolean}
+ */
+export function isFormUpload(widget) {
+    return formUploads.has(widget) && formUploads.get(widget) === String(widget.value);
+}
+
+/**
+ * Check whether a widget can be required to hold an uploaded file
+ * Upload widgets, and image lists such as Load Image's (they get the form's uploader once required).
+ * @param {ComfyUIGraphWidget} widget
+ * @returns {boolean}
+ */
+export function canRequireUpload(widget) {
+    const type = widget.type?.toLowerCase?.() || widget.type;
+    return UPLOAD_WIDGET_TYPES.includes(type) || (type === 'combo' && widget.name === 'image');
+}
+
+/**
+ * Add an uploaded file to the list of an image combo, and select it there
+ * @param {HTMLElement} elem - Element holding the combo and its uploader
+ * @param {ComfyUIGraphWidget} widget
+ * @param {string} name
+ */
+function addUploadToList(elem, widget, name) {
+    const values = widget.options?.values;
+    if (Array.isArray(values) && !values.includes(name)) values.push(name);
+    
+    const select = /** @type {HTMLSelectElement | null} */ (elem.querySelector('.comfy-mobile-form-combo-wrapper select'));
+    if (!select) return;
+    if (![...select.options].some(option => option.value === name)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    }
+    select.value = name;
+}
+
 /**
  * @param {HTMLDivElement} elem 
  * @param {ComfyUIGraphWidget} widget 
@@ -2191,10 +3594,10 @@ export function addImageUploadWidget(elem, widget, node) {
     if(widget.value) {
         const img = document.createElement('img');
         img.src = getImageUrl(widget.value);
-        img.alt = 'Current image';
+        img.alt = t('widget.currentImage');
         preview.appendChild(img);
     } else {
-        preview.innerHTML = '<span class="placeholder">No image selected</span>';
+        preview.innerHTML = `<span class="placeholder">${t('widget.noImage')}</span>`;
     }
     
     const inputWrapper = document.createElement('div');
@@ -2209,12 +3612,12 @@ export function addImageUploadWidget(elem, widget, node) {
     const uploadBtn = document.createElement('label');
     uploadBtn.classList.add("comfy-mobile-form-upload-btn");
     uploadBtn.htmlFor = fileInput.id;
-    uploadBtn.innerHTML = '📁 Choose File';
+    uploadBtn.innerHTML = `📁 ${t('widget.chooseFile')}`;
     
     // Camera button for mobile
     const cameraBtn = document.createElement('button');
     cameraBtn.classList.add("comfy-mobile-form-camera-btn");
-    cameraBtn.innerHTML = '📷 Camera';
+    cameraBtn.innerHTML = `📷 ${t('widget.camera')}`;
     cameraBtn.type = 'button';
     
     const cameraInput = document.createElement('input');
@@ -2228,22 +3631,25 @@ export function addImageUploadWidget(elem, widget, node) {
     const handleFile = async (file) => {
         if(!file) return;
         
-        preview.innerHTML = '<span class="loading">Uploading...</span>';
+        preview.innerHTML = `<span class="loading">${t('widget.uploading')}</span>`;
         
         try {
             const result = await uploadImage(file);
             if(result) {
                 widget.value = result.name;
+                formUploads.set(widget, result.name);
+                addUploadToList(elem, widget, result.name);
                 const img = document.createElement('img');
                 img.src = getImageUrl(result.name, result.subfolder, result.type);
-                img.alt = 'Uploaded image';
+                img.alt = t('widget.uploadedImage');
                 preview.innerHTML = '';
                 preview.appendChild(img);
                 widget.callback?.(widget.value);
+                notifyValueChanged(preview);
             }
         } catch(e) {
             console.error('[MobileForm] Image upload failed:', e);
-            preview.innerHTML = '<span class="error">Upload failed</span>';
+            preview.innerHTML = `<span class="error">${t('widget.uploadFailed')}</span>`;
         }
     };
     
@@ -2295,7 +3701,7 @@ export function addVideoUploadWidget(elem, widget, node) {
         video.muted = true;
         preview.appendChild(video);
     } else {
-        preview.innerHTML = '<span class="placeholder">No video selected</span>';
+        preview.innerHTML = `<span class="placeholder">${t('widget.noVideo')}</span>`;
     }
     
     const inputWrapper = document.createElement('div');
@@ -2310,17 +3716,18 @@ export function addVideoUploadWidget(elem, widget, node) {
     const uploadBtn = document.createElement('label');
     uploadBtn.classList.add("comfy-mobile-form-upload-btn");
     uploadBtn.htmlFor = fileInput.id;
-    uploadBtn.innerHTML = '📁 Choose Video';
+    uploadBtn.innerHTML = `📁 ${t('widget.chooseVideo')}`;
     
     const handleFile = async (file) => {
         if(!file) return;
         
-        preview.innerHTML = '<span class="loading">Uploading...</span>';
+        preview.innerHTML = `<span class="loading">${t('widget.uploading')}</span>`;
         
         try {
             const result = await uploadVideo(file);
             if(result) {
                 widget.value = result.name;
+                formUploads.set(widget, result.name);
                 const video = document.createElement('video');
                 video.src = getVideoUrl(result.name, result.subfolder, result.type);
                 video.controls = true;
@@ -2328,10 +3735,11 @@ export function addVideoUploadWidget(elem, widget, node) {
                 preview.innerHTML = '';
                 preview.appendChild(video);
                 widget.callback?.(widget.value);
+                notifyValueChanged(preview);
             }
         } catch(e) {
             console.error('[MobileForm] Video upload failed:', e);
-            preview.innerHTML = '<span class="error">Upload failed</span>';
+            preview.innerHTML = `<span class="error">${t('widget.uploadFailed')}</span>`;
         }
     };
     
@@ -2375,6 +3783,15 @@ export function addTextNote(elem, widget) {
 
 // ============ Helper Functions ============
 
+/**
+ * Let the form know a widget value was set by a button or an upload rather than by
+ * typing, so visibility rules and field errors update as they do for inputs
+ * @param {HTMLElement} elem - Element inside the widget
+ */
+function notifyValueChanged(elem) {
+    elem.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
 /**
  * Format a number with optional precision
  * @param {number} value 
@@ -0,0 +1,282 @@
+// @ts-check
+
+/**
+ * Form Wizard - Shows the form sections (subgroups) as sequential steps
+ * with Back/Next buttons, a progress indicator and a final review step
+ */
+
+import { escapeHtml } from './widget.js';
+import { t } from './i18n.js';
+
+/** @import {ComfyUIGraph} from "./types" */
+
+/**
+ * @typedef {Object} FormWizardOptions
+ * @property {() => ComfyUIGraph | null} getGraph
+ * @property {(step: HTMLElement) => boolean} validateStep - Check a step's fields before moving on
+ * @property {() => void} onQueue - Called by the Queue button of the review step
+ */
+
+/**
+ * Format a widget value for the review step
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (typeof value === 'boolean') return value ? t('wizard.on') : t('wizard.off');
+    if (value === null || value === undefined || value === '') return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+export class FormWizard {
+    /** @type {HTMLElement} */
+    #container;
+
+    /** @type {FormWizardOptions} */
+    #options;
+
+    /** Current step index - one past the last section is the review step */
+    #step = 0;
+
+    /**
+     * @param {HTMLElement} container - The inputs container holding the sections
+     * @param {FormWizardOptions} options
+     */
+    constructor(container, options) {
+        this.#container = container;
+        this.#options = options;
+    }
+
+    /**
+     * Get the steps - sections not hidden by a visibility rule
+     * @returns {HTMLElement[]}
+     */
+    #getSteps() {
+        return /** @type {HTMLElement[]} */ ([...this.#container.querySelectorAll(':scope > .comfy-mobile-form-section')])
+            .filter(section => !section.classList.contains('comfy-mobile-form-rule-hidden'));
+    }
+
+    /**
+     * Get a wizard element of the container, creating it if a render removed it
+     * @param {string} className
+     * @param {boolean} prepend
+     * @returns {HTMLDivElement}
+     */
+    #getPart(className, prepend) {
+        let part = /** @type {HTMLDivElement | null} */ (this.#container.querySelector(`:scope > .${className}`));
+        if (!part) {
+            part = document.createElement('div');
+            part.classList.add(className);
+            part.addEventListener('click', (e) => this.#handleClick(e));
+            if (prepend) {
+                this.#container.prepend(part);
+            } else {
+                this.#container.appendChild(part);
+            }
+        }
+        return part;
+    }
+
+    /**
+     * Apply the wizard to the rendered sections
+     * Called after every render and visibility change. Forms without sections are left alone.
+     */
+    update() {
+        const hasSections = !!this.#container.querySelector(':scope > .comfy-mobile-form-section');
+        this.#container.classList.toggle('comfy-mobile-form-wizard', hasSections);
+        if (!hasSections) {
+            this.#removeParts();
+            return;
+        }
+
+        const steps = this.#getSteps();
+        this.#step = Math.min(this.#step, steps.length);
+
+        steps.forEach((section, index) => {
+            section.classList.toggle('comfy-mobile-form-wizard-active', index === this.#step);
+        });
+        // Sections hidden by a rule may still be marked from an earlier step
+        this.#container.querySelectorAll(':scope > .comfy-mobile-form-section.comfy-mobile-form-rule-hidden').forEach(section => {
+            section.classList.remove('comfy-mobile-form-wizard-active');
+        });
+
+        this.#renderProgress(steps);
+        this.#renderReview(steps);
+        this.#renderNav(steps);
+    }
+
+    /**
+     * Go back to the first step (e.g. when another form is shown)
+     */
+    reset() {
+        this.#step = 0;
+    }
+
+    /**
+     * Show the step containing an element (e.g. a field that failed validation)
+     * @param {Element} elem
+     */
+    showStepOf(elem) {
+        const index = this.#getSteps().findIndex(section => section.contains(elem));
+        if (index !== -1) this.#goTo(index);
+    }
+
+    /**
+     * Remove the wizard from the container
+     */
+    destroy() {
+        this.#container.classList.remove('comfy-mobile-form-wizard');
+        this.#container.querySelectorAll(':scope > .comfy-mobile-form-wizard-active').forEach(section => {
+            section.classList.remove('comfy-mobile-form-wizard-active');
+        });
+        this.#removeParts();
+    }
+
+    /**
+     * Remove the progress, review and nav elements
+     */
+    #removeParts() {
+        this.#container.querySelectorAll(':scope > .comfy-mobile-form-wizard-progress, :scope > .comfy-mobile-form-wizard-review, :scope > .comfy-mobile-form-wizard-nav')
+            .forEach(part => part.remove());
+    }
+
+    /**
+     * Go to a step and bring it into view
+     * @param {number} index
+     */
+    #goTo(index) {
+        this.#step = index;
+        this.update();
+        this.#container.querySelector(':scope > .comfy-mobile-form-wizard-progress')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * @param {HTMLElement[]} steps
+     */
+    #renderProgress(steps) {
+        const progress = this.#getPart('comfy-mobile-form-wizard-progress', true);
+        const isReview = this.#step === steps.length;
+        const title = isReview
+            ? t('wizard.review')
+            : steps[this.#step].querySelector('.comfy-mobile-form-section-title')?.textContent || '';
+
+        // One dot per step plus the review step; earlier steps can be revisited
+        const dots = [...steps.map(section => section.querySelector('.comfy-mobile-form-section-title')?.textContent || ''), t('wizard.review')]
+            .map((label, index) => {
+                const state = index < this.#step ? 'done' : index === this.#step ? 'active' : '';
+                return `<button class="comfy-mobile-form-wizard-dot ${state}" data-step="${index}" title="${escapeHtml(label)}" aria-label="${escapeHtml(label)}" ${index > this.#step ? 'disabled' : ''}></button>`;
+            }).join('');
+
+        progress.innerHTML = `
+            <div class="comfy-mobile-form-wizard-dots">${dots}</div>
+            <div class="comfy-mobile-form-wizard-label">
+                ${t('wizard.step', { step: this.#step + 1, total: steps.length + 1, title: `<strong>${escapeHtml(title)}</strong>` })}
+            </div>
+        `;
+    }
+
+    /**
+     * @param {HTMLElement[]} steps
+     */
+    #renderNav(steps) {
+        const nav = this.#getPart('comfy-mobile-form-wizard-nav', false);
+        const isReview = this.#step === steps.length;
+        const isLast = this.#step === steps.length - 1;
+
+        nav.innerHTML = `
+            <button class="comfy-mobile-form-dialog-btn secondary" data-action="back" ${this.#step === 0 ? 'disabled' : ''}>← ${t('wizard.back')}</button>
+            ${isReview
+                ? `<button class="comfy-mobile-form-dialog-btn primary" data-action="queue">▶ ${t('actions.queue')}</button>`
+                : `<button class="comfy-mobile-form-dialog-btn primary" data-action="next">${isLast ? t('wizard.review') : t('wizard.next')} →</button>`}
+        `;
+    }
+
+    /**
+     * Summarize the values shown in each step
+     * @param {HTMLElement[]} steps
+     */
+    #renderReview(steps) {
+        const review = this.#getPart('comfy-mobile-form-wizard-review', false);
+        review.hidden = this.#step !== steps.length;
+        if (review.hidden) {
+            review.innerHTML = '';
+            return;
+        }
+
+        const graph = this.#options.getGraph();
+        const sections = steps.map((section, index) => {
+            const title = section.querySelector('.comfy-mobile-form-section-title')?.textContent || '';
+            const rows = [];
+
+            for (const card of section.querySelectorAll('.comfy-mobile-form-widget[data-node-id]')) {
+                if (card.classList.contains('comfy-mobile-form-rule-hidden')) continue;
+
+                const node = graph?.getNodeById(parseInt(/** @type {HTMLElement} */ (card).dataset.nodeId || '', 10));
+                if (!node) continue;
+                const nodeTitle = card.querySelector('.comfy-mobile-form-label')?.textContent?.trim() || node.title || node.type;
+
+                // @ts-ignore - mode exists on LiteGraph nodes
+                if (node.mode === 4) {
+                    rows.push(`<dt>${escapeHtml(nodeTitle)}</dt><dd>${t('wizard.bypassed')}</dd>`);
+                    continue;
+                }
+
+                // Only the fields the form shows
+                const names = new Set([...card.querySelectorAll('.comfy-mobile-form-widget-wrapper[data-widget-name]:not(.comfy-mobile-form-rule-hidden)')]
+                    .map(wrapper => /** @type {HTMLElement} */ (wrapper).dataset.widgetName || ''));
+                for (const name of names) {
+                    const widget = node.widgets?.find(w => w.name === name);
+                    if (!widget) continue;
+                    const label = names.size > 1 ? `${nodeTitle} › ${name}` : nodeTitle;
+                    rows.push(`<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(formatValue(widget.value))}</dd>`);
+                }
+            }
+
+            return `
+                <div class="comfy-mobile-form-wizard-review-section">
+                    <div class="comfy-mobile-form-wizard-review-header">
+                        <span>${escapeHtml(title)}</span>
+                        <button class="comfy-mobile-form-wizard-edit" data-step="${index}">${t('wizard.edit')}</button>
+                    </div>
+                    ${rows.length > 0
+                        ? `<dl class="comfy-mobile-form-info-list">${rows.join('')}</dl>`
+                        : `<div class="comfy-mobile-form-dialog-hint">${t('wizard.noValues')}</div>`}
+                </div>
+            `;
+        }).join('');
+
+        review.innerHTML = `
+            <div class="comfy-mobile-form-wizard-review-title">${t('wizard.review')}</div>
+            ${sections}
+        `;
+    }
+
+    /**
+     * Handle clicks on the progress dots, review edit links and nav buttons
+     * @param {MouseEvent} e
+     */
+    #handleClick(e) {
+        const button = /** @type {HTMLButtonElement | null} */ (/** @type {HTMLElement} */ (e.target).closest('button'));
+        if (!button || button.disabled) return;
+
+        if (button.dataset.step !== undefined) {
+            this.#goTo(parseInt(button.dataset.step, 10));
+            return;
+        }
+
+        const steps = this.#getSteps();
+        switch (button.dataset.action) {
+            case 'back':
+                this.#goTo(Math.max(0, this.#step - 1));
+                break;
+            case 'next':
+                // Fix this step's fields before moving on
+                if (!this.#options.validateStep(steps[this.#step])) return;
+                this.#goTo(Math.min(steps.length, this.#step + 1));
+                break;
+            case 'queue':
+                this.#options.onQueue();
+                break;
+        }
+    }
+}
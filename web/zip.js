@@ -0,0 +1,120 @@
+// @ts-check
+
+/**
+ * ZIP Writer - Packs files into an uncompressed (stored) ZIP archive
+ * Outputs are already compressed media, so storing them keeps this small and fast.
+ * Archives are limited to 4 GB (no ZIP64).
+ */
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path inside the archive (forward slashes)
+ * @property {Uint8Array<ArrayBuffer>} data
+ * @property {Date} [date] - Modification time (defaults to now)
+ */
+
+/** @type {Uint32Array | null} */
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum of some data
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a ZIP archive from a list of files
+ * @param {ZipEntry[]} entries
+ * @returns {Blob}
+ */
+export function createZip(entries) {
+    const encoder = new TextEncoder();
+    /** @type {BlobPart[]} */
+    const parts = [];
+    /** @type {Uint8Array<ArrayBuffer>[]} */
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = encoder.encode(entry.name);
+        const crc = crc32(entry.data);
+        const size = entry.data.length;
+        const { time, date } = toDosDateTime(entry.date || new Date());
+
+        // Local file header
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);           // version needed
+        local.setUint16(6, 0x0800, true);       // flags: UTF-8 names
+        local.setUint16(8, 0, true);            // method: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);        // compressed size
+        local.setUint32(22, size, true);        // uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);           // extra field length
+
+        // Central directory header
+        const central = new DataView(new ArrayBuffer(46 + name.length));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);         // version made by
+        central.setUint16(6, 20, true);         // version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, size, true);
+        central.setUint32(24, size, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);    // local header offset
+        new Uint8Array(central.buffer).set(name, 46);
+
+        parts.push(local.buffer, name, entry.data);
+        centralDirectory.push(new Uint8Array(central.buffer));
+        offset += 30 + name.length + size;
+    }
+
+    const directorySize = centralDirectory.reduce((sum, header) => sum + header.length, 0);
+
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, entries.length, true);     // entries on this disk
+    end.setUint16(10, entries.length, true);    // total entries
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);            // central directory offset
+
+    return new Blob([...parts, ...centralDirectory, end.buffer], { type: 'application/zip' });
+}